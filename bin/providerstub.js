@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Local stub of an external provisioning system implementing the REST contract
+// expected by the HTTP provider (src/server/providers/httpProvider.js).
+//
+// Usage:
+//   node bin/providerstub.js [port]
+//   HTTP_PROVIDER_URL=http://localhost:5001 PROVISIONING_PROVIDER=http npm start
+//
+// Products whose ProductCode ends in -FAIL are rejected, to exercise failure handling.
+// Products whose ProductCode ends in -ASYNC are acknowledged as Pending and reported as
+// provisioned a few seconds later with a signed provider event, when PROVIDER_EVENTS_URL
+// (e.g. http://localhost:5000/api/providerEvents) and PROVIDER_EVENTS_SECRET are set.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const port = parseInt(process.argv[2] || process.env.PORT || '5001', 10);
+const services = new Map();
+const eventsUrl = process.env.PROVIDER_EVENTS_URL;
+const eventsSecret = (process.env.PROVIDER_EVENTS_SECRET || '').split(',')[0].replace(/^[a-z][\w-]*:/i, '');
+
+function send (res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const [, resource, serviceId] = url.pathname.split('/');
+    console.log(`${req.method} ${url.pathname}`);
+
+    if (resource !== 'services') {
+      return send(res, 404, { code: 'NOT_FOUND', message: `Unknown resource ${url.pathname}` });
+    }
+
+    if (req.method === 'POST' && !serviceId) {
+      const request = JSON.parse(raw || '{}');
+      if (request.product?.code?.endsWith('-FAIL')) {
+        return send(res, 422, { code: 'UNSUPPORTED_PRODUCT', message: `Product ${request.product.name} cannot be provisioned` });
+      }
+      const service = {
+        serviceId: `stub-${crypto.randomUUID()}`,
+        status: 'Provisioned',
+        message: `Stub provisioned ${request.product?.name} (${JSON.stringify(request.parameters || {})})`
+      };
+      services.set(service.serviceId, service);
+      if (request.product?.code?.endsWith('-ASYNC') && eventsUrl && eventsSecret) {
+        setTimeout(() => {
+          sendEvent({ serviceId: service.serviceId, jobId: request.jobId, status: service.status, message: service.message })
+            .catch(error => console.error(`Provider event for ${service.serviceId} failed: ${error.message}`));
+        }, 2000);
+        return send(res, 202, { serviceId: service.serviceId, status: 'Pending', message: `Stub accepted ${request.product.name}` });
+      }
+      return send(res, 201, service);
+    }
+
+    const service = services.get(decodeURIComponent(serviceId || ''));
+    if (!service) {
+      return send(res, 404, { code: 'SERVICE_NOT_FOUND', message: `Service ${serviceId} not found` });
+    }
+    if (req.method === 'PATCH') {
+      const request = JSON.parse(raw || '{}');
+      service.message = `Stub modified ${service.serviceId} (quantity ${request.quantity}, ${JSON.stringify(request.parameters || {})})`;
+      return send(res, 200, { ...service, status: 'Modified' });
+    }
+    if (req.method === 'DELETE') {
+      services.delete(service.serviceId);
+      return send(res, 200, { serviceId: service.serviceId, status: 'Deprovisioned', message: `Stub deprovisioned ${service.serviceId}` });
+    }
+    send(res, 405, { code: 'METHOD_NOT_ALLOWED', message: `${req.method} not supported` });
+  });
+});
+
+// Signed like src/server/services/providerEvents.js expects
+async function sendEvent (event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', eventsSecret).update(`${timestamp}.${body}`).digest('hex');
+  const response = await fetch(eventsUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-provider-signature': `t=${timestamp},v1=${signature}` },
+    body
+  });
+  console.log(`Provider event for ${event.serviceId}: HTTP ${response.status}`);
+}
+
+server.listen(port, () => {
+  console.log(`Provider stub listening on http://localhost:${port}`);
+});
@@ -0,0 +1,125 @@
+import Fastify from 'fastify';
+import swagger from '@fastify/swagger';
+import swaggerUi from '@fastify/swagger-ui';
+import config from './config/index.js';
+import salesforcePlugin from './middleware/salesforce.js';
+import apiRoutes from './routes/api.js';
+import jobRoutes from './routes/jobs.js';
+import adminRoutes from './routes/admin.js';
+import providerEventRoutes from './routes/providerEvents.js';
+import auditRoutes from './routes/audit.js';
+import healthRoutes from './routes/health.js';
+import emulatorRoutes from './routes/emulator.js';
+import { ErrorResponseSchema, ProgressOptionsSchema, ProvisioningParametersSchema, ResultPublishersSchema } from './routes/schemas.js';
+import { createJobStore } from './services/jobStore.js';
+import { createAdmissionControl } from './services/admissionControl.js';
+import { assertJobStoreShared, createJobQueue } from './services/jobQueue.js';
+import { startJobWorker } from './services/jobWorker.js';
+import formbody from '@fastify/formbody';
+
+/**
+ * Builds the Fastify application: Swagger, the Salesforce middleware, the job
+ * store, queue and optional in-process worker, and the API routes.
+ * Used by the web process and by the tests, which drive it with `inject`.
+ * @param {object} [options]
+ * @param {object|boolean} [options.logger] - Fastify logger options, defaults to the configured level.
+ * @returns {Promise<import('fastify').FastifyInstance>}
+ */
+async function buildApp ({ logger = { level: config.logLevel } } = {}) {
+  // Basic logging configuration
+  const fastify = Fastify({ logger });
+
+  // Register Swagger for dynamic generation
+  fastify.register(swagger, {
+    openapi: {
+      openapi: '3.0.1',
+      info: {
+        title: 'Provisioning API',
+        description: 'API for provisioning external services asynchronously from Salesforce via AppLink.',
+        version: '1.0.0'
+      },
+      servers: [
+        { url: 'http://localhost:5000', description: 'Local development server' }
+      ],
+      tags: [
+        { name: 'Provisioning', description: 'Provisioning endpoints' },
+        { name: 'Jobs', description: 'Provisioning job status endpoints' },
+        { name: 'Admin', description: 'Operational endpoints' },
+        { name: 'Audit', description: 'Audit log endpoints' }
+      ],
+
+    },
+    // Add refResolver to use $id for references
+    refResolver: {
+      buildLocalReference (json, baseUri, fragment, i) {
+        return json.$id || `def-${i}`; // Use $id, fallback to default def-N
+      }
+    }
+  });
+
+  // Register Swagger UI
+  fastify.register(swaggerUi, {
+    routePrefix: '/docs',
+    uiConfig: {
+      docExpansion: 'list',
+      deepLinking: false
+    },
+    staticCSP: true,
+    transformStaticCSP: (header) => header
+  });
+
+  // Register Salesforce middleware globally
+  // This will run the preHandler for every request
+  fastify.register(salesforcePlugin);
+
+  // Job repository shared by the API routes and the provisioning service
+  const jobStore = await createJobStore(config.jobStore);
+  fastify.decorate('jobStore', jobStore);
+
+  // Limits on provisioning job submissions per user and org
+  fastify.decorate('admission', createAdmissionControl(config.admission));
+
+  // Queue handing submitted jobs to the worker process
+  const jobQueue = createJobQueue(config.queue);
+  fastify.decorate('jobQueue', jobQueue);
+  assertJobStoreShared(jobQueue, jobStore);
+
+  // Consume jobs inside the web process when no separate worker is running (e.g. local in-memory queue)
+  const worker = config.worker.inProcess
+    ? startJobWorker({ queue: jobQueue, jobStore, logger: fastify.log, concurrency: config.worker.concurrency })
+    : null;
+
+  fastify.addHook('onClose', async () => {
+    if (worker) await worker.stop();
+    await jobQueue.close();
+    await jobStore.close();
+  });
+
+  // Register formbody plugin
+  fastify.register(formbody);
+
+  // Readiness check and Prometheus metrics
+  fastify.register(healthRoutes);
+
+  // Register schema components shared across route plugins
+  fastify.addSchema(ErrorResponseSchema);
+  fastify.addSchema(ProvisioningParametersSchema);
+  fastify.addSchema(ProgressOptionsSchema);
+  fastify.addSchema(ResultPublishersSchema);
+
+  // Register API routes with prefix
+  fastify.register(apiRoutes, { prefix: '/api' });
+  fastify.register(jobRoutes, { prefix: '/api' });
+  fastify.register(adminRoutes, { prefix: '/api/admin' });
+  fastify.register(providerEventRoutes, { prefix: '/api' });
+  fastify.register(auditRoutes, { prefix: '/api' });
+  if (config.applink.emulator) {
+    fastify.register(emulatorRoutes, { prefix: '/emulator' });
+  }
+
+  return fastify;
+}
+
+export {
+  buildApp
+};
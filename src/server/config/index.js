@@ -1,5 +1,7 @@
 import 'dotenv/config';
 
+const queueType = process.env.JOB_QUEUE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
 // Centralized configuration
 const config = {
   env: process.env.NODE_ENV || 'development',
@@ -7,6 +9,127 @@ const config = {
   logLevel: process.env.LOG_LEVEL || 'info',
   features: {
     enableDiscountOverrides: process.env.ENABLE_DISCOUNT_OVERRIDES === 'true' || false
+  },
+  applink: {
+    // Serve Salesforce from local fixtures instead of a real org (see src/server/emulator)
+    emulator: process.env.APPLINK_EMULATOR === 'true',
+    dataDir: process.env.APPLINK_EMULATOR_DATA_DIR || 'data'
+  },
+  orgs: {
+    // Settings per org ID as JSON, inline or in a file; see src/server/services/orgRegistry.js
+    registry: process.env.ORG_REGISTRY,
+    registryFile: process.env.ORG_REGISTRY_FILE,
+    // Set to false to only serve the orgs in the registry
+    allowUnlisted: process.env.ORG_ALLOW_UNLISTED !== 'false',
+    // Developer name of the AppLink authorization queued jobs run as; orgs may set their own
+    authorization: process.env.APPLINK_AUTHORIZATION
+  },
+  jobStore: {
+    // 'redis', 'file' or 'memory'; Redis is shared by every dyno, which a Redis queue requires
+    type: process.env.JOB_STORE || (process.env.REDIS_URL ? 'redis' : 'file'),
+    url: process.env.REDIS_URL,
+    dir: process.env.JOB_STORE_DIR || '.data/jobs',
+    // Set when JOB_STORE_DIR is on storage every dyno mounts
+    shared: process.env.JOB_STORE_SHARED === 'true',
+    // Days finished jobs are kept, unless they hold provisioned services; 0 keeps them forever
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS || '30', 10)
+  },
+  queue: {
+    type: queueType, // 'memory' or 'redis'
+    url: process.env.REDIS_URL,
+    name: process.env.JOB_QUEUE_NAME || 'provisioning-jobs'
+  },
+  worker: {
+    // Without a shared queue the web process has to consume its own jobs
+    inProcess: process.env.IN_PROCESS_WORKER
+      ? process.env.IN_PROCESS_WORKER === 'true'
+      : queueType === 'memory',
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY || '1', 10),
+    // Default deadline of jobs after submission, matching the 10 minute callback timeout of
+    // ProvisionServicesController; 0 for no deadline
+    jobTimeoutMs: parseInt(process.env.JOB_TIMEOUT_MS || '600000', 10),
+    // Jobs stop this long before their deadline so the timed_out callback still arrives in time
+    deadlineMarginMs: parseInt(process.env.JOB_DEADLINE_MARGIN_MS || '30000', 10),
+    // How often running jobs check whether they were cancelled
+    cancelPollIntervalMs: parseInt(process.env.JOB_CANCEL_POLL_INTERVAL_MS || '2000', 10)
+  },
+  provisioning: {
+    // Line items provisioned at once across all jobs in a process, and within a single Opportunity
+    concurrency: parseInt(process.env.PROVISIONING_CONCURRENCY || '10', 10),
+    perOpportunityConcurrency: parseInt(process.env.PROVISIONING_CONCURRENCY_PER_OPPORTUNITY || '5', 10),
+    // Comma separated Opportunity stages that are rejected instead of provisioned
+    rejectedStages: (process.env.PROVISIONING_REJECTED_STAGES ?? 'Closed Lost').split(',').map(stage => stage.trim()).filter(Boolean),
+    // Opportunity IDs per SOQL query; keeps each query well below the SOQL length limit
+    queryChunkSize: parseInt(process.env.PROVISIONING_QUERY_CHUNK_SIZE || '200', 10),
+    // Limits for provisionServicesSync; the time budget stays below the 30 second Heroku router timeout.
+    // The line item cap is one round of provider calls within an Opportunity, so with the default
+    // 10 second mock provider a request at the cap finishes inside the budget.
+    syncMaxLineItems: parseInt(process.env.SYNC_PROVISIONING_MAX_LINE_ITEMS || '5', 10),
+    syncTimeoutMs: parseInt(process.env.SYNC_PROVISIONING_TIMEOUT_MS || '20000', 10)
+  },
+  admission: {
+    // Sliding window the submission limits of POST /api/provisionServices apply to
+    windowMs: parseInt(process.env.ADMISSION_WINDOW_MS || '60000', 10),
+    // Provisioning jobs a user, and an org, may submit per window; 0 for no limit
+    userJobsPerWindow: parseInt(process.env.ADMISSION_USER_JOBS_PER_WINDOW || '10', 10),
+    orgJobsPerWindow: parseInt(process.env.ADMISSION_ORG_JOBS_PER_WINDOW || '60', 10),
+    // Jobs a user, and an org, may have queued or running at once; 0 for no limit
+    userMaxConcurrentJobs: parseInt(process.env.ADMISSION_USER_MAX_CONCURRENT_JOBS || '5', 10),
+    orgMaxConcurrentJobs: parseInt(process.env.ADMISSION_ORG_MAX_CONCURRENT_JOBS || '20', 10),
+    // Line items a provisioning job may provision; 0 for no limit
+    maxLineItemsPerJob: parseInt(process.env.ADMISSION_MAX_LINE_ITEMS_PER_JOB || '1000', 10)
+  },
+  callbacks: {
+    // Retry policy for delivering results to the Salesforce callback URL
+    maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '5', 10),
+    baseDelayMs: parseInt(process.env.CALLBACK_BASE_DELAY_MS || '1000', 10),
+    maxDelayMs: parseInt(process.env.CALLBACK_MAX_DELAY_MS || '30000', 10),
+    jitter: parseFloat(process.env.CALLBACK_JITTER || '0.5') // Fraction of each delay that is randomized
+  },
+  admin: {
+    // Permission set a Salesforce user needs for the /api/admin operations
+    permissionSet: process.env.ADMIN_PERMISSION_SET || 'ProvisioningServiceAdmin'
+  },
+  publishers: {
+    // Comma separated publishers for job results unless the request or ProvisioningParameter__mdt choose: callback, platformEvent
+    defaults: (process.env.RESULT_PUBLISHERS || 'callback').split(',').map(name => name.trim()).filter(Boolean),
+    platformEvent: {
+      eventObject: process.env.PLATFORM_EVENT_OBJECT || 'Provisioning_Status__e'
+    }
+  },
+  audit: {
+    // Comma separated audit sinks: 'file' (JSON lines in AUDIT_LOG_FILE) and/or 'memory'; empty disables the audit log
+    sinks: (process.env.AUDIT_LOG_SINKS ?? 'file').split(',').map(sink => sink.trim()).filter(Boolean),
+    file: process.env.AUDIT_LOG_FILE || '.data/audit/audit.jsonl'
+  },
+  metrics: {
+    // Port the worker process serves /metrics and /health on; the web process serves them on PORT
+    workerPort: parseInt(process.env.WORKER_METRICS_PORT || '0', 10)
+  },
+  tracing: {
+    // Where finished spans go: 'console' (JSON lines on stdout), 'file' (TRACING_FILE), 'memory' or 'none'
+    exporter: process.env.TRACING_EXPORTER || 'none',
+    file: process.env.TRACING_FILE || '.data/traces/spans.jsonl'
+  },
+  providerEvents: {
+    // Comma separated secrets providers sign POST /api/providerEvents with; list two while rotating.
+    // "<provider>:<secret>" limits a secret to services of one provider. Orgs may have their own, see orgRegistry.js
+    secrets: (process.env.PROVIDER_EVENTS_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean),
+    // Events signed longer ago than this are rejected as replays
+    toleranceMs: parseInt(process.env.PROVIDER_EVENTS_TOLERANCE_MS || '300000', 10)
+  },
+  providers: {
+    defaultProvider: process.env.PROVISIONING_PROVIDER || 'mock',
+    // Comma separated "<Product2.Name or ProductCode>=<provider>" pairs
+    mappings: process.env.PROVISIONING_PROVIDER_MAPPINGS || '',
+    mock: {
+      delayMs: parseInt(process.env.MOCK_PROVIDER_DELAY_MS || '10000', 10)
+    },
+    http: {
+      baseUrl: process.env.HTTP_PROVIDER_URL,
+      apiKey: process.env.HTTP_PROVIDER_API_KEY,
+      timeoutMs: parseInt(process.env.HTTP_PROVIDER_TIMEOUT_MS || '30000', 10)
+    }
   }
   // Add other configurations as needed
 };
@@ -0,0 +1,129 @@
+'use strict';
+
+import { FixtureDataApi, loadFixtures } from './fixtureDataApi.js';
+
+// Callbacks kept for inspection; older entries are dropped first
+const MAX_CALLBACKS = 1000;
+
+// Org every emulated AppLink authorization connects to, the synthetic org `bin/invoke.sh emulator` sends
+const AUTHORIZED_ORG = {
+  orgId: '00D000000000001AAA',
+  orgDomainUrl: 'https://emulator.my.salesforce.com',
+  apiVersion: '62.0',
+  userContext: { userId: '005000000000001AAA', username: 'integration@emulator.local' }
+};
+
+/**
+ * Local stand-in for the Heroku AppLink SDK so the service runs without a Salesforce org.
+ *
+ * `init()` returns an object shaped like `AppLinkClient.init()`. Its `parseRequest` accepts
+ * a synthetic base64 `x-client-context` (as built by `bin/invoke.sh emulator ...`), queries
+ * are answered from the fixtures in `data/`, and requests made through `org.request`,
+ * i.e. callbacks to Salesforce, are captured in memory instead of being sent.
+ * `addons.applink.getAuthorization` grants any authorization name, for the synthetic emulator org.
+ */
+class AppLinkEmulator {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - Directory holding the `data/` fixtures.
+   */
+  constructor ({ dataDir }) {
+    this.dataApi = new FixtureDataApi(loadFixtures(dataDir));
+    this.callbacks = [];
+  }
+
+  init () {
+    return {
+      addons: {
+        applink: {
+          getAuthorization: async developerName => {
+            if (!developerName) {
+              throw new Error('Developer name not provided');
+            }
+            return this.createOrg(AUTHORIZED_ORG);
+          }
+        }
+      },
+      dataCloud: {},
+      salesforce: {
+        parseRequest: (headers, body, log) => this.parseRequest(headers, body, log)
+      }
+    };
+  }
+
+  parseRequest (headers, body, log) {
+    const encodedClientContext = headers?.['x-client-context'];
+    if (!encodedClientContext) {
+      throw new Error('Required x-client-context header not found');
+    }
+    const clientContext = JSON.parse(Buffer.from(encodedClientContext, 'base64').toString('utf8'));
+    if (!clientContext.userContext) {
+      throw new Error('Required UserContext not found on x-client-context');
+    }
+    return {
+      event: { id: clientContext.requestId, data: body || '', dataContentType: headers['content-type'] || 'application/json' },
+      context: { id: clientContext.requestId, org: this.createOrg(clientContext) },
+      logger: log
+    };
+  }
+
+  /**
+   * @param {object} clientContext - Decoded `x-client-context`, or the identity of an authorization.
+   * @returns {object} - Org shaped like the AppLink SDK's, backed by the fixtures.
+   */
+  createOrg (clientContext) {
+    const emulator = this;
+    return {
+      id: clientContext.orgId,
+      domainUrl: clientContext.orgDomainUrl,
+      apiVersion: clientContext.apiVersion,
+      namespace: clientContext.namespace || '',
+      user: {
+        id: clientContext.userContext.userId,
+        username: clientContext.userContext.username
+      },
+      dataApi: this.dataApi,
+      async request (url, opts = {}) {
+        emulator.recordCallback({ orgId: clientContext.orgId, url, opts });
+        return {};
+      }
+    };
+  }
+
+  recordCallback ({ orgId, url, opts }) {
+    let body = opts.body;
+    try {
+      body = JSON.parse(opts.body);
+    } catch {
+      // Keep non-JSON bodies as sent
+    }
+    this.callbacks.push({
+      orgId,
+      url,
+      method: opts.method || 'GET',
+      body,
+      receivedAt: new Date().toISOString()
+    });
+    if (this.callbacks.length > MAX_CALLBACKS) {
+      this.callbacks.shift();
+    }
+  }
+
+  /**
+   * Lists captured callbacks, oldest first.
+   * @param {object} [filter]
+   * @param {string} [filter.jobId] - Only callbacks reporting on this job.
+   * @returns {Array<object>}
+   */
+  listCallbacks ({ jobId } = {}) {
+    return this.callbacks.filter(callback => !jobId || callback.body?.jobId === jobId);
+  }
+
+  clearCallbacks () {
+    this.callbacks = [];
+  }
+}
+
+export {
+  AppLinkEmulator
+};
@@ -0,0 +1,330 @@
+'use strict';
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Key prefixes used to give fixture records realistic looking 18 character IDs
+const KEY_PREFIXES = {
+  Account: '001',
+  Opportunity: '006',
+  OpportunityLineItem: '00k',
+  Pricebook2: '01s',
+  PermissionSet: '0PS',
+  PermissionSetAssignment: '0Pa',
+  PricebookEntry: '01u',
+  Product2: '01t',
+  ProvisionedService__c: 'a00',
+  Provisioning_Status__e: 'e00',
+  ProvisioningParameter__mdt: 'm00'
+};
+
+// Child relationships available in subqueries, e.g. `(SELECT Id FROM OpportunityLineItems)`
+const CHILD_RELATIONSHIPS = {
+  Opportunity: {
+    OpportunityLineItems: { sobject: 'OpportunityLineItem', field: 'OpportunityId' }
+  }
+};
+
+// Custom metadata and permission set assignments cannot be imported with `sf data import tree`,
+// so they have their own fixtures
+const EMULATOR_FIXTURES = [
+  ['ProvisioningParameter__mdt', 'provisioning-parameters.json'],
+  ['PermissionSet', 'permission-sets.json'],
+  ['PermissionSetAssignment', 'permission-set-assignments.json']
+];
+
+const STANDARD_PRICEBOOK_ID = `${KEY_PREFIXES.Pricebook2}000000000001AAA`;
+
+/**
+ * In-memory stand-in for the AppLink Data API, serving SOQL queries from the
+ * `sf data import tree` fixtures in `data/`. Supports the query shapes this app uses:
+ * field lists with parent fields (`Product2.Name`), one level of child subqueries,
+ * `WHERE` clauses of `=` / `IN` conditions on fields or parent fields joined by `AND`, `COUNT()`
+ * and `LIMIT`. Records created
+ * and updated, directly or in a unit of work, are kept in memory and returned by later queries.
+ */
+class FixtureDataApi {
+  /**
+   * @param {Map<string, Array<object>>} records - Records by SObject type, with `Id` fields assigned.
+   * @param {object} [options]
+   * @param {number} [options.pageSize=2000] - Records per query page, as with the Salesforce REST API.
+   */
+  constructor (records, { pageSize = 2000 } = {}) {
+    this.records = records;
+    this.pageSize = pageSize;
+    this.recordsById = new Map([...records.values()].flat().map(record => [record.Id, record]));
+    this.cursors = new Map();
+    this.cursorCount = 0;
+  }
+
+  async query (soql) {
+    const query = parseQuery(soql);
+    const rows = this.select(query);
+    // `SELECT COUNT() FROM ...` only reports the number of matching records
+    if (query.fields.length === 1 && /^COUNT\(\)$/i.test(query.fields[0])) {
+      return { done: true, totalSize: rows.length, records: [] };
+    }
+    return this.page(rows.map(row => this.buildRecord(query, row)), 0);
+  }
+
+  async queryMore (result) {
+    const [cursorId, offset] = (result.nextRecordsUrl || '').split('/').pop().split('-');
+    const rows = this.cursors.get(cursorId);
+    if (!rows) {
+      throw new Error(`Unknown query locator: ${result.nextRecordsUrl}`);
+    }
+    return this.page(rows, parseInt(offset, 10), cursorId);
+  }
+
+  async create ({ type, fields }) {
+    const rows = this.records.get(type) || [];
+    this.records.set(type, rows);
+    const id = `${KEY_PREFIXES[type] || '000'}${String(rows.length + 1).padStart(12, '0')}AAA`;
+    const row = { Id: id, ...fields };
+    rows.push(row);
+    this.recordsById.set(id, row);
+    return { id };
+  }
+
+  async update ({ type, fields: { id, ...fields } }) {
+    const row = this.recordsById.get(id);
+    if (!row || typeOf(id) !== type) {
+      throw new Error(`INVALID_CROSS_REFERENCE_KEY: No ${type} with ID ${id}`);
+    }
+    Object.assign(row, fields);
+    return { id };
+  }
+
+  newUnitOfWork () {
+    const subrequests = [];
+    const register = (operation, record) => {
+      const referenceId = {
+        id: `referenceId${subrequests.length}`,
+        toString () { return this.id; },
+        toApiString () { return `@{${this.id}.id}`; }
+      };
+      subrequests.push([referenceId, operation, record]);
+      return referenceId;
+    };
+    return {
+      subrequests,
+      registerCreate: record => register('create', record),
+      registerUpdate: record => register('update', record),
+      registerDelete: () => {
+        throw new Error('Emulator does not support deleting records');
+      }
+    };
+  }
+
+  /**
+   * Applies a unit of work all or nothing, like the Composite Graph API.
+   */
+  async commitUnitOfWork (unitOfWork) {
+    for (const [, operation, { type, fields }] of unitOfWork.subrequests) {
+      if (operation === 'update' && (!this.recordsById.has(fields.id) || typeOf(fields.id) !== type)) {
+        throw new Error(`INVALID_CROSS_REFERENCE_KEY: No ${type} with ID ${fields.id}`);
+      }
+    }
+    const results = new Map();
+    for (const [referenceId, operation, record] of unitOfWork.subrequests) {
+      results.set(referenceId, await this[operation](record));
+    }
+    return results;
+  }
+
+  select ({ sobject, conditions, limit }, filter = () => true) {
+    const rows = (this.records.get(sobject) || [])
+      .filter(filter)
+      .filter(row => conditions.every(({ field, values }) => values.includes(String(this.fieldValue(row, field)))));
+    return limit === undefined ? rows : rows.slice(0, limit);
+  }
+
+  // Reads a field of the row, following lookups for parent fields such as PermissionSet.Name
+  fieldValue (row, field) {
+    const [name, ...path] = field.split('.');
+    if (path.length === 0) return row[name];
+    const parent = this.recordsById.get(row[`${name}Id`]);
+    return parent ? this.fieldValue(parent, path.join('.')) : undefined;
+  }
+
+  page (records, offset, cursorId) {
+    const end = offset + this.pageSize;
+    const result = {
+      done: end >= records.length,
+      totalSize: records.length,
+      records: records.slice(offset, end)
+    };
+    if (!result.done) {
+      const id = cursorId || `01g${String(++this.cursorCount).padStart(15, '0')}`;
+      this.cursors.set(id, records);
+      result.nextRecordsUrl = `/services/data/v62.0/query/${id}-${end}`;
+    } else if (cursorId) {
+      this.cursors.delete(cursorId);
+    }
+    return result;
+  }
+
+  /**
+   * Shapes a fixture row like the AppLink SDK shapes queried records.
+   */
+  buildRecord ({ sobject, fields, subqueries }, row) {
+    const record = { type: sobject, fields: {}, subQueryResults: {} };
+    for (const field of fields) {
+      const [name, ...path] = field.split('.');
+      if (path.length === 0) {
+        if (row[name] != null) record.fields[name] = row[name];
+        continue;
+      }
+      // Parent fields such as Product2.Name are read through the matching lookup (Product2Id)
+      const parent = this.recordsById.get(row[`${name}Id`]);
+      if (!parent) continue;
+      const parentSObject = typeOf(parent.Id);
+      record.fields[name] = this.buildRecord(
+        { sobject: parentSObject, fields: [path.join('.'), ...(record.fields[name] ? Object.keys(record.fields[name].fields) : [])], subqueries: [] },
+        parent
+      );
+    }
+    for (const subquery of subqueries) {
+      const relationship = CHILD_RELATIONSHIPS[sobject]?.[subquery.sobject];
+      if (!relationship) {
+        throw new Error(`Emulator does not support the ${sobject}.${subquery.sobject} relationship`);
+      }
+      const children = this.select({ ...subquery, sobject: relationship.sobject }, child => child[relationship.field] === row.Id)
+        .map(child => this.buildRecord({ ...subquery, sobject: relationship.sobject }, child));
+      if (children.length > 0) {
+        // Child records are paged too, the rest is read with queryMore as with the REST API
+        record.subQueryResults[subquery.sobject] = this.page(children, 0);
+      }
+    }
+    return record;
+  }
+}
+
+/**
+ * Loads the fixtures listed in `import-plan.json`, assigning each record an ID and
+ * resolving `@ReferenceId` values to those IDs.
+ * @param {string} dir - Directory holding the fixtures (normally `data`).
+ * @returns {Map<string, Array<object>>} - Records by SObject type.
+ */
+function loadFixtures (dir) {
+  const plan = readJson(path.join(dir, 'import-plan.json'));
+  const files = plan.flatMap(entry => entry.files.map(file => [entry.sobject, file]));
+  for (const [sobject, file] of EMULATOR_FIXTURES) {
+    if (fs.existsSync(path.join(dir, file))) files.push([sobject, file]);
+  }
+
+  const records = new Map();
+  const references = new Map([['standardPricebookId', STANDARD_PRICEBOOK_ID]]);
+  for (const [sobject, file] of files) {
+    const rows = records.get(sobject) || [];
+    for (const { attributes, ...fields } of readJson(path.join(dir, file)).records) {
+      const id = `${KEY_PREFIXES[sobject] || '000'}${String(rows.length + 1).padStart(12, '0')}AAA`;
+      if (attributes?.referenceId) references.set(attributes.referenceId, id);
+      rows.push({ Id: id, ...fields });
+    }
+    records.set(sobject, rows);
+  }
+
+  for (const row of [...records.values()].flat()) {
+    for (const [field, value] of Object.entries(row)) {
+      if (typeof value === 'string' && value.startsWith('@')) {
+        row[field] = references.get(value.slice(1)) ?? null;
+      }
+    }
+  }
+
+  // Line items take their product and price from the price book entry, as in Salesforce
+  const entries = new Map((records.get('PricebookEntry') || []).map(entry => [entry.Id, entry]));
+  for (const lineItem of records.get('OpportunityLineItem') || []) {
+    const entry = entries.get(lineItem.PricebookEntryId);
+    lineItem.Product2Id ??= entry?.Product2Id;
+    lineItem.UnitPrice ??= entry?.UnitPrice;
+  }
+  return records;
+}
+
+/**
+ * Parses the subset of SOQL supported by the emulator.
+ * @param {string} soql - The query.
+ * @returns {{ sobject: string, fields: Array<string>, subqueries: Array<object>, conditions: Array<object>, limit?: number }}
+ */
+function parseQuery (soql) {
+  // Mask subqueries so their FROM and WHERE clauses are not mistaken for the outer query's
+  const nested = [];
+  const masked = maskSubqueries(soql, nested);
+  const match = /^\s*SELECT\s+([\s\S]+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+([\s\S]+?))?(?:\s+LIMIT\s+(\d+))?\s*$/i.exec(masked);
+  if (!match) {
+    throw new Error(`Emulator does not support query: ${soql.trim()}`);
+  }
+  const [, selectList, sobject, where, limit] = match;
+  const fields = [];
+  const subqueries = [];
+  for (const item of selectList.split(',').map(field => field.trim()).filter(Boolean)) {
+    const subquery = /^__SUBQUERY_(\d+)__$/.exec(item);
+    if (subquery) {
+      subqueries.push(parseQuery(nested[subquery[1]]));
+    } else {
+      fields.push(item);
+    }
+  }
+  return {
+    sobject,
+    fields,
+    subqueries,
+    conditions: where ? where.split(/\s+AND\s+/i).map(condition => parseCondition(condition, soql)) : [],
+    limit: limit === undefined ? undefined : parseInt(limit, 10)
+  };
+}
+
+function parseCondition (condition, soql) {
+  const match = /^\s*([\w.]+)\s*(=|IN)\s*\(?([^)]*)\)?\s*$/i.exec(condition);
+  if (!match) {
+    throw new Error(`Emulator does not support condition "${condition.trim()}" in query: ${soql.trim()}`);
+  }
+  const values = match[3].split(',').map(value => value.trim().replace(/^'(.*)'$/, '$1'));
+  return { field: match[1], values };
+}
+
+// Replaces each parenthesised `(SELECT ...)` with a placeholder, collecting the inner queries
+function maskSubqueries (soql, nested) {
+  let masked = '';
+  let depth = 0;
+  let current = '';
+  for (const char of soql) {
+    if (depth === 0 && char === '(') {
+      depth = 1;
+      current = '';
+      continue;
+    }
+    if (depth > 0) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth > 0) {
+        current += char;
+        continue;
+      }
+      if (/^\s*SELECT\s/i.test(current)) {
+        masked += `__SUBQUERY_${nested.push(current) - 1}__`;
+      } else {
+        masked += `(${current})`;
+      }
+      continue;
+    }
+    masked += char;
+  }
+  return masked;
+}
+
+function typeOf (id) {
+  return Object.keys(KEY_PREFIXES).find(sobject => id.startsWith(KEY_PREFIXES[sobject]));
+}
+
+function readJson (file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export {
+  FixtureDataApi,
+  loadFixtures,
+  parseQuery
+};
@@ -1,68 +1,7 @@
-import Fastify from 'fastify';
-import swagger from '@fastify/swagger';
-import swaggerUi from '@fastify/swagger-ui';
 import config from './config/index.js';
-import salesforcePlugin from './middleware/salesforce.js';
-import apiRoutes from './routes/api.js';
-import formbody from '@fastify/formbody';
+import { buildApp } from './app.js';
 
-// Basic logging configuration
-const fastify = Fastify({
-  logger: {
-    level: config.logLevel // Use config value
-  }
-});
-
-// Register Swagger for dynamic generation
-fastify.register(swagger, {
-  openapi: {
-    openapi: '3.0.1',
-    info: {
-      title: 'Provisioning API',
-      description: 'API for provisioning external services asynchronously from Salesforce via AppLink.',
-      version: '1.0.0'
-    },
-    servers: [
-      { url: 'http://localhost:5000', description: 'Local development server' }
-    ],
-    tags: [
-      { name: 'Provisioning', description: 'Provisioning endpoints' }
-    ],
-
-  },
-  // Add refResolver to use $id for references
-  refResolver: {
-    buildLocalReference (json, baseUri, fragment, i) {
-      return json.$id || `def-${i}`; // Use $id, fallback to default def-N
-    }
-  }
-});
-
-// Register Swagger UI
-fastify.register(swaggerUi, {
-  routePrefix: '/docs',
-  uiConfig: {
-    docExpansion: 'list',
-    deepLinking: false
-  },
-  staticCSP: true,
-  transformStaticCSP: (header) => header
-});
-
-// Register Salesforce middleware globally
-// This will run the preHandler for every request
-fastify.register(salesforcePlugin);
-
-// Register formbody plugin
-fastify.register(formbody);
-
-// Placeholder for health check
-fastify.get('/health', async (request, reply) => {
-  return { status: 'ok' };
-});
-
-// Register API routes with prefix
-fastify.register(apiRoutes, { prefix: '/api' });
+const fastify = await buildApp();
 
 // Start server
 const start = async () => {
@@ -77,4 +16,11 @@ const start = async () => {
   }
 };
 
+// Let in-flight work finish or be re-queued before the dyno is stopped
+process.once('SIGTERM', async () => {
+  fastify.log.info('SIGTERM received, shutting down...');
+  await fastify.close();
+  process.exit(0);
+});
+
 start();
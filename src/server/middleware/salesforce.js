@@ -1,15 +1,30 @@
 import fp from 'fastify-plugin';
-import AppLinkClient from '@heroku/applink';
+import config from '../config/index.js';
+import { initAppLinkClient } from '../services/appLinkClient.js';
+import { auditSubmission, enqueueJob, jobDeadline, recordJob, rejectSubmission } from '../services/jobSubmission.js';
+import { requiresCallbackUrl } from '../publishers/index.js';
+import { orgRegistry } from '../services/orgRegistry.js';
+import { auditLog } from '../services/auditLog.js';
+import { tracer } from '../services/tracing.js';
+import { jobsSubmitted } from '../services/metrics.js';
 
 /**
  * Fastify plugin to initialize the Salesforce AppLink SDK
  * and parse the client context from incoming requests.
  *
  * Decorates the request object with `request.salesforce` containing
- * the initialized SDK instance and parsed context.
+ * the initialized SDK instance and parsed context. Routes with
+ * `config.salesforce.async` are run as jobs, see `asyncJobHandler`.
+ * Orgs the org registry does not allow are rejected with a 403, and
+ * request log lines are tagged with the org. Routes called by other systems
+ * set `config.salesforce.context` to false and never get a Salesforce context.
+ * Each request runs in a span, `request.span`, continuing the trace of an incoming
+ * `traceparent` header; its IDs and the AppLink `requestId` tag the request log lines.
  *
  * @param {import('fastify').FastifyInstance} fastify
  * @param {object} opts Plugin options
+ * @param {import('../services/orgRegistry.js').OrgRegistry} [opts.orgs] - Org registry, defaults to the configured one.
+ * @param {import('../services/auditLog.js').AuditLog} [opts.audit] - Audit log, defaults to the configured one.
  */
 async function salesforceMiddlewarePlugin (fastify, opts) {
   fastify.log.info('Registering Salesforce middleware plugin...');
@@ -17,8 +32,33 @@ async function salesforceMiddlewarePlugin (fastify, opts) {
   // Decorate request with salesforce object, initially null
   fastify.decorateRequest('salesforce', null);
 
+  // Settings per org, also used by routes to pick the org's providers
+  const orgs = opts.orgs || orgRegistry;
+  fastify.decorate('orgs', orgs);
+
+  // Audit trail of who submitted what, also queried by GET /api/audit
+  fastify.decorate('audit', opts.audit || auditLog);
+
+  // Every request gets a span, so jobs it submits continue its trace
+  fastify.decorateRequest('span', null);
+  fastify.addHook('onRequest', async request => {
+    request.span = tracer.startSpan(`${request.method} ${request.routeOptions.url || request.url}`, {
+      parent: request.headers.traceparent || null,
+      attributes: { 'http.method': request.method, 'http.route': request.routeOptions.url }
+    });
+    request.log = request.log.child(request.span.logBindings());
+  });
+  fastify.addHook('onResponse', async (request, reply) => {
+    request.span?.setAttributes({ 'http.status_code': reply.statusCode }).end();
+  });
+
   // Add preHandler hook to parse Salesforce context for every request
   fastify.addHook('preHandler', async (request, reply) => {
+    // Routes such as provider events authenticate their callers themselves
+    if (request.routeOptions.config?.salesforce?.context === false) {
+      return;
+    }
+
     // Check if the x-client-context header exists before attempting to parse
     if (!request.headers || !request.headers['x-client-context']) {
       // If the header is missing, just proceed without initializing Salesforce context
@@ -28,7 +68,7 @@ async function salesforceMiddlewarePlugin (fastify, opts) {
     }
 
     request.log.info('Salesforce middleware: Initializing SDK and parsing request...');
-    const sdk = AppLinkClient.init();
+    const sdk = initAppLinkClient();
     try {
       const parsedRequest = sdk.salesforce.parseRequest(
         request.headers,
@@ -47,34 +87,135 @@ async function salesforceMiddlewarePlugin (fastify, opts) {
       wrappedError.statusCode = 401; // Unauthorized or Bad Request might be appropriate
       throw wrappedError;
     }
+
+    const orgId = request.salesforce.context?.org?.id;
+    const requestId = request.salesforce.context?.id;
+    request.span.setAttributes({ 'applink.request_id': requestId, 'salesforce.org_id': orgId });
+    request.log = request.log.child({ ...orgs.logBindings(orgId), requestId });
+    if (!orgs.get(orgId).allowed) {
+      request.log.warn(`Rejected request from org ${orgId}, which is not allowed by the org registry`);
+      return reply.code(403).send({ error: `Org ${orgId} is not allowed to use this service` });
+    }
   });
 
   fastify.log.info('Salesforce middleware plugin registration complete.');
 
-  // Add route configuration for async operations
+  // Turn routes declaring `config.salesforce.async` into job submissions
   fastify.addHook('onRoute', routeOptions => {
-    const hasSalesforceConfig = routeOptions.config && routeOptions.config.salesforce;
-    
-    if (hasSalesforceConfig && routeOptions.config.salesforce.async) {
-      // For async operations, respond immediately with 201
-      const originalHandler = routeOptions.handler;
-      routeOptions.handler = async (request, reply) => {
-        // Respond immediately with 201 for async operations
-        reply.code(201).send({ status: 'accepted' });
-        
-        // Then execute the original handler asynchronously
-        setImmediate(async () => {
-          try {
-            await originalHandler(request, reply);
-          } catch (error) {
-            request.log.error({ err: error }, 'Error in async handler');
-          }
-        });
-      };
+    const asyncOptions = routeOptions.config?.salesforce?.async;
+    if (asyncOptions) {
+      routeOptions.handler = asyncJobHandler(routeOptions, asyncOptions);
     }
   });
 }
 
+/**
+ * Wraps the handler of an asynchronous operation. The route's handler validates the request and
+ * returns the fields the worker needs to run the job, or replies itself (e.g. with a 400).
+ * The wrapper requires a Salesforce context and a `callbackUrl`, unless the returned `publishers` (or
+ * `RESULT_PUBLISHERS`) publish the results another way. It records the job (honouring the body's
+ * `idempotencyKey` and `deadline`), queues it for a worker and replies `201` with the `jobId`.
+ * The worker connects to the org through the org's AppLink authorization, so orgs without one get a `503`.
+ * Routes setting `admission` have new jobs checked by admission control, which may reply `429`;
+ * repeated idempotency keys get the original job without being counted.
+ * Results, and failures of the job as a whole, are published as chosen for the job, see `publishers/index.js`.
+ *
+ * ```js
+ * fastify.post('/archiveServices', {
+ *   config: { salesforce: { async: { operation: 'archive', timeoutMs: 60000 } } },
+ *   handler: async request => ({ serviceIds: request.body.serviceIds, callbackUrl: request.body.callbackUrl })
+ * });
+ * ```
+ * The worker runs the job with the function registered for `operation` in `jobWorker.js`.
+ * @param {object} routeOptions - Options of the route being registered.
+ * @param {object} asyncOptions - `config.salesforce.async` of the route.
+ * @param {string} asyncOptions.operation - Job operation the worker runs.
+ * @param {number} [asyncOptions.timeoutMs] - Deadline after submission when the request has none, defaults to `JOB_TIMEOUT_MS`.
+ * @param {object} [asyncOptions.admission] - Apply the admission limits of `app.admission` to the route.
+ * @param {(request: object, jobRequest: object) => Promise<number>} [asyncOptions.admission.countLineItems] - Counts the
+ *   line items of a job request, for the line item limit.
+ * @returns {Function} - The route handler.
+ */
+function asyncJobHandler (routeOptions, { operation, timeoutMs = config.worker.jobTimeoutMs, admission: admissionOptions }) {
+  if (!operation) {
+    throw new Error(`Async route ${routeOptions.method} ${routeOptions.url} must set config.salesforce.async.operation`);
+  }
+  const handler = routeOptions.handler;
+  return async function (request, reply) {
+    const client = request.salesforce;
+    if (!client?.context?.org?.dataApi) {
+      request.log.error('Salesforce context not available in request');
+      return reply.code(401).send({ error: 'Salesforce context required. Ensure x-client-context header is present.' });
+    }
+
+    const jobRequest = await handler.call(this, request, reply);
+    if (reply.sent) {
+      return reply;
+    }
+    if (!jobRequest?.callbackUrl && requiresCallbackUrl(jobRequest?.publishers)) {
+      return reply.code(400).send({ error: 'callbackUrl is required for asynchronous operations unless publishers include platformEvent' });
+    }
+
+    const deadline = jobDeadline(request.body?.deadline, timeoutMs);
+    if (deadline && Date.parse(deadline) <= Date.now()) {
+      return reply.code(400).send({ error: `deadline ${deadline} has already passed` });
+    }
+
+    const { jobStore } = request.server;
+    const orgId = client.context.org.id;
+    // Queued jobs carry no access token, so the worker needs the org's authorization to run them
+    if (!request.server.orgs.authorizationFor(orgId)) {
+      request.log.error(`No AppLink authorization configured for org ${orgId}`);
+      return reply.code(503).send({ error: 'No AppLink authorization is configured for this org, so jobs cannot be run in the background' });
+    }
+    const userId = client.context.org.user?.id;
+    const idempotencyKey = request.body?.idempotencyKey;
+    const record = () => recordJob(jobStore, {
+      orgId,
+      userId,
+      username: client.context.org.user?.username,
+      type: operation,
+      jobRequest,
+      idempotencyKey,
+      deadline,
+      traceparent: request.span.traceparent
+    });
+    let admission;
+    let recorded;
+    // A retry after a lost response gets its job back even when the user is at a limit
+    if (admissionOptions && !(idempotencyKey && await jobStore.findIdempotent(orgId, idempotencyKey))) {
+      const { countLineItems } = admissionOptions;
+      admission = await request.server.admission.admit({
+        orgId,
+        userId,
+        jobStore,
+        countLineItems: countLineItems && (() => countLineItems(request, jobRequest)),
+        submit: record
+      });
+      if (!admission.admitted) {
+        return rejectSubmission(request, reply, operation, admission);
+      }
+      recorded = admission.submission;
+    } else {
+      recorded = await record();
+    }
+    const { job, created } = recorded;
+    if (!created) {
+      admission?.release();
+    }
+    await auditSubmission(request.server.audit, request, { job, created, jobRequest });
+    if (created) {
+      jobsSubmitted.inc({ operation });
+      await enqueueJob(request.server.jobQueue, jobStore, job, client.context.id);
+    } else {
+      request.log.info(`Returning job ${job.jobId} for repeated idempotency key`);
+    }
+
+    // Respond immediately with 201, the worker publishes the results
+    return reply.code(201).send({ jobId: job.jobId });
+  };
+}
+
 // Export the plugin using fastify-plugin
 // The name metadata helps prevent double registration
 // The fastify dependency version constraint ensures compatibility
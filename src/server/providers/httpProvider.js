@@ -0,0 +1,116 @@
+import { ProvisioningError } from '../utils/errors.js';
+import { tracer } from '../services/tracing.js';
+
+/**
+ * Provider calling an external provisioning system over REST:
+ *
+ * - `POST   {baseUrl}/services`              provisions a service, responds with `{ serviceId, status, message }`,
+ *                                            where `status` is `Provisioned` (the default), `Pending` or `Failed` with a `code`
+ * - `PATCH  {baseUrl}/services/{serviceId}`  modifies a service after its line item changed
+ * - `DELETE {baseUrl}/services/{serviceId}`  deprovisions a service
+ *
+ * Error responses may carry `{ code, message }`, which are reported to Salesforce.
+ * Requests carry the `traceparent` of the job's trace.
+ *
+ * @param {object} options
+ * @param {string} [options.name='http'] - Name used to map products to this provider.
+ * @param {string} options.baseUrl - Base URL of the provisioning API.
+ * @param {string} [options.apiKey] - Sent as a bearer token when set.
+ * @param {number} [options.timeoutMs=30000] - Timeout per request.
+ * @returns {import('./index.js').Provider}
+ */
+function createHttpProvider ({ name = 'http', baseUrl, apiKey, timeoutMs = 30_000 }) {
+  if (!baseUrl) {
+    throw new Error(`Provider ${name} requires a base URL`);
+  }
+  const servicesUrl = new URL('services', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+
+  async function call (method, url, body) {
+    const headers = { Accept: 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    // Lets the backend join the trace of the job
+    const span = tracer.activeSpan();
+    if (span) headers.traceparent = span.traceparent;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const code = error.name === 'TimeoutError' ? 'PROVIDER_TIMEOUT' : 'PROVIDER_UNAVAILABLE';
+      throw new ProvisioningError(`Provider ${name} request failed: ${error.message}`, code, { cause: error });
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ProvisioningError(
+        data.message || `Provider ${name} responded with HTTP ${response.status}`,
+        data.code || `PROVIDER_HTTP_${response.status}`
+      );
+    }
+    return data;
+  }
+
+  const serviceUrl = serviceId => new URL(`${servicesUrl.pathname}/${encodeURIComponent(serviceId)}`, servicesUrl);
+
+  return {
+    name,
+
+    async provision ({ jobId, opportunityId, lineItemId, product, counter, parameters }) {
+      const data = await call('POST', servicesUrl, {
+        jobId,
+        opportunityId,
+        lineItemId,
+        product,
+        sequence: counter,
+        parameters
+      });
+      if (!data.serviceId) {
+        throw new ProvisioningError(`Provider ${name} did not return a serviceId`, 'PROVIDER_INVALID_RESPONSE');
+      }
+      const result = {
+        serviceId: data.serviceId,
+        status: data.status || 'Provisioned',
+        message: data.message || `Provisioned service ${data.serviceId} for product ${product.name}`
+      };
+      if (data.code) {
+        result.errorCode = data.code;
+      }
+      return result;
+    },
+
+    async deprovision ({ serviceId, product }) {
+      const data = await call('DELETE', serviceUrl(serviceId));
+      return {
+        serviceId,
+        status: data.status || 'Deprovisioned',
+        message: data.message || `Deprovisioned service ${serviceId} for product ${product.name}`
+      };
+    },
+
+    async modify ({ jobId, serviceId, opportunityId, lineItemId, product, quantity, parameters }) {
+      const data = await call('PATCH', serviceUrl(serviceId), {
+        jobId,
+        opportunityId,
+        lineItemId,
+        product,
+        quantity,
+        parameters
+      });
+      return {
+        serviceId,
+        status: data.status || 'Modified',
+        message: data.message || `Modified service ${serviceId} for product ${product.name}`
+      };
+    }
+  };
+}
+
+export {
+  createHttpProvider
+};
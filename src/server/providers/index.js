@@ -0,0 +1,154 @@
+import config from '../config/index.js';
+import { createMockProvider } from './mockProvider.js';
+import { createHttpProvider } from './httpProvider.js';
+
+/**
+ * @typedef {object} ProvisioningRequest
+ * @property {string} jobId - The provisioning job ID.
+ * @property {string} opportunityId - The Opportunity ID.
+ * @property {string} lineItemId - The OpportunityLineItem ID.
+ * @property {{ id: string, name: string, code: string }} product - The Product2 sold on the line item.
+ * @property {number} counter - Position of the line item within the job, starting at 1.
+ * @property {object} parameters - Provisioning parameters for the service.
+ */
+
+/**
+ * @typedef {object} ModificationRequest
+ * @property {string} jobId - The modification job ID.
+ * @property {string} serviceId - Identifier of the service in the provider.
+ * @property {string} opportunityId - The Opportunity ID.
+ * @property {string} lineItemId - The OpportunityLineItem ID.
+ * @property {{ id: string, name: string, code: string }} product - The Product2 sold on the line item.
+ * @property {number} quantity - Current quantity of the line item.
+ * @property {object} parameters - Provisioning parameters for the service.
+ */
+
+/**
+ * @typedef {object} ProviderResult
+ * @property {string} serviceId - Identifier of the service in the provider.
+ * @property {string} status - Service status: `Provisioned`, `Pending` or `Failed` when provisioning, `Modified` or
+ *   `Deprovisioned` otherwise. Any other provisioning status fails the line item.
+ * @property {string} message - Human readable outcome.
+ * @property {string} [errorCode] - Machine readable reason of a `Failed` status.
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name - Name used to map products to the provider.
+ * @property {(request: ProvisioningRequest) => Promise<ProviderResult>} provision - Creates a service.
+ * @property {(request: { serviceId: string, product: object }) => Promise<ProviderResult>} deprovision - Tears a service down.
+ * @property {(request: ModificationRequest) => Promise<ProviderResult>} modify - Changes a service after its line item changed.
+ */
+
+// ProvisioningParameter__mdt entries named `Provider:<Product2.Name or ProductCode>` map products to providers
+const PROVIDER_PARAMETER_PREFIX = 'Provider:';
+
+/**
+ * Holds the available providers and decides which one handles each product.
+ */
+class ProviderRegistry {
+  /**
+   * @param {object} options
+   * @param {string} options.defaultProvider - Provider used for unmapped products.
+   * @param {object} [options.mappings] - Product name or code to provider name.
+   */
+  constructor ({ defaultProvider, mappings = {} }) {
+    this.providers = new Map();
+    this.defaultProvider = defaultProvider;
+    this.mappings = mappings;
+  }
+
+  /**
+   * Adds a provider, replacing any provider with the same name.
+   * @param {Provider} provider
+   * @returns {ProviderRegistry}
+   */
+  register (provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Looks up a provider by name.
+   * @param {string} name - Provider name.
+   * @returns {Provider}
+   */
+  get (name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown provisioning provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Picks the provider for a product. Org mappings from ProvisioningParameter__mdt
+   * win over configured mappings; product names win over product codes.
+   * @param {{ name: string, code: string }} product - The Product2 to provision.
+   * @param {object} [orgMappings] - Mappings read from ProvisioningParameter__mdt.
+   * @returns {Provider}
+   */
+  resolve (product, orgMappings = {}) {
+    for (const mappings of [orgMappings, this.mappings]) {
+      const name = mappings[product.name] || mappings[product.code];
+      if (name) return this.get(name);
+    }
+    return this.get(this.defaultProvider);
+  }
+}
+
+/**
+ * Splits the org-wide provisioning parameters into product to provider mappings
+ * and the parameters passed on to providers.
+ * @param {object} provisioningParameters - Name to value map from ProvisioningParameter__mdt.
+ * @returns {{ mappings: object, parameters: object }}
+ */
+function splitProviderMappings (provisioningParameters) {
+  const mappings = {};
+  const parameters = {};
+  for (const [name, value] of Object.entries(provisioningParameters)) {
+    if (name.startsWith(PROVIDER_PARAMETER_PREFIX)) {
+      mappings[name.slice(PROVIDER_PARAMETER_PREFIX.length).trim()] = value;
+    } else {
+      parameters[name] = value;
+    }
+  }
+  return { mappings, parameters };
+}
+
+/**
+ * Parses `Product=provider` pairs separated by commas, e.g. `CMP-STD=http,Managed Database - Postgres=mock`.
+ * @param {string} value - Raw mapping string.
+ * @returns {object} - Product name or code to provider name.
+ */
+function parseMappings (value) {
+  return Object.fromEntries((value || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([product, provider]) => product && provider));
+}
+
+/**
+ * Creates the provider registry for this process from configuration.
+ * The mock provider is always available; the HTTP provider when a base URL is configured.
+ * @param {object} options - Provider configuration (see `config.providers`).
+ * @returns {ProviderRegistry}
+ */
+function createProviderRegistry ({ defaultProvider, mappings, mock, http }) {
+  const registry = new ProviderRegistry({ defaultProvider, mappings: parseMappings(mappings) });
+  registry.register(createMockProvider(mock));
+  if (http.baseUrl) {
+    registry.register(createHttpProvider(http));
+  }
+  return registry;
+}
+
+// Registry used by the provisioning service unless one is passed in
+const providerRegistry = createProviderRegistry(config.providers);
+
+export {
+  ProviderRegistry,
+  createProviderRegistry,
+  providerRegistry,
+  splitProviderMappings
+};
@@ -0,0 +1,62 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+
+/**
+ * Mock provider simulating a provisioning backend. Each call takes `delayMs`
+ * and always succeeds. Used for any product not mapped to another provider.
+ * @param {object} [options]
+ * @param {number} [options.delayMs=10000] - Simulated provisioning time per call.
+ * @returns {import('./index.js').Provider}
+ */
+function createMockProvider ({ delayMs = 10_000 } = {}) {
+  return {
+    name: 'mock',
+
+    async provision ({ jobId, product, counter, parameters }) {
+      await sleep(delayMs);
+      const tier = parameters?.DefaultTier || 'Standard';
+      const region = parameters?.Region || 'US';
+      const compliance = parameters?.Compliance || 'General';
+      return {
+        serviceId: `svc-${jobId}-${counter}`,
+        status: 'Provisioned',
+        message: `Provisioned service for product ${product.name} at ${formatTimestamp()} UTC (${tier}, ${region}, Compliance: ${compliance})`
+      };
+    },
+
+    async deprovision ({ serviceId, product }) {
+      await sleep(delayMs);
+      return {
+        serviceId,
+        status: 'Deprovisioned',
+        message: `Deprovisioned service ${serviceId} for product ${product.name} at ${formatTimestamp()} UTC`
+      };
+    },
+
+    async modify ({ serviceId, product, quantity, parameters }) {
+      await sleep(delayMs);
+      const tier = parameters?.DefaultTier || 'Standard';
+      return {
+        serviceId,
+        status: 'Modified',
+        message: `Modified service ${serviceId} for product ${product.name} at ${formatTimestamp()} UTC (${tier}, Quantity: ${quantity})`
+      };
+    }
+  };
+}
+
+function formatTimestamp () {
+  return new Intl.DateTimeFormat(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZone: 'UTC',
+    hour12: true
+  }).format(new Date());
+}
+
+export {
+  createMockProvider
+};
@@ -0,0 +1,31 @@
+import { deliverCallback, postCallback } from '../services/callbackDelivery.js';
+
+/**
+ * Publishes results to the AppLink callback URL the request was submitted with.
+ * Final results go through `deliverCallback`, so the callback outcome is recorded on the job and
+ * undeliverable callbacks are dead-lettered; progress results are posted without being recorded.
+ * @returns {import('./index.js').ResultPublisher}
+ */
+function createCallbackPublisher () {
+  return {
+    name: 'callback',
+
+    available: ({ callbackUrl }) => Boolean(callbackUrl),
+
+    async publish ({ jobId, payload, callbackUrl, org, jobStore, logger }) {
+      if (payload.final) {
+        const outcome = await deliverCallback({ jobId, callbackUrl, org, payload, jobStore, logger });
+        return outcome.status === 'delivered';
+      }
+      const outcome = await postCallback({ jobId, callbackUrl, org, payload, logger });
+      if (!outcome.delivered) {
+        logger.warn({ err: outcome.error, jobId }, `Progress callback ${payload.sequence} failed for Job ID: ${jobId}`);
+      }
+      return outcome.delivered;
+    }
+  };
+}
+
+export {
+  createCallbackPublisher
+};
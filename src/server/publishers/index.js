@@ -0,0 +1,212 @@
+import config from '../config/index.js';
+import { createCallbackPublisher } from './callbackPublisher.js';
+import { createPlatformEventPublisher } from './platformEventPublisher.js';
+import { tracer } from '../services/tracing.js';
+
+/**
+ * @typedef {object} PublishRequest
+ * @property {string} jobId - The job ID.
+ * @property {object} payload - Results in the `provisioningStatus` callback format; `final` is false for progress.
+ * @property {string} [callbackUrl] - Callback URL of the request.
+ * @property {object} org - The AppLink org.
+ * @property {PublishingSettings} [settings] - Publishing settings from ProvisioningParameter__mdt.
+ * @property {import('../services/jobStore.js').JobStore} jobStore - Job repository.
+ * @property {object} logger - A logger instance.
+ */
+
+/**
+ * @typedef {object} ResultPublisher
+ * @property {string} name - Name used to select the publisher.
+ * @property {(request: PublishRequest) => boolean} available - Whether the publisher can publish for a job at all.
+ * @property {(request: PublishRequest) => Promise<boolean>} publish - Publishes results, resolving to whether they
+ *   were delivered. Failures are recorded or logged, not thrown.
+ */
+
+/**
+ * @typedef {object} PublishingSettings
+ * @property {Array<string>} [publishers] - Publishers used when the request does not choose.
+ * @property {string} [eventObject] - Platform Event published by the `platformEvent` publisher.
+ */
+
+// ProvisioningParameter__mdt entries named `Publisher:<setting>` choose how results are published
+const PUBLISHER_PARAMETER_PREFIX = 'Publisher:';
+
+/**
+ * Holds the ways results can be published.
+ */
+class PublisherRegistry {
+  constructor () {
+    this.publishers = new Map();
+  }
+
+  /**
+   * @param {ResultPublisher} publisher
+   * @returns {PublisherRegistry}
+   */
+  register (publisher) {
+    this.publishers.set(publisher.name, publisher);
+    return this;
+  }
+
+  /**
+   * @param {string} name - Publisher name.
+   * @returns {boolean}
+   */
+  has (name) {
+    return this.publishers.has(name);
+  }
+
+  /**
+   * @param {string} name - Publisher name.
+   * @returns {ResultPublisher}
+   */
+  get (name) {
+    const publisher = this.publishers.get(name);
+    if (!publisher) {
+      throw new Error(`Unknown result publisher: ${name}`);
+    }
+    return publisher;
+  }
+}
+
+/**
+ * Splits `Publisher:` entries from the org-wide provisioning parameters.
+ *
+ * - `Publisher:Default` lists the publishers used when a request does not set `publishers`,
+ *   separated by commas, e.g. `callback,platformEvent`.
+ * - `Publisher:EventObject` names the Platform Event to publish instead of `Provisioning_Status__e`.
+ * @param {object} provisioningParameters - Name to value map from ProvisioningParameter__mdt.
+ * @returns {{ publishing: PublishingSettings|null, parameters: object }} - Settings, or null when none
+ *   are configured, and the remaining parameters.
+ */
+function splitPublishingSettings (provisioningParameters) {
+  const settings = {};
+  const parameters = {};
+  for (const [name, value] of Object.entries(provisioningParameters)) {
+    if (!name.startsWith(PUBLISHER_PARAMETER_PREFIX)) {
+      parameters[name] = value;
+      continue;
+    }
+    const setting = name.slice(PUBLISHER_PARAMETER_PREFIX.length).trim();
+    if (setting === 'Default') {
+      settings.publishers = parseNames(value);
+    } else if (setting === 'EventObject') {
+      const eventObject = value?.trim();
+      if (!/^\w+__e$/.test(eventObject || '')) {
+        throw new Error(`Invalid ProvisioningParameter__mdt ${name}: ${value} is not a Platform Event API name`);
+      }
+      settings.eventObject = eventObject;
+    } else {
+      throw new Error(`Unknown ProvisioningParameter__mdt ${name}`);
+    }
+  }
+  return { publishing: Object.keys(settings).length > 0 ? settings : null, parameters };
+}
+
+/**
+ * Chooses the publishers for a job: those requested, else `Publisher:Default`, else `RESULT_PUBLISHERS`.
+ * @param {object} options
+ * @param {Array<string>} [options.requested] - `publishers` from the request.
+ * @param {PublishingSettings} [options.settings] - Settings from ProvisioningParameter__mdt.
+ * @returns {Array<string>} - Publisher names.
+ */
+function resolvePublishers ({ requested, settings }) {
+  if (requested?.length > 0) return requested;
+  if (settings?.publishers?.length > 0) return settings.publishers;
+  return config.publishers.defaults;
+}
+
+/**
+ * Whether the results of a request can only reach Salesforce through the callback URL,
+ * judged without the ProvisioningParameter__mdt settings of the org.
+ * @param {Array<string>} [requested] - `publishers` from the request.
+ * @returns {boolean}
+ */
+function requiresCallbackUrl (requested) {
+  return resolvePublishers({ requested }).every(name => name === 'callback');
+}
+
+/**
+ * Publishes the results of one job with the publishers chosen for it. Unknown publisher names are logged and ignored.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID.
+ * @param {string} [options.callbackUrl] - Callback URL of the request.
+ * @param {object} options.org - The AppLink org.
+ * @param {Array<string>} [options.publishers] - `publishers` from the request.
+ * @param {PublishingSettings} [options.settings] - Settings from ProvisioningParameter__mdt.
+ * @param {import('../services/jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @param {PublisherRegistry} [options.registry] - Available publishers.
+ * @returns {{ available: boolean, publish: (payload: object) => Promise<boolean> }} - `available` tells whether progress
+ *   can be published at all. `publish` sends progress to the available publishers and final results to all of them,
+ *   and resolves to whether every publisher delivered.
+ */
+function createResultPublisher ({ jobId, callbackUrl, org, publishers: requested, settings, jobStore, logger, registry = publisherRegistry }) {
+  const request = { jobId, callbackUrl, org, settings, jobStore, logger };
+  const publishers = resolvePublishers({ requested, settings })
+    .filter(name => {
+      if (registry.has(name)) return true;
+      logger.warn(`Ignoring unknown result publisher ${name} for Job ID: ${jobId}`);
+      return false;
+    })
+    .map(name => registry.get(name));
+
+  return {
+    available: publishers.some(publisher => publisher.available(request)),
+
+    async publish (jobResults) {
+      // Salesforce can look the job's trace up by the ID in its results
+      const traceId = tracer.activeSpan()?.traceId;
+      const payload = traceId ? { ...jobResults, traceId } : jobResults;
+      if (payload.final && !publishers.some(publisher => publisher.name === 'callback')) {
+        // Recorded as for a callback without URL; the synchronous API and replays read the final results from the job
+        const callback = { status: 'skipped', attempts: 0, updatedAt: new Date().toISOString() };
+        await jobStore.update(jobId, { callbackPayload: payload, callback }).catch(error => {
+          logger.error({ err: error, jobId }, `Failed to record results for Job ID: ${jobId}`);
+        });
+      }
+      const targets = payload.final ? publishers : publishers.filter(publisher => publisher.available(request));
+      const results = await Promise.all(targets.map(async publisher => {
+        try {
+          return await publisher.publish({ ...request, payload });
+        } catch (error) {
+          logger.error({ err: error, jobId }, `Result publisher ${publisher.name} failed for Job ID: ${jobId}`);
+          return false;
+        }
+      }));
+      return results.every(Boolean);
+    }
+  };
+}
+
+/**
+ * Parses publisher names separated by commas.
+ * @param {string} value - Raw list.
+ * @returns {Array<string>}
+ */
+function parseNames (value) {
+  return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Creates the publisher registry for this process from configuration.
+ * @param {object} options - Publisher configuration (see `config.publishers`).
+ * @returns {PublisherRegistry}
+ */
+function createPublisherRegistry ({ platformEvent }) {
+  return new PublisherRegistry()
+    .register(createCallbackPublisher())
+    .register(createPlatformEventPublisher(platformEvent));
+}
+
+// Registry used for job results unless one is passed in
+const publisherRegistry = createPublisherRegistry(config.publishers);
+
+export {
+  PublisherRegistry,
+  createPublisherRegistry,
+  createResultPublisher,
+  publisherRegistry,
+  requiresCallbackUrl,
+  splitPublishingSettings
+};
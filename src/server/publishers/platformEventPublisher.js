@@ -0,0 +1,65 @@
+// Size of the Payload__c Long Text Area field
+const MAX_PAYLOAD_LENGTH = 131_072;
+
+/**
+ * Publishes results as a Platform Event through the Data API, for Flows, LWC and other subscribers.
+ * Events carry the job status and summary in fields and the whole payload as JSON in `Payload__c`;
+ * when the services do not fit they are left out, and `servicesOmitted` is set in the JSON.
+ *
+ * Publishing is not retried. The outcome of the latest event is recorded on the job as `platformEvent`.
+ * @param {object} options
+ * @param {string} options.eventObject - Platform Event to publish, unless `Publisher:EventObject` names another
+ *   with the same fields.
+ * @returns {import('./index.js').ResultPublisher}
+ */
+function createPlatformEventPublisher ({ eventObject }) {
+  return {
+    name: 'platformEvent',
+
+    available: ({ org }) => Boolean(org?.dataApi),
+
+    async publish ({ jobId, payload, org, settings, jobStore, logger }) {
+      const type = settings?.eventObject || eventObject;
+      let outcome;
+      try {
+        await org.dataApi.create({ type, fields: eventFields(payload) });
+        logger.info(`Published ${type} ${payload.sequence} for Job ID: ${jobId}`);
+        outcome = { status: 'published', eventObject: type, sequence: payload.sequence };
+      } catch (error) {
+        logger.error({ err: error, jobId }, `Failed to publish ${type} for Job ID: ${jobId}`);
+        outcome = { status: 'failed', eventObject: type, sequence: payload.sequence, error: error.message };
+      }
+      await jobStore.update(jobId, { platformEvent: { ...outcome, updatedAt: new Date().toISOString() } }).catch(error => {
+        logger.error({ err: error, jobId }, `Failed to record Platform Event outcome for Job ID: ${jobId}`);
+      });
+      return outcome.status === 'published';
+    }
+  };
+}
+
+/**
+ * Maps a result payload to the fields of `Provisioning_Status__e`.
+ * @param {object} payload - Results in the `provisioningStatus` callback format.
+ * @returns {object}
+ */
+function eventFields (payload) {
+  let json = JSON.stringify(payload);
+  if (json.length > MAX_PAYLOAD_LENGTH) {
+    json = JSON.stringify({ ...payload, services: [], servicesOmitted: true });
+  }
+  return {
+    JobId__c: payload.jobId,
+    Status__c: payload.status,
+    Sequence__c: payload.sequence,
+    Final__c: payload.final,
+    Total__c: payload.summary.total,
+    Succeeded__c: payload.summary.succeeded,
+    Failed__c: payload.summary.failed,
+    Pending__c: payload.summary.pending,
+    Payload__c: json
+  };
+}
+
+export {
+  createPlatformEventPublisher
+};
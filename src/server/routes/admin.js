@@ -0,0 +1,156 @@
+import config from '../config/index.js';
+import { replayCallback } from '../services/callbackDelivery.js';
+import { sanitizeSalesforceId } from '../utils/salesforceIds.js';
+
+const replayCallbackSchema = {
+  tags: ['Admin'],
+  summary: 'Replay Provisioning Callback',
+  description: 'Re-sends the stored provisioning callback for a job, for example after it was moved to the dead letter list. Delivery is retried with the configured backoff and the outcome returned.',
+  operationId: 'replayProvisioningCallback',
+  params: {
+    type: 'object',
+    required: ['jobId'],
+    properties: {
+      jobId: {
+        type: 'string',
+        description: 'Job ID whose callback should be replayed'
+      }
+    }
+  },
+  response: {
+    200: {
+      description: 'Callback replayed, see the outcome for whether it was delivered',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ReplayCallbackResponse#'
+          }
+        }
+      }
+    },
+    403: {
+      description: 'Calling user is not assigned the admin permission set',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ErrorResponse#'
+          }
+        }
+      }
+    },
+    404: {
+      description: 'Provisioning job not found',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ErrorResponse#'
+          }
+        }
+      }
+    },
+    409: {
+      description: 'Job was submitted without a callbackUrl or has no callback to replay yet',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ErrorResponse#'
+          }
+        }
+      }
+    }
+  }
+};
+
+const ReplayCallbackResponseSchema = {
+  $id: 'ReplayCallbackResponse',
+  type: 'object',
+  required: ['jobId', 'callback'],
+  description: 'Outcome of a replayed callback',
+  properties: {
+    jobId: {
+      type: 'string',
+      description: 'Job ID whose callback was replayed'
+    },
+    callback: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          description: 'delivered, dead_letter or skipped'
+        },
+        attempts: { type: 'integer' },
+        statusCode: { type: 'integer' },
+        error: { type: 'string' },
+        deliveredAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+/**
+ * Checks that the calling user is assigned the admin permission set, querying as that user.
+ * Users who may not read permission set assignments are treated as not assigned.
+ * @param {object} org - Org of the request's Salesforce context.
+ * @param {object} logger - Request logger.
+ * @returns {Promise<boolean>}
+ */
+async function isAdmin (org, logger) {
+  const userId = sanitizeSalesforceId(org.user?.id);
+  if (!userId) return false;
+  const permissionSet = config.admin.permissionSet.replace(/'/g, "\\'");
+  const soql = `SELECT COUNT() FROM PermissionSetAssignment WHERE AssigneeId = '${userId}' AND PermissionSet.Name = '${permissionSet}'`;
+  try {
+    const result = await org.dataApi.query(soql);
+    return result.totalSize > 0;
+  } catch (error) {
+    logger.warn({ err: error, soql }, 'Failed to read the permission set assignments of the calling user');
+    return false;
+  }
+}
+
+/**
+ * API Routes plugin for operational tasks on provisioning jobs.
+ * Requires the x-client-context of the org that submitted the job, from a user assigned the
+ * `ADMIN_PERMISSION_SET` permission set; the fresh credentials from that context are used to
+ * authenticate the replayed callback.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} opts Plugin options
+ */
+export default async function adminRoutes (fastify, opts) {
+
+  // Register schema components
+  fastify.addSchema(ReplayCallbackResponseSchema);
+
+  fastify.post('/jobs/:jobId/callback/replay', {
+    schema: replayCallbackSchema,
+    handler: async (request, reply) => {
+      const org = request.salesforce?.context?.org;
+      if (!org) {
+        request.log.error('Salesforce context not available in request');
+        return reply.code(401).send({ error: 'Salesforce context required. Ensure x-client-context header is present.' });
+      }
+
+      if (!await isAdmin(org, request.log)) {
+        return reply.code(403).send({ error: `User is not assigned the ${config.admin.permissionSet} permission set` });
+      }
+
+      const { jobId } = request.params;
+      const job = await fastify.jobStore.get(jobId);
+      if (!job || job.orgId !== org.id) {
+        return reply.code(404).send({ error: `Job ${jobId} not found` });
+      }
+      if (!job.request?.callbackUrl) {
+        return reply.code(409).send({ error: `Job ${jobId} was submitted without a callbackUrl, so there is no callback to replay` });
+      }
+      if (!job.callbackPayload) {
+        return reply.code(409).send({ error: `Job ${jobId} has not produced a callback yet` });
+      }
+
+      const callback = await replayCallback({ job, org, jobStore: fastify.jobStore, logger: request.log });
+      return { jobId, callback };
+    }
+  });
+
+  fastify.log.info('API routes registered for provisioning administration.');
+}
@@ -1,26 +1,186 @@
-import crypto from 'node:crypto';
-import { provisionServices } from '../services/provisionServices.js';
+import config from '../config/index.js';
+import { countLineItems, planProvisioning, previewProvisioning, provisionServices } from '../services/provisionServices.js';
+import { sanitizeSalesforceId } from '../utils/salesforceIds.js';
+import { auditSubmission, enqueueJob, jobDeadline, recordJob, rejectSubmission } from '../services/jobSubmission.js';
+import { tracer } from '../services/tracing.js';
+import { jobsInFlight, jobsSubmitted } from '../services/metrics.js';
 
 // Define schemas for request validation and Swagger generation
+const sfdcAuthorization = {
+  heroku: {
+    authorization: {
+      connectedApp: 'ProvisioningServiceConnectedApp',
+      permissionSet: 'ProvisioningServicePermissions'
+    }
+  }
+};
+
+// Opportunities and line items rejected by the pre-flight validation of provisioning requests
+const rejectionSchema = {
+  type: 'object',
+  properties: {
+    opportunityId: { type: 'string' },
+    lineItemId: {
+      type: 'string',
+      description: 'Set when a single line item was rejected'
+    },
+    reason: {
+      type: 'string',
+      description: 'INVALID_ID, NOT_FOUND, INVALID_STAGE, NO_LINE_ITEMS or MISSING_PRODUCT'
+    },
+    message: { type: 'string' }
+  }
+};
+
+// Provisioning results are the same whether sent in the callback or returned synchronously
+const provisioningResultDescriptions = {
+  serviceStatus: 'Provisioned, AlreadyProvisioned (by another job) or Failed',
+  jobStatus: 'running (progress callbacks only), completed (all services provisioned), partial, failed, timed_out (deadline reached) or cancelled',
+  errorCode: 'Error code when the service failed to provision'
+};
+
+/**
+ * Response to job submissions over the admission limits, see `services/admissionControl.js`.
+ * @returns {object}
+ */
+function admissionRejectedResponse () {
+  return {
+    description: 'Rejected by admission control: the user or org submitted too many jobs recently or has too many running, or the job has too many line items. Retry-After gives the seconds to wait, except for TOO_MANY_LINE_ITEMS',
+    // Swagger moves a header's description out of its schema when rendering, so it lives in the response description
+    headers: {
+      'Retry-After': {
+        type: 'integer'
+      }
+    },
+    content: {
+      'application/json': {
+        schema: {
+          $ref: 'AdmissionRejection#'
+        }
+      }
+    }
+  };
+}
+
 const provisionServicesSchema = {
   tags: ['Provisioning'],
   summary: 'Submit Provisioning Job',
-  description: 'Provision services for a list of Opportunity IDs based on their line items.',
+  description: 'Provision services for a list of Opportunity IDs based on their line items. With dryRun, returns the provisioning plan instead of submitting a job.',
   operationId: 'provisionServices',
-  'x-sfdc': {
-    heroku: {
-      authorization: {
-        connectedApp: 'ProvisioningServiceConnectedApp',
-        permissionSet: 'ProvisioningServicePermissions'
+  'x-sfdc': sfdcAuthorization,
+  body: {
+    $ref: 'ProvisionServicesRequest#'
+  },
+  response: {
+    200: {
+      description: 'Provisioning plan for a dry run',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisioningPlan#'
+          }
+        }
+      }
+    },
+    201: {
+      description: 'Provisioning request accepted',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisionServicesResponse#'
+          }
+        }
+      }
+    },
+    429: admissionRejectedResponse()
+  },
+  'x-callbacks': statusCallback({
+    name: 'provisioningStatus',
+    operationId: 'provisioningStatusCallback',
+    action: 'provisioning',
+    ...provisioningResultDescriptions,
+    received: 'Provisioning callback received successfully'
+  })
+};
+
+const provisionServicesSyncSchema = {
+  tags: ['Provisioning'],
+  summary: 'Provision Services Synchronously',
+  description: 'Provision services for a small number of line items and return the results in the response. Requests over the line item limit are rejected; when provisioning overruns the time budget the job continues in the background and its results are sent to callbackUrl.',
+  operationId: 'provisionServicesSync',
+  'x-sfdc': sfdcAuthorization,
+  body: {
+    $ref: 'ProvisionServicesSyncRequest#'
+  },
+  response: {
+    200: {
+      description: 'Provisioning results',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisioningResult#'
+          }
+        }
+      }
+    },
+    202: {
+      description: 'Provisioning overran the time budget or waits for a provider to finish, and continues as a job',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisionServicesResponse#'
+          }
+        }
+      }
+    },
+    429: admissionRejectedResponse()
+  }
+};
+
+const deprovisionServicesSchema = {
+  tags: ['Provisioning'],
+  summary: 'Submit Deprovisioning Job',
+  description: 'Deprovision services created by earlier provisioning jobs, selected by Opportunity, line item or service ID. Use when line items are removed or the Opportunity is lost.',
+  operationId: 'deprovisionServices',
+  'x-sfdc': sfdcAuthorization,
+  body: {
+    $ref: 'DeprovisionServicesRequest#'
+  },
+  response: {
+    201: {
+      description: 'Deprovisioning request accepted',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisionServicesResponse#'
+          }
+        }
       }
     }
   },
+  'x-callbacks': statusCallback({
+    name: 'deprovisioningStatus',
+    operationId: 'deprovisioningStatusCallback',
+    action: 'deprovisioning',
+    serviceStatus: 'Deprovisioned or Failed',
+    jobStatus: 'completed (all services deprovisioned), partial, failed, timed_out (deadline reached) or cancelled',
+    errorCode: 'Error code when the service failed to deprovision',
+    received: 'Deprovisioning callback received successfully'
+  })
+};
+
+const modifyServicesSchema = {
+  tags: ['Provisioning'],
+  summary: 'Submit Modification Job',
+  description: 'Update services created by earlier provisioning jobs to match their line items, e.g. after a downgrade or quantity change.',
+  operationId: 'modifyServices',
+  'x-sfdc': sfdcAuthorization,
   body: {
-    $ref: 'ProvisionServicesRequest#'
+    $ref: 'ModifyServicesRequest#'
   },
   response: {
     201: {
-      description: 'Provisioning request accepted',
+      description: 'Modification request accepted',
       content: {
         'application/json': {
           schema: {
@@ -30,65 +190,125 @@ const provisionServicesSchema = {
       }
     }
   },
-  'x-callbacks': {
-    provisioningStatus: {
+  'x-callbacks': statusCallback({
+    name: 'modificationStatus',
+    operationId: 'modificationStatusCallback',
+    action: 'modification',
+    serviceStatus: 'Modified or Failed',
+    jobStatus: 'completed (all services modified), partial, failed, timed_out (deadline reached) or cancelled',
+    errorCode: 'Error code when the service failed to be modified',
+    received: 'Modification callback received successfully'
+  })
+};
+
+/**
+ * Properties of job results, sent in callbacks and returned by synchronous operations.
+ * @param {object} descriptions - Service status, job status and error code descriptions.
+ * @returns {object}
+ */
+function resultProperties ({ serviceStatus, jobStatus, errorCode }) {
+  return {
+    jobId: { type: 'string' },
+    opportunityIds: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    services: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          serviceId: { type: 'string' },
+          opportunityId: { type: 'string' },
+          lineItemId: { type: 'string' },
+          productReference: { type: 'string' },
+          status: {
+            type: 'string',
+            description: serviceStatus
+          },
+          errorCode: {
+            type: 'string',
+            description: errorCode
+          },
+          message: { type: 'string' },
+          parameters: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Effective provisioning parameters of the service'
+          }
+        }
+      }
+    },
+    rejected: {
+      type: 'array',
+      description: 'Opportunities and line items rejected before provisioning',
+      items: rejectionSchema
+    },
+    summary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        pending: { type: 'integer', description: 'Services a provider acknowledged but has not finished yet' }
+      }
+    },
+    status: {
+      type: 'string',
+      description: `Job status: ${jobStatus}`
+    },
+    errors: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    sequence: {
+      type: 'integer',
+      description: 'Number of the callback for the job, starting at 1'
+    },
+    final: {
+      type: 'boolean',
+      description: 'False for progress callbacks (status running), true for the callback with the final status'
+    },
+    traceId: {
+      type: 'string',
+      description: 'Trace ID of the job, found on its log lines and spans'
+    }
+  };
+}
+
+/**
+ * Builds the `x-callbacks` definition AppLink turns into an Apex callback handler.
+ * All operations report results with the same payload shape.
+ * @param {object} options - Callback name, operationId and descriptions.
+ * @returns {object}
+ */
+function statusCallback ({ name, operationId, action, serviceStatus, jobStatus, errorCode, received }) {
+  return {
+    [name]: {
       '{$request.body#/callbackUrl}': {
         post: {
-          description: 'Callback with provisioning status per requested service',
-          operationId: 'provisioningStatusCallback',
+          description: `Callback with ${action} status per requested service`,
+          operationId,
           requestBody: {
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
-                  properties: {
-                    jobId: { type: 'string' },
-                    opportunityIds: {
-                      type: 'array',
-                      items: { type: 'string' }
-                    },
-                    services: {
-                      type: 'array',
-                      items: {
-                        type: 'object',
-                        properties: {
-                          serviceId: { type: 'string' },
-                          opportunityId: { type: 'string' },
-                          lineItemId: { type: 'string' },
-                          productReference: { type: 'string' },
-                          status: { type: 'string' },
-                          message: { type: 'string' }
-                        }
-                      }
-                    },
-                    summary: {
-                      type: 'object',
-                      properties: {
-                        total: { type: 'integer' },
-                        succeeded: { type: 'integer' },
-                        failed: { type: 'integer' }
-                      }
-                    },
-                    status: { type: 'string' },
-                    errors: {
-                      type: 'array',
-                      items: { type: 'string' }
-                    }
-                  }
+                  properties: resultProperties({ serviceStatus, jobStatus, errorCode })
                 }
               }
             }
           },
           responses: {
             '200': {
-              description: 'Provisioning callback received successfully'
+              description: received
             }
           }
         }
       }
     }
-  }
-};
+  };
+}
 
 const ProvisionServicesRequestSchema = {
   $id: 'ProvisionServicesRequest',
@@ -105,7 +325,188 @@ const ProvisionServicesRequestSchema = {
     },
     callbackUrl: {
       type: 'string',
-      description: 'Callback URL for asynchronous response'
+      description: 'Callback URL for asynchronous response, required unless dryRun is set or publishers include platformEvent'
+    },
+    publishers: {
+      $ref: 'ResultPublishers#'
+    },
+    idempotencyKey: {
+      type: 'string',
+      maxLength: 255,
+      description: 'Optional client generated key; repeating a request with the same key returns the original job ID instead of submitting a new job'
+    },
+    deadline: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When Salesforce stops waiting for the callback, e.g. the Apex callback timeout. Remaining line items are skipped and a timed_out callback is sent shortly before. Defaults to 10 minutes after submission'
+    },
+    parameters: {
+      $ref: 'ProvisioningParameters#'
+    },
+    lineItemParameters: {
+      type: 'object',
+      additionalProperties: {
+        $ref: 'ProvisioningParameters#'
+      },
+      description: 'Provisioning parameters for individual line items by OpportunityLineItem ID, overriding parameters'
+    },
+    progress: {
+      $ref: 'ProgressOptions#'
+    },
+    dryRun: {
+      type: 'boolean',
+      default: false,
+      description: 'Validate the request and return the provisioning plan without provisioning anything'
+    }
+  }
+};
+
+const ProvisionServicesSyncRequestSchema = {
+  $id: 'ProvisionServicesSyncRequest',
+  type: 'object',
+  required: ['opportunityIds'],
+  description: 'Request to provision services for a small number of line items, waiting for the results',
+  properties: {
+    opportunityIds: {
+      type: 'array',
+      items: {
+        type: 'string'
+      },
+      description: 'Array of opportunity IDs to provision services for'
+    },
+    callbackUrl: {
+      type: 'string',
+      description: 'Callback URL for the results, only used when provisioning overruns the time budget'
+    },
+    publishers: {
+      $ref: 'ResultPublishers#'
+    },
+    idempotencyKey: {
+      type: 'string',
+      maxLength: 255,
+      description: 'Optional client generated key; repeating a request with the same key returns the original job\'s results instead of provisioning again'
+    },
+    parameters: {
+      $ref: 'ProvisioningParameters#'
+    },
+    lineItemParameters: {
+      type: 'object',
+      additionalProperties: {
+        $ref: 'ProvisioningParameters#'
+      },
+      description: 'Provisioning parameters for individual line items by OpportunityLineItem ID, overriding parameters'
+    }
+  }
+};
+
+const ProvisioningResultSchema = {
+  $id: 'ProvisioningResult',
+  type: 'object',
+  required: ['jobId', 'services', 'summary', 'status'],
+  description: 'Results of a provisioning job, as sent to the provisioningStatus callback',
+  properties: resultProperties(provisioningResultDescriptions)
+};
+
+const ProvisioningPlanSchema = {
+  $id: 'ProvisioningPlan',
+  type: 'object',
+  required: ['dryRun', 'services', 'rejected'],
+  description: 'Services a provisioning request would provision, returned for a dry run',
+  properties: {
+    dryRun: { type: 'boolean' },
+    services: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          opportunityId: { type: 'string' },
+          lineItemId: { type: 'string' },
+          productReference: { type: 'string' },
+          productCode: { type: 'string' },
+          provider: {
+            type: 'string',
+            description: 'Provider the service would be provisioned with'
+          },
+          parameters: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Effective provisioning parameters of the service'
+          },
+          status: {
+            type: 'string',
+            description: 'Planned, AlreadyProvisioned (by an earlier job) or Invalid'
+          },
+          serviceId: {
+            type: 'string',
+            description: 'Existing service, for AlreadyProvisioned line items'
+          },
+          errorCode: {
+            type: 'string',
+            description: 'Why the service would fail, for Invalid line items'
+          },
+          message: { type: 'string' }
+        }
+      }
+    },
+    rejected: {
+      type: 'array',
+      description: 'Opportunities and line items that would be rejected',
+      items: rejectionSchema
+    }
+  }
+};
+
+const serviceSelectionProperties = {
+  opportunityIds: {
+    type: 'array',
+    items: {
+      type: 'string'
+    },
+    description: 'Opportunity IDs whose provisioned services are selected'
+  },
+  lineItemIds: {
+    type: 'array',
+    items: {
+      type: 'string'
+    },
+    description: 'Opportunity line item IDs whose provisioned services are selected'
+  },
+  serviceIds: {
+    type: 'array',
+    items: {
+      type: 'string'
+    },
+    description: 'Provider service IDs to select'
+  },
+  callbackUrl: {
+    type: 'string',
+    description: 'Callback URL for asynchronous response, required unless publishers include platformEvent'
+  },
+  publishers: {
+    $ref: 'ResultPublishers#'
+  },
+  deadline: {
+    type: 'string',
+    format: 'date-time',
+    description: 'When Salesforce stops waiting for the callback. Remaining services are skipped and a timed_out callback is sent shortly before. Defaults to 10 minutes after submission'
+  }
+};
+
+const DeprovisionServicesRequestSchema = {
+  $id: 'DeprovisionServicesRequest',
+  type: 'object',
+  description: 'Request to deprovision services; at least one of opportunityIds, lineItemIds or serviceIds is required',
+  properties: serviceSelectionProperties
+};
+
+const ModifyServicesRequestSchema = {
+  $id: 'ModifyServicesRequest',
+  type: 'object',
+  description: 'Request to modify services; at least one of opportunityIds, lineItemIds or serviceIds is required',
+  properties: {
+    ...serviceSelectionProperties,
+    parameters: {
+      $ref: 'ProvisioningParameters#'
     }
   }
 };
@@ -123,8 +524,34 @@ const ProvisionServicesResponseSchema = {
   }
 };
 
+const AdmissionRejectionSchema = {
+  $id: 'AdmissionRejection',
+  type: 'object',
+  required: ['error', 'reason', 'limit'],
+  description: 'Job submission rejected by admission control',
+  properties: {
+    error: {
+      type: 'string',
+      description: 'Error message'
+    },
+    reason: {
+      type: 'string',
+      enum: ['USER_RATE_LIMIT', 'ORG_RATE_LIMIT', 'USER_CONCURRENT_JOBS', 'ORG_CONCURRENT_JOBS', 'TOO_MANY_LINE_ITEMS'],
+      description: 'Limit that was reached: jobs submitted per window or jobs queued and running, by user or org, or line items per job'
+    },
+    limit: {
+      type: 'integer',
+      description: 'Value of the limit that was reached'
+    },
+    retryAfterSeconds: {
+      type: 'integer',
+      description: 'Seconds to wait before submitting again, as in the Retry-After header. Absent for TOO_MANY_LINE_ITEMS: split the Opportunities across several requests instead'
+    }
+  }
+};
+
 /**
- * API Routes plugin for handling service provisioning operations.
+ * API Routes plugin for handling service provisioning, deprovisioning and modification operations.
  * @param {import('fastify').FastifyInstance} fastify
  * @param {object} opts Plugin options
  */
@@ -133,39 +560,177 @@ export default async function apiRoutes (fastify, opts) {
   // Register schema components
   fastify.addSchema(ProvisionServicesRequestSchema);
   fastify.addSchema(ProvisionServicesResponseSchema);
+  fastify.addSchema(AdmissionRejectionSchema);
+  fastify.addSchema(ProvisioningPlanSchema);
+  fastify.addSchema(ProvisionServicesSyncRequestSchema);
+  fastify.addSchema(ProvisioningResultSchema);
+  fastify.addSchema(DeprovisionServicesRequestSchema);
+  fastify.addSchema(ModifyServicesRequestSchema);
 
+  // Async routes return the fields the worker needs, the Salesforce middleware records and queues the job
   fastify.post('/provisionServices', {
     schema: provisionServicesSchema,
+    config: {
+      salesforce: {
+        async: {
+          operation: 'provision',
+          admission: {
+            countLineItems: (request, { opportunityIds }) => countLineItems(opportunityIds, request.salesforce.context.org, request.log)
+          }
+        }
+      }
+    },
     handler: async (request, reply) => {
-      const { opportunityIds, callbackUrl } = request.body;
-      const jobId = crypto.randomUUID();
+      const { opportunityIds, callbackUrl, publishers, parameters, lineItemParameters, progress, dryRun } = request.body;
+      if (dryRun) {
+        return planJob(request, reply, { opportunityIds, parameters, lineItemParameters });
+      }
+      if (!opportunityIds.some(id => sanitizeSalesforceId(id))) {
+        return reply.code(400).send({ error: 'None of the opportunityIds is a valid Salesforce ID' });
+      }
+      return { opportunityIds, parameters, lineItemParameters, progress, publishers, callbackUrl };
+    }
+  });
 
-      // Check for Salesforce context from middleware
+  fastify.post('/provisionServicesSync', {
+    schema: provisionServicesSyncSchema,
+    handler: async (request, reply) => {
+      const { opportunityIds, callbackUrl, publishers, idempotencyKey, parameters, lineItemParameters } = request.body;
+      if (!opportunityIds.some(id => sanitizeSalesforceId(id))) {
+        return reply.code(400).send({ error: 'None of the opportunityIds is a valid Salesforce ID' });
+      }
       const client = request.salesforce;
-      if (!client || !client.context || !client.context.org || !client.context.org.dataApi) {
+      if (!client?.context?.org?.dataApi) {
         request.log.error('Salesforce context not available in request');
         return reply.code(401).send({ error: 'Salesforce context required. Ensure x-client-context header is present.' });
       }
 
-      // Respond immediately with 201 for async operation
-      reply.code(201).send({ jobId });
-
-      // Process provisioning asynchronously
-      setImmediate(async () => {
-        try {
-          await provisionServices(
-            jobId,
-            opportunityIds,
-            client,
-            callbackUrl,
-            request.log
-          );
-        } catch (error) {
-          request.log.error({ err: error, jobId }, 'Error processing provisioning job');
+      // Same limits as provisionServices, checked before querying the org; the line item cap below is the stricter one here
+      const { syncMaxLineItems, syncTimeoutMs } = config.provisioning;
+      const orgId = client.context.org.id;
+      const userId = client.context.org.user?.id;
+      const jobRequest = { opportunityIds, parameters, lineItemParameters, publishers, callbackUrl };
+      const submit = async () => {
+        const plan = await planProvisioning(opportunityIds, client.context.org, request.log, { parameters, lineItemParameters });
+        if (plan.lineItems.length > syncMaxLineItems) {
+          return { plan };
         }
-      });
+        const recorded = await recordJob(fastify.jobStore, {
+          orgId,
+          userId,
+          username: client.context.org.user?.username,
+          type: 'provision',
+          jobRequest,
+          idempotencyKey,
+          // Applies if the job overruns the time budget and continues in the background
+          deadline: jobDeadline(undefined, config.worker.jobTimeoutMs),
+          traceparent: request.span.traceparent
+        });
+        return { plan, recorded };
+      };
+      let admission;
+      let submission;
+      if (!(idempotencyKey && await fastify.jobStore.findIdempotent(orgId, idempotencyKey))) {
+        admission = await fastify.admission.admit({ orgId, userId, jobStore: fastify.jobStore, submit });
+        if (!admission.admitted) {
+          return rejectSubmission(request, reply, 'provision', admission);
+        }
+        submission = admission.submission;
+      } else {
+        submission = await submit();
+      }
+
+      const { plan, recorded } = submission;
+      if (!recorded) {
+        admission?.release();
+        return reply.code(400).send({ error: `${plan.lineItems.length} line items exceed the limit of ${syncMaxLineItems} for synchronous provisioning, use provisionServices instead` });
+      }
+      const { job, created } = recorded;
+      await auditSubmission(fastify.audit, request, { job, created, jobRequest });
+      if (!created) {
+        admission?.release();
+        request.log.info(`Returning job ${job.jobId} for repeated idempotency key`);
+        return job.callbackPayload
+          ? reply.code(200).send(job.callbackPayload)
+          : reply.code(202).send({ jobId: job.jobId });
+      }
+
+      jobsSubmitted.inc({ operation: 'provision' });
+
+      // The callback is only sent if the job has to be finished by a worker
+      jobsInFlight.inc({ operation: 'provision' });
+      const status = await tracer.trace('job provision', { 'job.id': job.jobId, 'job.operation': 'provision' }, async span => {
+        const jobStatus = await provisionServices(job.jobId, opportunityIds, client, null, request.log, {
+          jobStore: fastify.jobStore,
+          signal: AbortSignal.timeout(syncTimeoutMs),
+          providers: fastify.orgs.providersFor(client.context.org.id),
+          orgLimiter: fastify.orgs.limiterFor(client.context.org.id),
+          parameters,
+          lineItemParameters,
+          publishers,
+          plan,
+          awaitProviderEvents: Boolean(fastify.orgs.authorizationFor(client.context.org.id))
+        });
+        span.setAttributes({ 'job.status': jobStatus });
+        return jobStatus;
+      }, { parent: request.span }).finally(() => jobsInFlight.dec({ operation: 'provision' }));
+      if (status === 'awaiting_provider') {
+        request.log.info(`Provisioning job ${job.jobId} is waiting for provider events, its results are published once they arrive`);
+        return reply.code(202).send({ jobId: job.jobId });
+      }
+      if (status === 'interrupted') {
+        request.log.warn(`Provisioning job ${job.jobId} overran the synchronous time budget, continuing in the background`);
+        await enqueueJob(fastify.jobQueue, fastify.jobStore, job, client.context.id);
+        return reply.code(202).send({ jobId: job.jobId });
+      }
+      const { callbackPayload } = await fastify.jobStore.get(job.jobId);
+      return reply.code(200).send(callbackPayload);
     }
   });
 
+  fastify.post('/deprovisionServices', {
+    schema: deprovisionServicesSchema,
+    config: { salesforce: { async: { operation: 'deprovision' } } },
+    handler: async (request, reply) => {
+      const { opportunityIds, lineItemIds, serviceIds, publishers, callbackUrl } = request.body;
+      if (!hasSelection(request.body)) {
+        return reply.code(400).send({ error: 'At least one of opportunityIds, lineItemIds or serviceIds is required' });
+      }
+      return { opportunityIds, lineItemIds, serviceIds, publishers, callbackUrl };
+    }
+  });
+
+  fastify.post('/modifyServices', {
+    schema: modifyServicesSchema,
+    config: { salesforce: { async: { operation: 'modify' } } },
+    handler: async (request, reply) => {
+      const { opportunityIds, lineItemIds, serviceIds, parameters, publishers, callbackUrl } = request.body;
+      if (!hasSelection(request.body)) {
+        return reply.code(400).send({ error: 'At least one of opportunityIds, lineItemIds or serviceIds is required' });
+      }
+      return { opportunityIds, lineItemIds, serviceIds, parameters, publishers, callbackUrl };
+    }
+  });
+
+  /**
+   * Responds with the provisioning plan for a request, without provisioning anything or recording a job.
+   * @param {import('fastify').FastifyRequest} request
+   * @param {import('fastify').FastifyReply} reply
+   * @param {object} planRequest - Opportunity IDs and parameters from the request.
+   */
+  async function planJob (request, reply, { opportunityIds, parameters, lineItemParameters }) {
+    const { services, rejected } = await previewProvisioning(opportunityIds, request.salesforce, request.log, {
+      jobStore: fastify.jobStore,
+      providers: fastify.orgs.providersFor(request.salesforce.context.org.id),
+      parameters,
+      lineItemParameters
+    });
+    return reply.code(200).send({ dryRun: true, services, rejected });
+  }
+
   fastify.log.info('API routes registered for provisioning operations.');
 }
+
+function hasSelection ({ opportunityIds, lineItemIds, serviceIds }) {
+  return [opportunityIds, lineItemIds, serviceIds].some(ids => Array.isArray(ids) && ids.length > 0);
+}
@@ -0,0 +1,151 @@
+// Authorization block so AppLink exposes the audit log to Apex, as for the job status operations
+const sfdcAuthorization = {
+  heroku: {
+    authorization: {
+      connectedApp: 'ProvisioningServiceConnectedApp',
+      permissionSet: 'ProvisioningServicePermissions'
+    }
+  }
+};
+
+const queryAuditSchema = {
+  tags: ['Audit'],
+  summary: 'Query Audit Log',
+  description: 'Returns audit entries of the calling org, most recent first: requests received, parameters resolved, provider calls and events, callback deliveries and cancellations, with the user each was done for. Filters are combined.',
+  operationId: 'queryAuditLog',
+  'x-sfdc': sfdcAuthorization,
+  querystring: {
+    type: 'object',
+    properties: {
+      userId: {
+        type: 'string',
+        description: 'Only return entries for this Salesforce user ID'
+      },
+      username: {
+        type: 'string',
+        description: 'Only return entries for this Salesforce username'
+      },
+      opportunityId: {
+        type: 'string',
+        description: 'Only return entries about this Opportunity ID'
+      },
+      jobId: {
+        type: 'string',
+        description: 'Only return entries of this job'
+      },
+      serviceId: {
+        type: 'string',
+        description: 'Only return entries about this service ID'
+      },
+      type: {
+        type: 'string',
+        enum: ['request.received', 'parameters.resolved', 'provider.call', 'provider.event', 'callback.delivery', 'job.cancelled'],
+        description: 'Only return entries of this type'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 500,
+        default: 100,
+        description: 'Maximum number of entries to return'
+      }
+    }
+  },
+  response: {
+    200: {
+      description: 'Matching audit entries',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'AuditEntryList#'
+          }
+        }
+      }
+    }
+  }
+};
+
+const AuditEntrySchema = {
+  $id: 'AuditEntry',
+  type: 'object',
+  required: ['id', 'at', 'type', 'actor'],
+  description: 'Something done for a Salesforce user or reported by a provider',
+  properties: {
+    id: { type: 'string' },
+    at: { type: 'string', format: 'date-time' },
+    type: {
+      type: 'string',
+      description: 'request.received, parameters.resolved, provider.call, provider.event, callback.delivery or job.cancelled'
+    },
+    actor: {
+      type: 'object',
+      description: 'Salesforce user the action was taken for; provider events name the provider instead',
+      properties: {
+        orgId: { type: 'string' },
+        userId: { type: 'string' },
+        username: { type: 'string' },
+        provider: { type: 'string' }
+      }
+    },
+    requestId: {
+      type: 'string',
+      description: 'Salesforce request ID of the x-client-context, shared by the entries a request caused'
+    },
+    jobId: { type: 'string' },
+    opportunityIds: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    opportunityId: { type: 'string' },
+    lineItemId: { type: 'string' },
+    serviceId: { type: 'string' },
+    details: {
+      type: 'object',
+      description: 'Fields of the entry type, e.g. the resolved parameters or the provider outcome',
+      additionalProperties: true
+    }
+  }
+};
+
+const AuditEntryListSchema = {
+  $id: 'AuditEntryList',
+  type: 'object',
+  required: ['entries'],
+  description: 'List of audit entries',
+  properties: {
+    entries: {
+      type: 'array',
+      items: {
+        $ref: 'AuditEntry#'
+      }
+    }
+  }
+};
+
+/**
+ * API Routes plugin for querying the audit log of the calling org.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} opts Plugin options
+ */
+export default async function auditRoutes (fastify, opts) {
+
+  // Register schema components
+  fastify.addSchema(AuditEntrySchema);
+  fastify.addSchema(AuditEntryListSchema);
+
+  fastify.get('/audit', {
+    schema: queryAuditSchema,
+    handler: async (request, reply) => {
+      const orgId = request.salesforce?.context?.org?.id;
+      if (!orgId) {
+        request.log.error('Salesforce context not available in request');
+        return reply.code(401).send({ error: 'Salesforce context required. Ensure x-client-context header is present.' });
+      }
+
+      const entries = await fastify.audit.query({ ...request.query, orgId });
+      return { entries };
+    }
+  });
+
+  fastify.log.info('API routes registered for the audit log.');
+}
@@ -0,0 +1,62 @@
+import { getAppLinkEmulator } from '../services/appLinkClient.js';
+
+// Emulator routes are for local development and CI only, so they are left out of the OpenAPI document
+const listCallbacksSchema = {
+  hide: true,
+  querystring: {
+    type: 'object',
+    properties: {
+      jobId: { type: 'string' }
+    }
+  }
+};
+
+const listRecordsSchema = {
+  hide: true,
+  params: {
+    type: 'object',
+    required: ['sobject'],
+    properties: {
+      sobject: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Routes to inspect the local AppLink emulator, registered only when `APPLINK_EMULATOR=true`.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} opts Plugin options
+ */
+export default async function emulatorRoutes (fastify, opts) {
+  const emulator = getAppLinkEmulator();
+
+  // Callbacks the service sent to Salesforce, oldest first
+  fastify.get('/callbacks', {
+    schema: listCallbacksSchema,
+    handler: async (request, reply) => {
+      return { callbacks: emulator.listCallbacks({ jobId: request.query.jobId }) };
+    }
+  });
+
+  fastify.delete('/callbacks', {
+    schema: { hide: true },
+    handler: async (request, reply) => {
+      emulator.clearCallbacks();
+      return reply.code(204).send();
+    }
+  });
+
+  // Fixture records with their emulated IDs, e.g. /emulator/records/Opportunity
+  fastify.get('/records/:sobject', {
+    schema: listRecordsSchema,
+    handler: async (request, reply) => {
+      const records = emulator.dataApi.records.get(request.params.sobject);
+      if (!records) {
+        return reply.code(404).send({ error: `No ${request.params.sobject} fixtures loaded` });
+      }
+      return { records };
+    }
+  });
+
+  fastify.log.warn('AppLink emulator enabled: Salesforce data is served from local fixtures and callbacks are captured at /emulator/callbacks.');
+}
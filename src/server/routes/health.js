@@ -0,0 +1,33 @@
+import { checkReadiness } from '../services/health.js';
+import { METRICS_CONTENT_TYPE, metrics } from '../services/metrics.js';
+
+/**
+ * Operational routes for the platform and monitoring, left out of the OpenAPI document
+ * so AppLink does not expose them to Apex.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} opts Plugin options
+ */
+export default async function healthRoutes (fastify, opts) {
+  // Readiness: 503 while the job store or queue cannot be used, so no jobs are accepted that would be lost
+  fastify.get('/health', {
+    schema: { hide: true },
+    config: { salesforce: { context: false } },
+    handler: async (request, reply) => {
+      const readiness = await checkReadiness({ jobStore: fastify.jobStore, jobQueue: fastify.jobQueue });
+      if (readiness.status !== 'ok') {
+        request.log.warn({ checks: readiness.checks }, 'Readiness check failed');
+      }
+      return reply.code(readiness.status === 'ok' ? 200 : 503).send(readiness);
+    }
+  });
+
+  fastify.get('/metrics', {
+    schema: { hide: true },
+    config: { salesforce: { context: false } },
+    handler: async (request, reply) => {
+      return reply.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    }
+  });
+
+  fastify.log.info('Health and metrics routes registered.');
+}
@@ -0,0 +1,501 @@
+import { enqueueSettlement } from '../services/providerEvents.js';
+import { auditContext } from '../services/auditLog.js';
+
+// Authorization block shared by the job status operations so AppLink exposes them to Apex
+const sfdcAuthorization = {
+  heroku: {
+    authorization: {
+      connectedApp: 'ProvisioningServiceConnectedApp',
+      permissionSet: 'ProvisioningServicePermissions'
+    }
+  }
+};
+
+const getJobSchema = {
+  tags: ['Jobs'],
+  summary: 'Get Provisioning Job',
+  description: 'Returns the current state of a provisioning job, including per line item progress and callback outcome. Use this to poll when a callback never arrives.',
+  operationId: 'getProvisioningJob',
+  'x-sfdc': sfdcAuthorization,
+  params: {
+    type: 'object',
+    required: ['jobId'],
+    properties: {
+      jobId: {
+        type: 'string',
+        description: 'Job ID returned when the provisioning job was submitted'
+      }
+    }
+  },
+  response: {
+    200: {
+      description: 'Provisioning job found',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisioningJob#'
+          }
+        }
+      }
+    },
+    404: {
+      description: 'Provisioning job not found',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ErrorResponse#'
+          }
+        }
+      }
+    }
+  }
+};
+
+const listJobsSchema = {
+  tags: ['Jobs'],
+  summary: 'List Provisioning Jobs',
+  description: 'Lists provisioning jobs submitted from the calling org, most recent first.',
+  operationId: 'listProvisioningJobs',
+  'x-sfdc': sfdcAuthorization,
+  querystring: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'string',
+        description: 'Only return jobs in this status'
+      },
+      opportunityId: {
+        type: 'string',
+        description: 'Only return jobs that included this Opportunity ID'
+      },
+      callbackStatus: {
+        type: 'string',
+        description: 'Only return jobs whose callback is in this status, e.g. dead_letter'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 200,
+        default: 50,
+        description: 'Maximum number of jobs to return'
+      }
+    }
+  },
+  response: {
+    200: {
+      description: 'Matching provisioning jobs',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ProvisioningJobList#'
+          }
+        }
+      }
+    }
+  }
+};
+
+const cancelJobSchema = {
+  tags: ['Jobs'],
+  summary: 'Cancel Provisioning Job',
+  description: 'Stops a queued, running or awaiting_provider job. Line items in progress finish, no further line items are started, and the job reports the services it handled in a cancelled callback. Services a provider has yet to finish are reported as Pending.',
+  operationId: 'cancelProvisioningJob',
+  'x-sfdc': sfdcAuthorization,
+  params: {
+    type: 'object',
+    required: ['jobId'],
+    properties: {
+      jobId: {
+        type: 'string',
+        description: 'Job ID returned when the job was submitted'
+      }
+    }
+  },
+  response: {
+    202: {
+      description: 'Cancellation requested',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'CancelJobResponse#'
+          }
+        }
+      }
+    },
+    404: {
+      description: 'Provisioning job not found',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ErrorResponse#'
+          }
+        }
+      }
+    },
+    409: {
+      description: 'Provisioning job already finished',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ErrorResponse#'
+          }
+        }
+      }
+    }
+  }
+};
+
+const ProvisioningJobSchema = {
+  $id: 'ProvisioningJob',
+  type: 'object',
+  required: ['jobId', 'status'],
+  description: 'State of a provisioning job',
+  properties: {
+    jobId: {
+      type: 'string',
+      description: 'Unique identifier for the provisioning job'
+    },
+    type: {
+      type: 'string',
+      description: 'Job operation: provision, deprovision or modify'
+    },
+    userId: {
+      type: 'string',
+      description: 'Salesforce user who submitted the job'
+    },
+    status: {
+      type: 'string',
+      description: 'Job status: queued, running, awaiting_provider, completed, partial, failed, timed_out or cancelled'
+    },
+    deadline: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the job has to be finished; it stops shortly before and reports timed_out'
+    },
+    cancelRequestedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When cancelling the job was requested'
+    },
+    orgId: {
+      type: 'string',
+      description: 'Salesforce org that submitted the job'
+    },
+    idempotencyKey: {
+      type: 'string',
+      description: 'Idempotency key the job was submitted with'
+    },
+    request: {
+      type: 'object',
+      description: 'Original request',
+      properties: {
+        opportunityIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        lineItemIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        serviceIds: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        parameters: {
+          $ref: 'ProvisioningParameters#'
+        },
+        lineItemParameters: {
+          type: 'object',
+          additionalProperties: {
+            $ref: 'ProvisioningParameters#'
+          }
+        },
+        progress: {
+          $ref: 'ProgressOptions#'
+        },
+        publishers: {
+          $ref: 'ResultPublishers#'
+        },
+        callbackUrl: { type: 'string' }
+      }
+    },
+    progress: {
+      type: 'object',
+      description: 'Progress callbacks sent so far, for jobs requested with progress',
+      properties: {
+        sequence: {
+          type: 'integer',
+          description: 'Sequence number of the last progress callback'
+        },
+        reported: {
+          type: 'array',
+          description: 'Line items whose services were reported by a progress callback',
+          items: { type: 'string' }
+        }
+      }
+    },
+    lineItems: {
+      type: 'array',
+      description: 'Progress per Opportunity line item',
+      items: {
+        type: 'object',
+        properties: {
+          lineItemId: { type: 'string' },
+          opportunityId: { type: 'string' },
+          productReference: { type: 'string' },
+          serviceId: { type: 'string' },
+          status: {
+            type: 'string',
+            description: 'Provisioning, Pending, Provisioned, AlreadyProvisioned, Modifying, Modified, Deprovisioning, Deprovisioned or Failed'
+          },
+          provisionedByJobId: {
+            type: 'string',
+            description: 'Job that provisioned the service, for AlreadyProvisioned line items'
+          },
+          errorCode: { type: 'string' },
+          message: { type: 'string' },
+          parameters: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Effective provisioning parameters of the service'
+          },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        pending: { type: 'integer', description: 'Services a provider acknowledged but has not finished yet' }
+      }
+    },
+    errors: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    rejected: {
+      type: 'array',
+      description: 'Opportunities and line items rejected before provisioning',
+      items: {
+        type: 'object',
+        properties: {
+          opportunityId: { type: 'string' },
+          lineItemId: { type: 'string' },
+          reason: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    },
+    callback: {
+      type: 'object',
+      description: 'Outcome of the callback to Salesforce',
+      properties: {
+        status: {
+          type: 'string',
+          description: 'pending, delivered, dead_letter or skipped'
+        },
+        attempts: { type: 'integer' },
+        statusCode: {
+          type: 'integer',
+          description: 'HTTP status of the last failed attempt'
+        },
+        error: { type: 'string' },
+        deliveredAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    platformEvent: {
+      type: 'object',
+      description: 'Outcome of the latest Platform Event published, for jobs using the platformEvent publisher',
+      properties: {
+        status: {
+          type: 'string',
+          description: 'published or failed'
+        },
+        eventObject: { type: 'string' },
+        sequence: { type: 'integer' },
+        error: { type: 'string' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    writeback: {
+      type: 'object',
+      description: 'Outcome of writing the results to Salesforce records, when configured in ProvisioningParameter__mdt',
+      properties: {
+        status: {
+          type: 'string',
+          description: 'completed or failed'
+        },
+        records: {
+          type: 'integer',
+          description: 'Number of records created or updated'
+        },
+        error: { type: 'string' },
+        updatedAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    traceId: {
+      type: 'string',
+      description: 'Trace ID of the submitting request and the job, found on their log lines and spans'
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    completedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const ProvisioningJobListSchema = {
+  $id: 'ProvisioningJobList',
+  type: 'object',
+  required: ['jobs'],
+  description: 'List of provisioning jobs',
+  properties: {
+    jobs: {
+      type: 'array',
+      items: {
+        $ref: 'ProvisioningJob#'
+      }
+    }
+  }
+};
+
+const CancelJobResponseSchema = {
+  $id: 'CancelJobResponse',
+  type: 'object',
+  required: ['jobId', 'status'],
+  description: 'Cancellation of a provisioning job, with the services it handled so far',
+  properties: {
+    jobId: { type: 'string' },
+    status: {
+      type: 'string',
+      description: 'Job status when cancellation was requested; the job becomes cancelled once line items in progress finish'
+    },
+    cancelRequestedAt: { type: 'string', format: 'date-time' },
+    services: {
+      type: 'array',
+      description: 'Services the job has already provisioned, modified or deprovisioned',
+      items: {
+        type: 'object',
+        properties: {
+          serviceId: { type: 'string' },
+          opportunityId: { type: 'string' },
+          lineItemId: { type: 'string' },
+          productReference: { type: 'string' },
+          status: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Jobs in these statuses have finished and can no longer be cancelled
+const FINISHED_STATUSES = ['completed', 'partial', 'failed', 'timed_out', 'cancelled'];
+
+// Line item statuses of services a job has finished handling
+const HANDLED_LINE_ITEM_STATUSES = ['Provisioned', 'AlreadyProvisioned', 'Modified', 'Deprovisioned'];
+
+/**
+ * API Routes plugin for querying and cancelling provisioning jobs.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} opts Plugin options
+ */
+export default async function jobRoutes (fastify, opts) {
+
+  // Register schema components
+  fastify.addSchema(ProvisioningJobSchema);
+  fastify.addSchema(ProvisioningJobListSchema);
+  fastify.addSchema(CancelJobResponseSchema);
+
+  fastify.get('/jobs/:jobId', {
+    schema: getJobSchema,
+    handler: async (request, reply) => {
+      const orgId = requireOrgId(request, reply);
+      if (!orgId) return reply;
+
+      // Jobs from other orgs are reported as not found
+      const job = await fastify.jobStore.get(request.params.jobId);
+      if (!job || job.orgId !== orgId) {
+        return reply.code(404).send({ error: `Job ${request.params.jobId} not found` });
+      }
+      return job;
+    }
+  });
+
+  fastify.get('/jobs', {
+    schema: listJobsSchema,
+    handler: async (request, reply) => {
+      const orgId = requireOrgId(request, reply);
+      if (!orgId) return reply;
+
+      const { status, opportunityId, callbackStatus, limit } = request.query;
+      const jobs = await fastify.jobStore.list({ orgId, status, opportunityId, callbackStatus, limit });
+      return { jobs };
+    }
+  });
+
+  fastify.post('/jobs/:jobId/cancel', {
+    schema: cancelJobSchema,
+    handler: async (request, reply) => {
+      const orgId = requireOrgId(request, reply);
+      if (!orgId) return reply;
+
+      const { jobId } = request.params;
+      const job = await fastify.jobStore.get(jobId);
+      if (!job || job.orgId !== orgId) {
+        return reply.code(404).send({ error: `Job ${jobId} not found` });
+      }
+      if (FINISHED_STATUSES.includes(job.status)) {
+        return reply.code(409).send({ error: `Job ${jobId} already finished as ${job.status}` });
+      }
+
+      // The worker running the job notices the request and stops it, see jobWorker.js. A job waiting
+      // for provider events has no worker, so it is queued to report its services straight away.
+      let release = false;
+      const cancelled = await fastify.jobStore.modify(jobId, record => {
+        record.cancelRequestedAt ??= new Date().toISOString();
+        if (record.status === 'awaiting_provider') {
+          record.status = 'queued';
+          release = true;
+        }
+      });
+      if (release) {
+        await enqueueSettlement(fastify.jobQueue, cancelled);
+      }
+      request.log.info(`Cancellation requested for job ${jobId}`);
+      await fastify.audit.record({
+        type: 'job.cancelled',
+        ...auditContext(request.salesforce),
+        jobId,
+        opportunityIds: cancelled.request?.opportunityIds,
+        details: { operation: cancelled.type, status: cancelled.status, cancelRequestedAt: cancelled.cancelRequestedAt }
+      }, request.log);
+      return reply.code(202).send({
+        jobId,
+        status: cancelled.status,
+        cancelRequestedAt: cancelled.cancelRequestedAt,
+        services: cancelled.lineItems.filter(item => HANDLED_LINE_ITEM_STATUSES.includes(item.status))
+      });
+    }
+  });
+
+  fastify.log.info('API routes registered for provisioning job status.');
+}
+
+/**
+ * Returns the calling org ID, or replies with 401 if no Salesforce context is present.
+ * @param {import('fastify').FastifyRequest} request
+ * @param {import('fastify').FastifyReply} reply
+ * @returns {string|null}
+ */
+function requireOrgId (request, reply) {
+  const orgId = request.salesforce?.context?.org?.id;
+  if (!orgId) {
+    request.log.error('Salesforce context not available in request');
+    reply.code(401).send({ error: 'Salesforce context required. Ensure x-client-context header is present.' });
+    return null;
+  }
+  return orgId;
+}
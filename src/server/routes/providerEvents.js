@@ -0,0 +1,88 @@
+import { SIGNATURE_HEADER, applyProviderEvent, findProviderEventSigners } from '../services/providerEvents.js';
+
+// Provider events come from provisioning systems, not Salesforce, so they are left out of the OpenAPI document
+const providerEventSchema = {
+  hide: true,
+  body: {
+    type: 'object',
+    required: ['serviceId', 'status'],
+    properties: {
+      serviceId: { type: 'string', minLength: 1 },
+      jobId: { type: 'string' },
+      status: { type: 'string', enum: ['Provisioned', 'Failed'] },
+      message: { type: 'string' },
+      errorCode: { type: 'string' }
+    }
+  },
+  response: {
+    200: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string' },
+        serviceId: { type: 'string' },
+        status: { type: 'string' },
+        jobStatus: { type: 'string' },
+        duplicate: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * Routes for provisioning systems that acknowledge services as `Pending` and report later whether
+ * they were provisioned. Requests carry no `x-client-context`; they are authenticated by the HMAC
+ * signature in `x-provider-signature` (see `signProviderEvent`) instead, and may only settle services
+ * of the orgs and providers the signing secret belongs to.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} opts Plugin options
+ */
+export default async function providerEventRoutes (fastify, opts) {
+  // The signature covers the body as sent, so it is kept next to the parsed JSON
+  fastify.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+    request.rawBody = body;
+    try {
+      done(null, JSON.parse(body));
+    } catch (error) {
+      error.statusCode = 400;
+      done(error);
+    }
+  });
+
+  fastify.post('/providerEvents', {
+    schema: providerEventSchema,
+    config: { salesforce: { context: false } },
+    preValidation: async (request, reply) => {
+      const signers = fastify.orgs.allProviderEventSigners();
+      if (signers.length === 0) {
+        return reply.code(503).send({ error: 'Provider events are disabled, set PROVIDER_EVENTS_SECRET to enable them' });
+      }
+      request.providerEventSigners = findProviderEventSigners(request.headers[SIGNATURE_HEADER], request.rawBody, { signers });
+      if (request.providerEventSigners.length === 0) {
+        request.log.warn('Rejected provider event with a missing, invalid or expired signature');
+        return reply.code(401).send({ error: `Invalid ${SIGNATURE_HEADER} header` });
+      }
+    },
+    handler: async (request, reply) => {
+      const event = request.body;
+      const { outcome, jobId, status, jobStatus } = await applyProviderEvent({
+        event,
+        jobStore: fastify.jobStore,
+        jobQueue: fastify.jobQueue,
+        audit: fastify.audit,
+        logger: request.log,
+        signers: request.providerEventSigners,
+        orgs: fastify.orgs
+      });
+      // Services of orgs or providers the secret does not belong to are reported as not found
+      if (outcome === 'not_found') {
+        return reply.code(404).send({ error: `No provisioning job has service ${event.serviceId}` });
+      }
+      if (outcome === 'conflict') {
+        return reply.code(409).send({ error: `Service ${event.serviceId} is already ${status}` });
+      }
+      return { jobId, serviceId: event.serviceId, status, jobStatus, duplicate: outcome === 'duplicate' };
+    }
+  });
+
+  fastify.log.info('API routes registered for provider events.');
+}
@@ -0,0 +1,66 @@
+import { PARAMETER_DEFINITIONS } from '../services/provisioningParameters.js';
+
+// Schema components shared by several route plugins, registered on the root instance
+
+const ErrorResponseSchema = {
+  $id: 'ErrorResponse',
+  type: 'object',
+  required: ['error'],
+  description: 'Error details',
+  properties: {
+    error: {
+      type: 'string',
+      description: 'Error message'
+    }
+  }
+};
+
+const ProvisioningParametersSchema = {
+  $id: 'ProvisioningParameters',
+  type: 'object',
+  description: 'Provisioning parameters overriding ProvisioningParameter__mdt',
+  // Same as `false`, but Fastify rejects unknown parameters instead of silently removing them
+  additionalProperties: { not: {} },
+  properties: PARAMETER_DEFINITIONS
+};
+
+const ProgressOptionsSchema = {
+  $id: 'ProgressOptions',
+  type: 'object',
+  required: ['mode'],
+  // Misspelt options are rejected, see ProvisioningParameters
+  additionalProperties: { not: {} },
+  description: 'Sends running callbacks as services are provisioned, each service is reported once',
+  properties: {
+    mode: {
+      type: 'string',
+      enum: ['opportunity', 'services'],
+      description: 'opportunity: call back when all line items of an Opportunity are done; services: call back every batchSize services'
+    },
+    batchSize: {
+      type: 'integer',
+      minimum: 1,
+      default: 10,
+      description: 'Services per progress callback in services mode'
+    }
+  }
+};
+
+const ResultPublishersSchema = {
+  $id: 'ResultPublishers',
+  type: 'array',
+  minItems: 1,
+  uniqueItems: true,
+  description: 'How results are published: callback posts them to callbackUrl, platformEvent publishes Provisioning_Status__e events. Defaults to Publisher:Default in ProvisioningParameter__mdt, then RESULT_PUBLISHERS',
+  items: {
+    type: 'string',
+    enum: ['callback', 'platformEvent']
+  }
+};
+
+export {
+  ErrorResponseSchema,
+  ProgressOptionsSchema,
+  ProvisioningParametersSchema,
+  ResultPublishersSchema
+};
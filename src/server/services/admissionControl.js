@@ -0,0 +1,203 @@
+'use strict';
+
+// Jobs that still hold a share of the process; jobs awaiting provider events or past their deadline do not
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Suggested wait when a user or org has too many jobs running; most jobs finish within a minute or two
+const CONCURRENCY_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * @typedef {object} AdmissionLimits
+ * @property {number} windowMs - Length of the sliding window the submission limits apply to.
+ * @property {number} userJobsPerWindow - Jobs a user may submit per window; 0 for no limit.
+ * @property {number} orgJobsPerWindow - Jobs an org may submit per window; 0 for no limit.
+ * @property {number} userMaxConcurrentJobs - Unfinished jobs a user may have at once; 0 for no limit.
+ * @property {number} orgMaxConcurrentJobs - Unfinished jobs an org may have at once; 0 for no limit.
+ * @property {number} maxLineItemsPerJob - Line items a single job may provision; 0 for no limit.
+ */
+
+/**
+ * @typedef {object} AdmissionDecision
+ * @property {boolean} admitted - Whether the job may be submitted.
+ * @property {string} [reason] - Why it was not: `USER_RATE_LIMIT`, `ORG_RATE_LIMIT`, `USER_CONCURRENT_JOBS`,
+ *   `ORG_CONCURRENT_JOBS` or `TOO_MANY_LINE_ITEMS`.
+ * @property {string} [error] - Human readable reason.
+ * @property {number} [limit] - The limit that was reached.
+ * @property {number} [retryAfterSeconds] - When a retry may be admitted; absent for `TOO_MANY_LINE_ITEMS`,
+ *   which only succeeds once the request is split.
+ * @property {() => void} [release] - Of an admitted submission: gives its window slots back when no job was
+ *   created after all, e.g. because a concurrent request with the same idempotency key won.
+ * @property {*} [submission] - Of an admitted submission: the result of `submit`.
+ */
+
+/**
+ * Decides whether a user may submit another provisioning job, so a burst of list button clicks
+ * cannot queue unbounded background work. Submissions are counted per user and per org in a
+ * sliding window kept in process memory, so with several web dynos each dyno allows the window
+ * limits. Queued and running jobs are counted in the job store, and the job is recorded while
+ * holding the store's lock on the org, so concurrent submissions cannot all pass those limits.
+ * Only a shared job store (see `JobStore.shared`) makes them hold across dynos.
+ */
+class AdmissionControl {
+  /**
+   * @param {object} options
+   * @param {AdmissionLimits} options.limits - Limits applied to every org and user.
+   * @param {() => number} [options.now] - Clock, replaced in tests.
+   */
+  constructor ({ limits, now = Date.now }) {
+    this.limits = limits;
+    this.now = now;
+    // Submission times by `org:<orgId>` or `user:<orgId>:<userId>`, oldest first
+    this.submissions = new Map();
+  }
+
+  /**
+   * Checks the limits and, when they all pass, counts the submission against the windows and submits
+   * the job. The running jobs are counted last, then `submit` records the job before the org's next
+   * submission is checked.
+   * @param {object} options
+   * @param {string} options.orgId - Org ID from the client context.
+   * @param {string} [options.userId] - User ID from the client context.
+   * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository holding the running jobs.
+   * @param {() => Promise<number>} [options.countLineItems] - Counts the line items the job would provision,
+   *   only called when `maxLineItemsPerJob` is set. Routes capping line items themselves leave it out.
+   * @param {() => Promise<*>} [options.submit] - Records the job once admitted; its result is the decision's `submission`.
+   * @returns {Promise<AdmissionDecision>}
+   */
+  async admit ({ orgId, userId, jobStore, countLineItems, submit = async () => {} }) {
+    const { userJobsPerWindow, orgJobsPerWindow, userMaxConcurrentJobs, orgMaxConcurrentJobs, maxLineItemsPerJob } = this.limits;
+    const windows = [
+      { key: `user:${orgId}:${userId}`, limit: userJobsPerWindow, reason: 'USER_RATE_LIMIT', subject: `User ${userId}` },
+      { key: `org:${orgId}`, limit: orgJobsPerWindow, reason: 'ORG_RATE_LIMIT', subject: `Org ${orgId}` }
+    ].filter(({ limit }) => limit > 0);
+    for (const window of windows) {
+      const rejection = this.checkWindow(window);
+      if (rejection) return rejection;
+    }
+    // Reserved before the slower checks so concurrent requests cannot all pass the window
+    const reserved = windows.map(({ key }) => this.reserve(key));
+    const release = () => windows.forEach(({ key }, index) => this.release(key, reserved[index]));
+
+    try {
+      if (maxLineItemsPerJob > 0 && countLineItems) {
+        const lineItems = await countLineItems();
+        if (lineItems > maxLineItemsPerJob) {
+          release();
+          return {
+            admitted: false,
+            reason: 'TOO_MANY_LINE_ITEMS',
+            error: `${lineItems} line items exceed the limit of ${maxLineItemsPerJob} per job, submit the Opportunities in several requests`,
+            limit: maxLineItemsPerJob
+          };
+        }
+      }
+      if (!(userMaxConcurrentJobs > 0 || orgMaxConcurrentJobs > 0)) {
+        return { admitted: true, release, submission: await submit() };
+      }
+      return await jobStore.withLock(`admission:${orgId}`, async () => {
+        const activeJobs = await this.activeJobs(jobStore, orgId);
+        const userJobs = activeJobs.filter(job => job.userId === userId).length;
+        if (userMaxConcurrentJobs > 0 && userJobs >= userMaxConcurrentJobs) {
+          release();
+          return concurrencyRejection('USER_CONCURRENT_JOBS', `User ${userId}`, userJobs, userMaxConcurrentJobs);
+        }
+        if (orgMaxConcurrentJobs > 0 && activeJobs.length >= orgMaxConcurrentJobs) {
+          release();
+          return concurrencyRejection('ORG_CONCURRENT_JOBS', `Org ${orgId}`, activeJobs.length, orgMaxConcurrentJobs);
+        }
+        return { admitted: true, release, submission: await submit() };
+      });
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  /**
+   * @param {object} window
+   * @param {string} window.key - Submissions counted together.
+   * @param {number} window.limit - Submissions allowed per window.
+   * @param {string} window.reason - Rejection reason.
+   * @param {string} window.subject - Who reached the limit, for the error message.
+   * @returns {AdmissionDecision|null} - The rejection, or null while below the limit.
+   */
+  checkWindow ({ key, limit, reason, subject }) {
+    const { windowMs } = this.limits;
+    const now = this.now();
+    const times = (this.submissions.get(key) || []).filter(time => time > now - windowMs);
+    if (times.length === 0) {
+      this.submissions.delete(key);
+      return null;
+    }
+    this.submissions.set(key, times);
+    if (times.length < limit) {
+      return null;
+    }
+    // A slot frees up once the oldest submission counted against the limit leaves the window
+    const freedAt = times[times.length - limit] + windowMs;
+    return {
+      admitted: false,
+      reason,
+      error: `${subject} submitted ${times.length} jobs in the last ${windowMs / 1000} seconds, the limit is ${limit}`,
+      limit,
+      retryAfterSeconds: Math.max(1, Math.ceil((freedAt - now) / 1000))
+    };
+  }
+
+  reserve (key) {
+    const time = this.now();
+    const times = this.submissions.get(key) || [];
+    times.push(time);
+    this.submissions.set(key, times);
+    return time;
+  }
+
+  release (key, time) {
+    const times = this.submissions.get(key) || [];
+    const index = times.lastIndexOf(time);
+    if (index !== -1) times.splice(index, 1);
+  }
+
+  /**
+   * @param {import('./jobStore.js').JobStore} jobStore
+   * @param {string} orgId
+   * @returns {Promise<Array<object>>} - Jobs of the org still queued or running before their deadline.
+   */
+  async activeJobs (jobStore, orgId) {
+    const now = this.now();
+    const jobs = await Promise.all(ACTIVE_STATUSES.map(status => jobStore.list({ orgId, status, limit: Infinity })));
+    return jobs.flat().filter(job => !(job.deadline && Date.parse(job.deadline) <= now));
+  }
+}
+
+function concurrencyRejection (reason, subject, count, limit) {
+  return {
+    admitted: false,
+    reason,
+    error: `${subject} has ${count} jobs queued or running, the limit is ${limit}`,
+    limit,
+    retryAfterSeconds: CONCURRENCY_RETRY_AFTER_SECONDS
+  };
+}
+
+/**
+ * Creates the admission control of an app from configuration.
+ * @param {AdmissionLimits} limits - Admission configuration (see `config.admission`).
+ * @returns {AdmissionControl}
+ */
+function createAdmissionControl (limits) {
+  for (const [name, value] of Object.entries(limits)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Admission limit ${name} must be a non-negative integer, got ${value}`);
+    }
+  }
+  if (limits.windowMs === 0) {
+    throw new Error('Admission window must be longer than 0ms');
+  }
+  return new AdmissionControl({ limits });
+}
+
+export {
+  AdmissionControl,
+  createAdmissionControl
+};
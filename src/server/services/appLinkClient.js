@@ -0,0 +1,32 @@
+'use strict';
+
+import AppLinkClient from '@heroku/applink';
+import config from '../config/index.js';
+import { AppLinkEmulator } from '../emulator/appLinkEmulator.js';
+
+// One emulator per process, so the web routes and the in-process worker share fixtures and captured callbacks
+let emulator;
+
+/**
+ * Returns the AppLink emulator for this process, creating it on first use.
+ * @returns {AppLinkEmulator}
+ */
+function getAppLinkEmulator () {
+  if (!emulator) {
+    emulator = new AppLinkEmulator(config.applink);
+  }
+  return emulator;
+}
+
+/**
+ * Initializes the AppLink SDK, or the local emulator when `APPLINK_EMULATOR=true`.
+ * @returns {object} - Object shaped like `AppLinkClient.init()`.
+ */
+function initAppLinkClient () {
+  return config.applink.emulator ? getAppLinkEmulator().init() : AppLinkClient.init();
+}
+
+export {
+  getAppLinkEmulator,
+  initAppLinkClient
+};
@@ -0,0 +1,259 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import config from '../config/index.js';
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {string} id - Unique entry ID.
+ * @property {string} at - When the entry was recorded (ISO 8601).
+ * @property {string} type - What happened: `request.received`, `parameters.resolved`, `provider.call`,
+ *   `provider.event`, `callback.delivery` or `job.cancelled`.
+ * @property {{ orgId: string, userId?: string, username?: string, provider?: string }} actor - Salesforce user the
+ *   action was taken for, or the provider that reported it.
+ * @property {string} [requestId] - Salesforce request ID from the `x-client-context`, shared by everything a request caused.
+ * @property {string} [jobId] - Job the entry belongs to.
+ * @property {Array<string>} [opportunityIds] - Opportunities a request asked for.
+ * @property {string} [opportunityId] - Opportunity of the line item.
+ * @property {string} [lineItemId] - The OpportunityLineItem ID.
+ * @property {string} [serviceId] - Service ID from the provider.
+ * @property {object} [details] - Type specific fields, e.g. the parameters or the provider outcome.
+ */
+
+/**
+ * @typedef {object} AuditFilter
+ * @property {string} orgId - Only entries of this org.
+ * @property {string} [userId] - Only entries for this Salesforce user ID.
+ * @property {string} [username] - Only entries for this Salesforce username.
+ * @property {string} [opportunityId] - Only entries about this Opportunity.
+ * @property {string} [jobId] - Only entries of this job.
+ * @property {string} [serviceId] - Only entries about this service.
+ * @property {string} [type] - Only entries of this type.
+ * @property {number} [limit=100] - Maximum number of entries, the most recent are returned.
+ */
+
+/**
+ * Base audit sink. Sinks receive every entry in the order recorded and never change or drop
+ * entries. Sinks that can be searched also implement `query`.
+ */
+class AuditSink {
+  /**
+   * @param {AuditEntry} entry
+   * @returns {Promise<void>}
+   */
+  async append (entry) {
+    throw new Error('append() not implemented by audit sink');
+  }
+
+  /**
+   * Releases any resources held by the sink.
+   * @returns {Promise<void>}
+   */
+  async close () {}
+}
+
+/**
+ * Keeps entries in process memory, used for tests.
+ */
+class MemoryAuditSink extends AuditSink {
+  constructor () {
+    super();
+    this.entries = [];
+  }
+
+  async append (entry) {
+    this.entries.push(structuredClone(entry));
+  }
+
+  /**
+   * @param {AuditFilter} filter
+   * @returns {Promise<Array<AuditEntry>>} - Matching entries, most recent first.
+   */
+  async query (filter) {
+    return this.entries.filter(entry => matches(entry, filter)).slice(-(filter.limit ?? 100)).reverse();
+  }
+}
+
+/**
+ * Appends entries as JSON lines to a file. The web and worker processes may share the file,
+ * each line is written with a single append. Queries read the file line by line, so only
+ * the matching entries within the limit are held in memory.
+ */
+class FileAuditSink extends AuditSink {
+  /**
+   * @param {object} options
+   * @param {string} options.file - JSONL file to append to, created with its directory when missing.
+   */
+  constructor ({ file }) {
+    super();
+    this.file = file;
+    this.ready = null;
+    this.writes = Promise.resolve();
+  }
+
+  async append (entry) {
+    this.ready ??= fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await this.ready;
+    // Appends from this process keep their order
+    const write = this.writes.then(() => fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`));
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * @param {AuditFilter} filter
+   * @returns {Promise<Array<AuditEntry>>} - Matching entries, most recent first.
+   */
+  async query (filter) {
+    const limit = filter.limit ?? 100;
+    const found = [];
+    let input;
+    try {
+      input = fs.createReadStream(this.file, 'utf8');
+      for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        if (!line) continue;
+        const entry = JSON.parse(line);
+        if (!matches(entry, filter)) continue;
+        found.push(entry);
+        if (found.length > limit) found.shift();
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    } finally {
+      input?.destroy();
+    }
+    return found.reverse();
+  }
+}
+
+/**
+ * Append-only trail of who did what: requests received, parameters resolved, provider calls and
+ * events, callback deliveries and cancellations. Entries go to every sink; queries are answered
+ * by the first sink that supports them.
+ */
+class AuditLog {
+  /**
+   * @param {object} options
+   * @param {Array<AuditSink>} [options.sinks] - Where entries are written.
+   */
+  constructor ({ sinks = [] } = {}) {
+    this.sinks = sinks;
+  }
+
+  /**
+   * Adds a sink, e.g. one forwarding entries to a SIEM.
+   * @param {AuditSink} sink
+   * @returns {AuditLog}
+   */
+  addSink (sink) {
+    this.sinks.push(sink);
+    return this;
+  }
+
+  /**
+   * Records an entry. Sink failures are logged, never thrown, so auditing cannot fail a job.
+   * @param {object} entry - Entry fields without `id` and `at`, see `AuditEntry`.
+   * @param {object} [logger] - A logger instance.
+   * @returns {Promise<void>}
+   */
+  async record (entry, logger) {
+    const full = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+    await Promise.all(this.sinks.map(sink => sink.append(full).catch(error => {
+      logger?.error({ err: error, auditEntry: full.type }, `Failed to write ${full.type} audit entry`);
+    })));
+  }
+
+  /**
+   * Binds the actor, request and job to the entries of one job or request.
+   * @param {object} fields - Common fields, usually from `auditContext` plus the `jobId`.
+   * @param {object} [logger] - A logger instance.
+   * @returns {{ record: (type: string, entry?: object) => Promise<void> }}
+   */
+  bind (fields, logger) {
+    return {
+      record: (type, entry = {}) => this.record({ type, ...fields, ...entry }, logger)
+    };
+  }
+
+  /**
+   * @param {AuditFilter} filter
+   * @returns {Promise<Array<AuditEntry>>} - Matching entries, most recent first; none without a queryable sink.
+   */
+  async query (filter) {
+    const sink = this.sinks.find(candidate => typeof candidate.query === 'function');
+    return sink ? sink.query(filter) : [];
+  }
+
+  async close () {
+    await Promise.all(this.sinks.map(sink => sink.close()));
+  }
+}
+
+/**
+ * The actor and correlation ID of the entries caused by a Salesforce client (a request or a job rebuilt from it).
+ * @param {object} [client] - The Salesforce client from AppLink.
+ * @returns {{ actor: object, requestId?: string }}
+ */
+function auditContext (client) {
+  return { actor: auditActor(client?.context?.org, client?.context?.user), requestId: client?.context?.id };
+}
+
+/**
+ * The Salesforce user an org's requests run as, or the user who submitted the job a worker runs.
+ * @param {object} [org] - The AppLink org.
+ * @param {object} [user] - The submitting user, when the org connects as another one.
+ * @returns {{ orgId?: string, userId?: string, username?: string }}
+ */
+function auditActor (org, user = org?.user) {
+  return { orgId: org?.id, userId: user?.id, username: user?.username };
+}
+
+function matches (entry, { orgId, userId, username, opportunityId, jobId, serviceId, type }) {
+  return entry.actor?.orgId === orgId &&
+    (!userId || entry.actor.userId === userId) &&
+    (!username || entry.actor.username === username) &&
+    (!opportunityId || entry.opportunityId === opportunityId || (entry.opportunityIds || []).includes(opportunityId)) &&
+    (!jobId || entry.jobId === jobId) &&
+    (!serviceId || entry.serviceId === serviceId) &&
+    (!type || entry.type === type);
+}
+
+/**
+ * Creates the audit log for this process from configuration.
+ * @param {object} options - Audit configuration (see `config.audit`).
+ * @param {Array<string>} options.sinks - Sink names: `file` or `memory`.
+ * @param {string} [options.file] - JSONL file of the file sink.
+ * @returns {AuditLog}
+ */
+function createAuditLog ({ sinks, file }) {
+  return new AuditLog({
+    sinks: sinks.map(name => {
+      switch (name) {
+        case 'file':
+          return new FileAuditSink({ file });
+        case 'memory':
+          return new MemoryAuditSink();
+        default:
+          throw new Error(`Unknown audit sink: ${name}`);
+      }
+    })
+  });
+}
+
+// Audit log used by the routes, jobs and callbacks unless one is passed in
+const auditLog = createAuditLog(config.audit);
+
+export {
+  AuditLog,
+  AuditSink,
+  FileAuditSink,
+  MemoryAuditSink,
+  auditActor,
+  auditContext,
+  auditLog,
+  createAuditLog
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import config from '../config/index.js';
+import { auditActor, auditLog } from './auditLog.js';
+import { tracer } from './tracing.js';
+import { callbackAttempts, callbackDeliveries } from './metrics.js';
+
+/**
+ * Delivers a callback to Salesforce, retrying transient failures with exponential backoff.
+ *
+ * The payload is stored with the job before the first attempt so it can be replayed later.
+ * Callbacks still undeliverable once the attempts are used up are marked `dead_letter`
+ * on the job, and can be listed with `GET /api/jobs?callbackStatus=dead_letter`.
+ *
+ * @param {object} options
+ * @param {string} options.jobId - The provisioning job ID.
+ * @param {string} [options.callbackUrl] - URL to call back, the callback is skipped when missing.
+ * @param {object} options.org - The AppLink org used to make the authenticated request.
+ * @param {object} options.payload - Callback body matching the `provisioningStatus` callback schema.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @param {object} [options.retry] - Retry settings, defaults to `config.callbacks`.
+ * @param {import('./auditLog.js').AuditLog} [options.audit] - Audit log recording delivered and dead-lettered callbacks.
+ * @returns {Promise<object>} - The recorded callback outcome.
+ */
+async function deliverCallback ({ jobId, callbackUrl, org, payload, jobStore, logger, retry = config.callbacks, audit = auditLog }) {
+  const job = await jobStore.update(jobId, { callbackPayload: payload });
+  const previousAttempts = job.callback?.attempts || 0;
+
+  if (!callbackUrl) {
+    logger.warn(`No callbackUrl provided for provisioning job ${jobId}, skipping callback execution`);
+    return recordOutcome(jobStore, jobId, { status: 'skipped', attempts: previousAttempts });
+  }
+
+  const outcome = await postCallback({
+    jobId,
+    callbackUrl,
+    org,
+    payload,
+    logger,
+    retry,
+    onRetry: ({ attempts, error }) => recordOutcome(jobStore, jobId, {
+      status: 'pending',
+      attempts: previousAttempts + attempts,
+      statusCode: error.response?.status,
+      error: error.message
+    })
+  });
+  const attempts = previousAttempts + outcome.attempts;
+  let callback;
+  if (outcome.delivered) {
+    logger.info(`Provisioning callback executed successfully for Job ID: ${jobId}. Services returned: ${payload.services.length}`);
+    callback = { status: 'delivered', attempts, deliveredAt: new Date().toISOString() };
+  } else {
+    logger.error({ err: outcome.error, jobId, attempts }, `Failed to execute provisioning callback for Job ID: ${jobId}, moved to dead letter`);
+    callback = {
+      status: 'dead_letter',
+      attempts,
+      statusCode: outcome.error?.response?.status,
+      error: outcome.error?.message
+    };
+  }
+
+  callbackDeliveries.inc({ status: callback.status });
+  await audit.record({
+    type: 'callback.delivery',
+    actor: auditActor(org),
+    jobId,
+    opportunityIds: payload.opportunityIds,
+    details: { callbackUrl, ...callback }
+  }, logger);
+  return recordOutcome(jobStore, jobId, callback);
+}
+
+/**
+ * Posts a payload to a Salesforce callback URL, retrying transient failures with exponential backoff.
+ * Nothing is recorded on the job, see `deliverCallback`.
+ * @param {object} options
+ * @param {string} options.jobId - The provisioning job ID, used in log messages.
+ * @param {string} options.callbackUrl - URL to call back.
+ * @param {object} options.org - The AppLink org used to make the authenticated request.
+ * @param {object} options.payload - Callback body.
+ * @param {object} options.logger - A logger instance.
+ * @param {object} [options.retry] - Retry settings, defaults to `config.callbacks`.
+ * @param {Function} [options.onRetry] - Called with the `attempts` so far and the `error` before each retry.
+ * @returns {Promise<{ delivered: boolean, attempts: number, error?: Error }>}
+ */
+async function postCallback ({ jobId, callbackUrl, org, payload, logger, retry = config.callbacks, onRetry }) {
+  return tracer.trace('callback post', { 'job.id': jobId, 'callback.sequence': payload.sequence, 'callback.final': payload.final }, async span => {
+    let lastError;
+    let attempts = 0;
+    for (let attempt = 1; attempt <= retry.maxAttempts; attempt++) {
+      attempts = attempt;
+      try {
+        // Use AppLink SDK's request method for authenticated callback to Salesforce
+        // The SDK handles authentication automatically; the response body is not needed
+        const requestOptions = {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        };
+        await org.request(callbackUrl, requestOptions, false);
+        callbackAttempts.inc({ outcome: 'success' });
+        span.setAttributes({ 'callback.attempts': attempt, 'callback.delivered': true });
+        return { delivered: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        callbackAttempts.inc({ outcome: 'failure' });
+        const statusCode = error.response?.status;
+        if (!isRetryable(error) || attempt === retry.maxAttempts) {
+          break;
+        }
+        const delayMs = backoffDelay(attempt, retry);
+        logger.warn({ err: error, jobId, attempt, statusCode, delayMs }, `Provisioning callback attempt ${attempt} failed for Job ID: ${jobId}, retrying`);
+        await onRetry?.({ attempts: attempt, error });
+        await sleep(delayMs);
+      }
+    }
+    span.setAttributes({ 'callback.attempts': attempts, 'callback.delivered': false, 'http.status_code': lastError?.response?.status });
+    span.recordException(lastError);
+    return { delivered: false, attempts, error: lastError };
+  });
+}
+
+/**
+ * Re-sends the callback stored for a job, e.g. after it was dead-lettered.
+ * @param {object} options
+ * @param {object} options.job - Job record holding the original request and `callbackPayload`.
+ * @param {object} options.org - The AppLink org used to make the authenticated request.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @returns {Promise<object>} - The recorded callback outcome.
+ */
+async function replayCallback ({ job, org, jobStore, logger }) {
+  logger.info(`Replaying provisioning callback for Job ID: ${job.jobId}`);
+  return deliverCallback({
+    jobId: job.jobId,
+    callbackUrl: job.request?.callbackUrl,
+    org,
+    payload: job.callbackPayload,
+    jobStore,
+    logger
+  });
+}
+
+async function recordOutcome (jobStore, jobId, outcome) {
+  const callback = { ...outcome, updatedAt: new Date().toISOString() };
+  await jobStore.update(jobId, { callback });
+  return callback;
+}
+
+/**
+ * Network errors, timeouts, throttling and server errors are worth retrying;
+ * other client errors (bad payload, expired callback) will not succeed on retry.
+ * @param {Error} error - Error thrown by `org.request`.
+ * @returns {boolean}
+ */
+function isRetryable (error) {
+  const statusCode = error.response?.status;
+  if (!statusCode) return true;
+  return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+/**
+ * Exponential backoff capped at `maxDelayMs`, with a random `jitter` fraction
+ * taken off each delay so retries from many jobs do not arrive in lockstep.
+ * @param {number} attempt - The attempt that just failed, starting at 1.
+ * @param {object} retry - Retry settings.
+ * @returns {number} - Delay in milliseconds before the next attempt.
+ */
+function backoffDelay (attempt, { baseDelayMs, maxDelayMs, jitter }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - jitter * Math.random()));
+}
+
+export {
+  deliverCallback,
+  postCallback,
+  replayCallback
+};
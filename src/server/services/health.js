@@ -0,0 +1,45 @@
+'use strict';
+
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// A dependency slower than this to answer is reported as down
+const CHECK_TIMEOUT_MS = 2000;
+
+/**
+ * Checks whether the process can take on work: jobs have to be recorded in the job store and
+ * handed to workers through the queue.
+ * @param {object} options
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.jobQueue - Job queue (see `jobQueue.js`).
+ * @param {number} [options.timeoutMs] - Time each dependency has to answer.
+ * @returns {Promise<{ status: string, checks: object }>} - `status` is `ok` when every check passed, else
+ *   `unavailable`; `checks` holds `ok` or the error per dependency.
+ */
+async function checkReadiness ({ jobStore, jobQueue, timeoutMs = CHECK_TIMEOUT_MS }) {
+  const dependencies = { jobStore, jobQueue };
+  const results = await Promise.all(Object.entries(dependencies).map(async ([name, dependency]) => {
+    const controller = new AbortController();
+    try {
+      await Promise.race([
+        dependency.ping(),
+        sleep(timeoutMs, undefined, { signal: controller.signal }).then(() => {
+          throw new Error(`No answer within ${timeoutMs}ms`);
+        })
+      ]);
+      return [name, 'ok'];
+    } catch (error) {
+      return [name, error.message];
+    } finally {
+      controller.abort();
+    }
+  }));
+  const checks = Object.fromEntries(results);
+  return {
+    status: Object.values(checks).every(result => result === 'ok') ? 'ok' : 'unavailable',
+    checks
+  };
+}
+
+export {
+  checkReadiness
+};
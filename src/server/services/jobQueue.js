@@ -0,0 +1,280 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import Redis from 'ioredis';
+
+// How often Redis consumers record that they are alive
+const HEARTBEAT_INTERVAL_MS = 10_000;
+
+// Consumers silent for longer are considered crashed and their messages are returned to the queue
+const CONSUMER_STALE_MS = 60_000;
+
+/**
+ * In-memory job queue. Only usable when the producer (web) and consumer (worker)
+ * run in the same process, e.g. locally or in tests.
+ */
+class MemoryJobQueue {
+  constructor () {
+    this.messages = [];
+    this.waiters = [];
+    // Dequeued messages not yet acknowledged
+    this.processing = new Set();
+    // Messages never leave this process
+    this.shared = false;
+  }
+
+  /**
+   * Adds a job message to the back of the queue.
+   * @param {object} message - Job message (must be JSON serializable).
+   * @returns {Promise<void>}
+   */
+  async enqueue (message) {
+    this.messages.push(structuredClone(message));
+    this.notify();
+  }
+
+  /**
+   * Takes the next job message, waiting up to `timeoutMs` for one to arrive.
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=5000] - How long to wait for a message.
+   * @param {AbortSignal} [options.signal] - Stops waiting early when aborted.
+   * @returns {Promise<object|null>} - The message, or null if none arrived in time.
+   */
+  async dequeue ({ timeoutMs = 5000, signal } = {}) {
+    if (this.messages.length === 0 && !signal?.aborted) {
+      await new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          this.waiters = this.waiters.filter(waiter => waiter !== done);
+          resolve();
+        };
+        const timer = setTimeout(done, timeoutMs);
+        signal?.addEventListener('abort', done);
+        this.waiters.push(done);
+      });
+    }
+    const message = this.messages.shift() || null;
+    if (message) this.processing.add(message);
+    return message;
+  }
+
+  /**
+   * Acknowledges a message as fully processed.
+   * @param {object} message - A message returned by `dequeue`.
+   * @returns {Promise<void>}
+   */
+  async ack (message) {
+    this.processing.delete(message);
+  }
+
+  /**
+   * Returns an unfinished message to the front of the queue.
+   * @param {object} message - A message returned by `dequeue`, possibly updated.
+   * @returns {Promise<void>}
+   */
+  async requeue (message) {
+    this.processing.delete(message);
+    this.messages.unshift(structuredClone(message));
+    this.notify();
+  }
+
+  /**
+   * Returns messages consumers that stopped without acknowledging them left behind to the queue.
+   * Messages of this queue cannot outlive the process that holds them, so there are none.
+   * @returns {Promise<number>} - Number of messages returned.
+   */
+  async recover () {
+    return 0;
+  }
+
+  /**
+   * IDs of the jobs whose messages are waiting or being processed.
+   * @returns {Promise<Set<string>>}
+   */
+  async jobIds () {
+    return new Set([...this.messages, ...this.processing].map(message => message.jobId));
+  }
+
+  /**
+   * Makes this process the one recovering lost jobs for a while, so several workers do not queue
+   * the same job twice. Only this process consumes the queue.
+   * @param {number} ttlMs - How long the lock is held.
+   * @returns {Promise<boolean>} - Whether the lock was acquired.
+   */
+  async lockRecovery (ttlMs) {
+    return true;
+  }
+
+  /**
+   * Checks that messages can be enqueued, for the readiness check.
+   * @returns {Promise<void>} - Rejects when they cannot.
+   */
+  async ping () {}
+
+  async close () {
+    this.waiters.forEach(waiter => waiter());
+  }
+
+  notify () {
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+}
+
+/**
+ * Redis-backed job queue using the reliable queue pattern: messages are moved
+ * atomically onto a processing list while a worker owns them, and removed on ack.
+ * Each consumer has its own processing list and records a heartbeat while it consumes,
+ * so the messages of a consumer that crashed can be returned to the queue (see `recover`).
+ * Works with any server speaking the Redis protocol (6.2+ for BLMOVE).
+ */
+class RedisJobQueue {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Redis connection URL (e.g. REDIS_URL).
+   * @param {string} options.name - Name of the list holding pending messages.
+   */
+  constructor ({ url, name }) {
+    // Heroku Data for Redis uses self-signed certificates on rediss:// URLs
+    const redisOptions = url.startsWith('rediss://') ? { tls: { rejectUnauthorized: false } } : {};
+    this.name = name;
+    this.consumerId = crypto.randomUUID();
+    this.processingName = this.processingListOf(this.consumerId);
+    // Consumer IDs scored by the time of their last heartbeat
+    this.consumersName = `${name}:consumers`;
+    this.heartbeat = null;
+    this.client = new Redis(url, redisOptions);
+    // Blocking commands hold the connection, so they get their own
+    this.blockingClient = this.client.duplicate();
+    this.rawMessages = new WeakMap();
+    // Any web or worker dyno may take a message
+    this.shared = true;
+  }
+
+  async enqueue (message) {
+    await this.client.lpush(this.name, JSON.stringify(message));
+  }
+
+  async dequeue ({ timeoutMs = 5000, signal } = {}) {
+    if (signal?.aborted) return null;
+    if (!this.heartbeat) {
+      await this.beat();
+      this.heartbeat = setInterval(() => this.beat().catch(() => {}), HEARTBEAT_INTERVAL_MS);
+      this.heartbeat.unref();
+    }
+    const raw = await this.blockingClient.blmove(this.name, this.processingName, 'RIGHT', 'LEFT', timeoutMs / 1000);
+    if (!raw) return null;
+    const message = JSON.parse(raw);
+    this.rawMessages.set(message, raw);
+    return message;
+  }
+
+  async ack (message) {
+    await this.client.lrem(this.processingName, 1, this.rawMessages.get(message));
+  }
+
+  async requeue (message) {
+    // Push onto the consuming end so the message is picked up next
+    await this.client.multi()
+      .lrem(this.processingName, 1, this.rawMessages.get(message))
+      .rpush(this.name, JSON.stringify(message))
+      .exec();
+  }
+
+  /**
+   * Returns the messages of consumers without a heartbeat for `staleMs` to the consuming end of the
+   * queue, along with those left on the single processing list older versions of this queue shared.
+   * @param {object} [options]
+   * @param {number} [options.staleMs] - Silence after which a consumer is considered crashed.
+   * @returns {Promise<number>} - Number of messages returned.
+   */
+  async recover ({ staleMs = CONSUMER_STALE_MS } = {}) {
+    const stale = await this.client.zrangebyscore(this.consumersName, '-inf', Date.now() - staleMs);
+    let recovered = 0;
+    for (const list of [`${this.name}:processing`, ...stale.map(consumerId => this.processingListOf(consumerId))]) {
+      while (await this.client.lmove(list, this.name, 'LEFT', 'RIGHT')) {
+        recovered++;
+      }
+    }
+    if (stale.length > 0) {
+      await this.client.zrem(this.consumersName, ...stale);
+    }
+    return recovered;
+  }
+
+  async jobIds () {
+    const consumers = await this.client.zrange(this.consumersName, 0, -1);
+    const lists = [this.name, `${this.name}:processing`, ...consumers.map(consumerId => this.processingListOf(consumerId))];
+    const messages = (await Promise.all(lists.map(list => this.client.lrange(list, 0, -1)))).flat();
+    return new Set(messages.map(raw => JSON.parse(raw).jobId));
+  }
+
+  async lockRecovery (ttlMs) {
+    return (await this.client.set(`${this.name}:recovery`, this.consumerId, 'PX', ttlMs, 'NX')) === 'OK';
+  }
+
+  async beat () {
+    await this.client.zadd(this.consumersName, Date.now(), this.consumerId);
+  }
+
+  processingListOf (consumerId) {
+    return `${this.name}:processing:${consumerId}`;
+  }
+
+  async ping () {
+    await this.client.ping();
+  }
+
+  async close () {
+    clearInterval(this.heartbeat);
+    this.blockingClient.disconnect();
+    await this.client.quit();
+  }
+}
+
+/**
+ * Creates the job queue configured for this process.
+ * @param {object} options - Queue configuration (see `config.queue`).
+ * @param {string} options.type - Adapter name: `memory` or `redis`.
+ * @param {string} [options.url] - Redis connection URL.
+ * @param {string} options.name - Queue name.
+ * @returns {MemoryJobQueue|RedisJobQueue}
+ */
+function createJobQueue ({ type, url, name }) {
+  switch (type) {
+    case 'memory':
+      return new MemoryJobQueue();
+    case 'redis':
+      if (!url) {
+        throw new Error('Redis job queue requires REDIS_URL to be set');
+      }
+      return new RedisJobQueue({ url, name });
+    default:
+      throw new Error(`Unknown job queue type: ${type}`);
+  }
+}
+
+/**
+ * Refuses a queue that hands jobs to other processes, e.g. a worker dyno, when those cannot read
+ * the job records: with a Redis queue and a file store, the worker would dequeue jobs
+ * that only exist on the filesystem of the web dyno that recorded them.
+ * @param {MemoryJobQueue|RedisJobQueue} jobQueue - Queue of this process.
+ * @param {import('./jobStore.js').JobStore} jobStore - Job repository of this process.
+ * @throws {Error} - When the queue is shared and the store is not.
+ */
+function assertJobStoreShared (jobQueue, jobStore) {
+  if (jobQueue.shared && !jobStore.shared) {
+    throw new Error('The Redis job queue hands jobs to other dynos, but they cannot read this dyno\'s job store. ' +
+      'Use a job store shared by all dynos (JOB_STORE=redis, the default when REDIS_URL is set, or ' +
+      'JOB_STORE_SHARED=true when JOB_STORE_DIR is on shared storage), ' +
+      'or JOB_QUEUE=memory to run jobs in the web process.');
+  }
+}
+
+export {
+  MemoryJobQueue,
+  RedisJobQueue,
+  assertJobStoreShared,
+  createJobQueue
+};
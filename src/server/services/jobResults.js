@@ -0,0 +1,186 @@
+'use strict';
+
+import { jobsFinished } from './metrics.js';
+import { writeResults } from './recordWriteback.js';
+import { createResultPublisher } from '../publishers/index.js';
+
+/**
+ * Records the final outcome of a job from its per service results and reports it to Salesforce.
+ * See `summarizeResults` for how the status is decided.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID.
+ * @param {string} options.label - Kind of job, used in log messages (e.g. `Provisioning`).
+ * @param {Array<string>} options.opportunityIds - Opportunity IDs from the request.
+ * @param {Array<object>} options.services - Per service results, failures have status `Failed`.
+ * @param {Array<object>} [options.rejected] - Opportunities and line items rejected before provisioning.
+ * @param {object} options.org - The AppLink org, used to publish the results.
+ * @param {string} [options.callbackUrl] - URL to call back with the results.
+ * @param {Array<string>} [options.publishers] - Result publishers chosen by the request.
+ * @param {import('../publishers/index.js').PublishingSettings} [options.publishing] - Publishing settings from ProvisioningParameter__mdt.
+ * @param {import('./recordWriteback.js').WritebackSettings} [options.writeback] - Writes the results to Salesforce records when set.
+ * @param {import('../utils/errors.js').JobStoppedError} [options.stopped] - Why the job stopped before handling every line item.
+ * @param {object} [options.progress] - Progress reporter of the job, see `progressCallbacks.js`.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @returns {Promise<string>} - Final job status.
+ */
+async function completeJob ({ jobId, label, opportunityIds, services, rejected = [], org, callbackUrl, publishers, publishing, writeback, stopped, progress, jobStore, logger }) {
+  const { summary, status, errors } = summarizeResults({ services, rejected, stopped });
+
+  logger.info(`${label} job ${jobId} ${status}. ${summary.succeeded} services succeeded, ${summary.failed} failed${summary.pending > 0 ? `, ${summary.pending} pending` : ''}${rejected.length > 0 ? `, ${rejected.length} rejected` : ''}.`);
+  const job = await jobStore.update(jobId, {
+    status,
+    summary,
+    errors,
+    completedAt: new Date().toISOString()
+  });
+  jobsFinished.inc({ operation: job.type, status });
+
+  // Records are written before publishing so Salesforce sees them when it is notified
+  if (writeback) {
+    await writeBack({ jobId, services, settings: writeback, org, jobStore, logger });
+  }
+
+  // After progress callbacks, the final results only carry the services not reported yet
+  const { sequence, reported } = progress ? await progress.finish() : { sequence: 1, reported: new Set() };
+  const publisher = createResultPublisher({ jobId, callbackUrl, org, publishers, settings: publishing, jobStore, logger });
+  await publisher.publish({
+    jobId,
+    opportunityIds,
+    services: services.filter(service => !reported.has(service.lineItemId)),
+    rejected,
+    summary,
+    status,
+    errors,
+    sequence,
+    final: true
+  });
+  return status;
+}
+
+/**
+ * Decides the outcome of a job from its per service results. The job is `completed` when no service
+ * failed and nothing was rejected, `failed` when no service succeeded or is still pending and `partial`
+ * otherwise. `Pending` services are counted on their own, not as succeeded, so the outcome is decided
+ * again when provider events settle them. A job stopped early takes the status of the reason.
+ * @param {object} results
+ * @param {Array<object>} results.services - Per service results, failures have status `Failed`.
+ * @param {Array<object>} [results.rejected] - Opportunities and line items rejected before provisioning.
+ * @param {import('../utils/errors.js').JobStoppedError} [results.stopped] - Why the job stopped early.
+ * @returns {{ summary: object, status: string, errors: Array<string> }}
+ */
+function summarizeResults ({ services, rejected = [], stopped }) {
+  const failedServices = services.filter(service => service.status === 'Failed');
+  const pending = services.filter(service => service.status === 'Pending').length;
+  const summary = {
+    total: services.length,
+    succeeded: services.length - failedServices.length - pending,
+    failed: failedServices.length,
+    pending
+  };
+  let status = 'completed';
+  if (summary.failed > 0 || rejected.length > 0) {
+    status = summary.succeeded > 0 || summary.pending > 0 ? 'partial' : 'failed';
+  }
+  if (stopped) {
+    status = stopped.status;
+  }
+  const errors = [
+    ...(stopped ? [stopped.message] : []),
+    ...rejected.map(item => `${item.lineItemId || item.opportunityId}: [${item.reason}] ${item.message}`),
+    ...failedServices.map(service => `${service.lineItemId}: [${service.errorCode}] ${service.message}`)
+  ];
+  return { summary, status, errors };
+}
+
+/**
+ * Marks a job as failed as a whole (e.g. a query failed before any line item was processed)
+ * and still reports the failure to Salesforce.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID.
+ * @param {Array<string>} options.opportunityIds - Opportunity IDs from the request.
+ * @param {Error} options.error - The error that stopped the job.
+ * @param {object} [options.org] - The AppLink org, used to publish the failure.
+ * @param {string} [options.callbackUrl] - URL to call back with the failure.
+ * @param {Array<string>} [options.publishers] - Result publishers chosen by the request.
+ * @param {import('../publishers/index.js').PublishingSettings} [options.publishing] - Publishing settings, when already read.
+ * @param {object} [options.progress] - Progress reporter of the job, see `progressCallbacks.js`.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @returns {Promise<string>} - Always `failed`.
+ */
+async function failJob ({ jobId, opportunityIds, error, org, callbackUrl, publishers, publishing, progress, jobStore, logger }) {
+  const summary = { total: 0, succeeded: 0, failed: 0, pending: 0 };
+  const errors = [error.message];
+  let operation;
+  try {
+    const job = await jobStore.update(jobId, {
+      status: 'failed',
+      summary,
+      errors,
+      completedAt: new Date().toISOString()
+    });
+    operation = job.type;
+  } catch (storeError) {
+    logger.error({ err: storeError, jobId }, `Failed to record failure for Job ID: ${jobId}`);
+  }
+  jobsFinished.inc({ operation, status: 'failed' });
+
+  if (org) {
+    const { sequence } = progress ? await progress.finish() : { sequence: 1 };
+    const publisher = createResultPublisher({ jobId, callbackUrl, org, publishers, settings: publishing, jobStore, logger });
+    await publisher.publish({ jobId, opportunityIds, services: [], rejected: [], summary, status: 'failed', errors, sequence, final: true });
+  }
+  return 'failed';
+}
+
+/**
+ * Writes the results to Salesforce records and records the outcome on the job.
+ * Write-back problems never fail the job itself.
+ * @param {object} options - See `writeResults`, plus the `jobStore`.
+ */
+async function writeBack ({ jobStore, ...options }) {
+  let writeback;
+  try {
+    const { records } = await writeResults(options);
+    writeback = { status: 'completed', records };
+  } catch (error) {
+    options.logger.error({ err: error, jobId: options.jobId }, `Failed to write results to Salesforce for Job ID: ${options.jobId}`);
+    writeback = { status: 'failed', error: error.message };
+  }
+  try {
+    await jobStore.update(options.jobId, { writeback: { ...writeback, updatedAt: new Date().toISOString() } });
+  } catch (storeError) {
+    options.logger.error({ err: storeError, jobId: options.jobId }, `Failed to record write-back outcome for Job ID: ${options.jobId}`);
+  }
+}
+
+/**
+ * Rebuilds the per service results of a provisioning job from the line items recorded in its job record,
+ * in the order the line items were queried. Running jobs keep each result in the job store only.
+ * @param {object} job - The job record.
+ * @returns {Array<object>} - Per service results of the line items handled so far.
+ */
+function recordedServices (job) {
+  return job.lineItems
+    .filter(item => item.status !== 'Provisioning')
+    .sort((a, b) => (a.counter ?? Infinity) - (b.counter ?? Infinity))
+    .map(item => ({
+      ...(item.serviceId && { serviceId: item.serviceId }),
+      opportunityId: item.opportunityId,
+      lineItemId: item.lineItemId,
+      productReference: item.productReference,
+      status: item.status,
+      // Records keep the error code of an earlier failed run when the line item is provisioned again
+      ...(item.status === 'Failed' && { errorCode: item.errorCode }),
+      message: item.message,
+      parameters: item.parameters
+    }));
+}
+
+export {
+  completeJob,
+  failJob,
+  recordedServices,
+  summarizeResults
+};
@@ -0,0 +1,754 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import Redis from 'ioredis';
+import { toCaseSafeId } from '../utils/salesforceIds.js';
+
+// Job IDs are UUIDs; anything else is rejected before touching storage
+const JOB_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+// Jobs that may still be working on their line items, or waiting for their provider to finish them
+const ACTIVE_STATUSES = ['queued', 'running', 'awaiting_provider'];
+
+// Statuses jobs end in; finished jobs are deleted by `purge` once past the retention period
+const FINISHED_STATUSES = ['completed', 'partial', 'failed', 'timed_out', 'cancelled'];
+
+// Line item statuses of modify and deprovision jobs while they call the provider
+const CHANGING_STATUSES = ['Modifying', 'Deprovisioning'];
+
+// Locks of the Redis store expire after this long, in case the process holding one dies
+const LOCK_TTL_MS = 30_000;
+
+// How often a process waiting for a Redis lock tries again
+const LOCK_RETRY_MS = 20;
+
+// Deletes a Redis lock only if this process still holds it
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Base job repository. Records each provisioning job's request, per-line-item
+ * progress, final summary and callback outcome.
+ *
+ * Adapters implement the storage primitives `read`, `write`, `remove` and `readAll`;
+ * an adapter backed by a database (e.g. Postgres) may also override `list`
+ * and `findJobs` to push filtering down into a query. Adapters whose jobs every
+ * process sees set `shared`, which queues handing jobs to other processes require.
+ *
+ * Changes are serialised with `withLock`, which only holds within one process.
+ * Adapters shared by several processes override it with a lock they all see
+ * (like the Redis adapter), or use transactions or conditional writes to keep
+ * `modify`, `claimLineItem`, `claimService` and `createIdempotent` safe across processes.
+ */
+class JobStore {
+  constructor () {
+    this.locks = new Map();
+    this.shared = false;
+  }
+
+  /**
+   * Prepares the underlying storage (directories, connections, tables).
+   * @returns {Promise<void>}
+   */
+  async init () {}
+
+  /**
+   * Checks that the underlying storage can be used, for the readiness check.
+   * @returns {Promise<void>} - Rejects when it cannot.
+   */
+  async ping () {}
+
+  /**
+   * Releases any resources held by the adapter.
+   * @returns {Promise<void>}
+   */
+  async close () {}
+
+  /**
+   * Creates a new job record.
+   * @param {object} job - Initial job fields, must include `jobId`.
+   * @returns {Promise<object>} - The stored job record.
+   */
+  async create (job) {
+    if (!isValidJobId(job.jobId)) {
+      throw new Error(`Invalid job ID: ${job.jobId}`);
+    }
+    const now = new Date().toISOString();
+    const record = {
+      status: 'queued',
+      lineItems: [],
+      errors: [],
+      ...job,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.write(record);
+    return record;
+  }
+
+  /**
+   * Fetches a job by ID.
+   * @param {string} jobId - The job ID.
+   * @returns {Promise<object|null>} - The job record or null if not found.
+   */
+  async get (jobId) {
+    if (!isValidJobId(jobId)) {
+      return null;
+    }
+    return this.read(jobId);
+  }
+
+  /**
+   * Merges top-level fields into an existing job.
+   * @param {string} jobId - The job ID.
+   * @param {object} changes - Fields to overwrite.
+   * @returns {Promise<object>} - The updated job record.
+   */
+  async update (jobId, changes) {
+    return this.modify(jobId, job => Object.assign(job, changes));
+  }
+
+  /**
+   * Records progress for a single Opportunity line item of a job.
+   * @param {string} jobId - The job ID.
+   * @param {string} lineItemId - The OpportunityLineItem ID.
+   * @param {object} progress - Fields describing the line item state (status, serviceId, message, ...).
+   * @returns {Promise<object>} - The updated job record.
+   */
+  async updateLineItem (jobId, lineItemId, progress) {
+    return this.modify(jobId, job => {
+      const updatedAt = new Date().toISOString();
+      const existing = job.lineItems.find(item => item.lineItemId === lineItemId);
+      if (existing) {
+        Object.assign(existing, progress, { updatedAt });
+      } else {
+        job.lineItems.push({ lineItemId, ...progress, updatedAt });
+      }
+    });
+  }
+
+  /**
+   * Lists jobs, most recent first.
+   * @param {object} [filter]
+   * @param {string} [filter.orgId] - Only jobs submitted from this Salesforce org.
+   * @param {string} [filter.status] - Only jobs in this status.
+   * @param {string} [filter.opportunityId] - Only jobs that requested this Opportunity, by its 15 or 18 character ID.
+   * @param {string} [filter.callbackStatus] - Only jobs whose callback is in this status (e.g. `dead_letter`).
+   * @param {number} [filter.limit=50] - Maximum number of jobs to return.
+   * @returns {Promise<Array<object>>}
+   */
+  async list ({ orgId, status, opportunityId, callbackStatus, limit = 50 } = {}) {
+    // Only the jobs under the narrowest index key the filter allows are read
+    let jobs;
+    if (orgId && opportunityId) {
+      jobs = await this.findJobs([opportunityKey(orgId, opportunityId)]);
+    } else if (status) {
+      jobs = await this.findJobs([statusKey(status)]);
+    } else if (orgId) {
+      jobs = await this.findJobs([orgKey(orgId)]);
+    } else {
+      jobs = await this.readAll();
+    }
+    return jobs
+      .filter(job => !orgId || job.orgId === orgId)
+      .filter(job => !status || job.status === status)
+      .filter(job => !opportunityId || (job.request?.opportunityIds || []).some(id => caseSafe(id) === caseSafe(opportunityId)))
+      .filter(job => !callbackStatus || job.callback?.status === callbackStatus)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Finds the services an org's provisioning jobs have provisioned and that are still active,
+   * oldest first. A service is returned when it matches any of the given selectors.
+   * @param {object} filter
+   * @param {string} filter.orgId - Salesforce org that provisioned the services.
+   * @param {Array<string>} [filter.opportunityIds] - Services for line items of these Opportunities, by 15 or 18 character IDs.
+   * @param {Array<string>} [filter.lineItemIds] - Services for these OpportunityLineItems, by 15 or 18 character IDs.
+   * @param {Array<string>} [filter.serviceIds] - Services with these provider IDs.
+   * @returns {Promise<Array<object>>} - Line item records, each with the `jobId` that provisioned it.
+   */
+  async findServices ({ orgId, opportunityIds = [], lineItemIds = [], serviceIds = [] }) {
+    const jobs = await this.findJobs([
+      ...opportunityIds.map(opportunityId => opportunityKey(orgId, opportunityId)),
+      ...lineItemIds.map(lineItemId => lineItemKey(orgId, lineItemId)),
+      ...serviceIds.map(serviceKey)
+    ]);
+    const opportunities = new Set(opportunityIds.map(caseSafe));
+    const lineItems = new Set(lineItemIds.map(caseSafe));
+    return jobs
+      .filter(job => job.orgId === orgId && (job.type || 'provision') === 'provision')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .flatMap(job => job.lineItems
+        .filter(item => item.status === 'Provisioned' && item.serviceId)
+        .filter(item => opportunities.has(caseSafe(item.opportunityId)) ||
+          lineItems.has(caseSafe(item.lineItemId)) ||
+          serviceIds.includes(item.serviceId))
+        .map(item => ({ ...item, jobId: job.jobId })));
+  }
+
+  /**
+   * Finds the line item a provider returned a service ID for, in the most recent provisioning job that has it.
+   * @param {string} serviceId - Service ID returned by the provider.
+   * @param {string} [jobId] - Only look in this job.
+   * @param {(item: object) => boolean} [accepts] - Only consider line items it accepts, e.g. those of one org.
+   * @returns {Promise<object|null>} - The line item record with its `jobId` and `orgId`, or null.
+   */
+  async findService (serviceId, jobId, accepts = () => true) {
+    const jobs = jobId ? [await this.get(jobId)].filter(Boolean) : await this.findJobs([serviceKey(serviceId)]);
+    return jobs
+      .filter(job => (job.type || 'provision') === 'provision')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .flatMap(job => job.lineItems
+        .filter(item => item.serviceId === serviceId)
+        .map(item => ({ ...item, jobId: job.jobId, orgId: job.orgId })))
+      .find(accepts) || null;
+  }
+
+  /**
+   * Finds the job an org submitted with an `idempotencyKey`.
+   * @param {string} orgId - Salesforce org that submitted the job.
+   * @param {string} idempotencyKey - Client key of the submission.
+   * @returns {Promise<object|null>}
+   */
+  async findIdempotent (orgId, idempotencyKey) {
+    return (await this.findJobs([idempotencyKeyOf(orgId, idempotencyKey)]))
+      .find(job => job.orgId === orgId && job.idempotencyKey === idempotencyKey) || null;
+  }
+
+  /**
+   * Creates a job unless the org already submitted one with the same `idempotencyKey`.
+   * @param {object} job - Initial job fields, must include `jobId`, `orgId` and `idempotencyKey`.
+   * @returns {Promise<{ job: object, created: boolean }>} - The new job, or the original one when repeated.
+   */
+  async createIdempotent (job) {
+    return this.withLock(`idempotency:${job.orgId}:${job.idempotencyKey}`, async () => {
+      const existing = await this.findIdempotent(job.orgId, job.idempotencyKey);
+      if (existing) {
+        return { job: existing, created: false };
+      }
+      return { job: await this.create(job), created: true };
+    });
+  }
+
+  /**
+   * Marks a line item as being provisioned by a job, unless another provisioning job of the
+   * same org has already provisioned it or is still provisioning it. Claims are serialised
+   * per org so concurrent jobs for the same Opportunity cannot both provision a line item.
+   * @param {string} jobId - The job claiming the line item.
+   * @param {string} orgId - Salesforce org the job belongs to.
+   * @param {string} lineItemId - The OpportunityLineItem ID.
+   * @param {object} progress - Line item fields recorded when the claim succeeds.
+   * @returns {Promise<object|null>} - The other job's line item (with its `jobId`), or null when claimed.
+   */
+  async claimLineItem (jobId, orgId, lineItemId, progress) {
+    return this.withLock(`lineItems:${orgId}`, async () => {
+      const jobs = await this.findJobs([lineItemKey(orgId, lineItemId)]);
+      const holder = jobs
+        .filter(job => job.orgId === orgId && job.jobId !== jobId && (job.type || 'provision') === 'provision')
+        .flatMap(job => job.lineItems
+          .filter(item => item.lineItemId === lineItemId)
+          // Line items left in progress by jobs that have since finished are stale
+          .filter(item => item.status === 'Provisioned' || (['Provisioning', 'Pending'].includes(item.status) && ACTIVE_STATUSES.includes(job.status)))
+          .map(item => ({ ...item, jobId: job.jobId })))[0];
+      if (holder) {
+        return holder;
+      }
+      await this.updateLineItem(jobId, lineItemId, progress);
+      return null;
+    });
+  }
+
+  /**
+   * Marks a provisioned service as being changed by a modify or deprovision job, unless another of the
+   * org's jobs is changing it or it is no longer provisioned. Claims are serialised per org, like line
+   * item claims, so a modification and a deprovisioning of the same service cannot both reach the provider.
+   * @param {string} jobId - The job claiming the service.
+   * @param {string} orgId - Salesforce org the job belongs to.
+   * @param {object} service - The service from `findServices`, with the `jobId` that provisioned it.
+   * @param {object} progress - Line item fields recorded when the claim succeeds.
+   * @returns {Promise<object|null>} - The line item holding the service (with its `jobId`), the provisioning
+   *   job's line item when it is no longer provisioned, or null when claimed.
+   */
+  async claimService (jobId, orgId, service, progress) {
+    return this.withLock(`lineItems:${orgId}`, async () => {
+      const owner = (await this.get(service.jobId))?.lineItems.find(item => item.lineItemId === service.lineItemId);
+      if (owner?.status !== 'Provisioned' || owner.serviceId !== service.serviceId) {
+        return { ...owner, jobId: service.jobId };
+      }
+      const jobs = await this.findJobs([serviceKey(service.serviceId)]);
+      const holder = jobs
+        .filter(job => job.orgId === orgId && job.jobId !== jobId && ['modify', 'deprovision'].includes(job.type) && ACTIVE_STATUSES.includes(job.status))
+        .flatMap(job => job.lineItems
+          .filter(item => item.serviceId === service.serviceId && CHANGING_STATUSES.includes(item.status))
+          .map(item => ({ ...item, jobId: job.jobId })))[0];
+      if (holder) {
+        return holder;
+      }
+      await this.updateLineItem(jobId, service.lineItemId, progress);
+      return null;
+    });
+  }
+
+  /**
+   * Applies a mutation to a job, serialising concurrent changes to the same job
+   * so parallel line item updates do not overwrite each other.
+   * @param {string} jobId - The job ID.
+   * @param {Function} mutate - Receives the job record and changes it in place.
+   * @returns {Promise<object>} - The updated job record.
+   */
+  async modify (jobId, mutate) {
+    return this.withLock(jobId, async () => {
+      const job = await this.get(jobId);
+      if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+      }
+      mutate(job);
+      job.updatedAt = new Date().toISOString();
+      await this.write(job);
+      return job;
+    });
+  }
+
+  /**
+   * Deletes the jobs that finished before a point in time, except provisioning jobs that still hold
+   * provisioned or pending services, which modifications and deprovisionings find the services through.
+   * @param {string} finishedBefore - ISO 8601 time; jobs last updated earlier are deleted.
+   * @returns {Promise<Array<string>>} - IDs of the deleted jobs.
+   */
+  async purge (finishedBefore) {
+    const expired = job => job && FINISHED_STATUSES.includes(job.status) && job.updatedAt < finishedBefore &&
+      !job.lineItems.some(item => ['Provisioned', 'Pending'].includes(item.status));
+    const candidates = (await this.findJobs(FINISHED_STATUSES.map(statusKey))).filter(expired);
+    const purged = [];
+    for (const candidate of candidates) {
+      // The job may have changed since it was read, e.g. by a callback replay
+      await this.withLock(candidate.jobId, async () => {
+        if (expired(await this.get(candidate.jobId))) {
+          await this.remove(candidate.jobId);
+          purged.push(candidate.jobId);
+        }
+      });
+    }
+    return purged;
+  }
+
+  /**
+   * Reads the jobs that may have been indexed under any of the given keys (see `indexKeys`).
+   * Adapters answer from an index or a query; this default reads every job, so callers
+   * check the jobs returned against what they look for.
+   * @param {Array<string>} keys - Index keys, e.g. from `lineItemKey`.
+   * @returns {Promise<Array<object>>} - Job records, each at most once.
+   */
+  async findJobs (keys) {
+    return this.readAll();
+  }
+
+  /**
+   * Runs a task once all earlier tasks for the same key have settled. Only tasks
+   * of this process are serialised, see the class description.
+   * @param {string} key - Lock name, a job ID or a prefixed name for wider locks.
+   * @param {Function} task - Async function to run while holding the lock.
+   * @returns {Promise<*>} - The task's result.
+   */
+  async withLock (key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const next = previous.then(task);
+    // Keep the chain alive even if this task fails
+    const settled = next.catch(() => {});
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    });
+    return next;
+  }
+
+  async read (jobId) {
+    throw new Error('read() not implemented by job store adapter');
+  }
+
+  async write (job) {
+    throw new Error('write() not implemented by job store adapter');
+  }
+
+  async remove (jobId) {
+    throw new Error('remove() not implemented by job store adapter');
+  }
+
+  async readAll () {
+    throw new Error('readAll() not implemented by job store adapter');
+  }
+}
+
+/**
+ * In-memory job store, used for tests and local experiments.
+ * Jobs are lost when the process exits.
+ */
+class MemoryJobStore extends JobStore {
+  constructor () {
+    super();
+    this.jobs = new Map();
+    this.index = new JobIndex();
+  }
+
+  async read (jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  async write (job) {
+    this.jobs.set(job.jobId, structuredClone(job));
+    this.index.add(job);
+  }
+
+  async remove (jobId) {
+    this.jobs.delete(jobId);
+    this.index.remove(jobId);
+  }
+
+  async findJobs (keys) {
+    return (await Promise.all(this.index.jobIds(keys).map(jobId => this.read(jobId)))).filter(Boolean);
+  }
+
+  async readAll () {
+    return [...this.jobs.values()].map(job => structuredClone(job));
+  }
+}
+
+/**
+ * File-backed job store writing one JSON document per job into a directory.
+ * Survives process restarts on the same filesystem. Lookups by org, status, line item, service
+ * or idempotency key use an index built when the store is initialised and kept up
+ * to date by this process's writes; a `shared` directory is also written by other
+ * processes, so lookups then read every job instead.
+ */
+class FileJobStore extends JobStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory to keep job documents in.
+   * @param {boolean} [options.shared=false] - Whether every process mounts the same directory.
+   */
+  constructor ({ dir, shared = false }) {
+    super();
+    this.dir = dir;
+    this.shared = shared;
+    this.index = new JobIndex();
+  }
+
+  async init () {
+    await fs.mkdir(this.dir, { recursive: true });
+    if (!this.shared) {
+      (await this.readAll()).forEach(job => this.index.add(job));
+    }
+  }
+
+  async ping () {
+    await fs.access(this.dir, fs.constants.W_OK);
+  }
+
+  async read (jobId) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(jobId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write (job) {
+    // Write to a temporary file first so readers never see a partial document
+    const file = this.fileFor(job.jobId);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(job, null, 2));
+    await fs.rename(tmpFile, file);
+    this.index.add(job);
+  }
+
+  async remove (jobId) {
+    await fs.rm(this.fileFor(jobId), { force: true });
+    this.index.remove(jobId);
+  }
+
+  async findJobs (keys) {
+    if (this.shared) {
+      return super.findJobs(keys);
+    }
+    return (await Promise.all(this.index.jobIds(keys).map(jobId => this.read(jobId)))).filter(Boolean);
+  }
+
+  async readAll () {
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const jobs = await Promise.all(files.map(file => this.read(path.basename(file, '.json'))));
+    return jobs.filter(Boolean);
+  }
+
+  fileFor (jobId) {
+    return path.join(this.dir, `${jobId}.json`);
+  }
+}
+
+/**
+ * Redis-backed job store, shared by every web and worker dyno connected to the same Redis, which
+ * makes it the store for the Redis job queue. Each job is a JSON string; index keys (see `indexKeys`)
+ * are sets of job IDs, and each job has a set of the index keys it was added to, for `remove`. `withLock` also takes a Redis lock, so changes are serialised across processes.
+ */
+class RedisJobStore extends JobStore {
+  /**
+   * @param {object} options
+   * @param {string} [options.url] - Redis connection URL (e.g. REDIS_URL).
+   * @param {string} [options.prefix='jobs'] - Prefix of the keys the store writes.
+   * @param {object} [options.client] - Connected ioredis client to use instead of connecting to `url`.
+   */
+  constructor ({ url, prefix = 'jobs', client }) {
+    super();
+    // Heroku Data for Redis uses self-signed certificates on rediss:// URLs
+    const redisOptions = url?.startsWith('rediss://') ? { tls: { rejectUnauthorized: false } } : {};
+    this.client = client || new Redis(url, redisOptions);
+    this.prefix = prefix;
+    this.shared = true;
+  }
+
+  async ping () {
+    await this.client.ping();
+  }
+
+  async close () {
+    await this.client.quit();
+  }
+
+  async read (jobId) {
+    const raw = await this.client.get(this.jobKey(jobId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async write (job) {
+    const keys = [...new Set(indexKeys(job))];
+    const transaction = this.client.multi()
+      .set(this.jobKey(job.jobId), JSON.stringify(job))
+      .sadd(`${this.prefix}:all`, job.jobId)
+      .sadd(this.keysKey(job.jobId), ...keys);
+    // A job is only listed under its current status
+    for (const status of [...ACTIVE_STATUSES, ...FINISHED_STATUSES].filter(status => status !== job.status)) {
+      transaction.srem(this.indexKey(statusKey(status)), job.jobId);
+    }
+    for (const key of keys) {
+      transaction.sadd(this.indexKey(key), job.jobId);
+    }
+    await transaction.exec();
+  }
+
+  async remove (jobId) {
+    const keys = await this.client.smembers(this.keysKey(jobId));
+    const transaction = this.client.multi()
+      .del(this.jobKey(jobId), this.keysKey(jobId))
+      .srem(`${this.prefix}:all`, jobId);
+    for (const key of keys) {
+      transaction.srem(this.indexKey(key), jobId);
+    }
+    await transaction.exec();
+  }
+
+  async findJobs (keys) {
+    if (keys.length === 0) return [];
+    return this.readMany(await this.client.sunion(...keys.map(key => this.indexKey(key))));
+  }
+
+  async readAll () {
+    return this.readMany(await this.client.smembers(`${this.prefix}:all`));
+  }
+
+  async readMany (jobIds) {
+    if (jobIds.length === 0) return [];
+    const raws = await this.client.mget(...jobIds.map(jobId => this.jobKey(jobId)));
+    return raws.filter(Boolean).map(raw => JSON.parse(raw));
+  }
+
+  /**
+   * Runs a task holding both this process's lock and a Redis lock for the key, so tasks of every
+   * process sharing the store are serialised.
+   * @param {string} key - Lock name.
+   * @param {Function} task - Async function to run while holding the lock.
+   * @returns {Promise<*>} - The task's result.
+   */
+  async withLock (key, task) {
+    return super.withLock(key, async () => {
+      const lockKey = `${this.prefix}:lock:${key}`;
+      const token = crypto.randomUUID();
+      const deadline = Date.now() + LOCK_TTL_MS;
+      while ((await this.client.set(lockKey, token, 'PX', LOCK_TTL_MS, 'NX')) !== 'OK') {
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for job store lock ${key}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+      try {
+        return await task();
+      } finally {
+        await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+      }
+    });
+  }
+
+  jobKey (jobId) {
+    return `${this.prefix}:job:${jobId}`;
+  }
+
+  indexKey (key) {
+    return `${this.prefix}:index:${key}`;
+  }
+
+  keysKey (jobId) {
+    return `${this.prefix}:keys:${jobId}`;
+  }
+}
+
+/**
+ * Job IDs by the org, status, line items, Opportunities, services and idempotency keys they hold, so
+ * lookups read the few jobs concerned instead of all of them. Apart from the status, entries are only
+ * removed with the job: a job is indexed under everything it held at some point, and lookups check the
+ * jobs they read.
+ */
+class JobIndex {
+  constructor () {
+    this.entries = new Map();
+    // Keys each job is indexed under
+    this.keysByJob = new Map();
+  }
+
+  /**
+   * @param {object} job - Job record as written.
+   */
+  add (job) {
+    const keys = this.keysByJob.get(job.jobId) || new Set();
+    const status = statusKey(job.status);
+    for (const key of [...keys].filter(key => key.startsWith('status:') && key !== status)) {
+      this.delete(key, job.jobId);
+      keys.delete(key);
+    }
+    for (const key of indexKeys(job)) {
+      if (!this.entries.has(key)) {
+        this.entries.set(key, new Set());
+      }
+      this.entries.get(key).add(job.jobId);
+      keys.add(key);
+    }
+    this.keysByJob.set(job.jobId, keys);
+  }
+
+  /**
+   * @param {string} jobId - ID of a deleted job.
+   */
+  remove (jobId) {
+    for (const key of this.keysByJob.get(jobId) || []) {
+      this.delete(key, jobId);
+    }
+    this.keysByJob.delete(jobId);
+  }
+
+  delete (key, jobId) {
+    const jobIds = this.entries.get(key);
+    jobIds?.delete(jobId);
+    if (jobIds?.size === 0) this.entries.delete(key);
+  }
+
+  /**
+   * @param {Array<string>} keys - Index keys.
+   * @returns {Array<string>} - IDs of the jobs indexed under any of them.
+   */
+  jobIds (keys) {
+    return [...new Set(keys.flatMap(key => [...(this.entries.get(key) || [])]))];
+  }
+}
+
+/**
+ * Keys a job is indexed under, in the form `findJobs` is asked for, e.g. `lineItem:<orgId>:<lineItemId>`.
+ * @param {object} job - Job record.
+ * @returns {Array<string>}
+ */
+function indexKeys (job) {
+  const keys = [orgKey(job.orgId), statusKey(job.status)];
+  keys.push(...(job.request?.opportunityIds || []).map(opportunityId => opportunityKey(job.orgId, opportunityId)));
+  if (job.idempotencyKey) {
+    keys.push(idempotencyKeyOf(job.orgId, job.idempotencyKey));
+  }
+  for (const item of job.lineItems || []) {
+    keys.push(lineItemKey(job.orgId, item.lineItemId));
+    if (item.opportunityId) keys.push(opportunityKey(job.orgId, item.opportunityId));
+    if (item.serviceId) keys.push(serviceKey(item.serviceId));
+  }
+  return keys;
+}
+
+function lineItemKey (orgId, lineItemId) {
+  return `lineItem:${orgId}:${caseSafe(lineItemId)}`;
+}
+
+function opportunityKey (orgId, opportunityId) {
+  return `opportunity:${orgId}:${caseSafe(opportunityId)}`;
+}
+
+function orgKey (orgId) {
+  return `org:${orgId}`;
+}
+
+function statusKey (status) {
+  return `status:${status}`;
+}
+
+// Requests may name records by their 15 or 18 character IDs, which are indexed and compared alike
+function caseSafe (id) {
+  return typeof id === 'string' ? toCaseSafeId(id.trim()) : id;
+}
+
+// Service IDs come from providers and events carry no org, so they are indexed across orgs
+function serviceKey (serviceId) {
+  return `service:${serviceId}`;
+}
+
+function idempotencyKeyOf (orgId, idempotencyKey) {
+  return `idempotency:${orgId}:${idempotencyKey}`;
+}
+
+/**
+ * Creates and initializes the job store configured for this process.
+ * @param {object} options - Job store configuration (see `config.jobStore`).
+ * @param {string} options.type - Adapter name: `redis`, `file` or `memory`.
+ * @param {string} [options.url] - Redis connection URL for the redis adapter.
+ * @param {string} [options.dir] - Directory for the file adapter.
+ * @param {boolean} [options.shared] - Whether the file adapter's directory is shared by all processes.
+ * @returns {Promise<JobStore>}
+ */
+async function createJobStore ({ type, url, dir, shared }) {
+  let store;
+  switch (type) {
+    case 'memory':
+      store = new MemoryJobStore();
+      break;
+    case 'file':
+      store = new FileJobStore({ dir, shared });
+      break;
+    case 'redis':
+      if (!url) {
+        throw new Error('Redis job store requires REDIS_URL to be set');
+      }
+      store = new RedisJobStore({ url });
+      break;
+    default:
+      throw new Error(`Unknown job store type: ${type}`);
+  }
+  await store.init();
+  return store;
+}
+
+function isValidJobId (jobId) {
+  return typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId);
+}
+
+export {
+  JobStore,
+  MemoryJobStore,
+  FileJobStore,
+  RedisJobStore,
+  createJobStore
+};
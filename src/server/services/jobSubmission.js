@@ -0,0 +1,143 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import { auditContext } from './auditLog.js';
+import { parseTraceparent } from './tracing.js';
+import { jobsFinished, jobsRejected } from './metrics.js';
+
+/**
+ * Records a job before it is run, so it can be polled straight away.
+ * @param {import('./jobStore.js').JobStore} jobStore - Job repository.
+ * @param {object} options
+ * @param {string} options.orgId - Salesforce org submitting the job.
+ * @param {string} [options.userId] - Salesforce user submitting the job, counted by admission control.
+ * @param {string} [options.username] - Username of that user, which the worker audits the job's changes under.
+ * @param {string} options.type - Job operation, e.g. `provision`, `deprovision` or `modify`.
+ * @param {object} options.jobRequest - Request fields needed to run the job.
+ * @param {string} [options.idempotencyKey] - Client key identifying repeated submissions of the same request.
+ * @param {string} [options.deadline] - When the job has to be finished, see `jobDeadline`.
+ * @param {string} [options.traceparent] - Span of the submitting request, continued by the worker running the job.
+ * @returns {Promise<{ job: object, created: boolean }>} - The job, or the original job for a repeated key.
+ */
+async function recordJob (jobStore, { orgId, userId, username, type, jobRequest, idempotencyKey, deadline, traceparent }) {
+  const job = {
+    jobId: crypto.randomUUID(),
+    type,
+    orgId,
+    userId,
+    username,
+    request: jobRequest
+  };
+  if (deadline) {
+    job.deadline = deadline;
+  }
+  const trace = parseTraceparent(traceparent);
+  if (trace) {
+    job.traceId = trace.traceId;
+    job.traceparent = traceparent;
+  }
+  if (idempotencyKey) {
+    // A repeated submission (e.g. a double click or Apex retrying after a timeout) gets the original job back
+    return jobStore.createIdempotent({ ...job, idempotencyKey });
+  }
+  return { job: await jobStore.create(job), created: true };
+}
+
+/**
+ * Hands a recorded job to a worker, which continues the trace of the submitting request. The message
+ * names the job's org but carries no access token, as it may sit in Redis long after the submission;
+ * the worker connects to the org through the org's AppLink authorization. A job that cannot be queued is
+ * marked `failed`, so it neither stays `queued` forever nor counts against the submitter's concurrency.
+ * @param {object} jobQueue - Job queue (see `jobQueue.js`).
+ * @param {import('./jobStore.js').JobStore} jobStore - Job repository.
+ * @param {object} job - The recorded job.
+ * @param {string} [requestId] - AppLink request ID of the submission, logged by the worker.
+ * @returns {Promise<void>}
+ */
+async function enqueueJob (jobQueue, jobStore, job, requestId) {
+  try {
+    await jobQueue.enqueue({
+      jobId: job.jobId,
+      operation: job.type,
+      ...job.request,
+      deadline: job.deadline,
+      traceparent: job.traceparent,
+      orgId: job.orgId,
+      userId: job.userId,
+      username: job.username,
+      requestId
+    });
+  } catch (error) {
+    await jobStore.update(job.jobId, {
+      status: 'failed',
+      errors: [`Job could not be queued: ${error.message}`],
+      completedAt: new Date().toISOString()
+    });
+    jobsFinished.inc({ operation: job.type, status: 'failed' });
+    throw error;
+  }
+}
+
+/**
+ * Records in the audit log that a user submitted a job, including repeated submissions answered with the original job.
+ * @param {import('./auditLog.js').AuditLog} audit - Audit log.
+ * @param {import('fastify').FastifyRequest} request - The submitting request, with its Salesforce context.
+ * @param {object} submission
+ * @param {object} submission.job - The recorded job.
+ * @param {boolean} submission.created - Whether the request created the job.
+ * @param {object} submission.jobRequest - Request fields as submitted.
+ * @returns {Promise<void>}
+ */
+async function auditSubmission (audit, request, { job, created, jobRequest }) {
+  await audit.record({
+    type: 'request.received',
+    ...auditContext(request.salesforce),
+    jobId: job.jobId,
+    opportunityIds: jobRequest.opportunityIds,
+    details: {
+      operation: job.type,
+      route: `${request.method} ${request.routeOptions.url}`,
+      request: jobRequest,
+      idempotencyKey: job.idempotencyKey,
+      repeated: !created
+    }
+  }, request.log);
+}
+
+/**
+ * Replies 429 to a job submission admission control rejected, with a `Retry-After` header when waiting helps.
+ * @param {import('fastify').FastifyRequest} request
+ * @param {import('fastify').FastifyReply} reply
+ * @param {string} operation - Job operation that was submitted.
+ * @param {import('./admissionControl.js').AdmissionDecision} admission - The rejection.
+ * @returns {import('fastify').FastifyReply}
+ */
+function rejectSubmission (request, reply, operation, { error, reason, limit, retryAfterSeconds }) {
+  request.log.warn({ reason, limit, retryAfterSeconds }, `Rejected ${operation} job: ${error}`);
+  jobsRejected.inc({ operation, reason });
+  if (retryAfterSeconds) {
+    reply.header('Retry-After', String(retryAfterSeconds));
+  }
+  return reply.code(429).send({ error, reason, limit, retryAfterSeconds });
+}
+
+/**
+ * Works out when a job has to be finished: the deadline from the request, or `timeoutMs` from now.
+ * @param {string} [requested] - ISO 8601 deadline from the request.
+ * @param {number} [timeoutMs] - Default time allowed for the job, no deadline when 0.
+ * @returns {string|undefined} - ISO 8601 deadline.
+ */
+function jobDeadline (requested, timeoutMs) {
+  if (requested) {
+    return new Date(requested).toISOString();
+  }
+  return timeoutMs ? new Date(Date.now() + timeoutMs).toISOString() : undefined;
+}
+
+export {
+  auditSubmission,
+  enqueueJob,
+  jobDeadline,
+  recordJob,
+  rejectSubmission
+};
@@ -0,0 +1,338 @@
+'use strict';
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import config from '../config/index.js';
+import { JobStoppedError } from '../utils/errors.js';
+import { provisionServices } from './provisionServices.js';
+import { deprovisionServices, modifyServices } from './manageServices.js';
+import { failJob } from './jobResults.js';
+import { settleServices } from './providerEvents.js';
+import { initAppLinkClient } from './appLinkClient.js';
+import { orgRegistry } from './orgRegistry.js';
+import { tracer } from './tracing.js';
+import { jobsInFlight } from './metrics.js';
+
+// Longest delay setTimeout supports; jobs with later deadlines are only stopped by cancellation
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Jobs queued more recently may still be on their way into a shared queue, so they are not recovered yet
+const RECOVERY_GRACE_MS = 60_000;
+
+// How often finished jobs past the retention period are deleted
+const PURGE_INTERVAL_MS = 60 * 60_000;
+
+const DAY_MS = 24 * 60 * 60_000;
+
+/**
+ * Starts consuming provisioning jobs from the queue.
+ *
+ * Stopping the worker lets the line item currently being provisioned finish,
+ * then returns each in-flight job to the queue so the remaining line items are
+ * picked up by the next worker. Line items already provisioned are skipped on resume.
+ * Jobs stop starting line items when cancelled or shortly before their deadline, and report
+ * the services handled so far as `cancelled` or `timed_out`. Jobs run with the providers and
+ * quota of their org, and fail when the org registry no longer allows the org.
+ *
+ * Jobs whose messages were lost are queued again: on startup, those an in-memory queue held when
+ * the process stopped, and every `recoveryIntervalMs`, those of crashed consumers of a shared queue.
+ * On startup and then hourly, jobs that finished more than `retentionDays` ago are deleted (see `JobStore.purge`).
+ *
+ * @param {object} options
+ * @param {object} options.queue - Job queue to consume (see `jobQueue.js`).
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @param {number} [options.concurrency=1] - Number of jobs processed at the same time.
+ * @param {number} [options.pollIntervalMs=5000] - How long each dequeue waits for a message.
+ * @param {import('./orgRegistry.js').OrgRegistry} [options.orgs] - Org registry, defaults to the configured one.
+ * @param {number} [options.recoveryIntervalMs=60000] - How often lost jobs of a shared queue are recovered.
+ * @param {number} [options.retentionDays] - Days finished jobs are kept, 0 to keep them; defaults to `JOB_RETENTION_DAYS`.
+ * @returns {{ stop: () => Promise<void> }}
+ */
+function startJobWorker ({ queue, jobStore, logger, concurrency = 1, pollIntervalMs = 5000, orgs = orgRegistry, recoveryIntervalMs = 60_000, retentionDays = config.jobStore.retentionDays }) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const startedAt = Date.now();
+
+  async function recover () {
+    try {
+      if (!await queue.lockRecovery(recoveryIntervalMs)) {
+        return;
+      }
+      const messages = await queue.recover();
+      if (messages > 0) {
+        logger.warn(`Returned ${messages} provisioning jobs of stopped workers to the queue`);
+      }
+      const jobIds = await requeueLostJobs({ queue, jobStore, startedAt });
+      if (jobIds.length > 0) {
+        logger.warn({ jobIds }, `Re-queued ${jobIds.length} provisioning jobs missing from the queue`);
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Failed to recover provisioning jobs');
+    }
+  }
+
+  async function purge () {
+    try {
+      const jobIds = await jobStore.purge(new Date(Date.now() - retentionDays * DAY_MS).toISOString());
+      if (jobIds.length > 0) {
+        logger.info(`Deleted ${jobIds.length} provisioning jobs finished more than ${retentionDays} days ago`);
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Failed to delete expired provisioning jobs');
+    }
+  }
+
+  async function consume () {
+    while (!signal.aborted) {
+      let message;
+      try {
+        message = await queue.dequeue({ timeoutMs: pollIntervalMs, signal });
+      } catch (error) {
+        logger.error({ err: error }, 'Failed to read from provisioning job queue');
+        await sleep(pollIntervalMs, undefined, { signal }).catch(() => {});
+        continue;
+      }
+      if (message) {
+        await runJob(message);
+      }
+    }
+  }
+
+  // Each job runs in a span continuing the trace of the request that submitted it
+  async function runJob (message) {
+    const operation = message.operation || 'provision';
+    jobsInFlight.inc({ operation });
+    try {
+      return await tracer.trace(`job ${operation}`, { 'job.id': message.jobId, 'job.operation': operation }, span => processJob(message, span), {
+        parent: message.traceparent || null
+      });
+    } finally {
+      jobsInFlight.dec({ operation });
+    }
+  }
+
+  async function processJob (message, span) {
+    const { jobId } = message;
+    let jobLogger = logger.child({ jobId, ...span.logBindings() });
+    const stop = await watchJob(message);
+    let client;
+    try {
+      client = await createSalesforceClient(message, orgs);
+      const orgId = client.context.org.id;
+      span.setAttributes({ 'applink.request_id': client.context.id, 'salesforce.org_id': orgId });
+      jobLogger = jobLogger.child({ ...orgs.logBindings(orgId), requestId: client.context.id });
+      if (!orgs.get(orgId).allowed) {
+        throw new Error(`Org ${orgId} is not allowed to use this service`);
+      }
+      const status = await runOperation(message, client, jobLogger, {
+        jobStore,
+        signal: AbortSignal.any([signal, stop.signal]),
+        providers: orgs.providersFor(orgId),
+        orgLimiter: orgs.limiterFor(orgId),
+        awaitProviderEvents: Boolean(orgs.authorizationFor(orgId))
+      });
+      span.setAttributes({ 'job.status': status });
+      if (status === 'interrupted') {
+        await queue.requeue(message);
+        jobLogger.info(`Re-queued provisioning job ${jobId} after shutdown request`);
+      } else {
+        await queue.ack(message);
+      }
+    } catch (error) {
+      jobLogger.error({ err: error }, `Error processing provisioning job ${jobId}`);
+      span.recordException(error);
+      // Salesforce is still told about the failure whenever the client could be rebuilt
+      await failJob({
+        jobId,
+        opportunityIds: message.opportunityIds || [],
+        error,
+        org: client?.context?.org,
+        callbackUrl: message.callbackUrl,
+        publishers: message.publishers,
+        jobStore,
+        logger: jobLogger
+      }).catch(() => {});
+      await queue.ack(message).catch(ackError => {
+        jobLogger.error({ err: ackError }, `Failed to acknowledge provisioning job ${jobId}`);
+      });
+    } finally {
+      stop.close();
+    }
+  }
+
+  /**
+   * Stops a job with a `JobStoppedError` when its deadline (less `JOB_DEADLINE_MARGIN_MS`)
+   * is reached or it is cancelled. Jobs cancelled or past their deadline while queued stop
+   * before their first line item.
+   * @param {object} message - Job message, with the job's `deadline`.
+   * @returns {Promise<{ signal: AbortSignal, close: () => void }>}
+   */
+  async function watchJob ({ jobId, deadline }) {
+    const controller = new AbortController();
+    const stopJob = (message, status) => {
+      if (!controller.signal.aborted) {
+        controller.abort(new JobStoppedError(message, status));
+      }
+    };
+    const checkCancelled = async () => {
+      const job = await jobStore.get(jobId).catch(() => null);
+      if (job?.cancelRequestedAt) {
+        stopJob(`Job cancelled at ${job.cancelRequestedAt}`, 'cancelled');
+      }
+    };
+
+    let deadlineTimer;
+    if (deadline) {
+      const remainingMs = Date.parse(deadline) - config.worker.deadlineMarginMs - Date.now();
+      if (remainingMs <= 0) {
+        stopJob(`Deadline ${deadline} reached`, 'timed_out');
+      } else if (remainingMs <= MAX_TIMER_MS) {
+        deadlineTimer = setTimeout(() => stopJob(`Deadline ${deadline} reached`, 'timed_out'), remainingMs);
+      }
+    }
+    await checkCancelled();
+    const cancelTimer = setInterval(checkCancelled, config.worker.cancelPollIntervalMs);
+    return {
+      signal: controller.signal,
+      close () {
+        clearTimeout(deadlineTimer);
+        clearInterval(cancelTimer);
+      }
+    };
+  }
+
+  logger.info(`Provisioning job worker started with concurrency ${concurrency}`);
+  const consumers = recover().then(() => Promise.all(Array.from({ length: concurrency }, () => consume())));
+  // Only a shared queue can lose jobs while this process runs
+  const recoveryTimer = queue.shared ? setInterval(recover, recoveryIntervalMs) : null;
+  let purging = null;
+  let purgeTimer = null;
+  if (retentionDays > 0) {
+    purging = purge();
+    purgeTimer = setInterval(() => { purging = purge(); }, PURGE_INTERVAL_MS);
+  }
+
+  return {
+    async stop () {
+      logger.info('Stopping provisioning job worker...');
+      controller.abort();
+      clearInterval(recoveryTimer);
+      clearInterval(purgeTimer);
+      await Promise.all([consumers, purging]);
+      logger.info('Provisioning job worker stopped.');
+    }
+  };
+}
+
+// Job operations by the name async routes declare in `config.salesforce.async.operation`
+const operations = {
+  provision: ({ jobId, opportunityIds, parameters, lineItemParameters, progress, publishers, callbackUrl }, client, logger, options) =>
+    provisionServices(jobId, opportunityIds, client, callbackUrl, logger, { ...options, parameters, lineItemParameters, progress, publishers }),
+  deprovision: ({ jobId, opportunityIds, lineItemIds, serviceIds, publishers, callbackUrl }, client, logger, options) =>
+    deprovisionServices(jobId, { opportunityIds, lineItemIds, serviceIds }, client, callbackUrl, logger, { ...options, publishers }),
+  modify: ({ jobId, opportunityIds, lineItemIds, serviceIds, parameters, publishers, callbackUrl }, client, logger, options) =>
+    modifyServices(jobId, { opportunityIds, lineItemIds, serviceIds }, parameters, client, callbackUrl, logger, { ...options, publishers }),
+  // Queued by provider events once every pending service of a provisioning job settled, see providerEvents.js
+  settle: ({ jobId }, client, logger, options) =>
+    settleServices(jobId, client, logger, options)
+};
+
+/**
+ * Queues jobs again whose message is in neither the queue nor the hands of a consumer.
+ * With a queue local to this process, that is every job queued or running before the process
+ * started. With a shared queue, only queued jobs are checked, as the messages of running jobs are
+ * recovered from their consumer's processing list. Jobs are only recovered by the processes they
+ * could have been queued in: not from a shared store into a queue local to one process.
+ * @param {object} options
+ * @param {object} options.queue - Job queue (see `jobQueue.js`).
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {number} options.startedAt - When this process started consuming.
+ * @returns {Promise<Array<string>>} - IDs of the jobs queued again.
+ */
+async function requeueLostJobs ({ queue, jobStore, startedAt }) {
+  if (jobStore.shared && !queue.shared) {
+    return [];
+  }
+  const statuses = queue.shared ? ['queued'] : ['queued', 'running'];
+  const before = queue.shared ? Date.now() - RECOVERY_GRACE_MS : startedAt;
+  const candidates = (await Promise.all(statuses.map(status => jobStore.list({ status, limit: Infinity }))))
+    .flat()
+    .filter(job => Date.parse(job.updatedAt) < before);
+  if (candidates.length === 0) {
+    return [];
+  }
+  const queued = await queue.jobIds();
+  const requeued = [];
+  for (const candidate of candidates) {
+    // Consumers may have taken the job since it was listed
+    const job = queued.has(candidate.jobId) ? null : await jobStore.get(candidate.jobId);
+    if (job?.updatedAt !== candidate.updatedAt) {
+      continue;
+    }
+    await queue.enqueue(recoveredMessage(job));
+    requeued.push(job.jobId);
+  }
+  return requeued;
+}
+
+/**
+ * Rebuilds the message of a job from its record, like `enqueueJob` builds it.
+ * @param {object} job - The job record.
+ * @returns {object} - Job message.
+ */
+function recoveredMessage (job) {
+  return {
+    jobId: job.jobId,
+    operation: job.settlement ? 'settle' : job.type,
+    ...job.request,
+    deadline: job.deadline,
+    traceparent: job.traceparent,
+    orgId: job.orgId,
+    userId: job.userId,
+    username: job.username,
+    requestId: job.settlement?.requestId
+  };
+}
+
+/**
+ * Runs the operation a job message was queued for. Messages queued before
+ * deprovisioning and modification were supported carry no operation and provision.
+ * @param {object} message - Job message.
+ * @param {object} client - The Salesforce client rebuilt from the message.
+ * @param {object} logger - A logger instance.
+ * @param {object} options - Options passed on to the operation.
+ * @returns {Promise<string>} - Final job status.
+ */
+function runOperation (message, client, logger, options) {
+  const operation = message.operation || 'provision';
+  if (!Object.hasOwn(operations, operation)) {
+    throw new Error(`Unknown job operation: ${message.operation}`);
+  }
+  return operations[operation](message, client, logger, options);
+}
+
+/**
+ * Connects to the org of a job through the org's AppLink authorization. Job messages and records
+ * keep no access token, so the `x-client-context` of the submission is not at hand. The context's
+ * `user` is the user who submitted the job, while `org.user` is the one the authorization connects as.
+ * @param {object} message - Job message carrying `orgId`, `requestId` and the submitting `userId` and `username`.
+ * @param {import('./orgRegistry.js').OrgRegistry} orgs - Org registry naming the authorizations.
+ * @returns {Promise<object>} - SDK instance with a `context` holding the request ID, the org and the user.
+ */
+async function createSalesforceClient (message, orgs) {
+  const authorization = orgs.authorizationFor(message.orgId);
+  if (!authorization) {
+    throw new Error(`No AppLink authorization configured for org ${message.orgId}`);
+  }
+  const sdk = initAppLinkClient();
+  const org = await sdk.addons.applink.getAuthorization(authorization);
+  if (org.id?.slice(0, 15) !== message.orgId?.slice(0, 15)) {
+    throw new Error(`AppLink authorization ${authorization} connects to org ${org.id}, not ${message.orgId}`);
+  }
+  const user = message.userId ? { id: message.userId, username: message.username } : undefined;
+  return Object.assign(sdk, { context: { id: message.requestId, org, user } });
+}
+
+export {
+  startJobWorker
+};
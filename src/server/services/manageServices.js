@@ -0,0 +1,359 @@
+'use strict';
+
+import config from '../config/index.js';
+import { createLimiter } from '../utils/limiter.js';
+import { JobStoppedError, ProvisioningError } from '../utils/errors.js';
+import { sanitizeSalesforceId, toCaseSafeId } from '../utils/salesforceIds.js';
+import { auditContext, auditLog } from './auditLog.js';
+import { completeJob, failJob } from './jobResults.js';
+import { tracer } from './tracing.js';
+import { providerCallDuration } from './metrics.js';
+import { resolveParameters, validateParameters } from './provisioningParameters.js';
+import { queryAll, queryProvisioningParameters, withOrgLimiter } from './provisionServices.js';
+import { providerRegistry } from '../providers/index.js';
+
+// Line item statuses and error codes used while changing previously provisioned services
+const OPERATIONS = {
+  deprovision: {
+    name: 'deprovision',
+    label: 'Deprovisioning',
+    inProgress: 'Deprovisioning',
+    done: 'Deprovisioned',
+    errorCode: 'DEPROVISIONING_ERROR'
+  },
+  modify: {
+    name: 'modify',
+    label: 'Modification',
+    inProgress: 'Modifying',
+    done: 'Modified',
+    errorCode: 'MODIFICATION_ERROR'
+  }
+};
+
+/**
+ * Handles deprovisioning jobs, tearing down services provisioned by earlier provisioning jobs,
+ * e.g. after a line item was removed or the Opportunity was lost.
+ * @param {string} jobId - Unique identifier for the deprovisioning job.
+ * @param {object} selection - Services to deprovision; a service matching any selector is included.
+ * @param {Array<string>} [selection.opportunityIds] - All services provisioned for these Opportunities.
+ * @param {Array<string>} [selection.lineItemIds] - Services provisioned for these OpportunityLineItems.
+ * @param {Array<string>} [selection.serviceIds] - Services with these provider IDs.
+ * @param {object} client - The Salesforce client from AppLink (from request.salesforce).
+ * @param {string} callbackUrl - URL to call back with deprovisioning results.
+ * @param {object} logger - A logger instance.
+ * @param {object} options - See `provisionServices`.
+ * @returns {Promise<string>} - Final job status: `completed`, `partial`, `failed`, `timed_out`, `cancelled` or `interrupted`.
+ */
+async function deprovisionServices (jobId, selection, client, callbackUrl, logger, { jobStore, signal, providers = providerRegistry, orgLimiter, publishers, audit = auditLog }) {
+  return changeServices({
+    operation: OPERATIONS.deprovision,
+    jobId,
+    selection,
+    client,
+    callbackUrl,
+    publishers,
+    logger,
+    jobStore,
+    signal,
+    providers,
+    orgLimiter,
+    audit,
+    apply: ({ service, provider, product }) => provider.deprovision({ jobId, serviceId: service.serviceId, product }),
+    // The owning provisioning job no longer reports the service as provisioned
+    ownerStatus: 'Deprovisioned'
+  });
+}
+
+/**
+ * Handles modification jobs, updating services provisioned by earlier provisioning jobs
+ * after their line items changed (e.g. a downgrade or a new quantity). The current line
+ * items are read from Salesforce; services whose line item was removed fail with
+ * `LINE_ITEM_NOT_FOUND` and should be deprovisioned instead. Parameters are resolved as when
+ * provisioning, so metadata changes since the service was provisioned are applied too.
+ * @param {string} jobId - Unique identifier for the modification job.
+ * @param {object} selection - Services to modify, see `deprovisionServices`.
+ * @param {object} [parameters] - Parameters overriding ProvisioningParameter__mdt for these services.
+ * @param {object} client - The Salesforce client from AppLink (from request.salesforce).
+ * @param {string} callbackUrl - URL to call back with modification results.
+ * @param {object} logger - A logger instance.
+ * @param {object} options - See `provisionServices`.
+ * @returns {Promise<string>} - Final job status: `completed`, `partial`, `failed`, `timed_out`, `cancelled` or `interrupted`.
+ */
+async function modifyServices (jobId, selection, parameters, client, callbackUrl, logger, { jobStore, signal, providers = providerRegistry, orgLimiter, publishers, audit = auditLog }) {
+  return changeServices({
+    operation: OPERATIONS.modify,
+    jobId,
+    selection,
+    client,
+    callbackUrl,
+    publishers,
+    logger,
+    jobStore,
+    signal,
+    providers,
+    orgLimiter,
+    audit,
+    prepare: async ({ org, services, parameterSources }) => {
+      return {
+        parameterSources,
+        lineItems: await queryLineItems(services.map(service => service.lineItemId), org, logger)
+      };
+    },
+    apply: async ({ service, provider, context, trail }) => {
+      const lineItem = context.lineItems.get(service.lineItemId);
+      if (!lineItem) {
+        throw new ProvisioningError(`Line item ${service.lineItemId} no longer exists, deprovision the service instead`, 'LINE_ITEM_NOT_FOUND');
+      }
+      const { parameters: serviceParameters, origins } = resolveParameters({
+        sources: context.parameterSources,
+        product: lineItem.product,
+        accountId: lineItem.accountId,
+        requestParameters: parameters
+      });
+      validateParameters(serviceParameters, origins);
+      await trail.record('parameters.resolved', {
+        opportunityId: service.opportunityId,
+        lineItemId: service.lineItemId,
+        serviceId: service.serviceId,
+        details: { product: lineItem.product.name, productCode: lineItem.product.code, parameters: serviceParameters, origins }
+      });
+      const result = await provider.modify({
+        jobId,
+        serviceId: service.serviceId,
+        opportunityId: service.opportunityId,
+        lineItemId: service.lineItemId,
+        product: lineItem.product,
+        quantity: lineItem.quantity,
+        parameters: serviceParameters
+      });
+      return { ...result, parameters: serviceParameters };
+    },
+    ownerStatus: 'Provisioned'
+  });
+}
+
+/**
+ * Applies an operation to each previously provisioned service matching the selection, with the
+ * same concurrency limits and per-service failure isolation as provisioning. Services already
+ * changed by an earlier, interrupted run of the job are not changed again.
+ * @param {object} options
+ * @param {object} options.operation - Entry of `OPERATIONS`.
+ * @param {Function} [options.prepare] - Loads data shared by all services, given the org, services and
+ *   ProvisioningParameter__mdt `parameterSources`; returns the `context` passed to `apply`.
+ * @param {Function} options.apply - Calls the provider for one service, given the service, provider, product,
+ *   `context` and the audit `trail`. Returns the provider result, with the `parameters` now in effect when the
+ *   operation changed them.
+ * @param {import('./auditLog.js').AuditLog} options.audit - Audit log recording the provider calls.
+ * @param {string} options.ownerStatus - Line item status recorded on the job that provisioned the service.
+ * @returns {Promise<string>} - Final job status.
+ */
+async function changeServices ({ operation, jobId, selection, client, callbackUrl, publishers, logger, jobStore, signal, providers, orgLimiter, audit, prepare, apply, ownerStatus }) {
+  const org = client?.context?.org;
+  // The callback names the Opportunities by the 18 character IDs the services were recorded with
+  const requestedOpportunityIds = (selection.opportunityIds || []).map(toCaseSafeId);
+  logger.info(`Processing ${operation.label.toLowerCase()} job ${jobId}`);
+
+  let services;
+  let writeback;
+  let publishing;
+  let interrupted = false;
+  const trail = audit.bind({ ...auditContext(client), jobId }, logger);
+  try {
+    if (!org?.dataApi) {
+      throw new Error('Salesforce context not available');
+    }
+    const previousRun = await jobStore.update(jobId, { status: 'running' });
+    const changed = previousRun.lineItems.filter(item => item.status === operation.done);
+    const changedServiceIds = new Set(changed.map(item => item.serviceId));
+
+    const targets = (await jobStore.findServices({
+      orgId: org.id,
+      opportunityIds: requestedOpportunityIds,
+      lineItemIds: selection.lineItemIds,
+      serviceIds: selection.serviceIds
+    })).filter(service => !changedServiceIds.has(service.serviceId));
+    if (targets.length === 0 && changed.length === 0) {
+      throw new Error('No provisioned services match the request');
+    }
+    logger.info(`Found ${targets.length} provisioned services for ${operation.label.toLowerCase()} job ${jobId}`);
+
+    const { parameters: parameterSources, writeback: writebackSettings, publishing: publishingSettings } = await queryProvisioningParameters(org.dataApi);
+    writeback = writebackSettings;
+    publishing = publishingSettings;
+    const context = prepare ? await prepare({ org, services: targets, parameterSources }) : {};
+
+    const limit = withOrgLimiter(orgLimiter);
+    const opportunityLimiters = new Map();
+    const results = await Promise.all(targets.map(service => {
+      if (!opportunityLimiters.has(service.opportunityId)) {
+        opportunityLimiters.set(service.opportunityId, createLimiter(config.provisioning.perOpportunityConcurrency));
+      }
+      const opportunityLimiter = opportunityLimiters.get(service.opportunityId);
+      return opportunityLimiter(() => limit(async () => {
+        if (signal?.aborted) {
+          interrupted = true;
+          return null;
+        }
+        return changeService({ operation, jobId, orgId: org.id, service, context, providers, apply, ownerStatus, jobStore, trail, logger });
+      }));
+    }));
+    services = [...changed.map(item => toServiceResult(item)), ...results.filter(Boolean)];
+  } catch (error) {
+    logger.error({ err: error }, `Error executing ${operation.label.toLowerCase()} batch for Job ID: ${jobId}`);
+    return failJob({ jobId, opportunityIds: requestedOpportunityIds, error, org, callbackUrl, publishers, publishing, jobStore, logger });
+  }
+
+  const stopped = interrupted && signal.reason instanceof JobStoppedError ? signal.reason : undefined;
+  if (interrupted && !stopped) {
+    logger.warn(`${operation.label} job ${jobId} interrupted after ${services.length} services, remaining services will be resumed.`);
+    await jobStore.update(jobId, { status: 'queued' });
+    return 'interrupted';
+  }
+
+  const opportunityIds = [...new Set([...requestedOpportunityIds, ...services.map(service => service.opportunityId)])];
+  return completeJob({ jobId, label: operation.label, opportunityIds, services, org, callbackUrl, publishers, publishing, writeback, stopped, jobStore, logger });
+}
+
+/**
+ * Changes a single service and records the outcome on both this job and the
+ * provisioning job that created the service. A service another job is changing, or
+ * that is no longer provisioned, fails with `SERVICE_BUSY` without calling the provider.
+ * @param {object} options - See `changeServices`; `service` is the line item record from `findServices`
+ *   and `orgId` the org of the job.
+ * @returns {Promise<object>} - The changed service, or a `Failed` entry describing the error.
+ */
+async function changeService ({ operation, jobId, orgId, service, context, providers, apply, ownerStatus, jobStore, trail, logger }) {
+  const { serviceId, opportunityId, lineItemId, productReference } = service;
+  const product = { name: productReference, code: service.productCode };
+
+  let provider;
+  let called = false;
+  try {
+    // Services go back to the provider that created them
+    provider = service.provider ? providers.get(service.provider) : providers.resolve(product);
+    const holder = await jobStore.claimService(jobId, orgId, service, {
+      opportunityId,
+      productReference,
+      provider: provider.name,
+      serviceId,
+      status: operation.inProgress
+    });
+    if (holder) {
+      throw new ProvisioningError(holder.jobId === service.jobId
+        ? `Service ${serviceId} is no longer provisioned`
+        : `Service ${serviceId} is already being changed by job ${holder.jobId}`, 'SERVICE_BUSY');
+    }
+    called = true;
+
+    const result = await tracer.trace(`provider ${operation.name}`, {
+      'provider.name': provider.name,
+      'opportunity.id': opportunityId,
+      'line_item.id': lineItemId,
+      'service.id': serviceId
+    }, () => providerCallDuration.time({ provider: provider.name, operation: operation.name }, () => apply({ service, provider, product, context, trail })));
+
+    logger.info({
+      jobId,
+      opportunityId,
+      lineItemId,
+      provider: provider.name,
+      serviceId
+    }, `${operation.done} service for opportunity line item.`);
+    await trail.record('provider.call', {
+      opportunityId,
+      lineItemId,
+      serviceId,
+      details: { operation: operation.name, provider: provider.name, status: operation.done, message: result.message }
+    });
+
+    await jobStore.updateLineItem(jobId, lineItemId, {
+      status: operation.done,
+      message: result.message,
+      parameters: result.parameters
+    });
+    await jobStore.updateLineItem(service.jobId, lineItemId, {
+      status: ownerStatus,
+      message: result.message,
+      changedByJobId: jobId,
+      ...(result.parameters && { parameters: result.parameters })
+    });
+
+    return toServiceResult({ serviceId, opportunityId, lineItemId, productReference, status: operation.done, message: result.message, parameters: result.parameters });
+  } catch (error) {
+    // A failing service is reported in the results rather than aborting the job
+    const failure = {
+      serviceId,
+      opportunityId,
+      lineItemId,
+      productReference,
+      status: 'Failed',
+      errorCode: error.code || operation.errorCode,
+      message: error.message
+    };
+    logger.error({ err: error, jobId, opportunityId, lineItemId, serviceId, provider: provider?.name }, 'Failed to change service for opportunity line item.');
+    if (called) {
+      await trail.record('provider.call', {
+        opportunityId,
+        lineItemId,
+        serviceId,
+        details: { operation: operation.name, provider: provider.name, status: failure.status, errorCode: failure.errorCode, message: failure.message }
+      });
+    }
+    await jobStore.updateLineItem(jobId, lineItemId, {
+      opportunityId,
+      productReference,
+      serviceId,
+      status: failure.status,
+      errorCode: failure.errorCode,
+      message: failure.message
+    }).catch(storeError => {
+      logger.error({ err: storeError, jobId, lineItemId }, 'Failed to record line item failure.');
+    });
+    return failure;
+  }
+}
+
+/**
+ * Reads the current quantity, product and Account of line items from Salesforce.
+ * @param {Array<string>} lineItemIds - OpportunityLineItem IDs.
+ * @param {object} org - The AppLink org.
+ * @param {object} logger - A logger instance.
+ * @returns {Promise<Map<string, object>>} - Line items still in Salesforce, by ID.
+ */
+async function queryLineItems (lineItemIds, org, logger) {
+  const lineItems = new Map();
+  const ids = [...new Set(lineItemIds.map(id => sanitizeSalesforceId(id)).filter(Boolean))];
+  const chunkSize = config.provisioning.queryChunkSize;
+  for (let start = 0; start < ids.length; start += chunkSize) {
+    const idList = ids.slice(start, start + chunkSize).map(id => `'${id}'`).join(',');
+    const records = await queryAll(`
+      SELECT Id, OpportunityId, Opportunity.AccountId, Quantity, Product2Id, Product2.Name, Product2.ProductCode
+      FROM OpportunityLineItem
+      WHERE Id IN (${idList})
+    `, { context: { org } }, logger);
+    for (const oliSObject of records) {
+      const oli = oliSObject.fields;
+      const product2 = oli.Product2?.fields || oli.Product2;
+      const opportunity = oli.Opportunity?.fields || oli.Opportunity;
+      lineItems.set(oli.Id || oliSObject.id, {
+        accountId: opportunity?.AccountId,
+        quantity: oli.Quantity,
+        product: {
+          id: oli.Product2Id,
+          name: product2?.Name || oli.Product2Id || 'Service',
+          code: product2?.ProductCode
+        }
+      });
+    }
+  }
+  return lineItems;
+}
+
+function toServiceResult ({ serviceId, opportunityId, lineItemId, productReference, status, message, parameters }) {
+  return { serviceId, opportunityId, lineItemId, productReference, status, message, parameters };
+}
+
+export {
+  deprovisionServices,
+  modifyServices
+};
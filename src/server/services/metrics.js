@@ -0,0 +1,290 @@
+'use strict';
+
+// Content type of the Prometheus text exposition format
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets in seconds, from a fast mock provider to a slow backend
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Base metric holding one value per label combination.
+ */
+class Metric {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Metric name, e.g. `provisioning_jobs_submitted_total`.
+   * @param {string} options.help - One line description.
+   * @param {Array<string>} [options.labelNames] - Labels every observation has.
+   */
+  constructor ({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Looks up the series of a label combination, creating it when new.
+   * @param {object} labels - Label values; missing labels are empty.
+   * @param {() => object} create - Initial series.
+   * @returns {object}
+   */
+  series (labels, create) {
+    const labelValues = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = JSON.stringify(labelValues);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labelValues, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * @param {Array<string>} labelValues - Values in `labelNames` order.
+   * @param {object} [extra] - Additional labels, e.g. `le` of a histogram bucket.
+   * @returns {string} - `{name="value",...}`, or empty without labels.
+   */
+  formatLabels (labelValues, extra = {}) {
+    const pairs = [
+      ...this.labelNames.map((name, index) => [name, labelValues[index]]),
+      ...Object.entries(extra)
+    ].map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  /**
+   * @returns {Array<string>} - Sample lines in the Prometheus text format.
+   */
+  samples () {
+    return [...this.values.values()].map(series => `${this.name}${this.formatLabels(series.labelValues)} ${series.value}`);
+  }
+
+  /**
+   * @returns {string} - The metric in the Prometheus text format.
+   */
+  render () {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+/**
+ * Value that only goes up, e.g. jobs submitted.
+ */
+class Counter extends Metric {
+  get type () {
+    return 'counter';
+  }
+
+  /**
+   * @param {object} [labels]
+   * @param {number} [amount=1]
+   */
+  inc (labels = {}, amount = 1) {
+    this.series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+/**
+ * Value that goes up and down, e.g. jobs running.
+ */
+class Gauge extends Metric {
+  get type () {
+    return 'gauge';
+  }
+
+  /**
+   * @param {object} [labels]
+   * @param {number} [amount=1]
+   */
+  inc (labels = {}, amount = 1) {
+    this.series(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * @param {object} [labels]
+   * @param {number} [amount=1]
+   */
+  dec (labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets, e.g. provider call latency.
+ */
+class Histogram extends Metric {
+  /**
+   * @param {object} options - See `Metric`.
+   * @param {Array<number>} [options.buckets] - Upper bounds of the buckets, ascending.
+   */
+  constructor ({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  get type () {
+    return 'histogram';
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value - Observed value, in seconds for durations.
+   */
+  observe (labels, value) {
+    const series = this.series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Starts timing an operation.
+   * @param {object} [labels] - Labels known when the operation starts.
+   * @returns {(labels?: object) => void} - Records the duration, with labels known once it finished.
+   */
+  startTimer (labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  /**
+   * Times an operation and labels it with its `outcome`, `success` or `failure`.
+   * @param {object} labels - Labels other than `outcome`.
+   * @param {() => Promise<any>} operation
+   * @returns {Promise<any>} - Result of the operation.
+   */
+  async time (labels, operation) {
+    const stopTimer = this.startTimer(labels);
+    try {
+      const result = await operation();
+      stopTimer({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      stopTimer({ outcome: 'failure' });
+      throw error;
+    }
+  }
+
+  samples () {
+    return [...this.values.values()].flatMap(series => [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${this.formatLabels(series.labelValues, { le: bound })} ${series.counts[index]}`),
+      `${this.name}_bucket${this.formatLabels(series.labelValues, { le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${this.formatLabels(series.labelValues)} ${series.sum}`,
+      `${this.name}_count${this.formatLabels(series.labelValues)} ${series.count}`
+    ]);
+  }
+}
+
+/**
+ * Holds the metrics of a process and renders them for Prometheus to scrape.
+ */
+class MetricsRegistry {
+  constructor () {
+    this.metrics = new Map();
+  }
+
+  /**
+   * @param {object} options - See `Metric`.
+   * @returns {Counter}
+   */
+  counter (options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * @param {object} options - See `Metric`.
+   * @returns {Gauge}
+   */
+  gauge (options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * @param {object} options - See `Histogram`.
+   * @returns {Histogram}
+   */
+  histogram (options) {
+    return this.register(new Histogram(options));
+  }
+
+  register (metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} - All metrics in the Prometheus text exposition format (version 0.0.4).
+   */
+  render () {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n\n')}\n`;
+  }
+}
+
+function escapeLabelValue (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Metrics of this process, served at GET /metrics
+const metrics = new MetricsRegistry();
+
+const jobsSubmitted = metrics.counter({
+  name: 'provisioning_jobs_submitted_total',
+  help: 'Jobs recorded for a request, by operation.',
+  labelNames: ['operation']
+});
+const jobsRejected = metrics.counter({
+  name: 'provisioning_jobs_rejected_total',
+  help: 'Job submissions rejected by admission control, by operation and reason.',
+  labelNames: ['operation', 'reason']
+});
+const jobsFinished = metrics.counter({
+  name: 'provisioning_jobs_finished_total',
+  help: 'Jobs finished, by operation and final status (completed, partial, failed, timed_out or cancelled).',
+  labelNames: ['operation', 'status']
+});
+const jobsInFlight = metrics.gauge({
+  name: 'provisioning_jobs_in_flight',
+  help: 'Jobs being run by this process, by operation.',
+  labelNames: ['operation']
+});
+const lineItemsProcessed = metrics.counter({
+  name: 'provisioning_line_items_total',
+  help: 'Line items handled by provisioning jobs, by product and service status.',
+  labelNames: ['product', 'status']
+});
+const providerCallDuration = metrics.histogram({
+  name: 'provisioning_provider_call_duration_seconds',
+  help: 'Duration of provider calls, by provider, operation and outcome (success or failure).',
+  labelNames: ['provider', 'operation', 'outcome']
+});
+const callbackAttempts = metrics.counter({
+  name: 'provisioning_callback_attempts_total',
+  help: 'Callback POSTs to Salesforce, including retries, by outcome (success or failure).',
+  labelNames: ['outcome']
+});
+const callbackDeliveries = metrics.counter({
+  name: 'provisioning_callback_deliveries_total',
+  help: 'Final callbacks once retries ended, by status (delivered or dead_letter).',
+  labelNames: ['status']
+});
+
+export {
+  Counter,
+  Gauge,
+  Histogram,
+  METRICS_CONTENT_TYPE,
+  MetricsRegistry,
+  callbackAttempts,
+  callbackDeliveries,
+  jobsFinished,
+  jobsInFlight,
+  jobsRejected,
+  jobsSubmitted,
+  lineItemsProcessed,
+  metrics,
+  providerCallDuration
+};
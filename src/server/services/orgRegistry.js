@@ -0,0 +1,233 @@
+'use strict';
+
+import fs from 'node:fs';
+import config from '../config/index.js';
+import { createLimiter } from '../utils/limiter.js';
+import { createProviderRegistry, providerRegistry } from '../providers/index.js';
+import { parseProviderEventSecrets } from './providerEvents.js';
+
+// Settings an org entry may have; anything else is a typo that would silently fall back to the defaults
+const ORG_SETTINGS = ['name', 'allowed', 'concurrency', 'providers', 'authorization', 'providerEventsSecretEnv'];
+const PROVIDER_SETTINGS = ['defaultProvider', 'mappings', 'mock', 'http'];
+
+/**
+ * @typedef {object} OrgSettings
+ * @property {string} orgId - 18 character org ID.
+ * @property {string} [name] - Label added to log lines, e.g. `production` or `uat-sandbox`.
+ * @property {boolean} allowed - Whether the org may use the service.
+ * @property {boolean} listed - Whether the org is in the registry.
+ * @property {number} [concurrency] - Line items of this org provisioned at once, across its jobs in a process.
+ * @property {object} [providers] - Overrides of `config.providers` for this org. `http` does not inherit the
+ *   global URL or API key; `http.apiKeyEnv` names the environment variable holding the org's key.
+ * @property {string} [authorization] - Developer name of the AppLink authorization connected to this org.
+ * @property {string} [providerEventsSecretEnv] - Environment variable holding the secrets provider events for this
+ *   org's services are signed with, formatted like `PROVIDER_EVENTS_SECRET`, which then no longer applies to the org.
+ */
+
+/**
+ * Settings per Salesforce org, keyed by the org ID from the `x-client-context`. Lets one app serve
+ * sandbox and production orgs with different provider backends, credentials and quotas.
+ */
+class OrgRegistry {
+  /**
+   * @param {object} options
+   * @param {object} [options.orgs] - Org ID (15 or 18 characters) to org settings.
+   * @param {boolean} [options.allowUnlisted=true] - Whether orgs missing from the registry may use the service.
+   * @param {object} [options.providers] - Provider configuration orgs inherit (see `config.providers`).
+   * @param {object} [options.env] - Environment holding the provider API keys.
+   * @param {string} [options.authorization] - AppLink authorization of orgs without their own.
+   * @param {Array<string>} [options.providerEventSecrets] - Provider event secrets of orgs without their own.
+   */
+  constructor ({ orgs = {}, allowUnlisted = true, providers = config.providers, env = process.env, authorization = config.orgs.authorization, providerEventSecrets = config.providerEvents.secrets } = {}) {
+    this.allowUnlisted = allowUnlisted;
+    this.authorization = authorization;
+    this.providerConfig = providers;
+    this.env = env;
+    this.orgs = new Map();
+    this.providerEventSigners = parseProviderEventSecrets(providerEventSecrets);
+    this.orgProviderEventSigners = new Map();
+    for (const [orgId, settings] of Object.entries(orgs)) {
+      const apiKeyEnv = validateOrg(orgId, settings).providers?.http?.apiKeyEnv;
+      if (apiKeyEnv && !env[apiKeyEnv]) {
+        throw new Error(`Environment variable ${apiKeyEnv} holding the provider API key of org ${orgId} is not set`);
+      }
+      const { providerEventsSecretEnv } = settings;
+      if (providerEventsSecretEnv) {
+        const signers = parseProviderEventSecrets(env[providerEventsSecretEnv], orgId);
+        if (signers.length === 0) {
+          throw new Error(`Environment variable ${providerEventsSecretEnv} holding the provider event secrets of org ${orgId} is not set`);
+        }
+        this.orgProviderEventSigners.set(orgKey(orgId), signers);
+      }
+      this.orgs.set(orgKey(orgId), settings);
+    }
+    this.providerRegistries = new Map();
+    this.limiters = new Map();
+  }
+
+  /**
+   * @param {string} orgId - Org ID from the client context.
+   * @returns {OrgSettings}
+   */
+  get (orgId) {
+    const settings = this.orgs.get(orgKey(orgId));
+    if (!settings) {
+      return { orgId, allowed: this.allowUnlisted, listed: false };
+    }
+    return { orgId, ...settings, allowed: settings.allowed !== false, listed: true };
+  }
+
+  /**
+   * Providers for an org: its own registry when it overrides provider settings, else the shared one.
+   * @param {string} orgId - Org ID from the client context.
+   * @returns {import('../providers/index.js').ProviderRegistry}
+   */
+  providersFor (orgId) {
+    const { providers } = this.get(orgId);
+    if (!providers) {
+      return providerRegistry;
+    }
+    const key = orgKey(orgId);
+    if (!this.providerRegistries.has(key)) {
+      const { http, mock, ...rest } = providers;
+      this.providerRegistries.set(key, createProviderRegistry({
+        ...this.providerConfig,
+        ...rest,
+        mock: { ...this.providerConfig.mock, ...mock },
+        http: http ? this.orgHttpConfig(http) : this.providerConfig.http
+      }));
+    }
+    return this.providerRegistries.get(key);
+  }
+
+  /**
+   * Limiter bounding the line items of an org provisioned at once, or null without a quota.
+   * @param {string} orgId - Org ID from the client context.
+   * @returns {((task: () => Promise<any>) => Promise<any>)|null}
+   */
+  limiterFor (orgId) {
+    const { concurrency } = this.get(orgId);
+    if (!concurrency) {
+      return null;
+    }
+    const key = orgKey(orgId);
+    if (!this.limiters.has(key)) {
+      this.limiters.set(key, createLimiter(concurrency));
+    }
+    return this.limiters.get(key);
+  }
+
+  /**
+   * AppLink authorization jobs of an org use when no request of the org is at hand, e.g. to publish
+   * results once a provider settled the pending services.
+   * @param {string} orgId - Org ID of the job.
+   * @returns {string|undefined} - Developer name of the authorization, if one is configured.
+   */
+  authorizationFor (orgId) {
+    return this.get(orgId).authorization || this.authorization;
+  }
+
+  /**
+   * Signers whose provider events may settle services of an org: its own, or the shared ones without.
+   * @param {string} orgId - Org ID of the job the service was provisioned for.
+   * @returns {Array<import('./providerEvents.js').ProviderEventSigner>}
+   */
+  providerEventSignersFor (orgId) {
+    return this.orgProviderEventSigners.get(orgKey(orgId)) || this.providerEventSigners;
+  }
+
+  /**
+   * Every signer provider events are checked against, shared and per org.
+   * @returns {Array<import('./providerEvents.js').ProviderEventSigner>}
+   */
+  allProviderEventSigners () {
+    return [...this.providerEventSigners, ...[...this.orgProviderEventSigners.values()].flat()];
+  }
+
+  /**
+   * Fields added to log lines of requests and jobs for an org.
+   * @param {string} orgId - Org ID from the client context.
+   * @returns {{ orgId: string, orgName?: string }}
+   */
+  logBindings (orgId) {
+    const { name } = this.get(orgId);
+    return name ? { orgId, orgName: name } : { orgId };
+  }
+
+  /**
+   * HTTP provider settings of an org, with the API key read from `apiKeyEnv`.
+   * @param {object} http - `providers.http` of the org entry.
+   * @returns {object}
+   */
+  orgHttpConfig ({ apiKeyEnv, ...http }) {
+    return {
+      timeoutMs: this.providerConfig.http.timeoutMs,
+      ...http,
+      apiKey: apiKeyEnv ? this.env[apiKeyEnv] : undefined
+    };
+  }
+}
+
+/**
+ * Checks an org entry when the registry is loaded, so mistakes fail at startup instead of per request.
+ * @param {string} orgId - Org ID the entry is keyed by.
+ * @param {object} settings - The entry.
+ * @returns {object} - The entry.
+ */
+function validateOrg (orgId, settings) {
+  if (!/^00D[a-zA-Z0-9]{12}([a-zA-Z0-9]{3})?$/.test(orgId)) {
+    throw new Error(`Invalid org registry entry ${orgId}: not a 15 or 18 character org ID`);
+  }
+  const unknown = Object.keys(settings).filter(key => !ORG_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid org registry entry ${orgId}: unknown settings ${unknown.join(', ')}`);
+  }
+  if (settings.concurrency !== undefined && !(Number.isInteger(settings.concurrency) && settings.concurrency > 0)) {
+    throw new Error(`Invalid org registry entry ${orgId}: concurrency must be a positive integer`);
+  }
+  const unknownProviderSettings = Object.keys(settings.providers || {}).filter(key => !PROVIDER_SETTINGS.includes(key));
+  if (unknownProviderSettings.length > 0) {
+    throw new Error(`Invalid org registry entry ${orgId}: unknown provider settings ${unknownProviderSettings.join(', ')}`);
+  }
+  if (settings.authorization !== undefined && !(typeof settings.authorization === 'string' && settings.authorization)) {
+    throw new Error(`Invalid org registry entry ${orgId}: authorization must be the developer name of an AppLink authorization`);
+  }
+  if (settings.providers?.http?.apiKey) {
+    throw new Error(`Invalid org registry entry ${orgId}: set providers.http.apiKeyEnv instead of an API key`);
+  }
+  return settings;
+}
+
+/**
+ * Org IDs are compared on their case-sensitive 15 character form, so either form can be registered.
+ * @param {string} orgId
+ * @returns {string}
+ */
+function orgKey (orgId) {
+  return (orgId || '').slice(0, 15);
+}
+
+/**
+ * Creates the org registry for this process from configuration: the JSON in `ORG_REGISTRY`,
+ * or in the file named by `ORG_REGISTRY_FILE`.
+ * @param {object} options - Org configuration (see `config.orgs`).
+ * @returns {OrgRegistry}
+ */
+function createOrgRegistry ({ registry, registryFile, allowUnlisted, authorization }) {
+  let orgs = {};
+  if (registry) {
+    orgs = JSON.parse(registry);
+  } else if (registryFile) {
+    orgs = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+  }
+  return new OrgRegistry({ orgs, allowUnlisted, authorization });
+}
+
+// Registry used by the middleware and the worker unless one is passed in
+const orgRegistry = createOrgRegistry(config.orgs);
+
+export {
+  OrgRegistry,
+  createOrgRegistry,
+  orgRegistry
+};
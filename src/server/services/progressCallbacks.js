@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * @typedef {object} ProgressOptions
+ * @property {string} mode - `opportunity` to call back when all line items of an Opportunity are done,
+ *   or `services` to call back every `batchSize` services.
+ * @property {number} [batchSize=10] - Services per callback in `services` mode.
+ */
+
+/**
+ * Publishes `running` results with the services finished since the previous ones while a
+ * job is in progress. Each service is reported once: the final results only carry the
+ * services no progress callback delivered. Callbacks are numbered by `sequence`, and what
+ * was reported is recorded on the job as `progress` so a resumed job carries on from there.
+ *
+ * Progress that any of the job's publishers fails to deliver is not retried later; its
+ * services are reported with the final results instead.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID.
+ * @param {Array<string>} options.opportunityIds - Opportunity IDs from the request.
+ * @param {ProgressOptions} options.progress - Progress mode from the request.
+ * @param {object} [options.previous] - `progress` recorded on the job by an earlier run.
+ * @param {object} options.publisher - Result publisher of the job (see `createResultPublisher`), nothing is
+ *   sent when none of its publishers is available.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @returns {{ expect: (lineItems: Array<object>) => void, add: (service: object) => void, finish: () => Promise<{ sequence: number, reported: Set<string> }> }}
+ *   `expect` announces line items, with their `opportunityId`, before their services are added.
+ */
+function createProgressReporter ({ jobId, opportunityIds, progress, previous, publisher, jobStore, logger }) {
+  const { mode, batchSize = 10 } = progress;
+  const reported = new Set(previous?.reported || []);
+  let sequence = previous?.sequence || 0;
+  let pending = [];
+  let delivery = Promise.resolve();
+  const summary = { total: 0, succeeded: 0, failed: 0, pending: 0 };
+
+  // Line items not yet finished per Opportunity
+  const remaining = new Map();
+
+  function send (services) {
+    if (!publisher.available || services.length === 0) return;
+    for (const service of services) {
+      reported.add(service.lineItemId);
+    }
+    sequence += 1;
+    const payload = {
+      jobId,
+      opportunityIds,
+      services,
+      rejected: [],
+      summary: { ...summary },
+      status: 'running',
+      errors: [],
+      sequence,
+      final: false
+    };
+    // Progress goes out one at a time so Salesforce receives it in sequence
+    delivery = delivery.then(async () => {
+      if (await publisher.publish(payload)) {
+        logger.info(`Progress callback ${payload.sequence} sent for Job ID: ${jobId}. Services returned: ${services.length}`);
+      } else {
+        logger.warn({ jobId }, `Progress callback ${payload.sequence} not delivered for Job ID: ${jobId}, services will be reported in the final callback`);
+        for (const service of services) {
+          reported.delete(service.lineItemId);
+        }
+      }
+      await jobStore.update(jobId, { progress: { sequence, reported: [...reported] } }).catch(error => {
+        logger.error({ err: error, jobId }, `Failed to record progress callbacks for Job ID: ${jobId}`);
+      });
+    });
+  }
+
+  return {
+    expect (lineItems) {
+      for (const { opportunityId } of lineItems) {
+        remaining.set(opportunityId, (remaining.get(opportunityId) || 0) + 1);
+      }
+    },
+
+    add (service) {
+      summary.total += 1;
+      if (service.status === 'Failed') {
+        summary.failed += 1;
+      } else if (service.status === 'Pending') {
+        summary.pending += 1;
+      } else {
+        summary.succeeded += 1;
+      }
+      if (!reported.has(service.lineItemId)) {
+        pending.push(service);
+      }
+
+      if (mode === 'opportunity') {
+        const left = remaining.get(service.opportunityId) - 1;
+        remaining.set(service.opportunityId, left);
+        if (left === 0) {
+          remaining.delete(service.opportunityId);
+          send(pending.filter(item => item.opportunityId === service.opportunityId));
+          pending = pending.filter(item => item.opportunityId !== service.opportunityId);
+        }
+      } else if (pending.length >= batchSize) {
+        send(pending);
+        pending = [];
+      }
+    },
+
+    async finish () {
+      await delivery;
+      return { sequence: sequence + 1, reported };
+    }
+  };
+}
+
+export {
+  createProgressReporter
+};
@@ -0,0 +1,280 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import config from '../config/index.js';
+import { JobStoppedError } from '../utils/errors.js';
+import { auditLog } from './auditLog.js';
+import { completeJob, recordedServices, summarizeResults } from './jobResults.js';
+
+// Header carrying the signature of a provider event
+const SIGNATURE_HEADER = 'x-provider-signature';
+
+// Statuses of jobs that finished with every service handled, whose outcome follows their services
+const SETTLED_STATUSES = ['completed', 'partial', 'failed'];
+
+/**
+ * @typedef {object} ProviderEvent
+ * @property {string} serviceId - Service the provider acknowledged with status `Pending`.
+ * @property {string} [jobId] - Job the service was provisioned for, as sent to the provider.
+ * @property {string} status - `Provisioned` or `Failed`.
+ * @property {string} [message] - Human readable outcome.
+ * @property {string} [errorCode] - Machine readable error code of a failure.
+ */
+
+/**
+ * @typedef {object} ProviderEventSigner
+ * @property {string} secret - Shared secret events are signed with.
+ * @property {string} [provider] - Provider whose services the secret may settle; any provider when absent.
+ * @property {string} [orgId] - Org whose services the secret may settle; absent for `PROVIDER_EVENTS_SECRET`,
+ *   which covers the orgs without secrets of their own.
+ */
+
+/**
+ * Parses comma separated provider event secrets. An entry `<provider>:<secret>` only settles services
+ * of that provider, e.g. `http:s3cr3t`; a bare secret settles services of any provider.
+ * @param {string|Array<string>} secrets - The entries.
+ * @param {string} [orgId] - Org the secrets belong to.
+ * @returns {Array<ProviderEventSigner>}
+ */
+function parseProviderEventSecrets (secrets, orgId) {
+  const entries = Array.isArray(secrets) ? secrets : (secrets || '').split(',');
+  return entries.map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [, provider, secret] = entry.match(/^([a-z][\w-]*):(.+)$/i) || [];
+    return { secret: secret || entry, provider, orgId };
+  });
+}
+
+/**
+ * Signs the raw body of a provider event. Providers send the result in the `x-provider-signature` header
+ * as `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+ * @param {string} rawBody - The request body exactly as sent.
+ * @param {string} secret - Shared secret, see `PROVIDER_EVENTS_SECRET`.
+ * @param {number} [timestamp] - Unix seconds, defaults to now.
+ * @returns {string} - The header value.
+ */
+function signProviderEvent (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, `${timestamp}.${rawBody}`)}`;
+}
+
+/**
+ * Finds the signers whose secret produced the signature of a provider event. Events signed
+ * longer than `toleranceMs` ago (or ahead) match none, so a captured event cannot be replayed later.
+ * @param {string} [header] - The `x-provider-signature` header.
+ * @param {string} rawBody - The request body exactly as received.
+ * @param {object} options
+ * @param {Array<ProviderEventSigner>} options.signers - Accepted signers; more than one per scope while rotating.
+ * @param {number} [options.toleranceMs] - Accepted clock difference.
+ * @param {number} [options.now] - Current time in milliseconds.
+ * @returns {Array<ProviderEventSigner>} - The matching signers, empty when the signature is invalid.
+ */
+function findProviderEventSigners (header, rawBody, { signers, toleranceMs = config.providerEvents.toleranceMs, now = Date.now() }) {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+    return [];
+  }
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) {
+    return [];
+  }
+  const signature = Buffer.from(parts.v1, 'hex');
+  return signers.filter(({ secret }) => crypto.timingSafeEqual(signature, Buffer.from(hmac(secret, `${timestamp}.${rawBody}`), 'hex')));
+}
+
+/**
+ * Checks the signature of a provider event against each of the given secrets.
+ * @param {string} [header] - The `x-provider-signature` header.
+ * @param {string} rawBody - The request body exactly as received.
+ * @param {object} [options]
+ * @param {Array<string>} [options.secrets] - Accepted secrets, see `parseProviderEventSecrets`.
+ * @param {number} [options.toleranceMs] - Accepted clock difference.
+ * @param {number} [options.now] - Current time in milliseconds.
+ * @returns {boolean}
+ */
+function verifyProviderEvent (header, rawBody, { secrets = config.providerEvents.secrets, ...options } = {}) {
+  return findProviderEventSigners(header, rawBody, { ...options, signers: parseProviderEventSecrets(secrets) }).length > 0;
+}
+
+function hmac (secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/**
+ * Parks a provisioning job whose provider acknowledged services as `Pending`, so its results are
+ * published once provider events settle them. Events that arrived while the job was still running
+ * are already recorded on its line items; when they settled every service, nothing is parked.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID.
+ * @param {object} options.settlement - What finishing the job later needs besides the job record: the
+ *   `writeback` and `publishing` settings and the Salesforce `requestId`. No access token is kept; the
+ *   worker connects to the org through its AppLink authorization.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @returns {Promise<{ services: Array<object>, held: boolean }>} - The services of the job as recorded,
+ *   and whether the job now waits for provider events as `awaiting_provider`.
+ */
+async function holdForProviderEvents ({ jobId, settlement, jobStore }) {
+  let services;
+  let held = false;
+  await jobStore.modify(jobId, job => {
+    services = recordedServices(job);
+    held = services.some(service => service.status === 'Pending');
+    if (held) {
+      job.status = 'awaiting_provider';
+      job.settlement = settlement;
+    }
+  });
+  return { services, held };
+}
+
+/**
+ * Settles a pending service with a provider event. When it was the last pending service of a job
+ * waiting for provider events, the job is queued for a worker to publish its results.
+ * @param {object} options
+ * @param {ProviderEvent} options.event - The verified event.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.jobQueue - Job queue (see `jobQueue.js`).
+ * @param {object} options.logger - A logger instance.
+ * @param {import('./auditLog.js').AuditLog} [options.audit] - Audit log recording settled services.
+ * @param {Array<ProviderEventSigner>} [options.signers] - Signers of the event. When given, only services of the
+ *   orgs and providers they cover are found; services of others are `not_found`.
+ * @param {import('./orgRegistry.js').OrgRegistry} [options.orgs] - Org registry naming the signers of each org, with `signers`.
+ * @returns {Promise<{ outcome: string, jobId?: string, lineItemId?: string, status?: string, jobStatus?: string }>} - `outcome`
+ *   is `settled`, `duplicate` when the service already has the event's status, `conflict` when it has another
+ *   status, or `not_found`.
+ */
+async function applyProviderEvent ({ event, jobStore, jobQueue, logger, audit = auditLog, signers, orgs }) {
+  const { serviceId, status, message, errorCode } = event;
+  const signedFor = signers
+    ? item => signers.some(signer => (!signer.provider || signer.provider === item.provider) &&
+      orgs.providerEventSignersFor(item.orgId).includes(signer))
+    : undefined;
+  const lineItem = await jobStore.findService(serviceId, event.jobId, signedFor);
+  if (!lineItem) {
+    return { outcome: 'not_found' };
+  }
+
+  let outcome = 'settled';
+  let release = false;
+  let settled;
+  const job = await jobStore.modify(lineItem.jobId, job => {
+    const item = job.lineItems.find(candidate => candidate.lineItemId === lineItem.lineItemId);
+    if (item.status !== 'Pending') {
+      outcome = item.status === status ? 'duplicate' : 'conflict';
+      return;
+    }
+    const now = new Date().toISOString();
+    Object.assign(item, {
+      status,
+      message: message || (status === 'Failed' ? `Provider failed to provision service ${serviceId}` : `Provisioned service ${serviceId}`),
+      settledAt: now,
+      updatedAt: now
+    });
+    if (status === 'Failed') {
+      item.errorCode = errorCode || 'PROVISIONING_ERROR';
+    }
+    settled = { ...item };
+    // Only one event can take the job out of awaiting_provider, so its results are published once
+    if (job.status === 'awaiting_provider' && !job.lineItems.some(candidate => candidate.status === 'Pending')) {
+      job.status = 'queued';
+      release = true;
+    }
+    // A job that reported its services as Pending is decided again; stopped jobs keep the reason's status
+    if (SETTLED_STATUSES.includes(job.status)) {
+      Object.assign(job, summarizeResults({ services: recordedServices(job), rejected: job.rejected }));
+    }
+  });
+
+  const result = { outcome, jobId: job.jobId, lineItemId: lineItem.lineItemId, status: lineItem.status, jobStatus: job.status };
+  if (outcome !== 'settled') {
+    return result;
+  }
+  logger.info({ jobId: job.jobId, serviceId, status }, `Provider event settled service ${serviceId} as ${status}`);
+  // The provider, not a Salesforce user, reported the outcome
+  await audit.record({
+    type: 'provider.event',
+    actor: { orgId: job.orgId, provider: settled.provider },
+    jobId: job.jobId,
+    opportunityId: settled.opportunityId,
+    lineItemId: settled.lineItemId,
+    serviceId,
+    details: { status, errorCode: settled.errorCode, message: settled.message }
+  }, logger);
+  if (release) {
+    await enqueueSettlement(jobQueue, job);
+    logger.info(`All services of job ${job.jobId} settled, queued for publishing its results`);
+  }
+  return { ...result, status };
+}
+
+/**
+ * Queues a job parked by `holdForProviderEvents` for a worker to publish its results
+ * as the AppLink authorization of the job's org.
+ * @param {object} jobQueue - Job queue (see `jobQueue.js`).
+ * @param {object} job - The job record.
+ * @returns {Promise<void>}
+ */
+async function enqueueSettlement (jobQueue, job) {
+  await jobQueue.enqueue({
+    jobId: job.jobId,
+    operation: 'settle',
+    ...job.request,
+    traceparent: job.traceparent,
+    orgId: job.orgId,
+    requestId: job.settlement.requestId
+  });
+}
+
+/**
+ * Publishes the results of a job parked by `holdForProviderEvents`, once provider events settled its
+ * services or the job was cancelled. Services still pending when cancelled are reported as `Pending`.
+ * @param {string} jobId - The job ID.
+ * @param {object} client - The Salesforce client of the org's AppLink authorization.
+ * @param {object} logger - A logger instance.
+ * @param {object} options
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @returns {Promise<string>} - Final job status.
+ */
+async function settleServices (jobId, client, logger, { jobStore }) {
+  const job = await jobStore.update(jobId, { status: 'running' });
+  const { settlement } = job;
+  if (!settlement) {
+    throw new Error(`Job ${jobId} is not waiting for provider events`);
+  }
+  const services = recordedServices(job);
+  const stopped = services.some(service => service.status === 'Pending') && job.cancelRequestedAt
+    ? new JobStoppedError(`Job cancelled at ${job.cancelRequestedAt}`, 'cancelled')
+    : undefined;
+  await jobStore.modify(jobId, record => { delete record.settlement; });
+
+  // Services reported by progress callbacks before the job was parked are not sent again
+  const progress = {
+    finish: async () => ({ sequence: (job.progress?.sequence || 0) + 1, reported: new Set(job.progress?.reported) })
+  };
+  return completeJob({
+    jobId,
+    label: 'Provisioning',
+    opportunityIds: job.request.opportunityIds,
+    services,
+    rejected: job.rejected,
+    org: client.context.org,
+    callbackUrl: job.request.callbackUrl,
+    publishers: job.request.publishers,
+    publishing: settlement.publishing,
+    writeback: settlement.writeback,
+    stopped,
+    progress,
+    jobStore,
+    logger
+  });
+}
+
+export {
+  SIGNATURE_HEADER,
+  applyProviderEvent,
+  enqueueSettlement,
+  findProviderEventSigners,
+  holdForProviderEvents,
+  parseProviderEventSecrets,
+  settleServices,
+  signProviderEvent,
+  verifyProviderEvent
+};
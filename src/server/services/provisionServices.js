@@ -1,5 +1,26 @@
 'use strict';
 
+import config from '../config/index.js';
+import { createLimiter } from '../utils/limiter.js';
+import { JobStoppedError, ProvisioningError } from '../utils/errors.js';
+import { sanitizeSalesforceId, toCaseSafeId } from '../utils/salesforceIds.js';
+import { auditContext, auditLog } from './auditLog.js';
+import { completeJob, failJob, recordedServices } from './jobResults.js';
+import { splitWritebackSettings } from './recordWriteback.js';
+import { createProgressReporter } from './progressCallbacks.js';
+import { holdForProviderEvents } from './providerEvents.js';
+import { tracer } from './tracing.js';
+import { lineItemsProcessed, providerCallDuration } from './metrics.js';
+import { resolveParameters, splitParameterOverrides, validateParameters } from './provisioningParameters.js';
+import { providerRegistry, splitProviderMappings } from '../providers/index.js';
+import { createResultPublisher, splitPublishingSettings } from '../publishers/index.js';
+
+// Statuses a provider may report for a service it was asked to provision
+const PROVISIONING_STATUSES = ['Provisioned', 'Pending', 'Failed'];
+
+// Bounds the line items being provisioned at once across all jobs in this process
+const provisioningLimiter = createLimiter(config.provisioning.concurrency);
+
 /**
  * Handles service provisioning jobs.
  * @param {string} jobId - Unique identifier for the provisioning job.
@@ -7,126 +28,621 @@
  * @param {object} client - The Salesforce client from AppLink (from request.salesforce).
  * @param {string} callbackUrl - URL to call back with provisioning results.
  * @param {object} logger - A logger instance.
+ * @param {object} options
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository to record progress in.
+ * @param {AbortSignal} [options.signal] - When aborted, no further line items are started. The job is re-queued, or completed
+ *   as `timed_out` or `cancelled` when the abort reason is a `JobStoppedError`.
+ * @param {import('../providers/index.js').ProviderRegistry} [options.providers] - Providers to provision products with.
+ * @param {Function} [options.orgLimiter] - Bounds the line items of the org provisioned at once, see `OrgRegistry.limiterFor`.
+ * @param {object} [options.parameters] - Parameters from the request, overriding ProvisioningParameter__mdt for all services.
+ * @param {object} [options.lineItemParameters] - Parameters from the request for individual line items, by line item ID.
+ * @param {object} [options.plan] - Result of `planProvisioning` for this request, when already planned by the caller.
+ * @param {import('./progressCallbacks.js').ProgressOptions} [options.progress] - Sends progress callbacks while provisioning.
+ * @param {Array<string>} [options.publishers] - Result publishers from the request, see `publishers/index.js`.
+ * @param {import('./auditLog.js').AuditLog} [options.audit] - Audit log recording the parameters and provider calls.
+ * @param {boolean} [options.awaitProviderEvents] - Whether services a provider acknowledged as `Pending` are reported once
+ *   provider events settle them, which needs an AppLink authorization for the org; otherwise they are reported as `Pending`.
+ * @returns {Promise<string>} - Final job status: `completed`, `partial`, `failed`, `timed_out`, `cancelled`, `interrupted`
+ *   or `awaiting_provider`.
  */
-async function provisionServices (jobId, opportunityIds, client, callbackUrl, logger) {
+async function provisionServices (jobId, opportunityIds, client, callbackUrl, logger, { jobStore, signal, providers = providerRegistry, orgLimiter, parameters, lineItemParameters = {}, plan: preparedPlan, progress, publishers, awaitProviderEvents, audit = auditLog }) {
+  // Destructure context from client (as per AppLink SDK structure)
+  const org = client?.context?.org;
+
   // Use opportunityIds in the query
   if (!opportunityIds || !Array.isArray(opportunityIds) || opportunityIds.length === 0) {
     logger.warn(`No opportunityIds provided for Job ID: ${jobId}`);
-    return;
+    return failJob({ jobId, opportunityIds: [], error: new Error('No opportunityIds provided'), org, callbackUrl, publishers, jobStore, logger });
   }
   logger.info(`Processing provisioning job ${jobId} for ${opportunityIds.length} opportunity IDs`);
 
+  let services;
+  let handled = 0;
+  let plan;
+  let rejected;
+  let progressReporter;
+  let interrupted = false;
+  const pending = [];
+  const trail = audit.bind({ ...auditContext(client), jobId }, logger);
   try {
-    // Destructure context from client (as per AppLink SDK structure)
-    const { context } = client;
-    const org = context.org;
-    const dataApi = org.dataApi;
-    if (!dataApi) {
-      logger.error(`Failed to get valid Salesforce context for provisioning job ${jobId}`);
-      return;
+    // Line items already handled by an earlier, interrupted run of this job are not provisioned again,
+    // including those a provider acknowledged or settled with a provider event
+    const previousRun = await jobStore.update(jobId, { status: 'running' });
+    const provisionedLineItems = new Map(previousRun.lineItems
+      .filter(item => ['Provisioned', 'AlreadyProvisioned', 'Pending'].includes(item.status) || item.settledAt)
+      .map(item => [item.lineItemId, item]));
+
+    plan = preparedPlan
+      ? { ...preparedPlan, rejected: [], batches: [{ lineItems: preparedPlan.lineItems, rejected: preparedPlan.rejected }] }
+      : await openProvisioningPlan(opportunityIds, org, logger, { parameters, lineItemParameters });
+    rejected = [...plan.rejected];
+    await jobStore.update(jobId, { rejected });
+    if (progress) {
+      progressReporter = createProgressReporter({
+        jobId,
+        opportunityIds,
+        progress,
+        previous: previousRun.progress,
+        publisher: createResultPublisher({ jobId, callbackUrl, org, publishers, settings: plan.publishing, jobStore, logger }),
+        jobStore,
+        logger
+      });
     }
 
-    // Query provisioning parameters from custom metadata
-    const paramResult = await dataApi.query('SELECT Name__c, Value__c FROM ProvisioningParameter__mdt');
-    const provisioningParameters = paramResult.records.reduce((acc, record) => {
-      const fields = record.fields || record;
-      if (fields.Name__c) acc[fields.Name__c] = fields.Value__c;
-      return acc;
-    }, {});
+    // Provision line items in parallel, bounded across the process, per org and per Opportunity
+    const limit = withOrgLimiter(orgLimiter);
+    const opportunityLimiters = new Map();
+    const provision = lineItem => {
+      if (!opportunityLimiters.has(lineItem.opportunityId)) {
+        opportunityLimiters.set(lineItem.opportunityId, createLimiter(config.provisioning.perOpportunityConcurrency));
+      }
+      const opportunityLimiter = opportunityLimiters.get(lineItem.opportunityId);
+      return opportunityLimiter(() => limit(async () => {
+        // Line items finished by an earlier run are still reported when the job stops
+        if (signal?.aborted && !provisionedLineItems.has(lineItem.lineItemId)) {
+          interrupted = true;
+          return null;
+        }
+        const service = await provisionLineItem({ jobId, orgId: org.id, lineItem, providers, providerMappings: plan.providerMappings, provisionedLineItems, jobStore, trail, logger });
+        if (!provisionedLineItems.has(lineItem.lineItemId)) {
+          lineItemsProcessed.inc({ product: service.productReference, status: service.status });
+        }
+        // Pending services are reported once settled, with the final results
+        if (service.status !== 'Pending') {
+          progressReporter?.add(service);
+        }
+        return service;
+      }));
+    };
+
+    // Line items are provisioned as their page of Opportunities arrives. The next page is only read
+    // while at most one other is provisioning, so memory holds two pages whatever the job size.
+    // Results are kept in the job store and progress callbacks only, not collected here.
+    for await (const batch of plan.batches) {
+      if (batch.rejected.length > 0) {
+        rejected.push(...batch.rejected);
+        await jobStore.update(jobId, { rejected });
+      }
+      progressReporter?.expect(batch.lineItems);
+      pending.push(Promise.all(batch.lineItems.map(provision)).then(results => {
+        handled += results.filter(Boolean).length;
+      }));
+      if (pending.length > 1) {
+        await pending.shift();
+      }
+      // A stopped job keeps reading to report line items finished by an earlier run, a shutdown does not
+      if (signal?.aborted && !(signal.reason instanceof JobStoppedError)) {
+        interrupted = true;
+        break;
+      }
+    }
+    await Promise.all(pending.splice(0));
+    if (rejected.length > 0) {
+      logger.warn({ jobId, rejected }, `Rejected ${rejected.length} Opportunities or line items for provisioning job ${jobId}`);
+    }
+  } catch (error) {
+    logger.error({ err: error }, `Error executing provisioning batch for Job ID: ${jobId}`);
+    // Line items already started finish before the failure is reported
+    await Promise.allSettled(pending);
+    return failJob({ jobId, opportunityIds, error, org, callbackUrl, publishers, publishing: plan?.publishing, progress: progressReporter, jobStore, logger });
+  }
+
+  // Cancelled or timed out jobs report what they did, other interruptions resume later
+  const stopped = interrupted && signal.reason instanceof JobStoppedError ? signal.reason : undefined;
+  if (interrupted && !stopped) {
+    logger.warn(`Provisioning job ${jobId} interrupted after ${handled} services, remaining line items will be resumed.`);
+    await progressReporter?.finish();
+    await jobStore.update(jobId, { status: 'queued' });
+    return 'interrupted';
+  }
+
+  if (handled === 0) {
+    logger.warn(`No services were generated for provisioning job ${jobId}.`);
+  }
+
+  services = recordedServices(await jobStore.get(jobId));
+  if (!stopped && awaitProviderEvents && services.some(service => service.status === 'Pending')) {
+    await progressReporter?.finish();
+    const settlement = { writeback: plan.writeback, publishing: plan.publishing, requestId: client.context.id };
+    const hold = await holdForProviderEvents({ jobId, settlement, jobStore });
+    if (hold.held) {
+      logger.info(`Provisioning job ${jobId} is waiting for provider events to settle its pending services`);
+      return 'awaiting_provider';
+    }
+    services = hold.services;
+  }
+
+  return completeJob({
+    jobId,
+    label: 'Provisioning',
+    opportunityIds,
+    services,
+    rejected,
+    org,
+    callbackUrl,
+    publishers,
+    publishing: plan.publishing,
+    writeback: plan.writeback,
+    stopped,
+    progress: progressReporter,
+    jobStore,
+    logger
+  });
+}
+
+/**
+ * Combines the process wide limiter with the quota of an org. The org slot is taken first,
+ * so line items waiting for their org do not hold slots other orgs could use.
+ * @param {Function} [orgLimiter] - Limiter of the org, if it has a quota.
+ * @returns {Function} - Limiter to run each line item with.
+ */
+function withOrgLimiter (orgLimiter) {
+  return orgLimiter ? task => orgLimiter(() => provisioningLimiter(task)) : provisioningLimiter;
+}
+
+/**
+ * Pre-flight stage of provisioning, shared by jobs and dry runs. Reads the requested Opportunities,
+ * rejects those that cannot be provisioned and resolves the product and parameters of each line item.
+ * Nothing is provisioned or recorded.
+ *
+ * Rejections have a `reason` of `INVALID_ID` (not a Salesforce ID), `NOT_FOUND`, `INVALID_STAGE`
+ * (a stage in `PROVISIONING_REJECTED_STAGES`), `NO_LINE_ITEMS` or, for a single line item, `MISSING_PRODUCT`.
+ * @param {Array<string>} opportunityIds - Opportunity IDs from the request.
+ * @param {object} org - The AppLink org.
+ * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {object} [options.parameters] - Parameters from the request for all services.
+ * @param {object} [options.lineItemParameters] - Parameters from the request by line item ID.
+ * @param {number} [options.chunkSize] - Opportunity IDs per query.
+ * @returns {Promise<{ lineItems: Array<object>, rejected: Array<object>, providerMappings: object, writeback: object|null, publishing: object|null }>}
+ *   Line items to provision with their effective `parameters` and `origins`, rejections, and the
+ *   product to provider mappings and write-back settings from ProvisioningParameter__mdt.
+ */
+async function planProvisioning (opportunityIds, org, logger, options = {}) {
+  const { batches, ...plan } = await openProvisioningPlan(opportunityIds, org, logger, options);
+  const lineItems = [];
+  for await (const batch of batches) {
+    lineItems.push(...batch.lineItems);
+    plan.rejected.push(...batch.rejected);
+  }
+  return { ...plan, lineItems };
+}
+
+/**
+ * Counts the line items of the Opportunities with `COUNT()` queries, which return no records, to reject
+ * jobs over the line item limit before they are submitted. Opportunities that would be rejected are counted too.
+ * @param {Array<string>} opportunityIds - Opportunity IDs from the request; invalid IDs are skipped.
+ * @param {object} org - The AppLink org.
+ * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] - Opportunity IDs per query.
+ * @returns {Promise<number>}
+ */
+async function countLineItems (opportunityIds, org, logger, { chunkSize = config.provisioning.queryChunkSize } = {}) {
+  const ids = [...new Set(opportunityIds.map(sanitizeSalesforceId).filter(Boolean).map(toCaseSafeId))];
+  let count = 0;
+  for (let start = 0; start < ids.length; start += chunkSize) {
+    const opportunityIdList = ids.slice(start, start + chunkSize).map(id => `'${id}'`).join(',');
+    const soql = `SELECT COUNT() FROM OpportunityLineItem WHERE OpportunityId IN (${opportunityIdList})`;
+    try {
+      const result = await org.dataApi.query(soql);
+      count += result.totalSize;
+    } catch (error) {
+      logger.error({ err: error, soql }, 'Failed to count line items');
+      throw error;
+    }
+  }
+  return count;
+}
+
+/**
+ * Starts planning without reading the Opportunities yet, for jobs too large to plan up front.
+ * The Opportunities are queried in chunks of `chunkSize` IDs and planned page by page as
+ * `batches` is iterated, so only one page of records is held at a time.
+ * @param {Array<string>} opportunityIds - Opportunity IDs from the request.
+ * @param {object} org - The AppLink org.
+ * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {object} [options.parameters] - Parameters from the request for all services.
+ * @param {object} [options.lineItemParameters] - Parameters from the request by line item ID.
+ * @param {number} [options.chunkSize] - Opportunity IDs per query.
+ * @returns {Promise<{ rejected: Array<object>, providerMappings: object, writeback: object|null, publishing: object|null, batches: AsyncGenerator<{ lineItems: Array<object>, rejected: Array<object> }> }>}
+ *   The settings from ProvisioningParameter__mdt, the IDs rejected as invalid, and the planned
+ *   line items and rejections per page of Opportunities. Opportunities not found are in the last batch.
+ */
+async function openProvisioningPlan (opportunityIds, org, logger, { parameters, lineItemParameters = {}, chunkSize = config.provisioning.queryChunkSize } = {}) {
+  const dataApi = org?.dataApi;
+  if (!dataApi) {
+    throw new Error('Salesforce context not available');
+  }
 
-    // Query Opportunities by ID
-    const opportunityIdList = opportunityIds.map(id => sanitizeSalesforceId(id)).filter(Boolean).map(id => `'${id}'`).join(',');
+  const rejected = [];
+  const validIds = new Set();
+  for (const id of opportunityIds) {
+    const sanitized = sanitizeSalesforceId(id);
+    if (sanitized) {
+      // A record requested by its 15 and 18 character ID is planned once
+      validIds.add(toCaseSafeId(sanitized));
+    } else {
+      rejected.push({ opportunityId: String(id), reason: 'INVALID_ID', message: 'Not a 15 or 18 character Salesforce ID' });
+    }
+  }
+
+  const { mappings: providerMappings, parameters: parameterSources, writeback, publishing } = await queryProvisioningParameters(dataApi);
+  const batches = planBatches([...validIds], org, logger, { parameterSources, parameters, lineItemParameters, chunkSize });
+  return { rejected, providerMappings, writeback, publishing, batches };
+}
+
+/**
+ * Queries the Opportunities with their line items in chunks and plans them page by page.
+ * @param {Array<string>} ids - Valid Opportunity IDs.
+ * @param {object} org - The AppLink org.
+ * @param {object} logger - A logger instance.
+ * @param {object} options
+ * @param {import('./provisioningParameters.js').ParameterSources} options.parameterSources - Parameters from ProvisioningParameter__mdt.
+ * @param {object} [options.parameters] - Parameters from the request for all services.
+ * @param {object} options.lineItemParameters - Parameters from the request by line item ID.
+ * @param {number} options.chunkSize - Opportunity IDs per query.
+ * @yields {{ lineItems: Array<object>, rejected: Array<object> }}
+ */
+async function * planBatches (ids, org, logger, { parameterSources, parameters, lineItemParameters, chunkSize }) {
+  const dataApi = org.dataApi;
+  // Salesforce returns 18 character IDs, requests may use either form
+  const found = new Set();
+  // Number line items in query order so serviceIds and callback ordering stay deterministic
+  let counter = 0;
+  let opportunityCount = 0;
+
+  for (let start = 0; start < ids.length; start += chunkSize) {
+    const opportunityIdList = ids.slice(start, start + chunkSize).map(id => `'${id}'`).join(',');
     const oppQuery = `
       SELECT Id, Name, AccountId, CloseDate, StageName, Amount,
-             (SELECT Id, Product2Id, Product2.Name, Quantity, UnitPrice, PricebookEntryId FROM OpportunityLineItems)
+             (SELECT Id, Product2Id, Product2.Name, Product2.ProductCode, Quantity, UnitPrice, PricebookEntryId FROM OpportunityLineItems)
       FROM Opportunity
       WHERE Id IN (${opportunityIdList})
     `;
-    const opportunities = await queryAll(oppQuery, { context: { org } }, logger);
-
-    logger.info(`Processing ${opportunities.length} Opportunities for provisioning`);
-    const services = [];
-
-    let globalServiceCounter = 0;
-    for (const oppSObject of opportunities) {
-      // Access fields using .fields property
-      const opp = oppSObject.fields;
-      const oppId = opp.Id || opp.id; // Get the actual ID
-      // Access subquery results correctly
-      const lineItemsResult = oppSObject.subQueryResults?.OpportunityLineItems;
-      if (!lineItemsResult?.records) continue;
-
-      for (const oliSObject of lineItemsResult.records) {
-        const oli = oliSObject.fields;
-        const lineItemId = oli.Id || oliSObject.id;
-        const productLabel = oli.Product2?.fields?.Name || oli.Product2?.Name || oli.Product2Id || 'Service';
-        globalServiceCounter += 1;
-
-        const mockResult = await mockProvisionCall({
-          jobId,
-          opportunityId: oppId,
-          lineItemId,
-          productLabel,
-          counter: globalServiceCounter,
-          provisioningParameters
-        });
-
-        logger.info({
-          jobId,
-          opportunityId: oppId,
-          lineItemId,
-          product: productLabel,
-          serviceId: mockResult.serviceId
-        }, 'Provisioned mock service for opportunity line item.');
-
-        services.push(mockResult);
+    for await (const opportunities of queryPages(oppQuery, { context: { org } }, logger)) {
+      opportunityCount += opportunities.length;
+      const lineItems = [];
+      const rejected = [];
+      for (const oppSObject of opportunities) {
+        // Access fields using .fields property
+        const opp = oppSObject.fields;
+        const oppId = opp.Id || opp.id; // Get the actual ID
+        found.add(oppId.slice(0, 15));
+        if (config.provisioning.rejectedStages.includes(opp.StageName)) {
+          rejected.push({ opportunityId: oppId, reason: 'INVALID_STAGE', message: `Opportunity is ${opp.StageName}` });
+          continue;
+        }
+        // Access subquery results correctly; Opportunities with many line items return them in pages too
+        let lineItemsResult = oppSObject.subQueryResults?.OpportunityLineItems;
+        if (!lineItemsResult?.records?.length) {
+          rejected.push({ opportunityId: oppId, reason: 'NO_LINE_ITEMS', message: 'Opportunity has no line items' });
+          continue;
+        }
+
+        while (lineItemsResult) {
+          for (const oliSObject of lineItemsResult.records) {
+            const oli = oliSObject.fields;
+            const lineItemId = oli.Id || oliSObject.id;
+            if (!oli.Product2Id) {
+              rejected.push({ opportunityId: oppId, lineItemId, reason: 'MISSING_PRODUCT', message: 'Line item has no product' });
+              continue;
+            }
+            const product2 = oli.Product2?.fields || oli.Product2;
+            const product = {
+              id: oli.Product2Id,
+              name: product2?.Name || oli.Product2Id,
+              code: product2?.ProductCode
+            };
+            const { parameters: serviceParameters, origins } = resolveParameters({
+              sources: parameterSources,
+              product,
+              accountId: opp.AccountId,
+              requestParameters: parameters,
+              lineItemParameters: lineItemParameters[lineItemId]
+            });
+            lineItems.push({
+              opportunityId: oppId,
+              lineItemId,
+              product,
+              parameters: serviceParameters,
+              origins,
+              counter: ++counter
+            });
+          }
+          lineItemsResult = !lineItemsResult.done && lineItemsResult.nextRecordsUrl
+            ? await dataApi.queryMore(lineItemsResult)
+            : null;
+        }
       }
+      yield { lineItems, rejected };
     }
+  }
+  logger.info(`Processed ${opportunityCount} Opportunities for provisioning`);
+
+  const notFound = ids
+    .filter(id => !found.has(id.slice(0, 15)))
+    .map(id => ({ opportunityId: id, reason: 'NOT_FOUND', message: 'Opportunity not found or not accessible' }));
+  if (notFound.length > 0) {
+    yield { lineItems: [], rejected: notFound };
+  }
+}
 
-    if (services.length === 0) {
-      logger.warn(`No services were generated for provisioning job ${jobId}.`);
-      return;
+/**
+ * Builds the provisioning plan for a dry run: the services a job would provision, with their
+ * provider and effective parameters, without calling any provider or recording a job.
+ * Planned services have status `Planned`; line items already provisioned by a job of the org
+ * are `AlreadyProvisioned`, and those that would fail before reaching a provider are `Invalid`.
+ * @param {Array<string>} opportunityIds - Opportunity IDs from the request.
+ * @param {object} client - The Salesforce client from AppLink (from request.salesforce).
+ * @param {object} logger - A logger instance.
+ * @param {object} options
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository, to find services already provisioned.
+ * @param {import('../providers/index.js').ProviderRegistry} [options.providers] - Providers products are mapped to.
+ * @param {object} [options.parameters] - Parameters from the request for all services.
+ * @param {object} [options.lineItemParameters] - Parameters from the request by line item ID.
+ * @returns {Promise<{ services: Array<object>, rejected: Array<object> }>}
+ */
+async function previewProvisioning (opportunityIds, client, logger, { jobStore, providers = providerRegistry, parameters, lineItemParameters }) {
+  const org = client?.context?.org;
+  const plan = await planProvisioning(opportunityIds, org, logger, { parameters, lineItemParameters });
+  const provisioned = new Map((await jobStore.findServices({
+    orgId: org.id,
+    lineItemIds: plan.lineItems.map(lineItem => lineItem.lineItemId)
+  })).map(item => [item.lineItemId, item]));
+
+  const services = plan.lineItems.map(({ opportunityId, lineItemId, product, parameters: serviceParameters, origins }) => {
+    const service = { opportunityId, lineItemId, productReference: product.name, productCode: product.code, parameters: serviceParameters };
+    const existing = provisioned.get(lineItemId);
+    if (existing) {
+      return { ...service, status: 'AlreadyProvisioned', serviceId: existing.serviceId, message: `Already provisioned by job ${existing.jobId}` };
     }
+    try {
+      validateParameters(serviceParameters, origins);
+      return { ...service, provider: providers.resolve(product, plan.providerMappings).name, status: 'Planned' };
+    } catch (error) {
+      return { ...service, status: 'Invalid', errorCode: error.code || 'PROVISIONING_ERROR', message: error.message };
+    }
+  });
+  return { services, rejected: plan.rejected };
+}
 
-    const summary = {
-      total: services.length,
-      succeeded: services.length,
-      failed: 0
-    };
+/**
+ * Provisions the service for a single line item and records its progress in the job store.
+ * Line items already provisioned by an earlier run of the job are returned as-is; line items
+ * provisioned (or being provisioned) by another job of the org are reported as `AlreadyProvisioned`.
+ * @param {object} options
+ * @param {string} options.jobId - The provisioning job ID.
+ * @param {string} options.orgId - Salesforce org the job belongs to.
+ * @param {object} options.lineItem - Line item to provision, from `planProvisioning`.
+ * @param {import('../providers/index.js').ProviderRegistry} options.providers - Available providers.
+ * @param {object} options.providerMappings - Product to provider mappings from ProvisioningParameter__mdt.
+ * @param {Map<string, object>} options.provisionedLineItems - Line items already provisioned, by ID.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.trail - Audit log bound to the job, see `AuditLog.bind`.
+ * @param {object} options.logger - A logger instance.
+ * @returns {Promise<object>} - The provisioned service, or a `Failed` entry describing the error.
+ */
+async function provisionLineItem ({ jobId, orgId, lineItem, providers, providerMappings, provisionedLineItems, jobStore, trail, logger }) {
+  const { opportunityId, lineItemId, product, parameters, origins, counter } = lineItem;
 
-    logger.info(`Provisioning job ${jobId} completed. ${summary.succeeded} services provisioned.`);
+  const provisioned = provisionedLineItems.get(lineItemId);
+  if (provisioned) {
+    logger.info({ jobId, lineItemId, serviceId: provisioned.serviceId }, 'Line item already provisioned, skipping.');
+    return {
+      serviceId: provisioned.serviceId,
+      opportunityId,
+      lineItemId,
+      productReference: product.name,
+      status: provisioned.status,
+      ...(provisioned.errorCode && { errorCode: provisioned.errorCode }),
+      message: provisioned.message,
+      parameters: provisioned.parameters
+    };
+  }
 
-    if (!callbackUrl) {
-      logger.warn(`No callbackUrl provided for provisioning job ${jobId}, skipping callback execution`);
-    } else {
-      try {
-        // Use AppLink SDK's request method for authenticated callback to Salesforce
-        // The SDK handles authentication automatically
-        const callbackResults = {
-          jobId,
-          opportunityIds,
-          services,
-          summary,
-          status: 'completed',
-          errors: []
-        };
-        const requestOptions = {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(callbackResults)
-        };
-        await org.request(callbackUrl, requestOptions);
-        logger.info(`Provisioning callback executed successfully for Job ID: ${jobId}. Services returned: ${services.length}`);
-      } catch (callbackError) {
-        logger.error({ err: callbackError, jobId }, `Failed to execute provisioning callback for Job ID: ${jobId}`);
-      }
+  let provider;
+  let called = false;
+  try {
+    validateParameters(parameters, origins);
+    provider = providers.resolve(product, providerMappings);
+    const holder = await jobStore.claimLineItem(jobId, orgId, lineItemId, {
+      opportunityId,
+      productReference: product.name,
+      productCode: product.code,
+      provider: provider.name,
+      parameters,
+      counter,
+      status: 'Provisioning'
+    });
+    if (holder) {
+      return recordAlreadyProvisioned({ jobId, lineItem, holder, jobStore, logger });
     }
 
+    await trail.record('parameters.resolved', {
+      opportunityId,
+      lineItemId,
+      details: { product: product.name, productCode: product.code, parameters, origins }
+    });
+    called = true;
+    const result = await tracer.trace('provider provision', {
+      'provider.name': provider.name,
+      'opportunity.id': opportunityId,
+      'line_item.id': lineItemId,
+      'product.name': product.name
+    }, async span => {
+      const outcome = await providerCallDuration.time({ provider: provider.name, operation: 'provision' }, () => provider.provision({
+        jobId,
+        opportunityId,
+        lineItemId,
+        product,
+        counter,
+        parameters
+      }));
+      span.setAttributes({ 'service.id': outcome.serviceId, 'service.status': outcome.status });
+      return outcome;
+    });
+    checkProvisioningResult(provider, result);
+
+    logger.info({
+      jobId,
+      opportunityId,
+      lineItemId,
+      product: product.name,
+      provider: provider.name,
+      serviceId: result.serviceId
+    }, 'Provisioned service for opportunity line item.');
+    await trail.record('provider.call', {
+      opportunityId,
+      lineItemId,
+      serviceId: result.serviceId,
+      details: { operation: 'provision', provider: provider.name, status: result.status, message: result.message }
+    });
+
+    await jobStore.updateLineItem(jobId, lineItemId, {
+      serviceId: result.serviceId,
+      status: result.status,
+      message: result.message
+    });
+
+    return {
+      serviceId: result.serviceId,
+      opportunityId,
+      lineItemId,
+      productReference: product.name,
+      status: result.status,
+      message: result.message,
+      parameters
+    };
   } catch (error) {
-    logger.error({ err: error }, `Error executing provisioning batch for Job ID: ${jobId}`);
+    // A failing line item is reported in the results rather than aborting the job
+    const failure = {
+      opportunityId,
+      lineItemId,
+      productReference: product.name,
+      status: 'Failed',
+      errorCode: error.code || 'PROVISIONING_ERROR',
+      message: error.message,
+      parameters
+    };
+    logger.error({ err: error, jobId, opportunityId, lineItemId, product: product.name, provider: provider?.name }, 'Failed to provision service for opportunity line item.');
+    if (called) {
+      await trail.record('provider.call', {
+        opportunityId,
+        lineItemId,
+        details: { operation: 'provision', provider: provider.name, status: failure.status, errorCode: failure.errorCode, message: failure.message }
+      });
+    }
+    await jobStore.updateLineItem(jobId, lineItemId, {
+      opportunityId,
+      productReference: product.name,
+      status: failure.status,
+      errorCode: failure.errorCode,
+      message: failure.message,
+      parameters,
+      counter
+    }).catch(storeError => {
+      logger.error({ err: storeError, jobId, lineItemId }, 'Failed to record line item failure.');
+    });
+    return failure;
+  }
+}
+
+/**
+ * Throws for a provisioning result that is not a success, so the line item is reported as `Failed`:
+ * a `Failed` status keeps the provider's error code, an unknown status gets `PROVIDER_INVALID_STATUS`.
+ * @param {import('../providers/index.js').Provider} provider - The provider that returned the result.
+ * @param {import('../providers/index.js').ProviderResult} result - The provider's result.
+ */
+function checkProvisioningResult (provider, result) {
+  if (!PROVISIONING_STATUSES.includes(result?.status)) {
+    throw new ProvisioningError(`Provider ${provider.name} reported unknown status ${JSON.stringify(result?.status)}`, 'PROVIDER_INVALID_STATUS');
+  }
+  if (result.status === 'Failed') {
+    throw new ProvisioningError(result.message || `Provider ${provider.name} failed to provision the service`, result.errorCode || 'PROVIDER_FAILED');
   }
 }
 
+/**
+ * Records a line item another job has provisioned, or is provisioning, instead of provisioning it twice.
+ * @param {object} options
+ * @param {string} options.jobId - The provisioning job ID.
+ * @param {object} options.lineItem - The duplicate line item.
+ * @param {object} options.holder - The other job's line item record, with its `jobId`.
+ * @param {import('./jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.logger - A logger instance.
+ * @returns {Promise<object>} - An `AlreadyProvisioned` entry referring to the existing service and its parameters.
+ */
+async function recordAlreadyProvisioned ({ jobId, lineItem, holder, jobStore, logger }) {
+  const { opportunityId, lineItemId, product, counter } = lineItem;
+  const message = holder.status === 'Provisioned'
+    ? `Already provisioned as service ${holder.serviceId} by job ${holder.jobId}`
+    : `Already being provisioned by job ${holder.jobId}`;
+  logger.info({ jobId, lineItemId, provisionedByJobId: holder.jobId, serviceId: holder.serviceId }, 'Line item already provisioned by another job, skipping.');
+
+  await jobStore.updateLineItem(jobId, lineItemId, {
+    opportunityId,
+    productReference: product.name,
+    productCode: product.code,
+    serviceId: holder.serviceId,
+    provisionedByJobId: holder.jobId,
+    status: 'AlreadyProvisioned',
+    message,
+    parameters: holder.parameters,
+    counter
+  });
+  return {
+    serviceId: holder.serviceId,
+    opportunityId,
+    lineItemId,
+    productReference: product.name,
+    status: 'AlreadyProvisioned',
+    message,
+    parameters: holder.parameters
+  };
+}
+
+/**
+ * Reads the org-wide provisioning parameters from custom metadata, split into product to
+ * provider mappings, write-back and publishing settings and the parameters passed on to providers.
+ * @param {object} dataApi - The AppLink org's Data API.
+ * @returns {Promise<{ mappings: object, parameters: import('./provisioningParameters.js').ParameterSources, writeback: import('./recordWriteback.js').WritebackSettings|null, publishing: import('../publishers/index.js').PublishingSettings|null }>}
+ */
+async function queryProvisioningParameters (dataApi) {
+  const paramResult = await dataApi.query('SELECT Name__c, Value__c FROM ProvisioningParameter__mdt');
+  const { writeback, parameters } = splitWritebackSettings(
+    paramResult.records.reduce((acc, record) => {
+      const fields = record.fields || record;
+      if (fields.Name__c) acc[fields.Name__c] = fields.Value__c;
+      return acc;
+    }, {})
+  );
+  const { publishing, parameters: remainingParameters } = splitPublishingSettings(parameters);
+  const { mappings, parameters: providerParameters } = splitProviderMappings(remainingParameters);
+  return { mappings, parameters: splitParameterOverrides(providerParameters), writeback, publishing };
+}
+
 /**
  * Helper function to fetch all records for a SOQL query, handling pagination.
  * @param {string} soql - The SOQL query string.
@@ -135,68 +651,51 @@ async function provisionServices (jobId, opportunityIds, client, callbackUrl, lo
  * @returns {Promise<Array>} - A promise that resolves with an array of all records.
  */
 async function queryAll (soql, sfContext, logger) {
-  let allRecords = [];
+  const allRecords = [];
+  for await (const records of queryPages(soql, sfContext, logger)) {
+    allRecords.push(...records);
+  }
+  return allRecords;
+}
+
+/**
+ * Reads the records of a SOQL query one page at a time, following `nextRecordsUrl` with `queryMore`.
+ * @param {string} soql - The SOQL query string.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance or named connection).
+ * @param {object} logger - A logger instance.
+ * @yields {Array} - The records of each page.
+ */
+async function * queryPages (soql, sfContext, logger) {
+  let result;
   try {
     // Access dataApi via context.org.dataApi (as per AppLink SDK structure)
     const dataApi = sfContext.context?.org?.dataApi;
-    
+
     if (!dataApi) {
       throw new Error('No dataApi available in sfContext');
     }
-    
-    let result = await dataApi.query(soql);
-    allRecords = allRecords.concat(result.records);
+
+    result = await dataApi.query(soql);
+    yield result.records;
     while (!result.done && result.nextRecordsUrl) {
       result = await dataApi.queryMore(result); // Use result object directly
-      allRecords = allRecords.concat(result.records);
+      yield result.records;
     }
   } catch (error) {
     logger.error({ err: error, soql }, 'Error during queryAll execution');
     throw error; // Re-throw the error to be caught by the caller
   }
-  return allRecords;
-}
-
-async function mockProvisionCall ({ jobId, opportunityId, lineItemId, productLabel, counter, provisioningParameters }) {
-  await new Promise(resolve => setTimeout(resolve, 10_000));
-  const timestamp = new Intl.DateTimeFormat(undefined, {
-    year: 'numeric',
-    month: 'short',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    timeZone: 'UTC',
-    hour12: true
-  }).format(new Date());
-  const tier = provisioningParameters?.DefaultTier || 'Standard';
-  const region = provisioningParameters?.Region || 'US';
-  const compliance = provisioningParameters?.Compliance || 'General';
-
-  return {
-    serviceId: `svc-${jobId}-${counter}`,
-    opportunityId,
-    lineItemId,
-    productReference: productLabel,
-    status: 'Provisioned',
-    message: `Provisioned service for product ${productLabel} at ${timestamp} UTC (${tier}, ${region}, Compliance: ${compliance})`
-  };
 }
 
 export {
-  provisionServices
+  countLineItems,
+  openProvisioningPlan,
+  planProvisioning,
+  previewProvisioning,
+  provisionServices,
+  provisioningLimiter,
+  withOrgLimiter,
+  queryAll,
+  queryPages,
+  queryProvisioningParameters
 };
-
-/**
- * Ensures the provided Salesforce Id is in the correct format to avoid SOQL injection.
- * Salesforce Ids are 15 or 18 character alphanumeric strings.
- * @param {string} id - The Salesforce Id to sanitize.
- * @returns {string|null} - Returns the sanitized Id or null if invalid.
- */
-function sanitizeSalesforceId (id) {
-  if (typeof id !== 'string') {
-    return null;
-  }
-  const trimmed = id.trim();
-  return /^[a-zA-Z0-9]{15,18}$/.test(trimmed) ? trimmed : null;
-}
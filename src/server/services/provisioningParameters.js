@@ -0,0 +1,137 @@
+'use strict';
+
+import { ProvisioningError } from '../utils/errors.js';
+
+/**
+ * Parameters providers accept, as JSON Schema properties. Request bodies are validated against
+ * these by Fastify and the effective parameters of each service before it is provisioned.
+ * Add a property here before using a new parameter in ProvisioningParameter__mdt.
+ */
+const PARAMETER_DEFINITIONS = {
+  DefaultTier: {
+    type: 'string',
+    enum: ['Basic', 'Standard', 'Premium'],
+    description: 'Service tier'
+  },
+  Region: {
+    type: 'string',
+    enum: ['US', 'EU', 'APAC'],
+    description: 'Region the service is hosted in'
+  },
+  Compliance: {
+    type: 'string',
+    maxLength: 255,
+    description: 'Comma separated compliance requirements, e.g. PCI, Fedramp'
+  }
+};
+
+// ProvisioningParameter__mdt entries named `Product:<Product2.Name or ProductCode>` or
+// `Account:<AccountId>` hold a JSON object of parameters overriding the org defaults
+const PRODUCT_PARAMETER_PREFIX = 'Product:';
+const ACCOUNT_PARAMETER_PREFIX = 'Account:';
+
+/**
+ * @typedef {object} ParameterSources
+ * @property {object} org - Org defaults, parameter name to value.
+ * @property {object} products - Product name or code to parameter overrides.
+ * @property {object} accounts - 15 character Account ID to parameter overrides.
+ */
+
+/**
+ * Splits the org-wide provisioning parameters into org defaults and the per-product
+ * and per-Account overrides.
+ * @param {object} provisioningParameters - Name to value map from ProvisioningParameter__mdt.
+ * @returns {ParameterSources}
+ */
+function splitParameterOverrides (provisioningParameters) {
+  const sources = { org: {}, products: {}, accounts: {} };
+  for (const [name, value] of Object.entries(provisioningParameters)) {
+    if (name.startsWith(PRODUCT_PARAMETER_PREFIX)) {
+      sources.products[name.slice(PRODUCT_PARAMETER_PREFIX.length).trim()] = parseOverrides(name, value);
+    } else if (name.startsWith(ACCOUNT_PARAMETER_PREFIX)) {
+      sources.accounts[name.slice(ACCOUNT_PARAMETER_PREFIX.length).trim().slice(0, 15)] = parseOverrides(name, value);
+    } else {
+      sources.org[name] = value;
+    }
+  }
+  return sources;
+}
+
+/**
+ * Merges the parameters for one service. Later sources win: org defaults, product overrides
+ * (by name, then by code), Account overrides, then the request's `parameters` and its
+ * `lineItemParameters` for the line item.
+ * @param {object} options
+ * @param {ParameterSources} options.sources - Parameters from ProvisioningParameter__mdt.
+ * @param {object} options.product - The line item's product (name, code).
+ * @param {string} [options.accountId] - The Opportunity's Account.
+ * @param {object} [options.requestParameters] - Overrides from the request for all services.
+ * @param {object} [options.lineItemParameters] - Overrides from the request for this line item.
+ * @returns {{ parameters: object, origins: object }} - Effective parameters, and where each came from.
+ */
+function resolveParameters ({ sources, product, accountId, requestParameters, lineItemParameters }) {
+  const layers = [
+    ['ProvisioningParameter__mdt', sources.org],
+    [`${PRODUCT_PARAMETER_PREFIX}${product.name}`, sources.products[product.name]],
+    [`${PRODUCT_PARAMETER_PREFIX}${product.code}`, product.code && sources.products[product.code]],
+    [`${ACCOUNT_PARAMETER_PREFIX}${accountId}`, accountId && sources.accounts[accountId.slice(0, 15)]],
+    ['request parameters', requestParameters],
+    ['request lineItemParameters', lineItemParameters]
+  ];
+  const parameters = {};
+  const origins = {};
+  for (const [origin, overrides] of layers) {
+    for (const [name, value] of Object.entries(overrides || {})) {
+      parameters[name] = value;
+      origins[name] = origin;
+    }
+  }
+  return { parameters, origins };
+}
+
+/**
+ * Checks effective parameters against `PARAMETER_DEFINITIONS`.
+ * @param {object} parameters - Effective parameters of a service.
+ * @param {object} [origins] - Where each parameter came from, named in the error.
+ * @throws {ProvisioningError} With code `INVALID_PARAMETERS` describing every invalid parameter.
+ */
+function validateParameters (parameters, origins = {}) {
+  const problems = [];
+  for (const [name, value] of Object.entries(parameters)) {
+    const problem = checkParameter(PARAMETER_DEFINITIONS[name], value);
+    if (problem) {
+      problems.push(`${name} ${problem}${origins[name] ? ` (from ${origins[name]})` : ''}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new ProvisioningError(`Invalid provisioning parameters: ${problems.join('; ')}`, 'INVALID_PARAMETERS');
+  }
+}
+
+function checkParameter (definition, value) {
+  if (!definition) return 'is not a known parameter';
+  if (typeof value !== 'string') return 'must be a string';
+  if (definition.enum && !definition.enum.includes(value)) return `must be one of ${definition.enum.join(', ')}`;
+  if (definition.maxLength !== undefined && value.length > definition.maxLength) return `must be at most ${definition.maxLength} characters`;
+  return null;
+}
+
+function parseOverrides (name, value) {
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch {
+    // Reported below
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`Invalid ProvisioningParameter__mdt ${name}: value must be a JSON object of parameters`);
+  }
+  return overrides;
+}
+
+export {
+  PARAMETER_DEFINITIONS,
+  resolveParameters,
+  splitParameterOverrides,
+  validateParameters
+};
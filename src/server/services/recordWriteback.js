@@ -0,0 +1,211 @@
+'use strict';
+
+import { sanitizeSalesforceId } from '../utils/salesforceIds.js';
+import { queryAll } from './provisionServices.js';
+
+// ProvisioningParameter__mdt entries named `Writeback:<setting>` configure writing results back to Salesforce
+const WRITEBACK_PARAMETER_PREFIX = 'Writeback:';
+
+// Service record fields used unless overridden by `Writeback:Service.<value>` entries; a blank entry leaves a value out
+const DEFAULT_SERVICE_FIELDS = {
+  lineItemId: 'OpportunityLineItemId__c',
+  opportunityId: 'Opportunity__c',
+  serviceId: 'ServiceId__c',
+  status: 'Status__c',
+  message: 'Message__c',
+  jobId: 'JobId__c',
+  provisionedAt: 'ProvisionedAt__c',
+  updatedAt: 'LastUpdated__c'
+};
+
+// Opportunity values that can be mapped with `Writeback:Opportunity.<value>` entries
+const OPPORTUNITY_VALUES = ['status', 'jobId', 'updatedAt'];
+
+// The Composite Graph API accepts up to 500 subrequests per graph
+const MAX_GRAPH_SIZE = 500;
+
+// Keeps SOQL IN clauses well below the query length limit
+const QUERY_BATCH_SIZE = 200;
+
+// Default size of Text fields; longer provider messages would fail the whole unit of work
+const MAX_MESSAGE_LENGTH = 255;
+
+/**
+ * @typedef {object} WritebackSettings
+ * @property {string} [serviceObject] - SObject holding one record per provisioned line item, e.g. `ProvisionedService__c`.
+ * @property {object} serviceFields - Result value (see `DEFAULT_SERVICE_FIELDS`) to service record field.
+ * @property {object} opportunityFields - Result value (`status`, `jobId`, `updatedAt`) to Opportunity field.
+ */
+
+/**
+ * Splits `Writeback:` entries from the org-wide provisioning parameters.
+ *
+ * - `Writeback:ServiceObject` names the SObject to upsert a record per line item into, keyed by the
+ *   `lineItemId` field. Fields default to `DEFAULT_SERVICE_FIELDS`, e.g. `Writeback:Service.status`
+ *   set to `State__c` writes the status to `State__c` instead.
+ * - `Writeback:Opportunity.status`, `.jobId` and `.updatedAt` name Opportunity fields stamped with
+ *   the outcome for that Opportunity's services. Opportunities are not updated unless mapped.
+ * @param {object} provisioningParameters - Name to value map from ProvisioningParameter__mdt.
+ * @returns {{ writeback: WritebackSettings|null, parameters: object }} - Settings, or null when write-back
+ *   is not configured, and the remaining parameters.
+ */
+function splitWritebackSettings (provisioningParameters) {
+  const settings = { serviceObject: undefined, serviceFields: { ...DEFAULT_SERVICE_FIELDS }, opportunityFields: {} };
+  const parameters = {};
+  let configured = false;
+  for (const [name, value] of Object.entries(provisioningParameters)) {
+    if (!name.startsWith(WRITEBACK_PARAMETER_PREFIX)) {
+      parameters[name] = value;
+      continue;
+    }
+    const setting = name.slice(WRITEBACK_PARAMETER_PREFIX.length).trim();
+    const field = value?.trim() || undefined;
+    if (field !== undefined && !/^\w+$/.test(field)) {
+      throw new Error(`Invalid ProvisioningParameter__mdt ${name}: ${field} is not an API name`);
+    }
+    const [target, key] = setting.split('.');
+    if (setting === 'ServiceObject') {
+      settings.serviceObject = field;
+      configured ||= Boolean(field);
+    } else if (target === 'Service' && key in DEFAULT_SERVICE_FIELDS) {
+      settings.serviceFields[key] = field;
+    } else if (target === 'Opportunity' && OPPORTUNITY_VALUES.includes(key)) {
+      settings.opportunityFields[key] = field;
+      configured ||= Boolean(field);
+    } else {
+      throw new Error(`Unknown ProvisioningParameter__mdt ${name}`);
+    }
+  }
+  if (settings.serviceObject && !settings.serviceFields.lineItemId) {
+    throw new Error(`ProvisioningParameter__mdt ${WRITEBACK_PARAMETER_PREFIX}Service.lineItemId is required to write ${settings.serviceObject} records`);
+  }
+  return { writeback: configured ? settings : null, parameters };
+}
+
+/**
+ * Writes job results to Salesforce records in units of work: a service record per line item,
+ * created or updated by its line item ID, and a status stamp on each Opportunity.
+ *
+ * `AlreadyProvisioned` results are left to the job that provisioned the service. A failed change
+ * to an existing service only updates its message, as the service itself is unchanged.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID.
+ * @param {Array<object>} options.services - Per service results of the job.
+ * @param {WritebackSettings} options.settings - Write-back configuration.
+ * @param {object} options.org - The AppLink org.
+ * @param {object} options.logger - A logger instance.
+ * @returns {Promise<{ records: number }>} - Number of records written.
+ */
+async function writeResults ({ jobId, services, settings, org, logger }) {
+  const dataApi = org?.dataApi;
+  if (!dataApi) {
+    throw new Error('Salesforce context not available');
+  }
+  const now = new Date().toISOString();
+  const records = [];
+
+  if (settings.serviceObject) {
+    const results = services.filter(service => service.status !== 'AlreadyProvisioned' && service.lineItemId);
+    const existing = await queryServiceRecords(results.map(service => service.lineItemId), settings, org, logger);
+    for (const service of results) {
+      records.push(toServiceRecord({ jobId, service, existing: existing.get(service.lineItemId), settings, now }));
+    }
+  }
+
+  if (Object.values(settings.opportunityFields).some(Boolean)) {
+    const byOpportunity = new Map();
+    for (const service of services.filter(service => service.opportunityId)) {
+      byOpportunity.set(service.opportunityId, [...(byOpportunity.get(service.opportunityId) || []), service]);
+    }
+    for (const [opportunityId, opportunityServices] of byOpportunity) {
+      records.push({
+        type: 'Opportunity',
+        fields: {
+          id: opportunityId,
+          ...mapFields(settings.opportunityFields, { status: summarizeStatus(opportunityServices), jobId, updatedAt: now })
+        }
+      });
+    }
+  }
+
+  for (let start = 0; start < records.length; start += MAX_GRAPH_SIZE) {
+    const unitOfWork = dataApi.newUnitOfWork();
+    for (const record of records.slice(start, start + MAX_GRAPH_SIZE)) {
+      if (record.fields.id) {
+        unitOfWork.registerUpdate(record);
+      } else {
+        unitOfWork.registerCreate(record);
+      }
+    }
+    await dataApi.commitUnitOfWork(unitOfWork);
+  }
+  logger.info({ jobId, records: records.length }, 'Wrote job results to Salesforce.');
+  return { records: records.length };
+}
+
+/**
+ * Finds the existing service records for the given line items.
+ * @returns {Promise<Map<string, object>>} - Record fields by line item ID.
+ */
+async function queryServiceRecords (lineItemIds, settings, org, logger) {
+  const { lineItemId, provisionedAt } = settings.serviceFields;
+  const fields = ['Id', lineItemId, provisionedAt].filter(Boolean).join(', ');
+  const ids = lineItemIds.map(id => sanitizeSalesforceId(id)).filter(Boolean);
+  const existing = new Map();
+  for (let start = 0; start < ids.length; start += QUERY_BATCH_SIZE) {
+    const idList = ids.slice(start, start + QUERY_BATCH_SIZE).map(id => `'${id}'`).join(',');
+    const records = await queryAll(`SELECT ${fields} FROM ${settings.serviceObject} WHERE ${lineItemId} IN (${idList})`, { context: { org } }, logger);
+    for (const record of records) {
+      const recordFields = record.fields || record;
+      existing.set(recordFields[lineItemId], recordFields);
+    }
+  }
+  return existing;
+}
+
+function toServiceRecord ({ jobId, service, existing, settings, now }) {
+  const { serviceFields } = settings;
+  const message = service.message?.slice(0, MAX_MESSAGE_LENGTH);
+  if (existing && service.status === 'Failed') {
+    return { type: settings.serviceObject, fields: { id: existing.Id, ...mapFields(serviceFields, { message, updatedAt: now }) } };
+  }
+  const values = {
+    opportunityId: service.opportunityId,
+    serviceId: service.serviceId,
+    status: service.status,
+    message,
+    jobId,
+    updatedAt: now
+  };
+  // The first successful provisioning is kept when a service is later modified or reprovisioned
+  if (service.status === 'Provisioned' && !existing?.[serviceFields.provisionedAt]) {
+    values.provisionedAt = now;
+  }
+  if (existing) {
+    return { type: settings.serviceObject, fields: { id: existing.Id, ...mapFields(serviceFields, values) } };
+  }
+  return { type: settings.serviceObject, fields: mapFields(serviceFields, { lineItemId: service.lineItemId, ...values }) };
+}
+
+// Copies the values that have a field mapped, leaving out undefined values
+function mapFields (fieldMap, values) {
+  const fields = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (fieldMap[key] && value !== undefined) {
+      fields[fieldMap[key]] = value;
+    }
+  }
+  return fields;
+}
+
+// Same rules as the job status, applied to one Opportunity's services
+function summarizeStatus (services) {
+  const failed = services.filter(service => service.status === 'Failed').length;
+  if (failed === 0) return 'completed';
+  return failed < services.length ? 'partial' : 'failed';
+}
+
+export {
+  splitWritebackSettings,
+  writeResults
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import config from '../config/index.js';
+
+/**
+ * A timed operation within a trace, e.g. a request, a job or one provider call. Span and trace IDs
+ * follow OpenTelemetry and the W3C `traceparent` header, so exported spans can be loaded into
+ * tools that read them.
+ */
+class Span {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Operation name, e.g. `provider provision`.
+   * @param {string} options.traceId - 32 hex character trace ID shared by all spans of the trace.
+   * @param {string} [options.parentSpanId] - Span this one is part of.
+   * @param {object} [options.attributes] - Initial attributes.
+   * @param {Tracer} options.tracer - Tracer exporting the span once it ends.
+   */
+  constructor ({ name, traceId, parentSpanId, attributes = {}, tracer }) {
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = randomHex(8);
+    this.parentSpanId = parentSpanId;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'UNSET' };
+    this.startTime = new Date();
+    this.endTime = null;
+    this.tracer = tracer;
+  }
+
+  /**
+   * @param {object} attributes - Attributes to add; undefined values are left out.
+   * @returns {Span}
+   */
+  setAttributes (attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value !== undefined) this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Marks the span as failed with an `exception` event.
+   * @param {Error} error
+   * @returns {Span}
+   */
+  recordException (error) {
+    this.events.push({
+      name: 'exception',
+      time: new Date().toISOString(),
+      attributes: { 'exception.type': error.name, 'exception.message': error.message }
+    });
+    this.status = { code: 'ERROR', message: error.message };
+    return this;
+  }
+
+  /**
+   * Ends the span and hands it to the exporters. Later calls are ignored.
+   */
+  end () {
+    if (this.endTime) return;
+    this.endTime = new Date();
+    this.tracer.export(this);
+  }
+
+  /**
+   * The W3C `traceparent` header continuing the trace from this span.
+   * @returns {string}
+   */
+  get traceparent () {
+    return `00-${this.traceId}-${this.spanId}-01`;
+  }
+
+  /**
+   * Fields added to log lines written while the span is running.
+   * @returns {{ traceId: string, spanId: string }}
+   */
+  logBindings () {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  toJSON () {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      startTime: this.startTime.toISOString(),
+      endTime: this.endTime?.toISOString(),
+      durationMs: this.endTime ? this.endTime - this.startTime : undefined,
+      attributes: this.attributes,
+      events: this.events,
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Starts spans and keeps track of the active one across `await`s, so code run for a job, such as
+ * provider calls and callbacks, joins the job's trace without passing spans around. Traces cross
+ * from the web process to the worker as a `traceparent` stored with the job.
+ */
+class Tracer {
+  /**
+   * @param {object} options
+   * @param {Array<object>} [options.exporters] - Receive each span as JSON once it ends, see `ConsoleSpanExporter`.
+   */
+  constructor ({ exporters = [] } = {}) {
+    this.exporters = exporters;
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Adds an exporter, e.g. one sending spans to an OpenTelemetry collector.
+   * @param {{ export: (span: object) => Promise<void> }} exporter
+   * @returns {Tracer}
+   */
+  addExporter (exporter) {
+    this.exporters.push(exporter);
+    return this;
+  }
+
+  /**
+   * Starts a span the caller has to end.
+   * @param {string} name - Operation name.
+   * @param {object} [options]
+   * @param {object} [options.attributes] - Initial attributes.
+   * @param {Span|string|null} [options.parent] - Parent span or `traceparent` header; null starts a new trace.
+   *   Defaults to the active span.
+   * @returns {Span}
+   */
+  startSpan (name, { attributes, parent } = {}) {
+    const context = parent === undefined ? this.activeSpan() : parseParent(parent);
+    return new Span({
+      name,
+      traceId: context?.traceId || randomHex(16),
+      parentSpanId: context?.spanId,
+      attributes,
+      tracer: this
+    });
+  }
+
+  /**
+   * Runs `fn` in a new span that is active until `fn` settles. Errors are recorded on the span and rethrown.
+   * @param {string} name - Operation name.
+   * @param {object} attributes - Initial attributes.
+   * @param {(span: Span) => Promise<any>} fn - The operation.
+   * @param {object} [options]
+   * @param {Span|string|null} [options.parent] - See `startSpan`.
+   * @returns {Promise<any>} - Result of `fn`.
+   */
+  async trace (name, attributes, fn, { parent } = {}) {
+    const span = this.startSpan(name, { attributes, parent });
+    try {
+      return await this.storage.run(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * @returns {Span|undefined} - The span of the operation running, if any.
+   */
+  activeSpan () {
+    return this.storage.getStore();
+  }
+
+  /**
+   * Hands an ended span to the exporters. Export failures never affect the traced operation.
+   * @param {Span} span
+   */
+  export (span) {
+    const data = span.toJSON();
+    for (const exporter of this.exporters) {
+      Promise.resolve()
+        .then(() => exporter.export(data))
+        .catch(() => {});
+    }
+  }
+}
+
+/**
+ * Writes spans as JSON lines to stdout, next to the log lines.
+ */
+class ConsoleSpanExporter {
+  async export (span) {
+    process.stdout.write(`${JSON.stringify({ span })}\n`);
+  }
+}
+
+/**
+ * Appends spans as JSON lines to a file, e.g. to inspect traces offline.
+ */
+class FileSpanExporter {
+  /**
+   * @param {object} options
+   * @param {string} options.file - JSONL file, created with its directory when missing.
+   */
+  constructor ({ file }) {
+    this.file = file;
+    this.ready = null;
+    this.writes = Promise.resolve();
+  }
+
+  async export (span) {
+    this.ready ??= fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await this.ready;
+    const write = this.writes.then(() => fs.promises.appendFile(this.file, `${JSON.stringify(span)}\n`));
+    this.writes = write.catch(() => {});
+    return write;
+  }
+}
+
+/**
+ * Keeps spans in process memory, used for tests.
+ */
+class MemorySpanExporter {
+  constructor () {
+    this.spans = [];
+  }
+
+  async export (span) {
+    this.spans.push(span);
+  }
+}
+
+/**
+ * Parses a W3C `traceparent` header.
+ * @param {string} [header] - E.g. `00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01`.
+ * @returns {{ traceId: string, spanId: string }|null} - Null when missing or invalid.
+ */
+function parseTraceparent (header) {
+  const match = /^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec((header || '').trim());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+}
+
+function parseParent (parent) {
+  return typeof parent === 'string' ? parseTraceparent(parent) : parent;
+}
+
+function randomHex (bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Creates the tracer for this process from configuration. Spans are always recorded, so
+ * trace IDs reach log lines and callbacks; the exporter decides where the spans go.
+ * @param {object} options - Tracing configuration (see `config.tracing`).
+ * @param {string} options.exporter - `console`, `file`, `memory` or `none`.
+ * @param {string} [options.file] - JSONL file of the file exporter.
+ * @returns {Tracer}
+ */
+function createTracer ({ exporter, file }) {
+  switch (exporter) {
+    case 'console':
+      return new Tracer({ exporters: [new ConsoleSpanExporter()] });
+    case 'file':
+      return new Tracer({ exporters: [new FileSpanExporter({ file })] });
+    case 'memory':
+      return new Tracer({ exporters: [new MemorySpanExporter()] });
+    case 'none':
+      return new Tracer();
+    default:
+      throw new Error(`Unknown tracing exporter: ${exporter}`);
+  }
+}
+
+// Tracer used by the middleware, the worker and the services
+const tracer = createTracer(config.tracing);
+
+export {
+  ConsoleSpanExporter,
+  FileSpanExporter,
+  MemorySpanExporter,
+  Span,
+  Tracer,
+  createTracer,
+  parseTraceparent,
+  tracer
+};
@@ -0,0 +1,38 @@
+/**
+ * Error raised by provisioning providers. The `code` is reported to Salesforce
+ * as the `errorCode` of the failed service.
+ */
+class ProvisioningError extends Error {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {string} [code='PROVISIONING_ERROR'] - Machine readable error code.
+   * @param {object} [options]
+   * @param {Error} [options.cause] - Underlying error.
+   */
+  constructor (message, code = 'PROVISIONING_ERROR', { cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProvisioningError';
+    this.code = code;
+  }
+}
+
+/**
+ * Reason a job stopped before handling all its line items, used as the abort reason of the
+ * signal passed to the job. The `status` is reported to Salesforce as the job status.
+ */
+class JobStoppedError extends Error {
+  /**
+   * @param {string} message - Human readable reason, reported in the job's `errors`.
+   * @param {string} status - Job status: `timed_out` or `cancelled`.
+   */
+  constructor (message, status) {
+    super(message);
+    this.name = 'JobStoppedError';
+    this.status = status;
+  }
+}
+
+export {
+  JobStoppedError,
+  ProvisioningError
+};
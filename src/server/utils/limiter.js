@@ -0,0 +1,38 @@
+import { AsyncResource } from 'node:async_hooks';
+
+/**
+ * Creates a concurrency limiter that runs at most `max` tasks at a time.
+ * Tasks beyond the limit wait in FIFO order, and run in the async context they were
+ * submitted from, so they stay in the trace of the job that submitted them.
+ * @param {number} max - Maximum number of tasks running at once.
+ * @returns {(task: () => Promise<any>) => Promise<any>} - Runs a task once a slot is free and resolves with its result.
+ */
+function createLimiter (max) {
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error(`Concurrency limit must be a positive integer, got ${max}`);
+  }
+  let active = 0;
+  const pending = [];
+
+  const next = () => {
+    if (active >= max || pending.length === 0) return;
+    active += 1;
+    const { task, resolve, reject } = pending.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    pending.push({ task: AsyncResource.bind(task), resolve, reject });
+    next();
+  });
+}
+
+export {
+  createLimiter
+};
@@ -0,0 +1,40 @@
+/**
+ * Ensures the provided Salesforce Id is in the correct format to avoid SOQL injection.
+ * Salesforce Ids are 15 or 18 character alphanumeric strings.
+ * @param {string} id - The Salesforce Id to sanitize.
+ * @returns {string|null} - Returns the sanitized Id or null if invalid.
+ */
+function sanitizeSalesforceId (id) {
+  if (typeof id !== 'string') {
+    return null;
+  }
+  const trimmed = id.trim();
+  return /^[a-zA-Z0-9]{15,18}$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Converts a 15 character Salesforce Id to its case-insensitive 18 character form by appending the
+ * checksum of its casing, so both forms of an Id compare equal. Other Ids are returned unchanged.
+ * @param {string} id - A sanitized Salesforce Id.
+ * @returns {string}
+ */
+function toCaseSafeId (id) {
+  if (id.length !== 15) {
+    return id;
+  }
+  let suffix = '';
+  for (let block = 0; block < 3; block++) {
+    let bits = 0;
+    for (let position = 0; position < 5; position++) {
+      const char = id[block * 5 + position];
+      if (char >= 'A' && char <= 'Z') bits |= 1 << position;
+    }
+    suffix += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345'[bits];
+  }
+  return id + suffix;
+}
+
+export {
+  sanitizeSalesforceId,
+  toCaseSafeId
+};
@@ -0,0 +1,75 @@
+import http from 'node:http';
+import pino from 'pino';
+import config from './config/index.js';
+import { createJobStore } from './services/jobStore.js';
+import { assertJobStoreShared, createJobQueue } from './services/jobQueue.js';
+import { startJobWorker } from './services/jobWorker.js';
+import { checkReadiness } from './services/health.js';
+import { METRICS_CONTENT_TYPE, metrics } from './services/metrics.js';
+
+// Worker process consuming provisioning jobs queued by the web process
+const logger = pino({ level: config.logLevel });
+
+const start = async () => {
+  const jobStore = await createJobStore(config.jobStore);
+  const jobQueue = createJobQueue(config.queue);
+  assertJobStoreShared(jobQueue, jobStore);
+  if (config.queue.type === 'memory') {
+    logger.warn('Worker is using an in-memory queue and will not receive jobs from the web process. Set REDIS_URL to share a queue.');
+  }
+  if (config.applink.emulator) {
+    logger.warn('AppLink emulator enabled: callbacks are captured in this worker process, not at the web process /emulator/callbacks route.');
+  }
+
+  const worker = startJobWorker({
+    queue: jobQueue,
+    jobStore,
+    logger,
+    concurrency: config.worker.concurrency
+  });
+
+  // Metrics of the jobs run here are only known to this process
+  const metricsServer = config.metrics.workerPort
+    ? startMetricsServer({ port: config.metrics.workerPort, jobStore, jobQueue })
+    : null;
+
+  // Heroku sends SIGTERM on deploys and restarts; finish or re-queue in-flight line items before exiting
+  const shutdown = async signal => {
+    logger.info(`${signal} received, shutting down worker...`);
+    await worker.stop();
+    metricsServer?.close();
+    await jobQueue.close();
+    await jobStore.close();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+};
+
+/**
+ * Serves `GET /metrics` and the `GET /health` readiness check of the worker process.
+ * @param {object} options
+ * @param {number} options.port - Port to listen on.
+ * @param {import('./services/jobStore.js').JobStore} options.jobStore - Job repository.
+ * @param {object} options.jobQueue - Job queue.
+ * @returns {http.Server}
+ */
+function startMetricsServer ({ port, jobStore, jobQueue }) {
+  const server = http.createServer(async (request, response) => {
+    if (request.method === 'GET' && request.url === '/metrics') {
+      response.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE }).end(metrics.render());
+    } else if (request.method === 'GET' && request.url === '/health') {
+      const readiness = await checkReadiness({ jobStore, jobQueue });
+      response.writeHead(readiness.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify(readiness));
+    } else {
+      response.writeHead(404).end();
+    }
+  });
+  server.listen(port, () => logger.info(`Worker metrics available on port ${port} at /metrics`));
+  return server;
+}
+
+start().catch(err => {
+  logger.error({ err }, 'Error starting worker');
+  process.exit(1);
+});
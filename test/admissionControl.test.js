@@ -0,0 +1,108 @@
+import './env.js';
+import crypto from 'node:crypto';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdmissionControl, createAdmissionControl } from '../src/server/services/admissionControl.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { ORG_ID } from './helpers.js';
+
+const USER_ID = '005000000000001AAA';
+const OTHER_USER_ID = '005000000000002AAA';
+
+const NO_LIMITS = {
+  windowMs: 60000,
+  userJobsPerWindow: 0,
+  orgJobsPerWindow: 0,
+  userMaxConcurrentJobs: 0,
+  orgMaxConcurrentJobs: 0,
+  maxLineItemsPerJob: 0
+};
+
+describe('AdmissionControl', () => {
+  const jobStore = new MemoryJobStore();
+  const countLineItems = async () => 1;
+
+  test('limits submissions per user and org in a sliding window', async () => {
+    let now = 0;
+    const admission = new AdmissionControl({ limits: { ...NO_LIMITS, userJobsPerWindow: 2, orgJobsPerWindow: 3 }, now: () => now });
+    const admit = userId => admission.admit({ orgId: ORG_ID, userId, jobStore, countLineItems });
+
+    assert.equal((await admit(USER_ID)).admitted, true);
+    now = 20000;
+    assert.equal((await admit(USER_ID)).admitted, true);
+    now = 30000;
+    const user = await admit(USER_ID);
+    assert.deepEqual({ ...user, error: undefined }, { admitted: false, reason: 'USER_RATE_LIMIT', error: undefined, limit: 2, retryAfterSeconds: 30 });
+    assert.match(user.error, /submitted 2 jobs in the last 60 seconds/);
+
+    assert.equal((await admit(OTHER_USER_ID)).admitted, true);
+    const org = await admit(OTHER_USER_ID);
+    assert.equal(org.reason, 'ORG_RATE_LIMIT');
+    assert.equal(org.retryAfterSeconds, 30);
+
+    // The first submission left the window
+    now = 60001;
+    assert.equal((await admit(USER_ID)).admitted, true);
+  });
+
+  test('limits jobs queued or running per user and org', async () => {
+    const store = new MemoryJobStore();
+    const admission = new AdmissionControl({ limits: { ...NO_LIMITS, userMaxConcurrentJobs: 1, orgMaxConcurrentJobs: 2 } });
+    const admit = userId => admission.admit({ orgId: ORG_ID, userId, jobStore: store, countLineItems });
+    const record = (userId, fields) => store.create({ jobId: crypto.randomUUID(), orgId: ORG_ID, userId, type: 'provision', ...fields });
+
+    await record(USER_ID, { status: 'completed' });
+    await record(USER_ID, { status: 'awaiting_provider' });
+    await record(USER_ID, { status: 'running', deadline: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await admit(USER_ID)).admitted, true);
+
+    await record(USER_ID, { status: 'queued' });
+    assert.deepEqual(await admit(USER_ID), {
+      admitted: false,
+      reason: 'USER_CONCURRENT_JOBS',
+      error: `User ${USER_ID} has 1 jobs queued or running, the limit is 1`,
+      limit: 1,
+      retryAfterSeconds: 30
+    });
+    assert.equal((await admit(OTHER_USER_ID)).admitted, true);
+
+    await record(OTHER_USER_ID, { status: 'running' });
+    assert.equal((await admit('005000000000003AAA')).reason, 'ORG_CONCURRENT_JOBS');
+  });
+
+  test('records the jobs of concurrent submissions before counting the next, without reading every job', async () => {
+    const store = new MemoryJobStore();
+    store.readAll = async () => assert.fail('Active jobs are read from the status index');
+    const admission = new AdmissionControl({ limits: { ...NO_LIMITS, userMaxConcurrentJobs: 2 } });
+    const submit = () => store.create({ jobId: crypto.randomUUID(), orgId: ORG_ID, userId: USER_ID, type: 'provision' });
+
+    const decisions = await Promise.all(Array.from({ length: 5 }, () => admission.admit({ orgId: ORG_ID, userId: USER_ID, jobStore: store, submit })));
+    const admitted = decisions.filter(decision => decision.admitted);
+    assert.equal(admitted.length, 2);
+    assert.deepEqual(decisions.filter(decision => !decision.admitted).map(decision => decision.reason), Array(3).fill('USER_CONCURRENT_JOBS'));
+    assert.deepEqual((await store.list({ orgId: ORG_ID, status: 'queued' })).map(job => job.jobId).sort(), admitted.map(decision => decision.submission.jobId).sort());
+  });
+
+  test('rejects jobs with too many line items without counting them against the window', async () => {
+    const admission = new AdmissionControl({ limits: { ...NO_LIMITS, userJobsPerWindow: 1, maxLineItemsPerJob: 5 } });
+    const admit = lineItems => admission.admit({ orgId: ORG_ID, userId: USER_ID, jobStore, countLineItems: async () => lineItems });
+
+    const rejection = await admit(6);
+    assert.equal(rejection.reason, 'TOO_MANY_LINE_ITEMS');
+    assert.equal(rejection.limit, 5);
+    assert.equal(rejection.retryAfterSeconds, undefined);
+    const admitted = await admit(5);
+    assert.equal(admitted.admitted, true);
+    assert.equal((await admit(5)).reason, 'USER_RATE_LIMIT');
+
+    // Submissions that did not create a job after all give their slot back
+    admitted.release();
+    assert.equal((await admit(5)).admitted, true);
+  });
+
+  test('rejects invalid limits when created', () => {
+    assert.throws(() => createAdmissionControl({ ...NO_LIMITS, userJobsPerWindow: -1 }), /userJobsPerWindow must be a non-negative integer/);
+    assert.throws(() => createAdmissionControl({ ...NO_LIMITS, orgMaxConcurrentJobs: NaN }), /orgMaxConcurrentJobs/);
+    assert.throws(() => createAdmissionControl({ ...NO_LIMITS, windowMs: 0 }), /longer than 0ms/);
+  });
+});
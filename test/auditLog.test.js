@@ -0,0 +1,65 @@
+import './env.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuditLog, AuditSink, FileAuditSink, MemoryAuditSink } from '../src/server/services/auditLog.js';
+import { ORG_ID } from './helpers.js';
+
+const OTHER_ORG_ID = '00D000000000002AAA';
+const alice = { orgId: ORG_ID, userId: '005000000000001AAA', username: 'alice@example.com' };
+const bob = { orgId: ORG_ID, userId: '005000000000002AAA', username: 'bob@example.com' };
+
+describe('AuditLog', () => {
+  test('appends entries as JSON lines and queries them most recent first', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    const file = path.join(dir, 'nested', 'audit.jsonl');
+    const audit = new AuditLog({ sinks: [new FileAuditSink({ file })] });
+    try {
+      assert.deepEqual(await audit.query({ orgId: ORG_ID }), []);
+
+      const trail = audit.bind({ actor: alice, requestId: 'req-1', jobId: 'job-1' });
+      await trail.record('request.received', { opportunityIds: ['006000000000001AAA', '006000000000002AAA'] });
+      await trail.record('provider.call', { opportunityId: '006000000000002AAA', serviceId: 'svc-1', details: { status: 'Provisioned' } });
+      await audit.record({ type: 'request.received', actor: bob, jobId: 'job-2', opportunityIds: ['006000000000003AAA'] });
+      await audit.record({ type: 'request.received', actor: { ...alice, orgId: OTHER_ORG_ID }, jobId: 'job-3' });
+
+      const lines = (await fs.promises.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(lines.length, 4);
+      assert.ok(lines.every(entry => entry.id && entry.at));
+      assert.deepEqual(lines[1].actor, alice);
+      assert.equal(lines[1].requestId, 'req-1');
+
+      const all = await audit.query({ orgId: ORG_ID });
+      assert.deepEqual(all.map(entry => entry.jobId), ['job-2', 'job-1', 'job-1']);
+      assert.deepEqual((await audit.query({ orgId: ORG_ID, username: 'alice@example.com' })).map(entry => entry.type), ['provider.call', 'request.received']);
+      assert.deepEqual((await audit.query({ orgId: ORG_ID, opportunityId: '006000000000002AAA' })).map(entry => entry.type), ['provider.call', 'request.received']);
+      assert.deepEqual((await audit.query({ orgId: ORG_ID, serviceId: 'svc-1' })).map(entry => entry.jobId), ['job-1']);
+      assert.deepEqual((await audit.query({ orgId: ORG_ID, userId: bob.userId, type: 'request.received' })).map(entry => entry.jobId), ['job-2']);
+      assert.deepEqual((await audit.query({ orgId: ORG_ID, limit: 1 })).map(entry => entry.jobId), ['job-2']);
+      assert.deepEqual((await audit.query({ orgId: OTHER_ORG_ID })).map(entry => entry.jobId), ['job-3']);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('records to every sink and logs sink failures instead of throwing', async () => {
+    const errors = [];
+    const logger = { error: (fields, message) => errors.push(message) };
+    const memory = new MemoryAuditSink();
+    class BrokenSink extends AuditSink {
+      async append () {
+        throw new Error('disk full');
+      }
+    }
+    const audit = new AuditLog().addSink(new BrokenSink()).addSink(memory);
+
+    await audit.record({ type: 'job.cancelled', actor: alice, jobId: 'job-1' }, logger);
+
+    assert.deepEqual(errors, ['Failed to write job.cancelled audit entry']);
+    assert.equal(memory.entries.length, 1);
+    // The first sink cannot be queried, so the memory sink answers
+    assert.deepEqual((await audit.query({ orgId: ORG_ID, jobId: 'job-1' })).map(entry => entry.type), ['job.cancelled']);
+  });
+});
@@ -0,0 +1,21 @@
+// Imported first by every test file so the configuration is read with offline, in-memory settings
+process.env.APPLINK_EMULATOR = 'true';
+process.env.JOB_STORE = 'memory';
+process.env.JOB_QUEUE = 'memory';
+process.env.PROVISIONING_PROVIDER = 'mock';
+process.env.PROVISIONING_PROVIDER_MAPPINGS = '';
+process.env.MOCK_PROVIDER_DELAY_MS = '0';
+process.env.CALLBACK_MAX_ATTEMPTS = '2';
+process.env.CALLBACK_BASE_DELAY_MS = '1';
+process.env.CALLBACK_MAX_DELAY_MS = '1';
+process.env.LOG_LEVEL = 'silent';
+process.env.PROVIDER_EVENTS_SECRET = 'test-provider-events-secret';
+process.env.APPLINK_AUTHORIZATION = 'EmulatorOrg';
+process.env.AUDIT_LOG_SINKS = 'memory';
+process.env.TRACING_EXPORTER = 'memory';
+// Tests submit many jobs as one user; admission tests set their own limits
+process.env.ADMISSION_USER_JOBS_PER_WINDOW = '0';
+process.env.ADMISSION_ORG_JOBS_PER_WINDOW = '0';
+process.env.ADMISSION_USER_MAX_CONCURRENT_JOBS = '0';
+process.env.ADMISSION_ORG_MAX_CONCURRENT_JOBS = '0';
+process.env.ADMISSION_MAX_LINE_ITEMS_PER_JOB = '0';
@@ -0,0 +1,200 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import pino from 'pino';
+
+const ORG_ID = '00D000000000001AAA';
+
+const logger = pino({ level: 'silent' });
+
+/**
+ * Builds a base64 `x-client-context` header like `bin/invoke.sh` does.
+ * @param {object} [overrides] - Fields to override in the client context.
+ * @returns {string}
+ */
+function encodeClientContext (overrides = {}) {
+  const clientContext = {
+    accessToken: 'test-token',
+    apiVersion: '62.0',
+    requestId: 'req-test',
+    namespace: '',
+    orgId: ORG_ID,
+    orgDomainUrl: 'https://test.my.salesforce.com',
+    userContext: {
+      userId: '005000000000001AAA',
+      username: 'test@example.com'
+    },
+    ...overrides
+  };
+  return Buffer.from(JSON.stringify(clientContext)).toString('base64');
+}
+
+/**
+ * Creates a fake AppLink org. Opportunity queries are answered with `pages`, one page per
+ * `query`/`queryMore` call, and `org.request` and `dataApi.create` calls are recorded in `requests` and `created`.
+ * @param {object} [options]
+ * @param {Array<Array<object>>} [options.pages] - Opportunity records per page.
+ * @param {object} [options.parameters] - ProvisioningParameter__mdt name to value map.
+ * @param {Function} [options.request] - Replaces `org.request`, e.g. to fail callbacks.
+ * @param {Function} [options.create] - Replaces `dataApi.create`, e.g. to fail Platform Events.
+ * @returns {object} - The org, plus `queries`, `requests` and `created` records made against it.
+ */
+function createFakeOrg ({ pages = [[]], parameters = {}, request, create } = {}) {
+  const queries = [];
+  const requests = [];
+  const created = [];
+  const pageResult = index => ({
+    done: index === pages.length - 1,
+    totalSize: pages.flat().length,
+    records: pages[index],
+    nextRecordsUrl: index < pages.length - 1 ? `/services/data/v62.0/query/01gTEST-${index + 1}` : undefined
+  });
+  return {
+    id: ORG_ID,
+    queries,
+    requests,
+    created,
+    dataApi: {
+      async query (soql) {
+        queries.push(soql);
+        if (soql.includes('ProvisioningParameter__mdt')) {
+          return {
+            done: true,
+            totalSize: Object.keys(parameters).length,
+            records: Object.entries(parameters).map(([name, value]) => ({ fields: { Name__c: name, Value__c: value } }))
+          };
+        }
+        return pageResult(0);
+      },
+      async queryMore (result) {
+        queries.push(result.nextRecordsUrl);
+        return pageResult(parseInt(result.nextRecordsUrl.split('-').pop(), 10));
+      },
+      async create (record) {
+        created.push(record);
+        if (create) return create(record);
+        return { id: `e00${String(created.length).padStart(15, '0')}` };
+      }
+    },
+    async request (url, opts, json) {
+      requests.push({ url, opts, body: JSON.parse(opts.body) });
+      if (request) return request(url, opts, json);
+      return {};
+    }
+  };
+}
+
+/**
+ * Builds an Opportunity record shaped like the AppLink SDK returns it, with one line item per product.
+ * @param {string} id - Opportunity ID.
+ * @param {Array<{ id: string, name: string, code?: string }>} lineItems - Line item IDs and product names.
+ * @param {string} [accountId] - The Opportunity's Account.
+ * @returns {object}
+ */
+function opportunityRecord (id, lineItems, accountId = '001000000000001AAA') {
+  return {
+    type: 'Opportunity',
+    fields: { Id: id, Name: `Opportunity ${id}`, AccountId: accountId },
+    subQueryResults: {
+      OpportunityLineItems: {
+        done: true,
+        totalSize: lineItems.length,
+        records: lineItems.map(({ id: lineItemId, name, code }) => ({
+          type: 'OpportunityLineItem',
+          fields: {
+            Id: lineItemId,
+            Product2Id: `01t${lineItemId.slice(3)}`,
+            Product2: { type: 'Product2', fields: { Name: name, ProductCode: code } },
+            Quantity: 1
+          }
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Waits for a job to reach a final status.
+ * @param {import('../src/server/services/jobStore.js').JobStore} jobStore
+ * @param {string} jobId
+ * @param {number} [timeoutMs=5000]
+ * @returns {Promise<object>} - The finished job.
+ */
+/**
+ * Creates a fake ioredis client keeping strings and sets in memory, answering the commands the
+ * Redis job store sends. Clients passed the same `data` see each other's writes, like processes
+ * connected to one Redis. Keys do not expire.
+ * @param {object} [data] - Shared keyspace, from another fake client's `data`.
+ * @returns {object}
+ */
+function createFakeRedis (data = { strings: new Map(), sets: new Map() }) {
+  const members = key => data.sets.get(key) || new Set();
+  const client = {
+    data,
+    async get (key) {
+      return data.strings.get(key) ?? null;
+    },
+    async mget (...keys) {
+      return keys.map(key => data.strings.get(key) ?? null);
+    },
+    async set (key, value, ...options) {
+      if (options.includes('NX') && data.strings.has(key)) return null;
+      data.strings.set(key, value);
+      return 'OK';
+    },
+    async del (...keys) {
+      return keys.filter(key => data.strings.delete(key) || data.sets.delete(key)).length;
+    },
+    async sadd (key, ...values) {
+      data.sets.set(key, new Set([...members(key), ...values]));
+    },
+    async srem (key, ...values) {
+      const set = members(key);
+      values.forEach(value => set.delete(value));
+    },
+    async smembers (key) {
+      return [...members(key)];
+    },
+    async sunion (...keys) {
+      return [...new Set(keys.flatMap(key => [...members(key)]))];
+    },
+    // Only the compare-and-delete script releasing locks
+    async eval (script, keyCount, key, token) {
+      return data.strings.get(key) === token ? client.del(key) : 0;
+    },
+    multi () {
+      const commands = [];
+      const transaction = new Proxy({}, {
+        get: (target, name) => name === 'exec'
+          ? async () => { for (const [command, args] of commands) await client[command](...args); }
+          : (...args) => { commands.push([name, args]); return transaction; }
+      });
+      return transaction;
+    },
+    async ping () {
+      return 'PONG';
+    },
+    async quit () {}
+  };
+  return client;
+}
+
+async function waitForJob (jobStore, jobId, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = await jobStore.get(jobId);
+    if (['completed', 'partial', 'failed', 'timed_out', 'cancelled'].includes(job?.status) && job.callback && job.callback.status !== 'pending') {
+      return job;
+    }
+    await sleep(10);
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+export {
+  ORG_ID,
+  createFakeOrg,
+  createFakeRedis,
+  encodeClientContext,
+  logger,
+  opportunityRecord,
+  waitForJob
+};
@@ -0,0 +1,117 @@
+import './env.js';
+import http from 'node:http';
+import { once } from 'node:events';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHttpProvider } from '../src/server/providers/httpProvider.js';
+import { createProviderRegistry } from '../src/server/providers/index.js';
+import { provisionServices } from '../src/server/services/provisionServices.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { createFakeOrg, logger, opportunityRecord } from './helpers.js';
+
+const OPPORTUNITY_ID = '006000000000001AAA';
+
+// Answers each line item the way its last digit asks for
+const RESPONSES = {
+  1: { status: 201, body: { serviceId: 'ext-1', status: 'Provisioned', message: 'Created' } },
+  2: { status: 503, body: { code: 'BACKEND_MAINTENANCE', message: 'Backend is in maintenance' } },
+  3: { status: 500 },
+  4: { status: 201, delayMs: 500, body: { serviceId: 'ext-4' } },
+  5: { status: 201, body: { serviceId: 'ext-5', status: 'Failed', code: 'QUOTA_EXCEEDED', message: 'Quota exceeded' } },
+  6: { status: 201, body: { serviceId: 'ext-6', status: 'Running' } }
+};
+
+describe('http provider', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer(async (request, response) => {
+      let raw = '';
+      for await (const chunk of request) raw += chunk;
+      const body = raw ? JSON.parse(raw) : undefined;
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+      const reply = body?.lineItemId ? RESPONSES[body.lineItemId.at(-4)] : { status: 200, body: { status: 'Deprovisioned' } };
+      if (reply.delayMs) await new Promise(resolve => setTimeout(resolve, reply.delayMs));
+      response.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      response.end(reply.body ? JSON.stringify(reply.body) : 'Internal error');
+    });
+    server.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test('sends the service request as JSON with the API key', async () => {
+    requests.length = 0;
+    const provider = createHttpProvider({ baseUrl, apiKey: 'test-key' });
+    const product = { id: '01t000000000001AAA', name: 'Compute', code: 'CMP' };
+
+    const result = await provider.provision({ jobId: 'job-1', opportunityId: OPPORTUNITY_ID, lineItemId: '00k000000000001AAA', product, counter: 1, parameters: { Region: 'EU' } });
+    await provider.deprovision({ serviceId: 'ext/1', product });
+
+    assert.deepEqual(result, { serviceId: 'ext-1', status: 'Provisioned', message: 'Created' });
+    const [provision, deprovision] = requests;
+    assert.deepEqual([provision.method, provision.url], ['POST', '/api/v1/services']);
+    assert.equal(provision.headers.authorization, 'Bearer test-key');
+    assert.equal(provision.headers['content-type'], 'application/json');
+    assert.deepEqual(provision.body, { jobId: 'job-1', opportunityId: OPPORTUNITY_ID, lineItemId: '00k000000000001AAA', product, sequence: 1, parameters: { Region: 'EU' } });
+    assert.deepEqual([deprovision.method, deprovision.url, deprovision.body], ['DELETE', '/api/v1/services/ext%2F1', undefined]);
+  });
+
+  test('leaves the authorization header out without an API key', async () => {
+    requests.length = 0;
+    await createHttpProvider({ baseUrl }).deprovision({ serviceId: 'ext-1', product: { name: 'Compute' } });
+    assert.equal(requests[0].headers.authorization, undefined);
+  });
+
+  test('fails the services of error responses and timeouts, and provisions the others', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [1, 2, 3, 4].map(index => ({ id: `00k00000000000${index}AAA`, name: 'Compute' })))]]
+    });
+    const providers = createProviderRegistry({ defaultProvider: 'http', mock: {}, http: { baseUrl, apiKey: 'test-key', timeoutMs: 100 } });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID] } });
+
+    const status = await provisionServices('job-1', [OPPORTUNITY_ID], { context: { org } }, '/callback', logger, { jobStore, providers });
+
+    assert.equal(status, 'partial');
+    const { services, summary } = org.requests[0].body;
+    assert.deepEqual(summary, { total: 4, succeeded: 1, failed: 3, pending: 0 });
+    assert.deepEqual(services.map(service => [service.status, service.serviceId, service.errorCode]), [
+      ['Provisioned', 'ext-1', undefined],
+      ['Failed', undefined, 'BACKEND_MAINTENANCE'],
+      ['Failed', undefined, 'PROVIDER_HTTP_500'],
+      ['Failed', undefined, 'PROVIDER_TIMEOUT']
+    ]);
+    assert.equal(services[1].message, 'Backend is in maintenance');
+    assert.equal(services[2].message, 'Provider http responded with HTTP 500');
+  });
+
+  test('fails the services the provider reports as failed or with an unknown status', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [1, 5, 6].map(index => ({ id: `00k00000000000${index}AAA`, name: 'Compute' })))]]
+    });
+    const providers = createProviderRegistry({ defaultProvider: 'http', mock: {}, http: { baseUrl, apiKey: 'test-key' } });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-2', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID] } });
+
+    const status = await provisionServices('job-2', [OPPORTUNITY_ID], { context: { org } }, '/callback', logger, { jobStore, providers });
+
+    assert.equal(status, 'partial');
+    const { services, summary } = org.requests[0].body;
+    assert.deepEqual(summary, { total: 3, succeeded: 1, failed: 2, pending: 0 });
+    assert.deepEqual(services.map(service => [service.status, service.errorCode, service.message]), [
+      ['Provisioned', undefined, 'Created'],
+      ['Failed', 'QUOTA_EXCEEDED', 'Quota exceeded'],
+      ['Failed', 'PROVIDER_INVALID_STATUS', 'Provider http reported unknown status "Running"']
+    ]);
+    const { lineItems } = await jobStore.get('job-2');
+    assert.equal(lineItems.find(item => item.lineItemId === '00k000000000006AAA').status, 'Failed');
+  });
+});
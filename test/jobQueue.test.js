@@ -0,0 +1,25 @@
+import './env.js';
+import os from 'node:os';
+import path from 'node:path';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryJobQueue, assertJobStoreShared } from '../src/server/services/jobQueue.js';
+import { FileJobStore, MemoryJobStore, RedisJobStore } from '../src/server/services/jobStore.js';
+import { createFakeRedis } from './helpers.js';
+
+describe('assertJobStoreShared', () => {
+  const dir = path.join(os.tmpdir(), 'jobs');
+  // Stands in for the Redis queue, which connects when created
+  const sharedQueue = { shared: true };
+
+  test('refuses a shared queue with a job store local to the process', () => {
+    assert.throws(() => assertJobStoreShared(sharedQueue, new FileJobStore({ dir })), /JOB_STORE_SHARED=true/);
+    assert.throws(() => assertJobStoreShared(sharedQueue, new MemoryJobStore()), /cannot read this dyno's job store/);
+  });
+
+  test('accepts a shared job store, or a queue kept in the process', () => {
+    assertJobStoreShared(sharedQueue, new RedisJobStore({ client: createFakeRedis() }));
+    assertJobStoreShared(sharedQueue, new FileJobStore({ dir, shared: true }));
+    assertJobStoreShared(new MemoryJobQueue(), new FileJobStore({ dir }));
+  });
+});
@@ -0,0 +1,213 @@
+import './env.js';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileJobStore, MemoryJobStore, RedisJobStore } from '../src/server/services/jobStore.js';
+import { ORG_ID, createFakeRedis } from './helpers.js';
+
+const OPPORTUNITY_ID = '006000000000001AAA';
+const LINE_ITEM_ID = '00k000000000001AAA';
+
+// Counts the reads of every job, which indexed lookups should not need
+function countFullReads (store) {
+  const counter = { readAll: 0 };
+  const readAll = store.readAll.bind(store);
+  store.readAll = async () => {
+    counter.readAll++;
+    return readAll();
+  };
+  return counter;
+}
+
+async function recordJobs (store) {
+  await store.createIdempotent({ jobId: 'job-1', type: 'provision', orgId: ORG_ID, idempotencyKey: 'key-1', request: { opportunityIds: [OPPORTUNITY_ID] } });
+  assert.equal(await store.claimLineItem('job-1', ORG_ID, LINE_ITEM_ID, { opportunityId: OPPORTUNITY_ID, status: 'Provisioning' }), null);
+  await store.updateLineItem('job-1', LINE_ITEM_ID, { status: 'Provisioned', serviceId: 'svc-1' });
+  for (let index = 2; index <= 20; index++) {
+    await store.create({ jobId: `job-${index}`, type: 'provision', orgId: ORG_ID, request: { opportunityIds: [`006000000000${String(index).padStart(3, '0')}AAA`] } });
+  }
+}
+
+async function assertLookups (store) {
+  const holder = await store.claimLineItem('job-2', ORG_ID, LINE_ITEM_ID, { status: 'Provisioning' });
+  assert.deepEqual([holder.jobId, holder.serviceId], ['job-1', 'svc-1']);
+  assert.equal((await store.findService('svc-1')).jobId, 'job-1');
+  assert.equal(await store.findService('svc-unknown'), null);
+  assert.deepEqual((await store.findServices({ orgId: ORG_ID, opportunityIds: [OPPORTUNITY_ID] })).map(item => item.serviceId), ['svc-1']);
+  assert.deepEqual((await store.findServices({ orgId: ORG_ID, lineItemIds: [LINE_ITEM_ID] })).map(item => item.jobId), ['job-1']);
+  // 15 character IDs select the same services
+  assert.deepEqual((await store.findServices({ orgId: ORG_ID, opportunityIds: [OPPORTUNITY_ID.slice(0, 15)] })).map(item => item.serviceId), ['svc-1']);
+  assert.deepEqual((await store.findServices({ orgId: ORG_ID, lineItemIds: [LINE_ITEM_ID.slice(0, 15)] })).map(item => item.serviceId), ['svc-1']);
+  assert.equal((await store.findIdempotent(ORG_ID, 'key-1')).jobId, 'job-1');
+  assert.equal(await store.findIdempotent('00D000000000002AAA', 'key-1'), null);
+}
+
+describe('FileJobStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('looks jobs up by line item, service and idempotency key without reading every job', async () => {
+    const store = new FileJobStore({ dir: path.join(dir, 'indexed') });
+    await store.init();
+    await recordJobs(store);
+    const counter = countFullReads(store);
+    await assertLookups(store);
+    assert.equal(counter.readAll, 0);
+
+    // The index of a restarted process is rebuilt from the files
+    const restarted = new FileJobStore({ dir: path.join(dir, 'indexed') });
+    await restarted.init();
+    const restartedCounter = countFullReads(restarted);
+    await assertLookups(restarted);
+    assert.equal(restartedCounter.readAll, 0);
+  });
+
+  test('reads every job when other processes write to the directory too', async () => {
+    const shared = new FileJobStore({ dir: path.join(dir, 'shared'), shared: true });
+    await shared.init();
+    const other = new FileJobStore({ dir: path.join(dir, 'shared'), shared: true });
+    await other.init();
+    await recordJobs(other);
+    await assertLookups(shared);
+  });
+});
+
+describe('RedisJobStore', () => {
+  test('looks jobs up from the index sets written by another process', async () => {
+    const redis = createFakeRedis();
+    await recordJobs(new RedisJobStore({ client: redis }));
+    const store = new RedisJobStore({ client: createFakeRedis(redis.data) });
+    const counter = countFullReads(store);
+    await assertLookups(store);
+    assert.equal(counter.readAll, 0);
+    assert.equal((await store.list()).length, 20);
+  });
+
+  test('serialises claims of processes sharing the store', async () => {
+    const redis = createFakeRedis();
+    const stores = [new RedisJobStore({ client: redis }), new RedisJobStore({ client: createFakeRedis(redis.data) })];
+    await stores[0].create({ jobId: 'job-1', type: 'provision', orgId: ORG_ID });
+    await stores[0].create({ jobId: 'job-2', type: 'provision', orgId: ORG_ID });
+    // Reading the line item's holders and writing the claim take several round trips each
+    stores.forEach(store => {
+      const findJobs = store.findJobs.bind(store);
+      store.findJobs = async keys => {
+        const jobs = await findJobs(keys);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return jobs;
+      };
+    });
+
+    const claims = await Promise.all(stores.map((store, index) =>
+      store.claimLineItem(`job-${index + 1}`, ORG_ID, LINE_ITEM_ID, { opportunityId: OPPORTUNITY_ID, status: 'Provisioning' })));
+
+    assert.equal(claims.filter(claim => claim === null).length, 1);
+    assert.equal([...redis.data.strings.keys()].some(key => key.includes(':lock:')), false);
+  });
+});
+
+describe('list and purge', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const adapters = {
+    memory: async () => new MemoryJobStore(),
+    file: async () => {
+      const store = new FileJobStore({ dir: await fs.mkdtemp(path.join(dir, 'store-')) });
+      await store.init();
+      return store;
+    },
+    redis: async () => new RedisJobStore({ client: createFakeRedis() })
+  };
+
+  // Moves a job's last update into the past
+  async function age (store, jobId, status) {
+    await store.write({ ...await store.get(jobId), status, updatedAt: '2020-01-01T00:00:00.000Z' });
+  }
+
+  for (const [name, createStore] of Object.entries(adapters)) {
+    test(`${name}: lists jobs by org, status and Opportunity without reading every job`, async () => {
+      const store = await createStore();
+      await recordJobs(store);
+      await store.update('job-3', { status: 'running' });
+      await store.update('job-3', { status: 'completed' });
+      const counter = countFullReads(store);
+
+      // Opportunities match by their 15 and 18 character IDs alike
+      assert.deepEqual((await store.list({ orgId: ORG_ID, opportunityId: OPPORTUNITY_ID.slice(0, 15) })).map(job => job.jobId), ['job-1']);
+      assert.deepEqual((await store.list({ status: 'completed' })).map(job => job.jobId), ['job-3']);
+      assert.equal((await store.list({ status: 'running' })).length, 0);
+      assert.equal((await store.list({ orgId: ORG_ID, limit: 100 })).length, 20);
+      assert.equal((await store.list({ orgId: '00D000000000002AAA' })).length, 0);
+      assert.equal(counter.readAll, 0);
+    });
+
+    test(`${name}: purges jobs finished before the retention period, except those holding provisioned services`, async () => {
+      const store = await createStore();
+      await recordJobs(store);
+      await age(store, 'job-1', 'completed');
+      await age(store, 'job-2', 'failed');
+      await age(store, 'job-4', 'queued');
+      await store.update('job-3', { status: 'completed' });
+
+      assert.deepEqual(await store.purge('2021-01-01T00:00:00.000Z'), ['job-2']);
+      assert.equal(await store.get('job-2'), null);
+      assert.deepEqual(await store.list({ status: 'failed' }), []);
+      assert.equal((await store.list({ orgId: ORG_ID, limit: 100 })).length, 19);
+      assert.equal((await store.findService('svc-1')).jobId, 'job-1');
+    });
+  }
+});
+
+describe('claimService', () => {
+  async function provisioned () {
+    const store = new MemoryJobStore();
+    await store.create({ jobId: 'provision-1', type: 'provision', orgId: ORG_ID, status: 'completed' });
+    await store.updateLineItem('provision-1', LINE_ITEM_ID, { opportunityId: OPPORTUNITY_ID, serviceId: 'svc-1', status: 'Provisioned' });
+    const [service] = await store.findServices({ orgId: ORG_ID, serviceIds: ['svc-1'] });
+    return { store, service };
+  }
+
+  test('lets only one modify or deprovision job change a service at a time', async () => {
+    const { store, service } = await provisioned();
+    await store.create({ jobId: 'modify-1', type: 'modify', orgId: ORG_ID, status: 'running' });
+    await store.create({ jobId: 'deprovision-1', type: 'deprovision', orgId: ORG_ID, status: 'running' });
+
+    const claims = await Promise.all([
+      store.claimService('modify-1', ORG_ID, service, { serviceId: 'svc-1', status: 'Modifying' }),
+      store.claimService('deprovision-1', ORG_ID, service, { serviceId: 'svc-1', status: 'Deprovisioning' })
+    ]);
+    assert.equal(claims[0], null);
+    assert.deepEqual([claims[1].jobId, claims[1].status], ['modify-1', 'Modifying']);
+
+    // Claims of jobs that stopped running are stale
+    await store.update('modify-1', { status: 'failed' });
+    assert.equal(await store.claimService('deprovision-1', ORG_ID, service, { serviceId: 'svc-1', status: 'Deprovisioning' }), null);
+  });
+
+  test('refuses services that are no longer provisioned', async () => {
+    const { store, service } = await provisioned();
+    await store.create({ jobId: 'modify-1', type: 'modify', orgId: ORG_ID, status: 'running' });
+    await store.updateLineItem('provision-1', LINE_ITEM_ID, { status: 'Deprovisioned' });
+
+    const holder = await store.claimService('modify-1', ORG_ID, service, { serviceId: 'svc-1', status: 'Modifying' });
+    assert.deepEqual([holder.jobId, holder.status], ['provision-1', 'Deprovisioned']);
+    assert.deepEqual((await store.get('modify-1')).lineItems, []);
+  });
+});
@@ -0,0 +1,116 @@
+import './env.js';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { startJobWorker } from '../src/server/services/jobWorker.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { MemoryJobQueue } from '../src/server/services/jobQueue.js';
+import { OrgRegistry } from '../src/server/services/orgRegistry.js';
+import { getAppLinkEmulator } from '../src/server/services/appLinkClient.js';
+import { ORG_ID, logger, waitForJob } from './helpers.js';
+
+// The first emulator Opportunity has three line items
+const OPPORTUNITY_ID = '006000000000001AAA';
+const CALLBACK_URL = '/services/apexrest/provisioning';
+
+// Provisions one line item at a time, slowly enough to stop the worker between them
+const orgs = new OrgRegistry({ orgs: { [ORG_ID]: { concurrency: 1, providers: { mock: { delayMs: 50 } } } } });
+
+async function createJob (jobStore, jobId, fields = {}) {
+  await jobStore.create({ jobId, type: 'provision', orgId: ORG_ID, request: { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL } });
+  // Dated back so the job counts as left over from before the worker started
+  const job = await jobStore.get(jobId);
+  await jobStore.write({ ...job, ...fields, updatedAt: new Date(Date.now() - 120_000).toISOString() });
+}
+
+function startWorker (queue, jobStore) {
+  return startJobWorker({ queue, jobStore, logger, orgs, pollIntervalMs: 10 });
+}
+
+async function waitFor (check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await sleep(5);
+  }
+}
+
+describe('job worker', () => {
+  test('returns an in-flight job to the queue on shutdown and resumes it where it stopped', async () => {
+    const jobStore = new MemoryJobStore();
+    const queue = new MemoryJobQueue();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: ORG_ID, request: { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL } });
+    await queue.enqueue({ jobId: 'job-1', operation: 'provision', opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL, orgId: ORG_ID });
+
+    const worker = startWorker(queue, jobStore);
+    await waitFor(async () => (await jobStore.get('job-1')).lineItems.some(item => item.status === 'Provisioned'));
+    await worker.stop();
+
+    const stopped = await jobStore.get('job-1');
+    assert.equal(stopped.status, 'queued');
+    const provisioned = stopped.lineItems.filter(item => item.status === 'Provisioned').map(item => item.serviceId);
+    assert.ok(provisioned.length < 3);
+    assert.deepEqual(queue.messages.map(message => message.jobId), ['job-1']);
+    assert.equal(queue.processing.size, 0);
+
+    const resumed = startWorker(queue, jobStore);
+    const job = await waitForJob(jobStore, 'job-1');
+    await resumed.stop();
+    assert.equal(job.status, 'completed');
+    assert.equal(job.lineItems.length, 3);
+    // Services provisioned before the shutdown are kept, not provisioned again
+    assert.equal(job.lineItems.filter(item => provisioned.includes(item.serviceId)).length, provisioned.length);
+    const [callback] = getAppLinkEmulator().listCallbacks({ jobId: 'job-1' });
+    assert.equal(callback.body.services.length, 3);
+  });
+
+  test('queues jobs again that an in-memory queue held when the process stopped', async () => {
+    const jobStore = new MemoryJobStore();
+    await createJob(jobStore, 'queued-job');
+    await createJob(jobStore, 'running-job', { status: 'running' });
+
+    const worker = startWorker(new MemoryJobQueue(), jobStore);
+    const jobs = [await waitForJob(jobStore, 'queued-job'), await waitForJob(jobStore, 'running-job')];
+    await worker.stop();
+    // Without the x-client-context, the worker connects through the org's AppLink authorization
+    assert.deepEqual(jobs.map(job => job.status), ['completed', 'completed']);
+    assert.equal(getAppLinkEmulator().listCallbacks({ jobId: 'queued-job' }).length, 1);
+  });
+
+  test('deletes jobs that finished before the retention period', async () => {
+    const jobStore = new MemoryJobStore();
+    await createJob(jobStore, 'expired-job', { status: 'failed' });
+    await jobStore.write({ ...await jobStore.get('expired-job'), updatedAt: new Date(Date.now() - 31 * 24 * 60 * 60_000).toISOString() });
+    await createJob(jobStore, 'recent-job', { status: 'failed' });
+
+    await startJobWorker({ queue: new MemoryJobQueue(), jobStore, logger, orgs, retentionDays: 30 }).stop();
+    assert.equal(await jobStore.get('expired-job'), null);
+    assert.ok(await jobStore.get('recent-job'));
+  });
+
+  test('leaves jobs of other processes sharing the job store alone', async () => {
+    const jobStore = new MemoryJobStore();
+    jobStore.shared = true;
+    await createJob(jobStore, 'other-job');
+    const queue = new MemoryJobQueue();
+
+    await startWorker(queue, jobStore).stop();
+    assert.equal((await jobStore.get('other-job')).status, 'queued');
+    assert.equal(queue.messages.length, 0);
+  });
+
+  test('queues jobs again that are missing from a shared queue, once they had time to arrive', async () => {
+    const jobStore = new MemoryJobStore();
+    jobStore.shared = true;
+    const queue = new MemoryJobQueue();
+    queue.shared = true;
+    await createJob(jobStore, 'lost-job');
+    await jobStore.create({ jobId: 'new-job', type: 'provision', orgId: ORG_ID, request: { opportunityIds: [OPPORTUNITY_ID] } });
+
+    const worker = startWorker(queue, jobStore);
+    const job = await waitForJob(jobStore, 'lost-job');
+    await worker.stop();
+    assert.equal(job.status, 'completed');
+    assert.equal((await jobStore.get('new-job')).status, 'queued');
+  });
+});
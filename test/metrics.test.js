@@ -0,0 +1,70 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry } from '../src/server/services/metrics.js';
+import { checkReadiness } from '../src/server/services/health.js';
+
+describe('MetricsRegistry', () => {
+  test('renders counters, gauges and histograms in the Prometheus text format', async () => {
+    const registry = new MetricsRegistry();
+    const items = registry.counter({ name: 'items_total', help: 'Items.', labelNames: ['product', 'status'] });
+    const running = registry.gauge({ name: 'running', help: 'Running.' });
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency.', labelNames: ['provider', 'outcome'], buckets: [0.1, 1] });
+
+    items.inc({ product: 'Compute "Large"', status: 'Provisioned' });
+    items.inc({ product: 'Compute "Large"', status: 'Provisioned' }, 2);
+    running.inc();
+    running.inc();
+    running.dec();
+    latency.observe({ provider: 'mock', outcome: 'success' }, 0.05);
+    latency.observe({ provider: 'mock', outcome: 'success' }, 0.5);
+    assert.throws(() => registry.counter({ name: 'items_total', help: 'Again.' }), /already registered/);
+    assert.equal(registry.render(), [
+      '# HELP items_total Items.',
+      '# TYPE items_total counter',
+      'items_total{product="Compute \\"Large\\"",status="Provisioned"} 3',
+      '',
+      '# HELP running Running.',
+      '# TYPE running gauge',
+      'running 1',
+      '',
+      '# HELP latency_seconds Latency.',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{provider="mock",outcome="success",le="0.1"} 1',
+      'latency_seconds_bucket{provider="mock",outcome="success",le="1"} 2',
+      'latency_seconds_bucket{provider="mock",outcome="success",le="+Inf"} 2',
+      'latency_seconds_sum{provider="mock",outcome="success"} 0.55',
+      'latency_seconds_count{provider="mock",outcome="success"} 2',
+      ''
+    ].join('\n'));
+  });
+
+  test('times operations by outcome', async () => {
+    const registry = new MetricsRegistry();
+    const calls = registry.histogram({ name: 'calls_seconds', help: 'Calls.', labelNames: ['provider', 'outcome'] });
+
+    assert.equal(await calls.time({ provider: 'mock' }, async () => 'done'), 'done');
+    await assert.rejects(calls.time({ provider: 'http' }, async () => {
+      throw new Error('down');
+    }), /down/);
+
+    const output = registry.render();
+    assert.match(output, /^calls_seconds_count\{provider="mock",outcome="success"\} 1$/m);
+    assert.match(output, /^calls_seconds_count\{provider="http",outcome="failure"\} 1$/m);
+    assert.match(output, /^calls_seconds_bucket\{provider="http",outcome="failure",le="\+Inf"\} 1$/m);
+  });
+});
+
+describe('checkReadiness', () => {
+  test('reports each dependency, failing on errors and slow answers', async () => {
+    const ok = { ping: async () => {} };
+    assert.deepEqual(await checkReadiness({ jobStore: ok, jobQueue: ok }), { status: 'ok', checks: { jobStore: 'ok', jobQueue: 'ok' } });
+
+    const broken = { ping: async () => { throw new Error('EACCES: permission denied'); } };
+    const hanging = { ping: () => new Promise(() => {}) };
+    assert.deepEqual(await checkReadiness({ jobStore: broken, jobQueue: hanging, timeoutMs: 10 }), {
+      status: 'unavailable',
+      checks: { jobStore: 'EACCES: permission denied', jobQueue: 'No answer within 10ms' }
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import salesforcePlugin from '../src/server/middleware/salesforce.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { MemoryJobQueue } from '../src/server/services/jobQueue.js';
+import { OrgRegistry } from '../src/server/services/orgRegistry.js';
+import { ORG_ID, encodeClientContext } from './helpers.js';
+
+async function buildTestApp (register, options = {}) {
+  const fastify = Fastify({ logger: false });
+  await fastify.register(salesforcePlugin, options);
+  await fastify.register(async instance => register(instance));
+  await fastify.ready();
+  return fastify;
+}
+
+describe('salesforce middleware', () => {
+  test('parses x-client-context into request.salesforce', async () => {
+    const app = await buildTestApp(instance => {
+      instance.get('/context', async request => ({
+        orgId: request.salesforce.context.org.id,
+        username: request.salesforce.context.org.user.username,
+        requestId: request.salesforce.context.id
+      }));
+    });
+    const response = await app.inject({ method: 'GET', url: '/context', headers: { 'x-client-context': encodeClientContext() } });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json(), { orgId: ORG_ID, username: 'test@example.com', requestId: 'req-test' });
+    await app.close();
+  });
+
+  test('leaves request.salesforce empty without x-client-context', async () => {
+    const app = await buildTestApp(instance => {
+      instance.get('/context', async request => ({ salesforce: request.salesforce }));
+    });
+    const response = await app.inject({ method: 'GET', url: '/context' });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json(), { salesforce: null });
+    await app.close();
+  });
+
+  test('rejects an invalid x-client-context with 401', async () => {
+    const app = await buildTestApp(instance => {
+      instance.get('/context', async () => ({ reached: true }));
+    });
+    const notJson = await app.inject({ method: 'GET', url: '/context', headers: { 'x-client-context': 'not-base64-json' } });
+    const noUser = await app.inject({
+      method: 'GET',
+      url: '/context',
+      headers: { 'x-client-context': encodeClientContext({ userContext: undefined }) }
+    });
+
+    assert.equal(notJson.statusCode, 401);
+    assert.equal(noUser.statusCode, 401);
+    await app.close();
+  });
+
+  test('rejects orgs the org registry does not allow with 403', async () => {
+    const orgs = new OrgRegistry({ orgs: { [ORG_ID]: { name: 'production' } }, allowUnlisted: false });
+    const app = await buildTestApp(instance => {
+      instance.get('/context', async () => ({ reached: true }));
+    }, { orgs });
+    const allowed = await app.inject({ method: 'GET', url: '/context', headers: { 'x-client-context': encodeClientContext() } });
+    const denied = await app.inject({
+      method: 'GET',
+      url: '/context',
+      headers: { 'x-client-context': encodeClientContext({ orgId: '00D000000000002AAA' }) }
+    });
+
+    assert.equal(allowed.statusCode, 200);
+    assert.equal(app.orgs, orgs);
+    assert.equal(denied.statusCode, 403);
+    assert.match(denied.json().error, /00D000000000002AAA is not allowed/);
+    await app.close();
+  });
+
+  describe('async routes', () => {
+    let jobStore;
+    let jobQueue;
+
+    async function buildAsyncApp (handler, options) {
+      jobStore = new MemoryJobStore();
+      jobQueue = new MemoryJobQueue();
+      return buildTestApp(instance => {
+        instance.decorate('jobStore', jobStore);
+        instance.decorate('jobQueue', jobQueue);
+        instance.post('/async', { config: { salesforce: { async: { operation: 'archive', timeoutMs: 1000 } } }, handler });
+      }, options);
+    }
+
+    function submit (app, payload, clientContext = encodeClientContext()) {
+      return app.inject({ method: 'POST', url: '/async', headers: clientContext ? { 'x-client-context': clientContext } : {}, payload });
+    }
+
+    test('records and queues a job, replying 201 with its ID', async () => {
+      const app = await buildAsyncApp(async request => ({ value: request.body.value, callbackUrl: request.body.callbackUrl }));
+      const response = await submit(app, { value: 1, callbackUrl: '/services/apexrest/archive' });
+
+      assert.equal(response.statusCode, 201);
+      const { jobId } = response.json();
+      const job = await jobStore.get(jobId);
+      assert.equal(job.type, 'archive');
+      assert.equal(job.orgId, ORG_ID);
+      assert.deepEqual(job.request, { value: 1, callbackUrl: '/services/apexrest/archive' });
+      const message = await jobQueue.dequeue({ timeoutMs: 0 });
+      assert.equal(message.jobId, jobId);
+      assert.equal(message.operation, 'archive');
+      assert.equal(message.value, 1);
+      assert.equal(message.deadline, job.deadline);
+      assert.ok(Date.parse(job.deadline) > Date.now() && Date.parse(job.deadline) <= Date.now() + 1000);
+      // The access token in the client context stays out of the queue
+      assert.equal(message.orgId, ORG_ID);
+      assert.equal(message.requestId, 'req-test');
+      assert.equal(JSON.stringify(message).includes('test-token'), false);
+      await app.close();
+    });
+
+    test('takes the deadline from the request', async () => {
+      const app = await buildAsyncApp(async request => ({ callbackUrl: request.body.callbackUrl }));
+      const deadline = new Date(Date.now() + 60000).toISOString();
+      const response = await submit(app, { callbackUrl: '/services/apexrest/archive', deadline });
+      const passed = await submit(app, { callbackUrl: '/services/apexrest/archive', deadline: '2020-01-01T00:00:00Z' });
+
+      assert.equal((await jobStore.get(response.json().jobId)).deadline, deadline);
+      assert.equal(passed.statusCode, 400);
+      assert.match(passed.json().error, /has already passed/);
+      await app.close();
+    });
+
+    test('returns the original job for a repeated idempotency key', async () => {
+      const app = await buildAsyncApp(async request => ({ callbackUrl: request.body.callbackUrl }));
+      const payload = { callbackUrl: '/services/apexrest/archive', idempotencyKey: 'key-1' };
+      const first = await submit(app, payload);
+      const repeated = await submit(app, payload);
+
+      assert.equal(repeated.statusCode, 201);
+      assert.equal(repeated.json().jobId, first.json().jobId);
+      assert.ok(await jobQueue.dequeue({ timeoutMs: 0 }));
+      assert.equal(await jobQueue.dequeue({ timeoutMs: 0 }), null);
+      await app.close();
+    });
+
+    test('fails the recorded job when it cannot be queued', async () => {
+      const app = await buildAsyncApp(async request => ({ callbackUrl: request.body.callbackUrl }));
+      jobQueue.enqueue = async () => { throw new Error('Queue unavailable'); };
+      const response = await submit(app, { callbackUrl: '/services/apexrest/archive' });
+
+      assert.equal(response.statusCode, 500);
+      const [job] = await jobStore.list({ orgId: ORG_ID });
+      assert.equal(job.status, 'failed');
+      assert.deepEqual(job.errors, ['Job could not be queued: Queue unavailable']);
+      await app.close();
+    });
+
+    test('requires a Salesforce context and a callbackUrl', async () => {
+      const app = await buildAsyncApp(async request => ({ callbackUrl: request.body.callbackUrl }));
+      const withoutContext = await submit(app, { callbackUrl: '/services/apexrest/archive' }, null);
+      const withoutCallback = await submit(app, {});
+
+      assert.equal(withoutContext.statusCode, 401);
+      assert.equal(withoutCallback.statusCode, 400);
+      assert.match(withoutCallback.json().error, /callbackUrl is required/);
+      assert.equal(await jobQueue.dequeue({ timeoutMs: 0 }), null);
+      await app.close();
+    });
+
+    test('refuses jobs of orgs without an AppLink authorization for the worker', async () => {
+      const app = await buildAsyncApp(async request => ({ callbackUrl: request.body.callbackUrl }), { orgs: new OrgRegistry({ authorization: null }) });
+      const response = await submit(app, { callbackUrl: '/services/apexrest/archive' });
+
+      assert.equal(response.statusCode, 503);
+      assert.match(response.json().error, /No AppLink authorization/);
+      assert.deepEqual(await jobStore.readAll(), []);
+      await app.close();
+    });
+
+    test('lets the handler reply itself', async () => {
+      const app = await buildAsyncApp(async (request, reply) => reply.code(400).send({ error: 'Nothing to archive' }));
+      const response = await submit(app, { callbackUrl: '/services/apexrest/archive' });
+
+      assert.equal(response.statusCode, 400);
+      assert.deepEqual(response.json(), { error: 'Nothing to archive' });
+      await app.close();
+    });
+
+    test('must name the job operation', async () => {
+      await assert.rejects(buildTestApp(instance => {
+        instance.post('/async', { config: { salesforce: { async: true } }, handler: async () => ({}) });
+      }), /must set config.salesforce.async.operation/);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import './env.js';
+import http from 'node:http';
+import { once } from 'node:events';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrgRegistry } from '../src/server/services/orgRegistry.js';
+import { providerRegistry } from '../src/server/providers/index.js';
+import { ORG_ID } from './helpers.js';
+
+const SANDBOX_ORG_ID = '00D000000000002AAA';
+
+describe('OrgRegistry', () => {
+  test('looks orgs up by their 15 or 18 character ID', () => {
+    const orgs = new OrgRegistry({ orgs: { '00D000000000001': { name: 'production', concurrency: 2 } } });
+
+    assert.deepEqual(orgs.get(ORG_ID), { orgId: ORG_ID, name: 'production', concurrency: 2, allowed: true, listed: true });
+    assert.deepEqual(orgs.logBindings(ORG_ID), { orgId: ORG_ID, orgName: 'production' });
+    assert.deepEqual(orgs.get(SANDBOX_ORG_ID), { orgId: SANDBOX_ORG_ID, allowed: true, listed: false });
+  });
+
+  test('denies orgs marked as not allowed, and unlisted orgs when allowUnlisted is off', () => {
+    const orgs = new OrgRegistry({ orgs: { [ORG_ID]: { allowed: false } } });
+    assert.equal(orgs.get(ORG_ID).allowed, false);
+    assert.equal(orgs.get(SANDBOX_ORG_ID).allowed, true);
+
+    const closed = new OrgRegistry({ orgs: { [ORG_ID]: {} }, allowUnlisted: false });
+    assert.equal(closed.get(ORG_ID).allowed, true);
+    assert.equal(closed.get(SANDBOX_ORG_ID).allowed, false);
+  });
+
+  test('names the AppLink authorization of each org, falling back to the default', () => {
+    const orgs = new OrgRegistry({ orgs: { [SANDBOX_ORG_ID]: { authorization: 'UatSandbox' } }, authorization: 'Production' });
+    assert.equal(orgs.authorizationFor(SANDBOX_ORG_ID), 'UatSandbox');
+    assert.equal(orgs.authorizationFor(ORG_ID), 'Production');
+    assert.equal(new OrgRegistry().authorizationFor(ORG_ID), 'EmulatorOrg');
+  });
+
+  test('rejects invalid entries when loaded', () => {
+    assert.throws(() => new OrgRegistry({ orgs: { 'not-an-org': {} } }), /not a 15 or 18 character org ID/);
+    assert.throws(() => new OrgRegistry({ orgs: { [ORG_ID]: { alowed: false } } }), /unknown settings alowed/);
+    assert.throws(() => new OrgRegistry({ orgs: { [ORG_ID]: { concurrency: 0 } } }), /positive integer/);
+    assert.throws(() => new OrgRegistry({ orgs: { [ORG_ID]: { authorization: '' } } }), /AppLink authorization/);
+    assert.throws(() => new OrgRegistry({ orgs: { [ORG_ID]: { providerEventsSecretEnv: 'MISSING_SECRET' } }, env: {} }), /MISSING_SECRET/);
+    assert.throws(() => new OrgRegistry({ orgs: { [ORG_ID]: { providers: { http: { baseUrl: 'http://x', apiKey: 'secret' } } } } }), /apiKeyEnv/);
+    assert.throws(() => new OrgRegistry({ orgs: { [ORG_ID]: { providers: { http: { baseUrl: 'http://x', apiKeyEnv: 'MISSING_KEY' } } } }, env: {} }), /MISSING_KEY/);
+  });
+
+  test('gives orgs their own providers and credentials', async () => {
+    const server = http.createServer((request, response) => {
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({ serviceId: 'svc-1', status: 'Provisioned', message: request.headers.authorization }));
+    });
+    server.listen(0);
+    await once(server, 'listening');
+    try {
+      const orgs = new OrgRegistry({
+        orgs: { [SANDBOX_ORG_ID]: { providers: { defaultProvider: 'http', http: { baseUrl: `http://127.0.0.1:${server.address().port}`, apiKeyEnv: 'SANDBOX_KEY' } } } },
+        env: { SANDBOX_KEY: 'sandbox-secret' }
+      });
+
+      assert.equal(orgs.providersFor(ORG_ID), providerRegistry);
+      const providers = orgs.providersFor(SANDBOX_ORG_ID);
+      assert.equal(orgs.providersFor(SANDBOX_ORG_ID), providers);
+      const provider = providers.resolve({ name: 'Compute', code: 'CMP' });
+      assert.equal(provider.name, 'http');
+      const result = await provider.provision({ jobId: 'job-1', product: { name: 'Compute' }, counter: 1, parameters: {} });
+      assert.equal(result.message, 'Bearer sandbox-secret');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('shares one limiter per org with a quota', async () => {
+    const orgs = new OrgRegistry({ orgs: { [ORG_ID]: { concurrency: 1 } } });
+    assert.equal(orgs.limiterFor(SANDBOX_ORG_ID), null);
+
+    const limiter = orgs.limiterFor(ORG_ID);
+    assert.equal(orgs.limiterFor(ORG_ID), limiter);
+    let active = 0;
+    let maxActive = 0;
+    await Promise.all([1, 2, 3].map(() => limiter(async () => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active -= 1;
+    })));
+    assert.equal(maxActive, 1);
+  });
+});
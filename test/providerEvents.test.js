@@ -0,0 +1,221 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProviderEvent, findProviderEventSigners, settleServices, signProviderEvent, verifyProviderEvent } from '../src/server/services/providerEvents.js';
+import { provisionServices } from '../src/server/services/provisionServices.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { MemoryJobQueue } from '../src/server/services/jobQueue.js';
+import { OrgRegistry } from '../src/server/services/orgRegistry.js';
+import { createProviderRegistry } from '../src/server/providers/index.js';
+import { ORG_ID, createFakeOrg, logger, opportunityRecord } from './helpers.js';
+
+const OPPORTUNITY_ID = '006000000000001AAA';
+const SECRET = 'provider-secret';
+
+describe('verifyProviderEvent', () => {
+  const body = JSON.stringify({ serviceId: 'ext-1', status: 'Provisioned' });
+  const now = Date.parse('2026-01-01T00:00:00.000Z');
+  const timestamp = now / 1000;
+  const options = { secrets: [SECRET], toleranceMs: 60_000, now };
+
+  test('accepts events signed with a configured secret', () => {
+    assert.equal(verifyProviderEvent(signProviderEvent(body, SECRET, timestamp), body, options), true);
+    assert.equal(verifyProviderEvent(signProviderEvent(body, 'next-secret', timestamp), body, { ...options, secrets: [SECRET, 'next-secret'] }), true);
+  });
+
+  test('rejects changed bodies, other secrets, stale timestamps and malformed headers', () => {
+    const header = signProviderEvent(body, SECRET, timestamp);
+    assert.equal(verifyProviderEvent(header, body.replace('Provisioned', 'Failed'), options), false);
+    assert.equal(verifyProviderEvent(signProviderEvent(body, 'other-secret', timestamp), body, options), false);
+    assert.equal(verifyProviderEvent(signProviderEvent(body, SECRET, timestamp - 120), body, options), false);
+    assert.equal(verifyProviderEvent('v1=abc', body, options), false);
+    assert.equal(verifyProviderEvent(undefined, body, options), false);
+  });
+
+  test('accepts secrets limited to one provider', () => {
+    const header = signProviderEvent(body, SECRET, timestamp);
+    assert.equal(verifyProviderEvent(header, body, { ...options, secrets: [`http:${SECRET}`] }), true);
+    assert.deepEqual(findProviderEventSigners(header, body, { signers: [{ secret: SECRET, provider: 'http' }], toleranceMs: 60_000, now }), [
+      { secret: SECRET, provider: 'http' }
+    ]);
+  });
+});
+
+describe('provider event scopes', () => {
+  const OTHER_ORG_ID = '00D000000000002AAA';
+  const OTHER_ORG_SECRET = 'other-org-secret';
+  const orgs = new OrgRegistry({
+    orgs: { [OTHER_ORG_ID]: { providerEventsSecretEnv: 'OTHER_ORG_EVENTS_SECRET' } },
+    env: { OTHER_ORG_EVENTS_SECRET: `http:${OTHER_ORG_SECRET}` },
+    providerEventSecrets: [SECRET]
+  });
+
+  // Both orgs were given service svc-1 by their providers, the other org most recently
+  async function createJobs () {
+    const jobStore = new MemoryJobStore();
+    const service = (lineItemId, provider) => ({ lineItemId, opportunityId: OPPORTUNITY_ID, serviceId: 'svc-1', provider, status: 'Pending' });
+    await jobStore.create({ jobId: 'job-a', type: 'provision', orgId: ORG_ID, status: 'running', lineItems: [service('00k000000000001AAA', 'mock')] });
+    await jobStore.create({
+      jobId: 'job-b',
+      type: 'provision',
+      orgId: OTHER_ORG_ID,
+      status: 'running',
+      lineItems: [service('00k000000000002AAA', 'http'), { ...service('00k000000000003AAA', 'mock'), serviceId: 'svc-2' }]
+    });
+    return jobStore;
+  }
+
+  function apply (jobStore, event, secret) {
+    const rawBody = JSON.stringify(event);
+    const signers = findProviderEventSigners(signProviderEvent(rawBody, secret), rawBody, { signers: orgs.allProviderEventSigners() });
+    return applyProviderEvent({ event, jobStore, jobQueue: new MemoryJobQueue(), logger, signers, orgs });
+  }
+
+  test('rejects events settling services of another org', async () => {
+    const jobStore = await createJobs();
+    const crossOrg = await apply(jobStore, { serviceId: 'svc-1', jobId: 'job-a', status: 'Failed' }, OTHER_ORG_SECRET);
+    assert.equal(crossOrg.outcome, 'not_found');
+    const ownSecretElsewhere = await apply(jobStore, { serviceId: 'svc-1', jobId: 'job-b', status: 'Failed' }, SECRET);
+    assert.equal(ownSecretElsewhere.outcome, 'not_found');
+    assert.deepEqual((await jobStore.get('job-a')).lineItems.map(item => item.status), ['Pending']);
+    assert.deepEqual((await jobStore.get('job-b')).lineItems.map(item => item.status), ['Pending', 'Pending']);
+  });
+
+  test('looks services up in the orgs and providers the secret belongs to', async () => {
+    const jobStore = await createJobs();
+    const shared = await apply(jobStore, { serviceId: 'svc-1', status: 'Provisioned' }, SECRET);
+    assert.deepEqual([shared.outcome, shared.jobId], ['settled', 'job-a']);
+    const own = await apply(jobStore, { serviceId: 'svc-1', status: 'Provisioned' }, OTHER_ORG_SECRET);
+    assert.deepEqual([own.outcome, own.jobId], ['settled', 'job-b']);
+    const otherProvider = await apply(jobStore, { serviceId: 'svc-2', status: 'Provisioned' }, OTHER_ORG_SECRET);
+    assert.equal(otherProvider.outcome, 'not_found');
+  });
+});
+
+describe('provider events', () => {
+  // Provider that acknowledges every service and reports the outcome later
+  const providers = createProviderRegistry({ defaultProvider: 'mock', mock: { delayMs: 0 }, http: {} })
+    .register({ name: 'mock', provision: async ({ counter }) => ({ serviceId: `ext-${counter}`, status: 'Pending', message: 'Accepted' }) });
+
+  async function startJob () {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [
+        { id: '00k000000000001AAA', name: 'Compute' },
+        { id: '00k000000000002AAA', name: 'Storage' }
+      ])]]
+    });
+    const jobStore = new MemoryJobStore();
+    const callbackUrl = '/services/apexrest/callback';
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID], callbackUrl } });
+    const status = await provisionServices('job-1', [OPPORTUNITY_ID], { context: { id: 'req-1', org } }, callbackUrl, logger, {
+      jobStore,
+      providers,
+      awaitProviderEvents: true
+    });
+    return { org, jobStore, status };
+  }
+
+  test('parks the job until provider events settle its pending services', async () => {
+    const { org, jobStore, status } = await startJob();
+    const jobQueue = new MemoryJobQueue();
+
+    assert.equal(status, 'awaiting_provider');
+    assert.equal(org.requests.length, 0);
+    const parked = await jobStore.get('job-1');
+    assert.equal(parked.status, 'awaiting_provider');
+    assert.deepEqual(parked.lineItems.map(item => [item.serviceId, item.status]), [['ext-1', 'Pending'], ['ext-2', 'Pending']]);
+    assert.equal(parked.settlement.requestId, 'req-1');
+    assert.equal(parked.settlement.clientContext, undefined);
+
+    const first = await applyProviderEvent({ event: { serviceId: 'ext-1', status: 'Provisioned' }, jobStore, jobQueue, logger });
+    assert.deepEqual([first.outcome, first.jobStatus], ['settled', 'awaiting_provider']);
+    assert.equal(jobQueue.messages.length, 0);
+    const repeated = await applyProviderEvent({ event: { serviceId: 'ext-1', status: 'Provisioned' }, jobStore, jobQueue, logger });
+    assert.equal(repeated.outcome, 'duplicate');
+    const conflicting = await applyProviderEvent({ event: { serviceId: 'ext-1', status: 'Failed' }, jobStore, jobQueue, logger });
+    assert.equal(conflicting.outcome, 'conflict');
+    const unknown = await applyProviderEvent({ event: { serviceId: 'ext-9', status: 'Failed' }, jobStore, jobQueue, logger });
+    assert.equal(unknown.outcome, 'not_found');
+
+    const last = await applyProviderEvent({
+      event: { serviceId: 'ext-2', jobId: 'job-1', status: 'Failed', errorCode: 'QUOTA_EXCEEDED', message: 'No capacity left' },
+      jobStore,
+      jobQueue,
+      logger
+    });
+    assert.deepEqual([last.outcome, last.jobStatus], ['settled', 'queued']);
+    assert.deepEqual(jobQueue.messages.map(message => [message.jobId, message.operation, message.orgId, message.requestId, message.clientContext]), [
+      ['job-1', 'settle', org.id, 'req-1', undefined]
+    ]);
+
+    const finalStatus = await settleServices('job-1', { context: { org } }, logger, { jobStore });
+    assert.equal(finalStatus, 'partial');
+    const { body } = org.requests[0];
+    assert.equal(body.status, 'partial');
+    assert.deepEqual(body.summary, { total: 2, succeeded: 1, failed: 1, pending: 0 });
+    assert.deepEqual(body.services.map(service => [service.serviceId, service.status, service.errorCode]), [
+      ['ext-1', 'Provisioned', undefined],
+      ['ext-2', 'Failed', 'QUOTA_EXCEEDED']
+    ]);
+    const job = await jobStore.get('job-1');
+    assert.equal(job.settlement, undefined);
+    assert.equal(job.callback.status, 'delivered');
+  });
+
+  test('reports pending services straight away when the org has no authorization to settle them with', async () => {
+    const org = createFakeOrg({ pages: [[opportunityRecord(OPPORTUNITY_ID, [{ id: '00k000000000001AAA', name: 'Compute' }])]] });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID] } });
+    const status = await provisionServices('job-1', [OPPORTUNITY_ID], { context: { id: 'req-1', org } }, '/callback', logger, { jobStore, providers });
+    assert.equal(status, 'completed');
+    assert.equal((await jobStore.get('job-1')).settlement, undefined);
+    assert.equal(org.requests[0].body.services[0].status, 'Pending');
+    // A pending service has not succeeded yet
+    assert.deepEqual(org.requests[0].body.summary, { total: 1, succeeded: 0, failed: 0, pending: 1 });
+  });
+
+  test('fails a parked job whose services all fail', async () => {
+    const { org, jobStore } = await startJob();
+    const jobQueue = new MemoryJobQueue();
+    for (const serviceId of ['ext-1', 'ext-2']) {
+      await applyProviderEvent({ event: { serviceId, status: 'Failed', errorCode: 'QUOTA_EXCEEDED' }, jobStore, jobQueue, logger });
+    }
+
+    const finalStatus = await settleServices('job-1', { context: { org } }, logger, { jobStore });
+    assert.equal(finalStatus, 'failed');
+    assert.deepEqual(org.requests[0].body.summary, { total: 2, succeeded: 0, failed: 2, pending: 0 });
+  });
+
+  test('decides a reported job again when provider events settle its pending services', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [
+        { id: '00k000000000001AAA', name: 'Compute' },
+        { id: '00k000000000002AAA', name: 'Storage' }
+      ])]]
+    });
+    const jobStore = new MemoryJobStore();
+    const jobQueue = new MemoryJobQueue();
+    const opportunityIds = [OPPORTUNITY_ID, 'not-an-id'];
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds } });
+    // Pending services may still succeed, so the rejected ID only makes the job partial
+    const status = await provisionServices('job-1', opportunityIds, { context: { id: 'req-1', org } }, '/callback', logger, { jobStore, providers });
+    assert.equal(status, 'partial');
+
+    await applyProviderEvent({ event: { serviceId: 'ext-1', status: 'Failed' }, jobStore, jobQueue, logger });
+    const last = await applyProviderEvent({ event: { serviceId: 'ext-2', status: 'Failed' }, jobStore, jobQueue, logger });
+
+    assert.equal(last.jobStatus, 'failed');
+    const job = await jobStore.get('job-1');
+    assert.deepEqual(job.summary, { total: 2, succeeded: 0, failed: 2, pending: 0 });
+    assert.equal(job.errors.length, 3);
+    assert.deepEqual(await jobStore.list({ status: 'failed' }).then(jobs => jobs.map(failed => failed.jobId)), ['job-1']);
+    assert.equal(jobQueue.messages.length, 0);
+  });
+
+  test('keeps line items of parked jobs from being provisioned by another job', async () => {
+    const { jobStore } = await startJob();
+    const job = await jobStore.get('job-1');
+    const holder = await jobStore.claimLineItem('job-2', job.orgId, '00k000000000001AAA', {});
+    assert.deepEqual([holder.jobId, holder.status], ['job-1', 'Pending']);
+  });
+});
@@ -0,0 +1,475 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { countLineItems, planProvisioning, provisionServices, queryAll } from '../src/server/services/provisionServices.js';
+import { sanitizeSalesforceId, toCaseSafeId } from '../src/server/utils/salesforceIds.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { ProviderRegistry, createProviderRegistry } from '../src/server/providers/index.js';
+import { FixtureDataApi, loadFixtures } from '../src/server/emulator/fixtureDataApi.js';
+import { JobStoppedError } from '../src/server/utils/errors.js';
+import { ORG_ID, createFakeOrg, logger, opportunityRecord } from './helpers.js';
+
+const OPPORTUNITY_ID = '006000000000001AAA';
+
+const providers = createProviderRegistry({ defaultProvider: 'mock', mock: { delayMs: 0 }, http: {} });
+
+async function runJob (org, { jobId = 'job-1', opportunityIds = [OPPORTUNITY_ID], callbackUrl = '/services/apexrest/callback' } = {}) {
+  const jobStore = new MemoryJobStore();
+  await jobStore.create({ jobId, type: 'provision', orgId: org.id, request: { opportunityIds, callbackUrl } });
+  const status = await provisionServices(jobId, opportunityIds, { context: { org } }, callbackUrl, logger, { jobStore, providers });
+  return { status, job: await jobStore.get(jobId) };
+}
+
+describe('sanitizeSalesforceId', () => {
+  test('accepts 15 and 18 character IDs', () => {
+    assert.equal(sanitizeSalesforceId('006000000000001'), '006000000000001');
+    assert.equal(sanitizeSalesforceId(' 006000000000001AAA '), '006000000000001AAA');
+  });
+
+  test('rejects values that could alter a SOQL query', () => {
+    assert.equal(sanitizeSalesforceId("006000000000001' OR Name != '"), null);
+    assert.equal(sanitizeSalesforceId('0060000000'), null);
+    assert.equal(sanitizeSalesforceId('006000000000001AAAA'), null);
+    assert.equal(sanitizeSalesforceId(123), null);
+    assert.equal(sanitizeSalesforceId(undefined), null);
+  });
+});
+
+describe('toCaseSafeId', () => {
+  test('appends the casing checksum to 15 character IDs', () => {
+    assert.equal(toCaseSafeId('001A0000006Vm9r'), '001A0000006Vm9rIAC');
+    assert.equal(toCaseSafeId('006000000000001'), '006000000000001AAA');
+    assert.equal(toCaseSafeId('001A0000006Vm9rIAC'), '001A0000006Vm9rIAC');
+  });
+});
+
+describe('queryAll', () => {
+  test('follows nextRecordsUrl with queryMore until done', async () => {
+    const org = createFakeOrg({ pages: [[{ id: 1 }, { id: 2 }], [{ id: 3 }], [{ id: 4 }]] });
+    const records = await queryAll('SELECT Id FROM Opportunity', { context: { org } }, logger);
+    assert.deepEqual(records.map(record => record.id), [1, 2, 3, 4]);
+    assert.equal(org.queries.length, 3);
+  });
+
+  test('rethrows query errors', async () => {
+    const org = createFakeOrg();
+    org.dataApi.query = async () => { throw new Error('INVALID_FIELD'); };
+    await assert.rejects(queryAll('SELECT Bad FROM Opportunity', { context: { org } }, logger), /INVALID_FIELD/);
+  });
+
+  test('requires a dataApi', async () => {
+    await assert.rejects(queryAll('SELECT Id FROM Opportunity', { context: {} }, logger), /No dataApi/);
+  });
+});
+
+describe('planProvisioning', () => {
+  test('queries Opportunities in chunks and reads their line items page by page', async () => {
+    const dataApi = new FixtureDataApi(loadFixtures('data'), { pageSize: 2 });
+    const queries = [];
+    const query = dataApi.query.bind(dataApi);
+    const queryMore = dataApi.queryMore.bind(dataApi);
+    dataApi.query = soql => { queries.push(soql); return query(soql); };
+    dataApi.queryMore = result => { queries.push(result.nextRecordsUrl); return queryMore(result); };
+    const opportunityIds = ['006000000000001AAA', '006000000000002AAA', '006000000000003AAA', '006000000000004AAA', '006000000000005AAA', '006000000000099AAA'];
+
+    const plan = await planProvisioning(opportunityIds, { id: ORG_ID, dataApi }, logger, { chunkSize: 2 });
+
+    const opportunityQueries = queries.filter(soql => soql.includes('FROM Opportunity'));
+    assert.equal(opportunityQueries.length, 3);
+    assert.ok(opportunityQueries[2].includes("'006000000000005AAA','006000000000099AAA'"));
+    // Opportunities 1, 4 and 5 have three line items, the third is read with queryMore
+    assert.equal(queries.filter(soql => soql.startsWith('/services/data')).length, 3);
+    assert.equal(plan.lineItems.length, 13);
+    assert.deepEqual(plan.lineItems.map(lineItem => lineItem.counter), Array.from({ length: 13 }, (_, index) => index + 1));
+    assert.deepEqual(plan.rejected, [{ opportunityId: '006000000000099AAA', reason: 'NOT_FOUND', message: 'Opportunity not found or not accessible' }]);
+  });
+
+  test('plans an Opportunity requested by its 15 and 18 character ID once', async () => {
+    const dataApi = new FixtureDataApi(loadFixtures('data'));
+    const queries = [];
+    const query = dataApi.query.bind(dataApi);
+    dataApi.query = soql => { queries.push(soql); return query(soql); };
+
+    const plan = await planProvisioning(['006000000000001', '006000000000001AAA'], { id: ORG_ID, dataApi }, logger, { chunkSize: 1 });
+
+    assert.equal(queries.filter(soql => soql.includes('FROM Opportunity')).length, 1);
+    assert.equal(plan.lineItems.length, 3);
+    assert.deepEqual(plan.rejected, []);
+  });
+});
+
+describe('countLineItems', () => {
+  test('counts the line items with COUNT() queries in chunks', async () => {
+    const dataApi = new FixtureDataApi(loadFixtures('data'), { pageSize: 2 });
+    const queries = [];
+    const query = dataApi.query.bind(dataApi);
+    dataApi.query = async soql => { queries.push(soql); const result = await query(soql); assert.deepEqual(result.records, []); return result; };
+
+    const count = await countLineItems(['006000000000001', '006000000000001AAA', '006000000000004AAA', '006000000000099AAA'], { id: ORG_ID, dataApi }, logger, { chunkSize: 2 });
+
+    assert.equal(count, 6);
+    assert.equal(queries.length, 2);
+    assert.ok(queries.every(soql => soql.startsWith('SELECT COUNT() FROM OpportunityLineItem')));
+  });
+});
+
+describe('provisionServices', () => {
+  test('provisions every line item across query pages and calls back with the results', async () => {
+    const org = createFakeOrg({
+      parameters: { Region: 'EU' },
+      pages: [
+        [opportunityRecord(OPPORTUNITY_ID, [{ id: '00k000000000001AAA', name: 'Compute' }])],
+        [opportunityRecord('006000000000002AAA', [{ id: '00k000000000002AAA', name: 'Storage' }])]
+      ]
+    });
+    const { status, job } = await runJob(org, { opportunityIds: [OPPORTUNITY_ID, '006000000000002AAA'] });
+
+    assert.equal(status, 'completed');
+    assert.equal(job.status, 'completed');
+    assert.equal(job.callback.status, 'delivered');
+    assert.equal(org.requests.length, 1);
+
+    const [{ url, opts, body }] = org.requests;
+    assert.equal(url, '/services/apexrest/callback');
+    assert.equal(opts.method, 'POST');
+    assert.deepEqual(Object.keys(body).sort(), ['errors', 'final', 'jobId', 'opportunityIds', 'rejected', 'sequence', 'services', 'status', 'summary']);
+    assert.equal(body.jobId, 'job-1');
+    assert.equal(body.sequence, 1);
+    assert.equal(body.final, true);
+    assert.deepEqual(body.opportunityIds, [OPPORTUNITY_ID, '006000000000002AAA']);
+    assert.deepEqual(body.summary, { total: 2, succeeded: 2, failed: 0, pending: 0 });
+    assert.deepEqual(body.errors, []);
+    assert.deepEqual(body.rejected, []);
+    assert.deepEqual(body.services.map(service => [service.lineItemId, service.productReference, service.status, service.serviceId]), [
+      ['00k000000000001AAA', 'Compute', 'Provisioned', 'svc-job-1-1'],
+      ['00k000000000002AAA', 'Storage', 'Provisioned', 'svc-job-1-2']
+    ]);
+    assert.match(body.services[0].message, /EU/);
+  });
+
+  test('provisions each page of Opportunities before reading past the next one', async () => {
+    const org = createFakeOrg({
+      pages: [1, 2, 3].map(index => [opportunityRecord(`00600000000000${index}AAA`, [{ id: `00k00000000000${index}AAA`, name: 'Compute' }])])
+    });
+    const jobStore = new MemoryJobStore();
+    const opportunityIds = ['006000000000001AAA', '006000000000002AAA', '006000000000003AAA'];
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds } });
+    const finishedBeforeRead = [];
+    const queryMore = org.dataApi.queryMore;
+    org.dataApi.queryMore = async result => {
+      const { lineItems } = await jobStore.get('job-1');
+      finishedBeforeRead.push(lineItems.filter(item => item.status === 'Provisioned').map(item => item.lineItemId));
+      return queryMore(result);
+    };
+
+    const status = await provisionServices('job-1', opportunityIds, { context: { org } }, '/services/apexrest/callback', logger, { jobStore, providers });
+
+    assert.equal(status, 'completed');
+    assert.ok(finishedBeforeRead[1].includes('00k000000000001AAA'));
+    assert.deepEqual(org.requests[0].body.services.map(service => service.serviceId), ['svc-job-1-1', 'svc-job-1-2', 'svc-job-1-3']);
+  });
+
+  test('reports services in query order from the job store, whatever order they finish in', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [1, 2, 3].map(index => ({ id: `00k00000000000${index}AAA`, name: 'Compute' })))]]
+    });
+    // Later line items finish first
+    const finished = [];
+    const slowFirst = new ProviderRegistry({ defaultProvider: 'slow' }).register({
+      name: 'slow',
+      async provision ({ counter }) {
+        await new Promise(resolve => setTimeout(resolve, (4 - counter) * 10));
+        finished.push(counter);
+        return { serviceId: `svc-${counter}`, status: 'Provisioned', message: `Provisioned ${counter}` };
+      }
+    });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID] } });
+
+    await provisionServices('job-1', [OPPORTUNITY_ID], { context: { org } }, '/services/apexrest/callback', logger, { jobStore, providers: slowFirst });
+
+    assert.deepEqual(finished, [3, 2, 1]);
+    assert.deepEqual(org.requests[0].body.services.map(service => service.serviceId), ['svc-1', 'svc-2', 'svc-3']);
+  });
+
+  test('provisions at most 10 line items at once and 5 per Opportunity', async () => {
+    const opportunityIds = [1, 2, 3].map(opportunity => `00600000000000${opportunity}AAA`);
+    const org = createFakeOrg({
+      pages: [opportunityIds.map((opportunityId, opportunity) => opportunityRecord(opportunityId, Array.from({ length: 8 }, (_, index) => ({
+        id: `00k000000000${opportunity}${String(index).padStart(2, '0')}AAA`,
+        name: 'Compute'
+      }))))]
+    });
+    // Counts the provider calls in flight, across the job and per Opportunity
+    const inFlight = new Map();
+    let total = 0;
+    let maxTotal = 0;
+    let maxPerOpportunity = 0;
+    const counting = new ProviderRegistry({ defaultProvider: 'counting' }).register({
+      name: 'counting',
+      async provision ({ opportunityId, lineItemId }) {
+        inFlight.set(opportunityId, (inFlight.get(opportunityId) || 0) + 1);
+        maxTotal = Math.max(maxTotal, ++total);
+        maxPerOpportunity = Math.max(maxPerOpportunity, inFlight.get(opportunityId));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inFlight.set(opportunityId, inFlight.get(opportunityId) - 1);
+        total--;
+        return { serviceId: `svc-${lineItemId}`, status: 'Provisioned', message: 'Provisioned' };
+      }
+    });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds } });
+
+    const status = await provisionServices('job-1', opportunityIds, { context: { org } }, '/services/apexrest/callback', logger, { jobStore, providers: counting });
+
+    assert.equal(status, 'completed');
+    assert.equal(org.requests[0].body.summary.succeeded, 24);
+    // PROVISIONING_CONCURRENCY and PROVISIONING_CONCURRENCY_PER_OPPORTUNITY keep their defaults in the tests
+    assert.equal(maxTotal, 10);
+    assert.equal(maxPerOpportunity, 5);
+  });
+
+  test('resolves parameters per service and reports them in the callback', async () => {
+    const org = createFakeOrg({
+      parameters: {
+        Region: 'US',
+        DefaultTier: 'Basic',
+        'Product:DB-PG': '{"DefaultTier":"Premium"}',
+        'Account:001000000000002': '{"Region":"EU"}'
+      },
+      pages: [[
+        opportunityRecord(OPPORTUNITY_ID, [
+          { id: '00k000000000001AAA', name: 'Compute', code: 'CMP-STD' },
+          { id: '00k000000000002AAA', name: 'Database', code: 'DB-PG' }
+        ]),
+        opportunityRecord('006000000000002AAA', [{ id: '00k000000000003AAA', name: 'Database', code: 'DB-PG' }], '001000000000002AAA')
+      ]]
+    });
+    const jobStore = new MemoryJobStore();
+    const opportunityIds = [OPPORTUNITY_ID, '006000000000002AAA'];
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds } });
+    await provisionServices('job-1', opportunityIds, { context: { org } }, '/services/apexrest/callback', logger, {
+      jobStore,
+      providers,
+      parameters: { Compliance: 'PCI' },
+      lineItemParameters: { '00k000000000001AAA': { DefaultTier: 'Standard' } }
+    });
+
+    assert.deepEqual(org.requests[0].body.services.map(service => service.parameters), [
+      { Region: 'US', DefaultTier: 'Standard', Compliance: 'PCI' },
+      { Region: 'US', DefaultTier: 'Premium', Compliance: 'PCI' },
+      { Region: 'EU', DefaultTier: 'Premium', Compliance: 'PCI' }
+    ]);
+    const job = await jobStore.get('job-1');
+    assert.deepEqual(job.lineItems.find(item => item.lineItemId === '00k000000000003AAA').parameters, { Region: 'EU', DefaultTier: 'Premium', Compliance: 'PCI' });
+  });
+
+  test('fails only the services whose parameters are invalid', async () => {
+    const org = createFakeOrg({
+      parameters: { Region: 'US', 'Product:CMP-STD': '{"Region":"Mars"}' },
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [
+        { id: '00k000000000001AAA', name: 'Compute', code: 'CMP-STD' },
+        { id: '00k000000000002AAA', name: 'Database', code: 'DB-PG' }
+      ])]]
+    });
+    const { status } = await runJob(org);
+
+    assert.equal(status, 'partial');
+    const [failed, provisioned] = org.requests[0].body.services;
+    assert.equal(failed.status, 'Failed');
+    assert.equal(failed.errorCode, 'INVALID_PARAMETERS');
+    assert.match(failed.message, /Region must be one of US, EU, APAC \(from Product:CMP-STD\)/);
+    assert.equal(provisioned.status, 'Provisioned');
+  });
+
+  test('sends progress callbacks reporting each service once', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [
+        { id: '00k000000000001AAA', name: 'Compute' },
+        { id: '00k000000000002AAA', name: 'Storage' },
+        { id: '00k000000000003AAA', name: 'Database' }
+      ])]],
+      // The second progress callback is rejected, its service is reported by the final callback instead
+      request: async (url, opts) => {
+        if (JSON.parse(opts.body).sequence === 2) {
+          throw Object.assign(new Error('Bad Request'), { response: { status: 400 } });
+        }
+        return {};
+      }
+    });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID] } });
+    await provisionServices('job-1', [OPPORTUNITY_ID], { context: { org } }, '/services/apexrest/callback', logger, {
+      jobStore,
+      providers,
+      progress: { mode: 'services', batchSize: 1 }
+    });
+
+    const callbacks = org.requests.map(({ body }) => [body.sequence, body.final, body.status, body.services.length, body.summary.total]);
+    assert.deepEqual(callbacks, [
+      [1, false, 'running', 1, 1],
+      [2, false, 'running', 1, 2],
+      [3, false, 'running', 1, 3],
+      [4, true, 'completed', 1, 3]
+    ]);
+    const reportedTwice = org.requests[1].body.services[0].lineItemId;
+    assert.equal(org.requests[3].body.services[0].lineItemId, reportedTwice);
+    const job = await jobStore.get('job-1');
+    assert.equal(job.progress.sequence, 3);
+    assert.equal(job.progress.reported.length, 2);
+  });
+
+  test('stops when the deadline is reached and reports the services already provisioned', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [
+        { id: '00k000000000001AAA', name: 'Compute' },
+        { id: '00k000000000002AAA', name: 'Storage' }
+      ])]]
+    });
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({
+      jobId: 'job-1',
+      type: 'provision',
+      orgId: org.id,
+      request: { opportunityIds: [OPPORTUNITY_ID] },
+      lineItems: [{ lineItemId: '00k000000000001AAA', opportunityId: OPPORTUNITY_ID, serviceId: 'svc-job-1-1', status: 'Provisioned', message: 'Provisioned Compute' }]
+    });
+    const controller = new AbortController();
+    controller.abort(new JobStoppedError('Deadline 2026-01-01T00:10:00.000Z reached', 'timed_out'));
+    const status = await provisionServices('job-1', [OPPORTUNITY_ID], { context: { org } }, '/services/apexrest/callback', logger, {
+      jobStore,
+      providers,
+      signal: controller.signal
+    });
+
+    assert.equal(status, 'timed_out');
+    assert.equal((await jobStore.get('job-1')).status, 'timed_out');
+    const { body } = org.requests[0];
+    assert.equal(body.status, 'timed_out');
+    assert.deepEqual(body.services.map(service => [service.lineItemId, service.status, service.serviceId]), [
+      ['00k000000000001AAA', 'Provisioned', 'svc-job-1-1']
+    ]);
+    assert.deepEqual(body.errors, ['Deadline 2026-01-01T00:10:00.000Z reached']);
+  });
+
+  test('rejects Opportunities and line items that cannot be provisioned', async () => {
+    const closedLost = opportunityRecord('006000000000002AAA', [{ id: '00k000000000002AAA', name: 'Storage' }]);
+    closedLost.fields.StageName = 'Closed Lost';
+    const withoutProduct = opportunityRecord('006000000000004AAA', [
+      { id: '00k000000000004AAA', name: 'Compute' },
+      { id: '00k000000000005AAA', name: 'Unknown' }
+    ]);
+    delete withoutProduct.subQueryResults.OpportunityLineItems.records[1].fields.Product2Id;
+    const org = createFakeOrg({
+      pages: [[
+        opportunityRecord(OPPORTUNITY_ID, [{ id: '00k000000000001AAA', name: 'Compute' }]),
+        closedLost,
+        { type: 'Opportunity', fields: { Id: '006000000000003AAA' }, subQueryResults: {} },
+        withoutProduct
+      ]]
+    });
+    const opportunityIds = ['bad-id', OPPORTUNITY_ID, '006000000000002AAA', '006000000000003AAA', '006000000000004', '006000000000009AAA'];
+    const { status, job } = await runJob(org, { opportunityIds });
+
+    assert.equal(status, 'partial');
+    const { services, rejected, summary } = org.requests[0].body;
+    assert.deepEqual(services.map(service => service.lineItemId), ['00k000000000001AAA', '00k000000000004AAA']);
+    assert.deepEqual(summary, { total: 2, succeeded: 2, failed: 0, pending: 0 });
+    assert.deepEqual(rejected.map(item => [item.lineItemId || item.opportunityId, item.reason]), [
+      ['bad-id', 'INVALID_ID'],
+      ['006000000000002AAA', 'INVALID_STAGE'],
+      ['006000000000003AAA', 'NO_LINE_ITEMS'],
+      ['00k000000000005AAA', 'MISSING_PRODUCT'],
+      ['006000000000009AAA', 'NOT_FOUND']
+    ]);
+    assert.deepEqual(job.rejected, rejected);
+    assert.match(job.errors[0], /bad-id: \[INVALID_ID\]/);
+  });
+
+  test('fails without querying Opportunities when no ID is valid', async () => {
+    const org = createFakeOrg();
+    const { status } = await runJob(org, { opportunityIds: ["' OR Id != '"] });
+
+    assert.equal(status, 'failed');
+    assert.ok(org.queries.every(soql => !soql.includes('FROM Opportunity')));
+    assert.deepEqual(org.requests[0].body.rejected.map(item => item.reason), ['INVALID_ID']);
+  });
+
+  test('ignores Opportunity IDs that are not Salesforce IDs when querying', async () => {
+    const org = createFakeOrg();
+    await runJob(org, { opportunityIds: [OPPORTUNITY_ID, "x' OR Id != '"] });
+    const opportunityQuery = org.queries.find(soql => soql.includes('FROM Opportunity'));
+    assert.match(opportunityQuery, /WHERE Id IN \('006000000000001AAA'\)/);
+  });
+
+  test('reports a failed job when the Opportunity query fails', async () => {
+    const org = createFakeOrg();
+    const query = org.dataApi.query;
+    org.dataApi.query = async soql => {
+      if (soql.includes('FROM Opportunity')) throw new Error('REQUEST_LIMIT_EXCEEDED');
+      return query(soql);
+    };
+    const { status, job } = await runJob(org);
+
+    assert.equal(status, 'failed');
+    assert.deepEqual(job.errors, ['REQUEST_LIMIT_EXCEEDED']);
+    assert.equal(org.requests[0].body.status, 'failed');
+    assert.deepEqual(org.requests[0].body.summary, { total: 0, succeeded: 0, failed: 0, pending: 0 });
+  });
+
+  test('retries a failing callback and moves it to the dead letter list', async () => {
+    const org = createFakeOrg({
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [{ id: '00k000000000001AAA', name: 'Compute' }])]],
+      request: async () => {
+        throw Object.assign(new Error('Service Unavailable'), { response: { status: 503 } });
+      }
+    });
+    const { status, job } = await runJob(org);
+
+    // A callback failure does not change the outcome of the provisioning itself
+    assert.equal(status, 'completed');
+    assert.equal(org.requests.length, 2);
+    assert.equal(job.callback.status, 'dead_letter');
+    assert.equal(job.callback.attempts, 2);
+    assert.equal(job.callback.statusCode, 503);
+    assert.equal(job.callbackPayload.status, 'completed');
+  });
+
+  test('does not retry callbacks rejected as client errors', async () => {
+    const org = createFakeOrg({
+      request: async () => {
+        throw Object.assign(new Error('Bad Request'), { response: { status: 400 } });
+      }
+    });
+    const { job } = await runJob(org);
+
+    assert.equal(org.requests.length, 1);
+    assert.equal(job.callback.status, 'dead_letter');
+    assert.equal(job.callback.statusCode, 400);
+  });
+
+  test('completes the job when writing results back to Salesforce fails', async () => {
+    const org = createFakeOrg({
+      parameters: { 'Writeback:Opportunity.status': 'ProvisioningStatus__c' },
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [{ id: '00k000000000001AAA', name: 'Compute' }])]]
+    });
+    org.dataApi.newUnitOfWork = () => ({ registerCreate () {}, registerUpdate () {} });
+    org.dataApi.commitUnitOfWork = async () => { throw new Error('FIELD_CUSTOM_VALIDATION_EXCEPTION'); };
+    const { status, job } = await runJob(org);
+
+    assert.equal(status, 'completed');
+    assert.equal(job.writeback.status, 'failed');
+    assert.equal(job.writeback.error, 'FIELD_CUSTOM_VALIDATION_EXCEPTION');
+    assert.equal(job.callback.status, 'delivered');
+    // Write-back settings are not passed on to providers
+    assert.doesNotMatch(org.requests[0].body.services[0].message, /ProvisioningStatus__c/);
+  });
+
+  test('skips the callback when no callbackUrl was given', async () => {
+    const org = createFakeOrg();
+    const { job } = await runJob(org, { callbackUrl: null });
+    assert.equal(org.requests.length, 0);
+    assert.equal(job.callback.status, 'skipped');
+    assert.equal(job.orgId, ORG_ID);
+  });
+});
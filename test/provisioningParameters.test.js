@@ -0,0 +1,76 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveParameters, splitParameterOverrides, validateParameters } from '../src/server/services/provisioningParameters.js';
+
+describe('splitParameterOverrides', () => {
+  test('separates org defaults from product and Account overrides', () => {
+    const sources = splitParameterOverrides({
+      Region: 'US',
+      'Product:DB-PG': '{"DefaultTier":"Premium"}',
+      'Account:001000000000002AAA': '{"Region":"EU"}'
+    });
+    assert.deepEqual(sources, {
+      org: { Region: 'US' },
+      products: { 'DB-PG': { DefaultTier: 'Premium' } },
+      accounts: { '001000000000002': { Region: 'EU' } }
+    });
+  });
+
+  test('rejects overrides that are not JSON objects', () => {
+    assert.throws(() => splitParameterOverrides({ 'Product:DB-PG': 'DefaultTier=Premium' }), /Product:DB-PG: value must be a JSON object/);
+    assert.throws(() => splitParameterOverrides({ 'Account:001000000000002': '["EU"]' }), /JSON object/);
+  });
+});
+
+describe('resolveParameters', () => {
+  const sources = splitParameterOverrides({
+    Region: 'US',
+    DefaultTier: 'Basic',
+    Compliance: 'PCI',
+    'Product:Managed Database': '{"DefaultTier":"Standard","Region":"APAC"}',
+    'Product:DB-PG': '{"DefaultTier":"Premium"}',
+    'Account:001000000000002': '{"Region":"EU"}'
+  });
+  const product = { name: 'Managed Database', code: 'DB-PG' };
+
+  test('applies org, product name, product code and Account layers in order', () => {
+    const { parameters, origins } = resolveParameters({ sources, product, accountId: '001000000000002AAA' });
+    assert.deepEqual(parameters, { Region: 'EU', DefaultTier: 'Premium', Compliance: 'PCI' });
+    assert.deepEqual(origins, {
+      Region: 'Account:001000000000002AAA',
+      DefaultTier: 'Product:DB-PG',
+      Compliance: 'ProvisioningParameter__mdt'
+    });
+  });
+
+  test('lets the request override metadata, and line items override the request', () => {
+    const { parameters } = resolveParameters({
+      sources,
+      product,
+      accountId: '001000000000002AAA',
+      requestParameters: { Region: 'US', Compliance: 'Fedramp' },
+      lineItemParameters: { Region: 'APAC' }
+    });
+    assert.deepEqual(parameters, { Region: 'APAC', DefaultTier: 'Premium', Compliance: 'Fedramp' });
+  });
+});
+
+describe('validateParameters', () => {
+  test('accepts declared parameters with valid values', () => {
+    assert.doesNotThrow(() => validateParameters({ Region: 'EU', DefaultTier: 'Premium', Compliance: 'HIPAA, PCI' }));
+  });
+
+  test('reports every invalid parameter with its origin', () => {
+    assert.throws(
+      () => validateParameters({ Region: 'Mars', Size: 'XL', Compliance: 'x'.repeat(256) }, { Region: 'Product:DB-PG' }),
+      error => {
+        assert.equal(error.code, 'INVALID_PARAMETERS');
+        assert.match(error.message, /Region must be one of US, EU, APAC \(from Product:DB-PG\)/);
+        assert.match(error.message, /Size is not a known parameter/);
+        assert.match(error.message, /Compliance must be at most 255 characters/);
+        return true;
+      }
+    );
+  });
+});
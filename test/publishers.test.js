@@ -0,0 +1,88 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiresCallbackUrl, splitPublishingSettings } from '../src/server/publishers/index.js';
+import { provisionServices } from '../src/server/services/provisionServices.js';
+import { MemoryJobStore } from '../src/server/services/jobStore.js';
+import { createProviderRegistry } from '../src/server/providers/index.js';
+import { createFakeOrg, logger, opportunityRecord } from './helpers.js';
+
+const OPPORTUNITY_ID = '006000000000001AAA';
+
+const providers = createProviderRegistry({ defaultProvider: 'mock', mock: { delayMs: 0 }, http: {} });
+
+describe('splitPublishingSettings', () => {
+  test('separates publisher entries from provider parameters', () => {
+    const { publishing, parameters } = splitPublishingSettings({
+      Region: 'EU',
+      'Publisher:Default': 'callback, platformEvent',
+      'Publisher:EventObject': 'Service_Status__e'
+    });
+
+    assert.deepEqual(parameters, { Region: 'EU' });
+    assert.deepEqual(publishing, { publishers: ['callback', 'platformEvent'], eventObject: 'Service_Status__e' });
+    assert.equal(splitPublishingSettings({ Region: 'EU' }).publishing, null);
+  });
+
+  test('rejects unknown settings and event objects that are not Platform Events', () => {
+    assert.throws(() => splitPublishingSettings({ 'Publisher:Channel': 'callback' }), /Unknown ProvisioningParameter__mdt/);
+    assert.throws(() => splitPublishingSettings({ 'Publisher:EventObject': 'Account' }), /not a Platform Event/);
+  });
+});
+
+describe('requiresCallbackUrl', () => {
+  test('is true unless the request chooses a publisher besides the callback', () => {
+    assert.equal(requiresCallbackUrl(undefined), true);
+    assert.equal(requiresCallbackUrl(['callback']), true);
+    assert.equal(requiresCallbackUrl(['platformEvent']), false);
+  });
+});
+
+describe('result publishing', () => {
+  function createOrg (options) {
+    return createFakeOrg({
+      parameters: { 'Publisher:Default': 'callback,platformEvent' },
+      pages: [[opportunityRecord(OPPORTUNITY_ID, [
+        { id: '00k000000000001AAA', name: 'Compute' },
+        { id: '00k000000000002AAA', name: 'Storage' }
+      ])]],
+      ...options
+    });
+  }
+
+  async function runJob (org, { callbackUrl = '/services/apexrest/callback', ...options } = {}) {
+    const jobStore = new MemoryJobStore();
+    await jobStore.create({ jobId: 'job-1', type: 'provision', orgId: org.id, request: { opportunityIds: [OPPORTUNITY_ID], callbackUrl } });
+    const status = await provisionServices('job-1', [OPPORTUNITY_ID], { context: { org } }, callbackUrl, logger, { jobStore, providers, ...options });
+    return { status, job: await jobStore.get('job-1') };
+  }
+
+  test('publishes Platform Events next to the callback when chosen in ProvisioningParameter__mdt', async () => {
+    const org = createOrg();
+    const { status, job } = await runJob(org, { progress: { mode: 'opportunity' } });
+
+    assert.equal(status, 'completed');
+    assert.deepEqual(org.requests.map(({ body }) => body.sequence), [1, 2]);
+    assert.deepEqual(org.created.map(({ type, fields }) => [type, fields.Sequence__c, fields.Final__c, fields.Status__c]), [
+      ['Provisioning_Status__e', 1, false, 'running'],
+      ['Provisioning_Status__e', 2, true, 'completed']
+    ]);
+    const [progress, final] = org.created.map(({ fields }) => fields);
+    assert.equal(JSON.parse(progress.Payload__c).services.length, 2);
+    assert.deepEqual([final.JobId__c, final.Total__c, final.Succeeded__c, final.Failed__c, final.Pending__c], ['job-1', 2, 2, 0, 0]);
+    assert.equal(job.callback.status, 'delivered');
+    assert.equal(job.platformEvent.status, 'published');
+  });
+
+  test('publishes only the chosen publishers and records failed events without failing the job', async () => {
+    const org = createOrg({ create: async () => { throw new Error('INSUFFICIENT_ACCESS'); } });
+    const { status, job } = await runJob(org, { callbackUrl: undefined, publishers: ['platformEvent'] });
+
+    assert.equal(status, 'completed');
+    assert.equal(org.requests.length, 0);
+    assert.equal(org.created.length, 1);
+    assert.deepEqual([job.platformEvent.status, job.platformEvent.error], ['failed', 'INSUFFICIENT_ACCESS']);
+    assert.equal(job.callback.status, 'skipped');
+    assert.equal(job.callbackPayload.status, 'completed');
+  });
+});
@@ -0,0 +1,116 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitWritebackSettings, writeResults } from '../src/server/services/recordWriteback.js';
+import { FixtureDataApi } from '../src/server/emulator/fixtureDataApi.js';
+import { ORG_ID, logger } from './helpers.js';
+
+const OPPORTUNITY_ID = '006000000000001AAA';
+
+const SETTINGS = {
+  'Writeback:ServiceObject': 'ProvisionedService__c',
+  'Writeback:Opportunity.status': 'ProvisioningStatus__c',
+  'Writeback:Opportunity.jobId': 'ProvisioningJobId__c'
+};
+
+function createOrg () {
+  const dataApi = new FixtureDataApi(new Map([['Opportunity', [{ Id: OPPORTUNITY_ID, Name: 'Acme' }]]]));
+  return { id: ORG_ID, dataApi };
+}
+
+function service (lineItemId, status, overrides = {}) {
+  return { serviceId: `svc-${lineItemId}`, opportunityId: OPPORTUNITY_ID, lineItemId, productReference: 'Compute', status, message: `${status} ${lineItemId}`, ...overrides };
+}
+
+describe('splitWritebackSettings', () => {
+  test('separates write-back entries from provider parameters', () => {
+    const { writeback, parameters } = splitWritebackSettings({ Region: 'EU', ...SETTINGS, 'Writeback:Service.status': 'State__c' });
+
+    assert.deepEqual(parameters, { Region: 'EU' });
+    assert.equal(writeback.serviceObject, 'ProvisionedService__c');
+    assert.equal(writeback.serviceFields.status, 'State__c');
+    assert.equal(writeback.serviceFields.lineItemId, 'OpportunityLineItemId__c');
+    assert.deepEqual(writeback.opportunityFields, { status: 'ProvisioningStatus__c', jobId: 'ProvisioningJobId__c' });
+  });
+
+  test('is disabled without a service object or Opportunity fields', () => {
+    assert.equal(splitWritebackSettings({ Region: 'EU' }).writeback, null);
+    assert.equal(splitWritebackSettings({ 'Writeback:Service.status': 'State__c' }).writeback, null);
+  });
+
+  test('rejects unknown settings and values that are not API names', () => {
+    assert.throws(() => splitWritebackSettings({ 'Writeback:Account.status': 'Status__c' }), /Unknown ProvisioningParameter__mdt/);
+    assert.throws(() => splitWritebackSettings({ 'Writeback:ServiceObject': 'Account WHERE Id != null' }), /not an API name/);
+    assert.throws(() => splitWritebackSettings({ ...SETTINGS, 'Writeback:Service.lineItemId': '' }), /lineItemId is required/);
+  });
+});
+
+describe('writeResults', () => {
+  const { writeback: settings } = splitWritebackSettings(SETTINGS);
+
+  test('creates a service record per line item and stamps the Opportunity', async () => {
+    const org = createOrg();
+    const { records } = await writeResults({
+      jobId: 'job-1',
+      services: [service('00k000000000001AAA', 'Provisioned'), service('00k000000000002AAA', 'Failed')],
+      settings,
+      org,
+      logger
+    });
+
+    assert.equal(records, 3);
+    const rows = org.dataApi.records.get('ProvisionedService__c');
+    assert.deepEqual(rows.map(row => [row.OpportunityLineItemId__c, row.Opportunity__c, row.ServiceId__c, row.Status__c, row.JobId__c]), [
+      ['00k000000000001AAA', OPPORTUNITY_ID, 'svc-00k000000000001AAA', 'Provisioned', 'job-1'],
+      ['00k000000000002AAA', OPPORTUNITY_ID, 'svc-00k000000000002AAA', 'Failed', 'job-1']
+    ]);
+    assert.ok(rows[0].ProvisionedAt__c);
+    assert.equal(rows[1].ProvisionedAt__c, undefined);
+
+    const [opportunity] = org.dataApi.records.get('Opportunity');
+    assert.equal(opportunity.ProvisioningStatus__c, 'partial');
+    assert.equal(opportunity.ProvisioningJobId__c, 'job-1');
+  });
+
+  test('updates existing service records on later jobs', async () => {
+    const org = createOrg();
+    await writeResults({ jobId: 'job-1', services: [service('00k000000000001AAA', 'Provisioned')], settings, org, logger });
+    const [{ ProvisionedAt__c: provisionedAt }] = org.dataApi.records.get('ProvisionedService__c');
+
+    await writeResults({ jobId: 'job-2', services: [service('00k000000000001AAA', 'Deprovisioned')], settings, org, logger });
+    await writeResults({ jobId: 'job-3', services: [service('00k000000000001AAA', 'Failed')], settings, org, logger });
+
+    const rows = org.dataApi.records.get('ProvisionedService__c');
+    assert.equal(rows.length, 1);
+    // A failed operation leaves the service as it was, only reporting the failure
+    assert.equal(rows[0].Status__c, 'Deprovisioned');
+    assert.equal(rows[0].JobId__c, 'job-2');
+    assert.equal(rows[0].Message__c, 'Failed 00k000000000001AAA');
+    assert.equal(rows[0].ProvisionedAt__c, provisionedAt);
+  });
+
+  test('leaves services provisioned by another job to that job', async () => {
+    const org = createOrg();
+    const { records } = await writeResults({
+      jobId: 'job-2',
+      services: [service('00k000000000001AAA', 'AlreadyProvisioned')],
+      settings,
+      org,
+      logger
+    });
+
+    assert.equal(records, 1);
+    assert.equal(org.dataApi.records.get('ProvisionedService__c'), undefined);
+    assert.equal(org.dataApi.records.get('Opportunity')[0].ProvisioningStatus__c, 'completed');
+  });
+
+  test('writes nothing when a record in the unit of work fails', async () => {
+    const org = createOrg();
+    const unknownOpportunity = service('00k000000000002AAA', 'Provisioned', { opportunityId: '006000000000009AAA' });
+    await assert.rejects(
+      writeResults({ jobId: 'job-1', services: [service('00k000000000001AAA', 'Provisioned'), unknownOpportunity], settings, org, logger }),
+      /INVALID_CROSS_REFERENCE_KEY/
+    );
+    assert.equal(org.dataApi.records.get('ProvisionedService__c'), undefined);
+  });
+});
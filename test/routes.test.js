@@ -0,0 +1,575 @@
+import './env.js';
+import crypto from 'node:crypto';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/server/config/index.js';
+import { buildApp } from '../src/server/app.js';
+import { OrgRegistry } from '../src/server/services/orgRegistry.js';
+import { ProviderRegistry } from '../src/server/providers/index.js';
+import { getAppLinkEmulator } from '../src/server/services/appLinkClient.js';
+import { createMockProvider } from '../src/server/providers/mockProvider.js';
+import { ProvisioningError } from '../src/server/utils/errors.js';
+import { signProviderEvent } from '../src/server/services/providerEvents.js';
+import { tracer } from '../src/server/services/tracing.js';
+import { ORG_ID, encodeClientContext, waitForJob } from './helpers.js';
+
+// The emulator serves the data/ fixtures, whose records are numbered in file order
+const OPPORTUNITY_ID = '006000000000001AAA';
+const CALLBACK_URL = '/services/apexrest/provisioning';
+
+describe('API routes', () => {
+  let app;
+
+  before(async () => {
+    app = await buildApp({ logger: false });
+    await app.ready();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  function submit (url, payload, clientContext = encodeClientContext()) {
+    const headers = clientContext ? { 'x-client-context': clientContext } : {};
+    return app.inject({ method: 'POST', url, headers, payload });
+  }
+
+  test('provisions services and calls back with the results', async () => {
+    const response = await submit('/api/provisionServices', {
+      opportunityIds: [OPPORTUNITY_ID],
+      callbackUrl: CALLBACK_URL
+    });
+    assert.equal(response.statusCode, 201);
+    const { jobId } = response.json();
+    assert.ok(jobId);
+
+    const job = await waitForJob(app.jobStore, jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.callback.status, 'delivered');
+
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    const [callback] = callbacks.json().callbacks;
+    assert.equal(callback.url, CALLBACK_URL);
+    assert.equal(callback.method, 'POST');
+    assert.equal(callback.body.status, 'completed');
+    assert.deepEqual(callback.body.opportunityIds, [OPPORTUNITY_ID]);
+    assert.deepEqual(callback.body.summary, { total: 3, succeeded: 3, failed: 0, pending: 0 });
+    assert.deepEqual(callback.body.services.map(service => [service.productReference, service.parameters.DefaultTier]), [
+      ['Compute Cluster - Standard', 'Basic'],
+      ['Managed Database - Postgres', 'Premium'],
+      ['Object Storage - Tier 1', 'Basic']
+    ]);
+
+    const status = await app.inject({ method: 'GET', url: `/api/jobs/${jobId}`, headers: { 'x-client-context': encodeClientContext() } });
+    assert.equal(status.statusCode, 200);
+    assert.equal(status.json().lineItems.length, 3);
+    assert.equal(status.json().writeback.status, 'completed');
+    // Apex may pass the 15 character form of the Opportunity ID
+    const listed = await app.inject({ method: 'GET', url: `/api/jobs?opportunityId=${OPPORTUNITY_ID.slice(0, 15)}`, headers: { 'x-client-context': encodeClientContext() } });
+    assert.ok(listed.json().jobs.some(job => job.jobId === jobId));
+
+    // data/provisioning-parameters.json enables writing the results back to Salesforce records
+    const services = await app.inject({ method: 'GET', url: '/emulator/records/ProvisionedService__c' });
+    const records = services.json().records.filter(record => record.JobId__c === jobId);
+    assert.deepEqual(records.map(record => record.Status__c), ['Provisioned', 'Provisioned', 'Provisioned']);
+    const opportunities = await app.inject({ method: 'GET', url: '/emulator/records/Opportunity' });
+    const opportunity = opportunities.json().records.find(record => record.Id === OPPORTUNITY_ID);
+    assert.equal(opportunity.ProvisioningStatus__c, 'completed');
+    assert.equal(opportunity.ProvisioningJobId__c, jobId);
+  });
+
+  test('sends a progress callback per Opportunity', async () => {
+    const opportunityIds = ['006000000000005AAA', '006000000000006AAA'];
+    const response = await submit('/api/provisionServices', { opportunityIds, callbackUrl: CALLBACK_URL, progress: { mode: 'opportunity' } });
+    const { jobId } = response.json();
+    await waitForJob(app.jobStore, jobId);
+
+    const callbacks = (await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` })).json().callbacks;
+    assert.deepEqual(callbacks.map(({ body }) => [body.sequence, body.final, body.status]), [
+      [1, false, 'running'],
+      [2, false, 'running'],
+      [3, true, 'completed']
+    ]);
+    assert.deepEqual(new Set(callbacks.slice(0, 2).map(({ body }) => body.services[0].opportunityId)), new Set(opportunityIds));
+    assert.ok(callbacks.slice(0, 2).every(({ body }) => body.services.every(service => service.opportunityId === body.services[0].opportunityId)));
+    assert.deepEqual(callbacks[2].body.services, []);
+  });
+
+  test('publishes the results as a Platform Event without a callbackUrl', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: ['006000000000008AAA'], publishers: ['platformEvent'] });
+    assert.equal(response.statusCode, 201);
+    const { jobId } = response.json();
+    const job = await waitForJob(app.jobStore, jobId);
+    assert.equal(job.platformEvent.status, 'published');
+
+    const events = await app.inject({ method: 'GET', url: '/emulator/records/Provisioning_Status__e' });
+    const [event] = events.json().records.filter(record => record.JobId__c === jobId);
+    assert.equal(event.Status__c, 'completed');
+    assert.equal(event.Final__c, true);
+    assert.equal(JSON.parse(event.Payload__c).services.length, 2);
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    assert.deepEqual(callbacks.json().callbacks, []);
+  });
+
+  test('deprovisions services and updates their records', async () => {
+    const provision = await submit('/api/provisionServices', { opportunityIds: ['006000000000002AAA'], callbackUrl: CALLBACK_URL });
+    await waitForJob(app.jobStore, provision.json().jobId);
+
+    // Apex may pass the 15 character form of the Opportunity ID
+    const response = await submit('/api/deprovisionServices', { opportunityIds: ['006000000000002'], callbackUrl: CALLBACK_URL });
+    assert.equal(response.statusCode, 201);
+    const job = await waitForJob(app.jobStore, response.json().jobId);
+    assert.equal(job.status, 'completed');
+    assert.ok(job.lineItems.length > 0);
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${job.jobId}` });
+    assert.deepEqual(callbacks.json().callbacks[0].body.opportunityIds, ['006000000000002AAA']);
+
+    const services = await app.inject({ method: 'GET', url: '/emulator/records/ProvisionedService__c' });
+    const records = services.json().records.filter(record => record.Opportunity__c === '006000000000002AAA');
+    assert.equal(records.length, job.lineItems.length);
+    assert.ok(records.every(record => record.Status__c === 'Deprovisioned' && record.JobId__c === job.jobId));
+  });
+
+  test('modifies services and reports unknown services and provider failures', async () => {
+    const opportunityId = '006000000000007AAA';
+    const provision = await waitForJob(app.jobStore, (await submit('/api/provisionServices', { opportunityIds: [opportunityId], callbackUrl: CALLBACK_URL })).json().jobId);
+    const serviceIds = provision.lineItems.map(item => item.serviceId);
+
+    const modified = await waitForJob(app.jobStore, (await submit('/api/modifyServices', { opportunityIds: [opportunityId], callbackUrl: CALLBACK_URL })).json().jobId);
+    assert.equal(modified.status, 'completed');
+    assert.deepEqual(modified.lineItems.map(item => item.status), ['Modified', 'Modified', 'Modified']);
+    const owner = await app.jobStore.get(provision.jobId);
+    assert.ok(owner.lineItems.every(item => item.status === 'Provisioned' && item.changedByJobId === modified.jobId));
+
+    const unknown = await waitForJob(app.jobStore, (await submit('/api/modifyServices', { serviceIds: ['svc-unknown'], callbackUrl: CALLBACK_URL })).json().jobId);
+    assert.equal(unknown.status, 'failed');
+    assert.match(unknown.errors[0], /No provisioned services match/);
+
+    const failing = new ProviderRegistry({ defaultProvider: 'mock' }).register({
+      ...createMockProvider({ delayMs: 0 }),
+      async modify ({ serviceId }) {
+        if (serviceId === serviceIds[0]) throw new ProvisioningError('Backend unavailable', 'BACKEND_UNAVAILABLE');
+        return { serviceId, status: 'Modified', message: `Modified ${serviceId}` };
+      }
+    });
+    const { providersFor } = app.orgs;
+    app.orgs.providersFor = () => failing;
+    let partial;
+    try {
+      partial = await waitForJob(app.jobStore, (await submit('/api/modifyServices', { serviceIds, callbackUrl: CALLBACK_URL })).json().jobId);
+    } finally {
+      app.orgs.providersFor = providersFor;
+    }
+    assert.equal(partial.status, 'partial');
+    assert.deepEqual(partial.summary, { total: 3, succeeded: 2, failed: 1, pending: 0 });
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${partial.jobId}` });
+    const failed = callbacks.json().callbacks[0].body.services.find(service => service.status === 'Failed');
+    assert.deepEqual([failed.serviceId, failed.errorCode, failed.message], [serviceIds[0], 'BACKEND_UNAVAILABLE', 'Backend unavailable']);
+  });
+
+  test('replays a dead-lettered callback and records its delivery', async () => {
+    // Salesforce rejects every attempt, CALLBACK_MAX_ATTEMPTS is 2 in the tests
+    const emulator = getAppLinkEmulator();
+    const { recordCallback } = emulator;
+    emulator.recordCallback = () => { throw Object.assign(new Error('Service Unavailable'), { response: { status: 503 } }); };
+    let failed;
+    try {
+      failed = await waitForJob(app.jobStore, (await submit('/api/provisionServices', { opportunityIds: ['006000000000005AAA'], callbackUrl: CALLBACK_URL })).json().jobId);
+    } finally {
+      emulator.recordCallback = recordCallback;
+    }
+    assert.deepEqual([failed.callback.status, failed.callback.attempts], ['dead_letter', 2]);
+    const { jobId } = failed;
+    const deadLetters = await app.inject({ method: 'GET', url: '/api/jobs?callbackStatus=dead_letter', headers: { 'x-client-context': encodeClientContext() } });
+    assert.ok(deadLetters.json().jobs.some(job => job.jobId === jobId));
+
+    // data/permission-set-assignments.json only assigns the admin permission set to the default user
+    const notAdmin = encodeClientContext({ userContext: { userId: '005000000000002AAA', username: 'sales@example.com' } });
+    const forbidden = await submit(`/api/admin/jobs/${jobId}/callback/replay`, undefined, notAdmin);
+    assert.equal(forbidden.statusCode, 403);
+    assert.match(forbidden.json().error, /ProvisioningServiceAdmin/);
+
+    const response = await submit(`/api/admin/jobs/${jobId}/callback/replay`);
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json().callback.status, 'delivered');
+
+    const job = await app.jobStore.get(jobId);
+    assert.equal(job.callback.status, 'delivered');
+    assert.ok(job.callback.deliveredAt);
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    assert.deepEqual(callbacks.json().callbacks.map(callback => callback.body), [job.callbackPayload]);
+  });
+
+  test('returns the provisioning plan for a dry run without submitting a job', async () => {
+    const jobs = await app.jobStore.list({ limit: 1000 });
+    const response = await submit('/api/provisionServices', {
+      opportunityIds: ['006000000000003AAA', 'not-an-id'],
+      parameters: { Region: 'EU' },
+      dryRun: true
+    });
+
+    assert.equal(response.statusCode, 200);
+    const plan = response.json();
+    assert.equal(plan.dryRun, true);
+    assert.ok(plan.services.length > 0);
+    assert.ok(plan.services.every(service => service.status === 'Planned' && service.provider === 'mock' && service.parameters.Region === 'EU'));
+    assert.deepEqual(plan.rejected, [{ opportunityId: 'not-an-id', reason: 'INVALID_ID', message: 'Not a 15 or 18 character Salesforce ID' }]);
+    assert.equal((await app.jobStore.list({ limit: 1000 })).length, jobs.length);
+  });
+
+  test('provisions small batches synchronously', async () => {
+    const request = { opportunityIds: ['006000000000004AAA'], idempotencyKey: 'sync-1' };
+    const response = await submit('/api/provisionServicesSync', request);
+
+    assert.equal(response.statusCode, 200);
+    const result = response.json();
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(result.summary, { total: 3, succeeded: 3, failed: 0, pending: 0 });
+    assert.ok(result.services.every(service => service.status === 'Provisioned' && service.serviceId));
+    const job = await app.jobStore.get(result.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.callback.status, 'skipped');
+
+    const repeated = await submit('/api/provisionServicesSync', request);
+    assert.equal(repeated.statusCode, 200);
+    assert.deepEqual(repeated.json(), result);
+
+    // Synchronous jobs return their results instead of calling back
+    const replay = await submit(`/api/admin/jobs/${result.jobId}/callback/replay`);
+    assert.equal(replay.statusCode, 409);
+    assert.match(replay.json().error, /without a callbackUrl/);
+  });
+
+  test('continues synchronous requests in the background when they overrun the time budget', async () => {
+    // An org quota of one line item at a time leaves line items unstarted when the budget runs out,
+    // shortened to keep the test fast; the line item cap is the default
+    const slow = new OrgRegistry({ orgs: { [ORG_ID]: { concurrency: 1, providers: { mock: { delayMs: 100 } } } } });
+    const { providersFor, limiterFor } = app.orgs;
+    const { syncTimeoutMs } = config.provisioning;
+    app.orgs.providersFor = orgId => slow.providersFor(orgId);
+    app.orgs.limiterFor = orgId => slow.limiterFor(orgId);
+    config.provisioning.syncTimeoutMs = 10;
+    let response;
+    try {
+      response = await submit('/api/provisionServicesSync', { opportunityIds: ['006000000000010AAA'], callbackUrl: CALLBACK_URL });
+    } finally {
+      app.orgs.providersFor = providersFor;
+      app.orgs.limiterFor = limiterFor;
+      config.provisioning.syncTimeoutMs = syncTimeoutMs;
+    }
+
+    assert.equal(response.statusCode, 202);
+    const { jobId } = response.json();
+    const job = await waitForJob(app.jobStore, jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.lineItems.length, 3);
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    const [callback] = callbacks.json().callbacks;
+    assert.deepEqual(callback.body.services.map(service => service.status), ['Provisioned', 'Provisioned', 'Provisioned']);
+  });
+
+  test('rejects synchronous requests over the line item limit', async () => {
+    const jobs = await app.jobStore.list({ limit: 1000 });
+    const userId = '005000000000007AAA';
+    const limits = app.admission.limits;
+    app.admission.limits = { ...limits, userJobsPerWindow: 5 };
+    let response;
+    try {
+      response = await submit('/api/provisionServicesSync', {
+        opportunityIds: ['006000000000005AAA', '006000000000006AAA', '006000000000008AAA', '006000000000009AAA']
+      }, encodeClientContext({ userContext: { userId, username: 'sync@example.com' } }));
+    } finally {
+      app.admission.limits = limits;
+    }
+    assert.equal(response.statusCode, 400);
+    assert.match(response.json().error, /exceed the limit of 5/);
+    assert.equal((await app.jobStore.list({ limit: 1000 })).length, jobs.length);
+    // The submission admitted before the line items were counted is not held against the user
+    assert.deepEqual(app.admission.submissions.get(`user:${ORG_ID}:${userId}`) || [], []);
+  });
+
+  test('rejects requests without any valid Opportunity ID', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: ["' OR Name != '"] });
+    assert.equal(response.statusCode, 400);
+  });
+
+  test('requires x-client-context', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID] }, null);
+    assert.equal(response.statusCode, 401);
+    assert.match(response.json().error, /Salesforce context required/);
+  });
+
+  test('rejects an invalid x-client-context', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID] }, 'invalid');
+    assert.equal(response.statusCode, 401);
+  });
+
+  test('validates the request body', async () => {
+    const response = await submit('/api/provisionServices', { callbackUrl: CALLBACK_URL });
+    assert.equal(response.statusCode, 400);
+  });
+
+  test('rejects unknown or invalid provisioning parameters', async () => {
+    const invalidRegion = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], parameters: { Region: 'Mars' } });
+    assert.equal(invalidRegion.statusCode, 400);
+    const unknown = await submit('/api/provisionServices', {
+      opportunityIds: [OPPORTUNITY_ID],
+      lineItemParameters: { '00k000000000001AAA': { Size: 'XL' } }
+    });
+    assert.equal(unknown.statusCode, 400);
+  });
+
+  test('requires a callbackUrl for jobs', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID] });
+    assert.equal(response.statusCode, 400);
+    assert.match(response.json().error, /callbackUrl is required/);
+  });
+
+  test('requires a selection to deprovision services', async () => {
+    const response = await submit('/api/deprovisionServices', { callbackUrl: CALLBACK_URL });
+    assert.equal(response.statusCode, 400);
+  });
+
+  test('cancels a job before its remaining line items are provisioned', async () => {
+    const jobId = crypto.randomUUID();
+    const request = { opportunityIds: ['006000000000003AAA'], callbackUrl: CALLBACK_URL };
+    await app.jobStore.create({ jobId, type: 'provision', orgId: ORG_ID, request });
+    const headers = { 'x-client-context': encodeClientContext() };
+
+    const response = await app.inject({ method: 'POST', url: `/api/jobs/${jobId}/cancel`, headers });
+    assert.equal(response.statusCode, 202);
+    assert.equal(response.json().status, 'queued');
+    assert.ok(response.json().cancelRequestedAt);
+    assert.deepEqual(response.json().services, []);
+
+    await app.jobQueue.enqueue({ jobId, operation: 'provision', ...request, orgId: ORG_ID });
+    const job = await waitForJob(app.jobStore, jobId);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.lineItems.length, 0);
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    assert.equal(callbacks.json().callbacks[0].body.status, 'cancelled');
+
+    const again = await app.inject({ method: 'POST', url: `/api/jobs/${jobId}/cancel`, headers });
+    assert.equal(again.statusCode, 409);
+    const unknown = await app.inject({ method: 'POST', url: `/api/jobs/${crypto.randomUUID()}/cancel`, headers });
+    assert.equal(unknown.statusCode, 404);
+  });
+
+  test('publishes the results once signed provider events settle the pending services', async () => {
+    const jobId = crypto.randomUUID();
+    const service = {
+      serviceId: `ext-${jobId}`,
+      opportunityId: '006000000000006AAA',
+      lineItemId: '00k000000000099AAA',
+      productReference: 'Compute Cluster - Standard',
+      status: 'Pending',
+      message: 'Accepted',
+      parameters: {}
+    };
+    await app.jobStore.create({
+      jobId,
+      type: 'provision',
+      orgId: ORG_ID,
+      request: { opportunityIds: ['006000000000006AAA'], callbackUrl: CALLBACK_URL },
+      status: 'awaiting_provider',
+      rejected: [],
+      lineItems: [{ ...service, counter: 1 }],
+      settlement: { writeback: null, publishing: null, requestId: 'req-test' }
+    });
+    const status = await app.inject({ method: 'GET', url: `/api/jobs/${jobId}`, headers: { 'x-client-context': encodeClientContext() } });
+    assert.equal(status.json().settlement, undefined);
+
+    const sendEvent = (event, sign = true) => {
+      const payload = JSON.stringify(event);
+      const headers = { 'content-type': 'application/json' };
+      if (sign) headers['x-provider-signature'] = signProviderEvent(payload, 'test-provider-events-secret');
+      return app.inject({ method: 'POST', url: '/api/providerEvents', headers, payload });
+    };
+    assert.equal((await sendEvent({ serviceId: service.serviceId, status: 'Provisioned' }, false)).statusCode, 401);
+    assert.equal((await sendEvent({ serviceId: 'ext-unknown', status: 'Provisioned' })).statusCode, 404);
+
+    const response = await sendEvent({ serviceId: service.serviceId, status: 'Provisioned', message: 'Ready' });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.json(), { jobId, serviceId: service.serviceId, status: 'Provisioned', jobStatus: 'queued', duplicate: false });
+
+    const job = await waitForJob(app.jobStore, jobId);
+    assert.equal(job.status, 'completed');
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    const [callback] = callbacks.json().callbacks;
+    assert.deepEqual(callback.body.services.map(item => [item.serviceId, item.status, item.message]), [[service.serviceId, 'Provisioned', 'Ready']]);
+  });
+
+  test('records who provisioned which services in the audit log', async () => {
+    const clientContext = encodeClientContext({ userContext: { userId: '005000000000009AAA', username: 'auditor@example.com' } });
+    const response = await submit('/api/provisionServices', { opportunityIds: ['006000000000002AAA'], callbackUrl: CALLBACK_URL }, clientContext);
+    const { jobId } = response.json();
+    await waitForJob(app.jobStore, jobId);
+
+    const headers = { 'x-client-context': encodeClientContext() };
+    const audit = await app.inject({ method: 'GET', url: `/api/audit?jobId=${jobId}`, headers });
+    assert.equal(audit.statusCode, 200);
+    const entries = audit.json().entries.reverse();
+    // Line items are provisioned in parallel, so only the first and last entries have a fixed place
+    assert.equal(entries[0].type, 'request.received');
+    assert.equal(entries.at(-1).type, 'callback.delivery');
+    assert.equal(entries.filter(entry => entry.type === 'parameters.resolved').length, 2);
+    assert.equal(entries.filter(entry => entry.type === 'provider.call').length, 2);
+    assert.ok(entries.every(entry => entry.actor.orgId === ORG_ID));
+    // The worker posts the callback through the org's AppLink authorization, but audits the job's changes under the submitter
+    assert.ok(entries.filter(entry => entry.type !== 'callback.delivery').every(entry => entry.actor.username === 'auditor@example.com'));
+    assert.ok(entries.filter(entry => entry.type !== 'callback.delivery').every(entry => entry.requestId === 'req-test'));
+    assert.equal(entries[0].details.request.callbackUrl, CALLBACK_URL);
+    const call = entries.find(entry => entry.type === 'provider.call');
+    assert.equal(call.opportunityId, '006000000000002AAA');
+    assert.equal(call.details.status, 'Provisioned');
+    assert.ok(call.serviceId);
+    assert.equal(entries.at(-1).details.status, 'delivered');
+
+    const byUser = await app.inject({ method: 'GET', url: '/api/audit?username=auditor@example.com&type=provider.call', headers });
+    assert.equal(byUser.json().entries.length, 2);
+    const byService = await app.inject({ method: 'GET', url: `/api/audit?serviceId=${call.serviceId}`, headers });
+    assert.deepEqual(byService.json().entries.map(entry => entry.jobId), [jobId]);
+    const otherOrg = await app.inject({ method: 'GET', url: `/api/audit?jobId=${jobId}`, headers: { 'x-client-context': encodeClientContext({ orgId: '00D000000000002AAA' }) } });
+    assert.deepEqual(otherOrg.json().entries, []);
+    assert.equal((await app.inject({ method: 'GET', url: '/api/audit' })).statusCode, 401);
+  });
+
+  test('traces a job from the submitting request to its provider calls and callback', async () => {
+    const traceId = crypto.randomBytes(16).toString('hex');
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/provisionServices',
+      headers: { 'x-client-context': encodeClientContext(), traceparent: `00-${traceId}-00f067aa0ba902b7-01` },
+      payload: { opportunityIds: ['006000000000003AAA'], callbackUrl: CALLBACK_URL }
+    });
+    const { jobId } = response.json();
+    const job = await waitForJob(app.jobStore, jobId);
+    assert.equal(job.traceId, traceId);
+
+    const callbacks = await app.inject({ method: 'GET', url: `/emulator/callbacks?jobId=${jobId}` });
+    assert.equal(callbacks.json().callbacks[0].body.traceId, traceId);
+
+    // The job span ends once the worker has acknowledged the job
+    let spans = [];
+    for (let tries = 0; tries < 100 && !spans.some(span => span.name === 'job provision'); tries++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      spans = tracer.exporters[0].spans.filter(span => span.traceId === traceId);
+    }
+    const byName = name => spans.filter(span => span.name === name);
+    const [requestSpan] = byName('POST /api/provisionServices');
+    assert.equal(requestSpan.parentSpanId, '00f067aa0ba902b7');
+    assert.equal(requestSpan.attributes['applink.request_id'], 'req-test');
+    const [jobSpan] = byName('job provision');
+    assert.equal(jobSpan.parentSpanId, requestSpan.spanId);
+    assert.equal(jobSpan.attributes['job.status'], 'completed');
+    const calls = byName('provider provision');
+    assert.equal(calls.length, 2);
+    assert.ok(calls.every(span => span.parentSpanId === jobSpan.spanId && span.attributes['service.id']));
+    const [callbackSpan] = byName('callback post');
+    assert.equal(callbackSpan.parentSpanId, jobSpan.spanId);
+    assert.equal(callbackSpan.attributes['callback.delivered'], true);
+  });
+
+  test('rejects provisioning jobs over the admission limits with 429 and retry hints', async () => {
+    const limits = app.admission.limits;
+    app.admission.limits = { ...limits, userJobsPerWindow: 1, maxLineItemsPerJob: 1 };
+    try {
+      const tooLarge = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL });
+      assert.equal(tooLarge.statusCode, 429);
+      assert.equal(tooLarge.headers['retry-after'], undefined);
+      assert.equal(tooLarge.json().reason, 'TOO_MANY_LINE_ITEMS');
+      assert.match(tooLarge.json().error, /line items exceed the limit of 1 per job/);
+
+      app.admission.limits = { ...limits, userJobsPerWindow: 1 };
+      // Requests rejected by validation leave the window alone
+      const invalid = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID] });
+      assert.equal(invalid.statusCode, 400);
+      const accepted = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL, idempotencyKey: 'admission-1' });
+      assert.equal(accepted.statusCode, 201);
+      assert.equal((await app.jobStore.get(accepted.json().jobId)).userId, '005000000000001AAA');
+
+      // A retry after a lost response gets the original job instead of a 429
+      const retried = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL, idempotencyKey: 'admission-1' });
+      assert.equal(retried.statusCode, 201);
+      assert.equal(retried.json().jobId, accepted.json().jobId);
+
+      const limited = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL });
+      assert.equal(limited.statusCode, 429);
+      const { reason, limit, retryAfterSeconds } = limited.json();
+      assert.deepEqual({ reason, limit }, { reason: 'USER_RATE_LIMIT', limit: 1 });
+      assert.ok(retryAfterSeconds > 0 && retryAfterSeconds <= 60);
+      assert.equal(limited.headers['retry-after'], String(retryAfterSeconds));
+      // Rejected before the Opportunities are queried
+      const { dataApi } = getAppLinkEmulator();
+      const query = dataApi.query;
+      let queries = 0;
+      dataApi.query = (...args) => { queries++; return query.apply(dataApi, args); };
+      let limitedSync;
+      try {
+        limitedSync = await submit('/api/provisionServicesSync', { opportunityIds: [OPPORTUNITY_ID] });
+      } finally {
+        dataApi.query = query;
+      }
+      assert.equal(limitedSync.statusCode, 429);
+      assert.equal(limitedSync.json().reason, 'USER_RATE_LIMIT');
+      assert.equal(queries, 0);
+
+      // Other users of the org and dry runs are not held back
+      const otherUser = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL },
+        encodeClientContext({ userContext: { userId: '005000000000002AAA', username: 'other@example.com' } }));
+      assert.equal(otherUser.statusCode, 201);
+      const dryRun = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], dryRun: true });
+      assert.equal(dryRun.statusCode, 200);
+
+      await waitForJob(app.jobStore, accepted.json().jobId);
+      await waitForJob(app.jobStore, otherUser.json().jobId);
+      const scrape = await app.inject({ method: 'GET', url: '/metrics' });
+      assert.match(scrape.body, /^provisioning_jobs_rejected_total\{operation="provision",reason="USER_RATE_LIMIT"\} 2$/m);
+    } finally {
+      app.admission.limits = limits;
+    }
+  });
+
+  test('counts jobs, line items, provider calls and callbacks at /metrics', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: ['006000000000004AAA'], callbackUrl: CALLBACK_URL });
+    await waitForJob(app.jobStore, response.json().jobId);
+
+    const scrape = await app.inject({ method: 'GET', url: '/metrics' });
+    assert.equal(scrape.statusCode, 200);
+    assert.match(scrape.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    const sample = pattern => Number(new RegExp(`^${pattern} (\\S+)$`, 'm').exec(scrape.body)?.[1]);
+    assert.ok(sample('provisioning_jobs_submitted_total\\{operation="provision"\\}') >= 1);
+    assert.ok(sample('provisioning_jobs_finished_total\\{operation="provision",status="completed"\\}') >= 1);
+    assert.equal(sample('provisioning_jobs_in_flight\\{operation="provision"\\}'), 0);
+    assert.ok(sample('provisioning_line_items_total\\{product="Compute Cluster - Standard",status="Provisioned"\\}') >= 1);
+    assert.ok(sample('provisioning_provider_call_duration_seconds_count\\{provider="mock",operation="provision",outcome="success"\\}') >= 3);
+    assert.ok(sample('provisioning_callback_attempts_total\\{outcome="success"\\}') >= 1);
+    assert.ok(sample('provisioning_callback_deliveries_total\\{status="delivered"\\}') >= 1);
+  });
+
+  test('reports readiness from the job store and queue at /health', async () => {
+    const ready = await app.inject({ method: 'GET', url: '/health' });
+    assert.equal(ready.statusCode, 200);
+    assert.deepEqual(ready.json(), { status: 'ok', checks: { jobStore: 'ok', jobQueue: 'ok' } });
+
+    const ping = app.jobStore.ping;
+    app.jobStore.ping = async () => { throw new Error('Job store unavailable'); };
+    try {
+      const unready = await app.inject({ method: 'GET', url: '/health' });
+      assert.equal(unready.statusCode, 503);
+      assert.deepEqual(unready.json(), { status: 'unavailable', checks: { jobStore: 'Job store unavailable', jobQueue: 'ok' } });
+    } finally {
+      app.jobStore.ping = ping;
+    }
+  });
+
+  test('hides jobs from other orgs', async () => {
+    const response = await submit('/api/provisionServices', { opportunityIds: [OPPORTUNITY_ID], callbackUrl: CALLBACK_URL });
+    const { jobId } = response.json();
+    await waitForJob(app.jobStore, jobId);
+
+    const otherOrg = encodeClientContext({ orgId: '00D000000000002AAA' });
+    const status = await app.inject({ method: 'GET', url: `/api/jobs/${jobId}`, headers: { 'x-client-context': otherOrg } });
+    assert.equal(status.statusCode, 404);
+  });
+});
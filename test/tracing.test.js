@@ -0,0 +1,47 @@
+import './env.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemorySpanExporter, Tracer, parseTraceparent } from '../src/server/services/tracing.js';
+import { createLimiter } from '../src/server/utils/limiter.js';
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+describe('Tracer', () => {
+  test('parses W3C traceparent headers', () => {
+    assert.deepEqual(parseTraceparent(TRACEPARENT), { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7' });
+    assert.equal(parseTraceparent(undefined), null);
+    assert.equal(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01'), null);
+    assert.equal(parseTraceparent('not-a-traceparent'), null);
+  });
+
+  test('nests spans across awaits and limiters, and records failures', async () => {
+    const exporter = new MemorySpanExporter();
+    const tracer = new Tracer({ exporters: [exporter] });
+    const limiter = createLimiter(1);
+
+    const run = name => tracer.trace(`job ${name}`, { 'job.id': name }, () => Promise.all([1, 2].map(item =>
+      limiter(() => tracer.trace('provider provision', { item }, async () => item))
+    )), { parent: TRACEPARENT });
+    await Promise.all([run('a'), run('b')]);
+    await assert.rejects(tracer.trace('callback post', {}, async () => {
+      throw new Error('unreachable');
+    }, { parent: null }), /unreachable/);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const jobs = exporter.spans.filter(span => span.name.startsWith('job '));
+    assert.equal(jobs.length, 2);
+    for (const job of jobs) {
+      assert.equal(job.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+      assert.equal(job.parentSpanId, '00f067aa0ba902b7');
+      // Tasks queued behind another job's task still belong to their own job
+      const calls = exporter.spans.filter(span => span.parentSpanId === job.spanId);
+      assert.deepEqual(calls.map(span => span.attributes.item).sort(), [1, 2]);
+    }
+    const failed = exporter.spans.find(span => span.name === 'callback post');
+    assert.notEqual(failed.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(failed.parentSpanId, undefined);
+    assert.deepEqual(failed.status, { code: 'ERROR', message: 'unreachable' });
+    assert.ok(failed.durationMs >= 0);
+    assert.equal(tracer.activeSpan(), undefined);
+  });
+});